@@ -0,0 +1,20 @@
+import path from "node:path";
+
+// --- Carga de `src/` en Node ---
+// El código de `src/` usa módulos ES con importaciones sin extensión, como los resuelve webpack.
+// Node exige la extensión y, sin `"type": "module"` en package.json (la configuración de Tailwind
+// y PostCSS es CommonJS), trataría los `.js` como CommonJS: este gancho corrige ambas cosas solo
+// para los archivos de `src/`.
+
+const SRC_URL = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    const fromSrc = context.parentURL?.startsWith(SRC_URL);
+    if (fromSrc && /^\.{1,2}\//.test(specifier) && !path.extname(specifier)) return nextResolve(`${specifier}.js`, context);
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SRC_URL) && url.endsWith(".js")) return nextLoad(url, { ...context, format: "module" });
+    return nextLoad(url, context);
+}
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "node:fs";
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+
+// =====================================================================
+// === FINDIR EN LA LÍNEA DE COMANDOS ===================================
+// =====================================================================
+// Aplica a un archivo .xlsx / .csv los mismos criterios que la aplicación (una vista exportada
+// o un JSON con filtros, búsqueda y orden) y escribe el resultado, las estadísticas de una columna
+// o el análisis de una empresa. Pensado para informes periódicos:
+//
+//   npm run findir -- rows envios.xlsx --spec criterios.json --format xlsx --out informe.xlsx
+//   npm run findir -- stats envios.csv --spec criterios.json --column "Valor (USD)"
+//   npm run findir -- company envios.xlsx --name "ACME S.A."
+
+register("./esmLoader.mjs", import.meta.url);
+
+const { analyzeCompany, buildTable, detectTableTypes, getDateRanges, openWorkbook, readSheet, runQuery, withAnomalyColumns } = await import("../src/engine/dataEngine.js");
+const { fitViewToColumns, parseViewsJSON } = await import("../src/engine/views.js");
+const { companyColumns, sanitizeColumnRoles, suggestColumnRoles } = await import("../src/engine/roles.js");
+const { applyCompanyAliases } = await import("../src/engine/entities.js");
+const { getVisibleColumnStats } = await import("../src/engine/stats.js");
+const { CSV_BOM, rowsToCSV } = await import("../src/engine/csv.js");
+const { buildExportWorkbook, workbookToArrayBuffer } = await import("../src/engine/exportWorkbook.js");
+const { ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN } = await import("../src/engine/anomalies.js");
+
+const USAGE = `Uso: findir <comando> <archivo> [opciones]
+
+Comandos:
+  info      hojas, columnas con su tipo, roles sugeridos y rangos de fechas
+  rows      filas del resultado (--format csv | json | xlsx)
+  stats     estadísticas de una columna del resultado (--column)
+  company   análisis de una empresa (--name), sobre el resultado si hay criterios
+
+Opciones:
+  --spec <archivo.json>  criterios: una vista (filters, query, selectedKeys, sort, sortByRelevance,
+                         hiddenColumns) y, opcionalmente, sheet, computedColumns, aliases, roles y anomalies;
+                         también un archivo de vistas exportado desde la aplicación (con --view)
+  --view <nombre>        vista del archivo de vistas
+  --sheet <hoja>         hoja del libro (por defecto la de los criterios o la primera)
+  --format <formato>     csv (por defecto), json o xlsx
+  --delimiter <, | ;>    separador del CSV (por defecto ",")
+  --column <columna>     columna de "stats"; en rows --format xlsx añade la hoja de estadísticas
+  --bins <n>, --top <n>  intervalos del histograma y valores más frecuentes de "stats"
+  --name <empresa>       empresa de "company"; en rows --format xlsx añade la hoja de la empresa
+  --out <archivo>        destino (por defecto la salida estándar; obligatorio con xlsx)
+  --help`;
+
+const OPTIONS = {
+    spec: { type: "string" },
+    view: { type: "string" },
+    sheet: { type: "string" },
+    format: { type: "string", default: "csv" },
+    delimiter: { type: "string", default: "," },
+    column: { type: "string" },
+    bins: { type: "string" },
+    top: { type: "string" },
+    name: { type: "string" },
+    out: { type: "string" },
+    help: { type: "boolean", default: false },
+};
+
+const COMMANDS = ["info", "rows", "stats", "company"];
+
+class UsageError extends Error {}
+
+/**
+ * Criterios del archivo `--spec`: un objeto con la vista o un archivo de vistas exportado.
+ * @param {string | undefined} file
+ * @param {string | undefined} viewName
+ * @returns {object}
+ */
+function readSpec(file, viewName) {
+    if (!file) {
+        if (viewName) throw new UsageError("--view necesita un archivo de vistas en --spec.");
+        return {};
+    }
+    const text = readFileSync(file, "utf8");
+    const data = JSON.parse(text);
+    if (!Array.isArray(data) && !Array.isArray(data?.views)) {
+        if (viewName) throw new UsageError(`"${file}" no es un archivo de vistas: no se puede elegir --view.`);
+        return data ?? {};
+    }
+    const views = parseViewsJSON(text);
+    if (!viewName) {
+        if (views.length === 1) return views[0];
+        throw new UsageError(`"${file}" tiene ${views.length} vistas; elige una con --view: ${views.map(v => v.name).join(", ")}.`);
+    }
+    const view = views.find(v => v.name === viewName);
+    if (!view) throw new UsageError(`La vista "${viewName}" no está en "${file}".`);
+    return view;
+}
+
+const toCount = (text, option) => {
+    if (text === undefined) return undefined;
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 1) throw new UsageError(`--${option} debe ser un entero positivo.`);
+    return value;
+};
+
+function writeOutput(out, content) {
+    if (out) writeFileSync(out, content);
+    else process.stdout.write(content);
+}
+
+/**
+ * Lee el archivo, aplica alias y columnas calculadas y ejecuta la consulta de los criterios.
+ * @param {string} file
+ * @param {object} spec
+ * @param {string | undefined} sheetName
+ */
+async function openAndQuery(file, spec, sheetName) {
+    const workbook = openWorkbook(new Uint8Array(readFileSync(file)));
+    const sheet = readSheet(workbook, { sheetName: sheetName ?? spec.sheet ?? workbook.SheetNames[0] });
+    const types = detectTableTypes(sheet.rows, sheet.columns);
+
+    // Los roles de los criterios se completan con los sugeridos por el nombre de las columnas.
+    const suggested = suggestColumnRoles(sheet.columns, { numericColumns: new Set(types.numeric), dateColumns: new Set(types.date) });
+    const roles = sanitizeColumnRoles({ ...suggested, ...spec.roles }, sheet.columns);
+    const rows = applyCompanyAliases(sheet.rows, companyColumns(roles), spec.aliases ?? {});
+    const table = buildTable(rows, sheet.columns, types, Array.isArray(spec.computedColumns) ? spec.computedColumns : []);
+    table.computedErrors.forEach(({ name, message }) => console.error(`Aviso: la columna calculada "${name}" no se ha aplicado: ${message}`));
+
+    const { view, warnings } = fitViewToColumns(spec, table.columns);
+    warnings.forEach(warning => console.error(`Aviso: ${warning}`));
+    const result = await runQuery(table, {
+        filters: view.filters,
+        query: view.query,
+        searchKeys: view.selectedKeys,
+        sort: view.sort,
+        sortByRelevance: view.sortByRelevance,
+        anomalies: spec.anomalies ?? null,
+    });
+    return { workbook, sheet, table, roles, view, result };
+}
+
+const commands = {
+    async info(file, args, spec) {
+        const { workbook, sheet, table, roles } = await openAndQuery(file, spec, args.sheet);
+        const type = (col) => (table.dateColumns.has(col) ? "date" : table.numericColumns.has(col) ? "number" : table.facetColumns.includes(col) ? "facet" : "text");
+        const dateRanges = Object.fromEntries(Object.entries(getDateRanges(table)).map(([col, { min, max }]) => [col, { min: new Date(min).toISOString().slice(0, 10), max: new Date(max).toISOString().slice(0, 10) }]));
+        const info = {
+            sheetNames: workbook.SheetNames,
+            sheet: sheet.sheetName,
+            rowCount: table.rows.length,
+            columns: table.columns.map(name => ({ name, type: type(name) })),
+            roles,
+            dateRanges,
+        };
+        writeOutput(args.out, `${JSON.stringify(info, null, 2)}\n`);
+    },
+
+    async rows(file, args, spec) {
+        const { sheet, table, roles, view, result } = await openAndQuery(file, spec, args.sheet);
+        const hidden = new Set(view.hiddenColumns);
+        const exported = withAnomalyColumns(result.rows, table.columns.filter(col => !hidden.has(col)), result.anomalies);
+        if (args.format === "json") {
+            const rows = exported.rows.map(row => Object.fromEntries(exported.columns.map(col => [col, row[col] ?? ""])));
+            writeOutput(args.out, `${JSON.stringify(rows, null, 2)}\n`);
+        } else if (args.format === "csv") {
+            if (args.delimiter !== "," && args.delimiter !== ";") throw new UsageError("--delimiter debe ser \",\" o \";\".");
+            const numericColumns = new Set([...table.numericColumns, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN]);
+            writeOutput(args.out, `${CSV_BOM}${rowsToCSV(exported.rows, { columns: exported.columns, delimiter: args.delimiter, numericColumns })}\n`);
+        } else if (args.format === "xlsx") {
+            if (!args.out) throw new UsageError("--format xlsx necesita un archivo de destino en --out.");
+            const wb = buildExportWorkbook({
+                rows: exported.rows,
+                columns: exported.columns,
+                numericColumns: new Set([...table.numericColumns, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN]),
+                dateColumns: table.dateColumns,
+                criteria: { sheetName: sheet.sheetName, query: view.query, searchKeys: view.selectedKeys, filters: view.filters, sort: view.sort, sortByRelevance: view.sortByRelevance, totalRows: table.rows.length },
+                stats: args.column ? columnStats(table, result.rows, args) : null,
+                company: args.name ? analyzeCompany(table, result.rows, args.name, { query: view.query, roles }) : null,
+            });
+            writeOutput(args.out, Buffer.from(workbookToArrayBuffer(wb)));
+        } else {
+            throw new UsageError(`Formato desconocido: "${args.format}" (csv, json o xlsx).`);
+        }
+        console.error(`${result.rows.length} de ${table.rows.length} filas.`);
+    },
+
+    async stats(file, args, spec) {
+        if (!args.column) throw new UsageError("stats necesita la columna en --column.");
+        const { table, result } = await openAndQuery(file, spec, args.sheet);
+        writeOutput(args.out, `${JSON.stringify(columnStats(table, result.rows, args), null, 2)}\n`);
+    },
+
+    async company(file, args, spec) {
+        if (!args.name) throw new UsageError("company necesita el nombre de la empresa en --name.");
+        const { table, roles, view, result } = await openAndQuery(file, spec, args.sheet);
+        if (!roles.importer && !roles.exporter) throw new UsageError("No hay columnas de importador ni de exportador: indícalas en \"roles\" de los criterios.");
+        writeOutput(args.out, `${JSON.stringify(analyzeCompany(table, result.rows, args.name, { query: view.query, roles }), null, 2)}\n`);
+    },
+};
+
+function columnStats(table, rows, args) {
+    if (!table.columns.includes(args.column)) throw new UsageError(`La columna "${args.column}" no existe.`);
+    return getVisibleColumnStats(args.column, rows, table.numericColumns, table.dateColumns, { bins: toCount(args.bins, "bins"), topN: toCount(args.top, "top") });
+}
+
+try {
+    const { values: args, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (args.help) {
+        console.log(USAGE);
+    } else {
+        const [command, file] = positionals;
+        if (!COMMANDS.includes(command) || !file || positionals.length > 2) throw new UsageError(USAGE);
+        await commands[command](file, args, readSpec(args.spec, args.view));
+    }
+} catch (error) {
+    console.error(error instanceof UsageError ? error.message : `Error: ${error?.message ?? error}`);
+    process.exitCode = error instanceof UsageError || error?.code?.startsWith?.("ERR_PARSE_ARGS") ? 2 : 1;
+}
@@ -1,45 +1,61 @@
-import React, { useMemo, useRef, useState, useEffect, useCallback } from "react";
-import * as XLSX from "xlsx";
-import Fuse from "fuse.js";
+import React, { useMemo, useRef, useState, useEffect } from "react";
+import { CSV_BOM, CSV_DELIMITERS, rowsToCSV } from "./engine/csv";
+import { parseQuery } from "./engine/query";
+import { datePresetRange, parseDateValue } from "./engine/dates";
+import { useDataEngine } from "./useDataEngine";
+import FacetFilter from "./components/FacetFilter";
+import ColumnRoleMapper from "./components/ColumnRoleMapper";
+import PivotPanel from "./components/PivotPanel";
+import ResultsGrid, { GRID_BLOCK_ROWS } from "./components/ResultsGrid";
+import ComparisonPanel from "./components/ComparisonPanel";
+import CompanyDetailModal from "./components/CompanyDetailModal";
+import EntityResolver from "./components/EntityResolver";
+import ImportPreview from "./components/ImportPreview";
+import MergeDialog from "./components/MergeDialog";
+import JoinDialog from "./components/JoinDialog";
+import DataQualityPanel from "./components/DataQualityPanel";
+import PriceAnomalyPanel from "./components/PriceAnomalyPanel";
+import AnomalyGroupModal from "./components/AnomalyGroupModal";
+import ComputedColumnsDialog from "./components/ComputedColumnsDialog";
+import RecentDatasets from "./components/RecentDatasets";
+import SavedViews from "./components/SavedViews";
+import SortEditor from "./components/SortEditor";
+import AccessGate from "./components/AccessGate";
+import AccessAdmin from "./components/AccessAdmin";
+import LanguageSwitcher from "./components/LanguageSwitcher";
+import NumberInput from "./components/NumberInput";
+import { companyColumns, companyQuery, headerSignature, sanitizeColumnRoles, suggestColumnRoles } from "./engine/roles";
+import { drillDownFilter } from "./engine/pivot";
+import { describeIssue } from "./engine/audit";
+import { ANOMALY_DEFAULTS } from "./engine/anomalies";
+import { STATS_DEFAULT_BINS, STATS_DEFAULT_TOP } from "./engine/stats";
+import { SOURCE_COLUMN } from "./engine/merge";
+import { toggleSortLevel } from "./engine/sort";
+import { EMPTY_LAYOUT, fitLayoutToColumns, moveColumn, orderColumns, togglePinned } from "./engine/columnLayout";
+import { decodeViewHash, encodeViewHash, fitViewToColumns, parseViewsJSON, upsertViews } from "./engine/views";
+import { login, normalizeAccess, setupAccess, updateSettings } from "./engine/access";
+import { readJSON, removeJSON, writeJSON } from "./localStore";
+import { useIdleTimeout } from "./useIdleTimeout";
+import { I18nProvider, useI18n } from "./useI18n";
 
 // --- Tipos y Utils ---
 /**
- * @typedef {Object<string, string|number>} Row
- * @typedef {'asc'|'desc'} SortDirection
- * @typedef {'contiene'|'='} FilterMode
- * @typedef {{ mode: FilterMode, value?: string, min?: number, max?: number }} FilterConfig
- * @typedef {Object<string, FilterConfig>} Filters
- * @typedef {import('xlsx').WorkBook} WorkBook
- * @typedef {{ company: string, totalValue: number, totalWeight: number, isFiltered: boolean }} CompanyAggregates
- * @typedef {object} NumericStats
- * @property {string} column
- * @property {boolean} isNumeric
- * @property {number} totalCount
- * @property {number} sum
- * @property {number} avg
- * @property {number} min
- * @property {number} max
- * @property {number} median
- * @typedef {object} CategoricalStats
- * @property {string} column
- * @property {boolean} isNumeric
- * @property {number} totalCount
- * @property {number} uniqueCount
- * @property {{ value: string, count: number }[]} topValues
- * @typedef {NumericStats | CategoricalStats} ColumnStats
+ * @typedef {import('./engine/types').Row} Row
+ * @typedef {import('./engine/types').SortDirection} SortDirection
+ * @typedef {import('./engine/types').FilterMode} FilterMode
+ * @typedef {import('./engine/types').FilterConfig} FilterConfig
+ * @typedef {import('./engine/types').Filters} Filters
+ * @typedef {import('./engine/types').CompanyAggregates} CompanyAggregates
+ * @typedef {import('./engine/types').NumericStats} NumericStats
+ * @typedef {import('./engine/types').CategoricalStats} CategoricalStats
+ * @typedef {import('./engine/types').DateStats} DateStats
+ * @typedef {import('./engine/types').ColumnStats} ColumnStats
+ * @typedef {import('./engine/roles').ColumnRoles} ColumnRoles
+ * @typedef {import('./engine/types').MatchHighlights} MatchHighlights
+ * @typedef {{ total: number, start: number, rows: Row[], highlights: (MatchHighlights | null)[], facets: Object<string, import('./engine/types').ValueCount[]>, anomalies: (import('./engine/anomalies').AnomalyScore | null)[] | null, anomalySummary: import('./engine/anomalies').AnomalySummary | null, version?: number }} QueryResult
  */
 
-function downloadCSV(filename, rows) {
-    if (!rows?.length) return;
-    const header = Object.keys(rows[0]);
-    const escape = (v) => {
-        if (v === null || v === undefined || v === "") return "";
-        const s = String(v).replaceAll('"', '""');
-        return /[",\n]/.test(s) ? `"${s}"` : s;
-    };
-    const csvRows = rows.map(r => header.map(k => escape(r[k])).join(","));
-    const csvContent = [header.map(escape).join(","), ...csvRows].join("\n");
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+function downloadBlob(filename, blob) {
     const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
     link.href = url;
@@ -50,245 +66,633 @@ function downloadCSV(filename, rows) {
     URL.revokeObjectURL(url);
 }
 
-const isValueNumeric = (v) => typeof v === "number" || (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v)));
-const isColumnMostlyNumeric = (data, key) => {
-    const sample = data.slice(0, 200); 
-    if (!sample.length) return false;
-    const numericCount = sample.filter(r => isValueNumeric(r[key])).length;
-    return numericCount / sample.length > 0.7; 
-};
+function downloadCSV(filename, csvContent) {
+    if (!csvContent) return;
+    downloadBlob(filename, new Blob([CSV_BOM + csvContent], { type: "text/csv;charset=utf-8;" }));
+}
+
+function downloadXLSX(filename, buffer) {
+    if (!buffer) return;
+    downloadBlob(filename, new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }));
+}
+
+// Mapeos de roles guardados, por firma de encabezados.
+const ROLE_MAPPINGS_KEY = "roleMappings";
+// La columna de origen de los datos combinados y las columnas calculadas no cuentan para la firma:
+// el mapeo es el mismo que el del archivo tal como se leyó.
+const roleSignature = (columns, computedColumns = []) => headerSignature(columns.filter(col => col !== SOURCE_COLUMN && !computedColumns.some(c => c.name === col)));
+// Separador elegido para las exportaciones CSV.
+const CSV_DELIMITER_KEY = "csvDelimiter";
+// Alias de nombres de empresa (variante -> canónico), comunes a todos los archivos.
+const COMPANY_ALIASES_KEY = "companyAliases";
+// Conjunto abierto y estado de la búsqueda, para restaurarlos al recargar la página.
+const SESSION_KEY = "session";
+// Vistas guardadas con nombre, comunes a todos los archivos.
+const SAVED_VIEWS_KEY = "savedViews";
+// Diseño de la tabla (orden, anchos, columnas fijas y ocultas), por firma de encabezados.
+const COLUMN_LAYOUTS_KEY = "columnLayouts";
+// Usuarios, verificadores de sus códigos y opciones de seguridad.
+const ACCESS_KEY = "access";
+
+/** @type {QueryResult} */
+const EMPTY_RESULT = { total: 0, start: 0, rows: [], highlights: [], facets: {}, anomalies: null, anomalySummary: null };
 
 // =====================================================================
 // === FUNCIÓN DE CONTENIDO PRINCIPAL (BuscadorContent) ================
 // =====================================================================
 
-function BuscadorContent() {
+/**
+ * @param {{
+ *   session: import('./engine/access').AccessSession,
+ *   access: import('./engine/access').AccessStore,
+ *   onAccessChange: (store: import('./engine/access').AccessStore) => void,
+ *   onLogout: () => void,
+ * }} props
+ */
+function BuscadorContent({ session, access, onAccessChange, onLogout }) {
     // [ESTADOS Y REFS]
-    const [rawData, setRawData] = useState([]);
+    const engine = useDataEngine();
+    const { locale, t, formatNumber, formatDate, describeError } = useI18n();
+    const [showAccessAdmin, setShowAccessAdmin] = useState(false);
+    const [rowCount, setRowCount] = useState(0);
+    // Se incrementa con cada hoja cargada para relanzar la consulta aunque el tamaño coincida.
+    const [datasetVersion, setDatasetVersion] = useState(0);
     const [columns, setColumns] = useState([]);
+    const [numericColumns, setNumericColumns] = useState(() => new Set());
+    const [dateColumns, setDateColumns] = useState(() => new Set());
+    /** @type {[Object<string, { min: number, max: number }>, React.Dispatch<React.SetStateAction<Object<string, { min: number, max: number }>>>]} */
+    const [dateRanges, setDateRanges] = useState({});
+    const [facetColumns, setFacetColumns] = useState([]);
+    /** @type {[ColumnRoles, React.Dispatch<React.SetStateAction<ColumnRoles>>]} */
+    const [roles, setRoles] = useState({});
+    const [showRoleMapper, setShowRoleMapper] = useState(false);
+    const [showPivot, setShowPivot] = useState(false);
+    const [showComparison, setShowComparison] = useState(false);
+    // Periodo A de la comparación; se conserva al cargar otro archivo (el periodo B).
+    const [comparisonBase, setComparisonBase] = useState(null);
+    /** @type {[import('./engine/entities').CompanyAliases, React.Dispatch<React.SetStateAction<import('./engine/entities').CompanyAliases>>]} */
+    const [companyAliases, setCompanyAliases] = useState(() => readJSON(COMPANY_ALIASES_KEY, {}));
+    // Se incrementa cuando el worker reescribe los nombres de empresa, para relanzar la consulta.
+    const [entityVersion, setEntityVersion] = useState(0);
+    const [showEntityResolver, setShowEntityResolver] = useState(false);
+    const [showJoin, setShowJoin] = useState(false);
+    const [showAudit, setShowAudit] = useState(false);
+    // Definiciones de columnas calculadas (se guardan con la sesión) y las que no se pudieron aplicar.
+    /** @type {[import('./engine/formula').ComputedColumn[], React.Dispatch<React.SetStateAction<import('./engine/formula').ComputedColumn[]>>]} */
+    const [computedColumns, setComputedColumns] = useState(() => readJSON(SESSION_KEY, null)?.computedColumns ?? []);
+    const [computedErrors, setComputedErrors] = useState([]);
+    const [showComputed, setShowComputed] = useState(false);
+    /** @type {[import('./engine/anomalies').AnomalySpec | null, React.Dispatch<React.SetStateAction<import('./engine/anomalies').AnomalySpec | null>>]} */
+    const [anomalySpec, setAnomalySpec] = useState(null);
+    const [anomalyDetail, setAnomalyDetail] = useState(null);
+    const [csvDelimiter, setCsvDelimiter] = useState(() => readJSON(CSV_DELIMITER_KEY, ","));
+    // Última empresa analizada y hojas opcionales de la exportación a Excel.
+    const [lastCompany, setLastCompany] = useState("");
+    const [exportStats, setExportStats] = useState(true);
+    const [exportCompany, setExportCompany] = useState(true);
+    /** @type {[import('./engine/importOptions').ImportPreview | null, React.Dispatch<React.SetStateAction<import('./engine/importOptions').ImportPreview | null>>]} */
+    const [importPreview, setImportPreview] = useState(null);
+    /** @type {[{ sources: import('./engine/merge').MergeSource[], append: boolean } | null, React.Dispatch<React.SetStateAction<{ sources: import('./engine/merge').MergeSource[], append: boolean } | null>>]} */
+    const [mergeDraft, setMergeDraft] = useState(null);
+    // Nombre del conjunto en la caché local; `cacheVersion` cambia cada vez que se guarda uno.
+    const [datasetName, setDatasetName] = useState("");
+    const [cacheVersion, setCacheVersion] = useState(0);
     const [sheetNames, setSheetNames] = useState([]);
     const [activeSheet, setActiveSheet] = useState("");
-    const workbookRef = useRef(null); 
     const [query, setQuery] = useState("");
     const [selectedKeys, setSelectedKeys] = useState([]);
     const [filters, setFilters] = useState({});
-    const [sortKey, setSortKey] = useState("");
-    const [sortDir, setSortDir] = useState("asc");
-    const [page, setPage] = useState(1);
-    const [pageSize, setPageSize] = useState(50);
-    const fuseRef = useRef(null);
+    /** @type {[import('./engine/sort').SortLevel[], React.Dispatch<React.SetStateAction<import('./engine/sort').SortLevel[]>>]} */
+    const [sort, setSort] = useState([]);
+    const [sortByRelevance, setSortByRelevance] = useState(false);
+    /** @type {[import('./engine/columnLayout').ColumnLayout, React.Dispatch<React.SetStateAction<import('./engine/columnLayout').ColumnLayout>>]} */
+    const [columnLayout, setColumnLayout] = useState(EMPTY_LAYOUT);
+    /** @type {[import('./engine/views').SavedView[], React.Dispatch<React.SetStateAction<import('./engine/views').SavedView[]>>]} */
+    const [savedViews, setSavedViews] = useState(() => readJSON(SAVED_VIEWS_KEY, []));
+    // Avisos al aplicar una vista con columnas que no existen en el archivo cargado.
+    const [viewWarnings, setViewWarnings] = useState([]);
+    // Vista recibida en el hash de la URL; se aplica al cargar el primer archivo.
+    const linkViewRef = useRef(decodeViewHash(window.location.hash));
+
+    /** @type {[QueryResult, React.Dispatch<React.SetStateAction<QueryResult>>]} */
+    const [result, setResult] = useState(EMPTY_RESULT);
+    const [isQuerying, setIsQuerying] = useState(false);
+
+    /** @type {[import('./useDataEngine').EngineProgress | null, React.Dispatch<React.SetStateAction<import('./useDataEngine').EngineProgress | null>>]} */
+    const [loadProgress, setLoadProgress] = useState(null);
 
     /** @type {[CompanyAggregates | null, React.Dispatch<React.SetStateAction<CompanyAggregates | null>>]} */
     const [selectedCompanyData, setSelectedCompanyData] = useState(null);
 
     /** @type {[ColumnStats | null, React.Dispatch<React.SetStateAction<ColumnStats | null>>]} */
     const [selectedColumnStats, setSelectedColumnStats] = useState(null);
+    const [statsOptions, setStatsOptions] = useState({ bins: STATS_DEFAULT_BINS, topN: STATS_DEFAULT_TOP });
 
-    // [DEPENDENCIAS OPTIMIZADAS]
-    const numericColumns = useMemo(() => {
-        if (!rawData.length) return new Set();
-        const numCols = columns.filter(col => isColumnMostlyNumeric(rawData, col));
-        return new Set(numCols);
-    }, [rawData, columns]);
-
-    // [LÓGICA DE AGREGACIÓN DE EMPRESAS]
-    const getCompanyAggregates = useCallback((companyName, dataSet) => {
-        let totalValue = 0;
-        let totalWeight = 0;
-        
-        dataSet.forEach(row => {
-            const consignee = String(row['Consignatario'] ?? "").trim();
-            const shipper = String(row['Expedidor'] ?? "").trim();
-            
-            if (consignee === companyName || shipper === companyName) {
-                const value = Number(row['Valor (USD)']);
-                if (!isNaN(value)) {
-                    totalValue += value;
-                }
-                
-                const weight = Number(row['Weight (KG)']);
-                if (!isNaN(weight)) {
-                    totalWeight += weight;
-                }
-            }
-        });
-        
-        return { company: companyName, totalValue, totalWeight, };
-    }, []);
-
-    // [LÓGICA DE ESTADÍSTICAS DE COLUMNA]
-    const getVisibleColumnStats = useCallback((colName, dataSet) => {
-        if (!dataSet || dataSet.length === 0) return null;
-        
-        const isNum = numericColumns.has(colName);
-        const filteredValues = dataSet.map(row => row[colName]).filter(v => v !== null && v !== undefined && v !== "");
-        const totalCount = filteredValues.length;
-        
-        if (totalCount === 0) return null;
-
-        if (isNum) {
-            const numbers = filteredValues.map(v => Number(v)).filter(n => !isNaN(n));
-            
-            if (numbers.length === 0) return null;
-
-            const sum = numbers.reduce((acc, curr) => acc + curr, 0);
-            const avg = sum / numbers.length;
-            const min = Math.min(...numbers);
-            const max = Math.max(...numbers);
-
-            const sortedNumbers = [...numbers].sort((a, b) => a - b);
-            let median;
-            if (sortedNumbers.length % 2 === 0) {
-                const mid1 = sortedNumbers.length / 2;
-                median = (sortedNumbers[mid1 - 1] + sortedNumbers[mid1]) / 2;
-            } else {
-                median = sortedNumbers[Math.floor(sortedNumbers.length / 2)];
-            }
+    // [CLAVE DE LA CACHÉ - ANTES QUE CUALQUIER LECTURA DE CONJUNTOS GUARDADOS]
+    const encryptCache = access.settings.encryptCache;
+    useEffect(() => {
+        engine.request("cacheKey", { key: session.dataKey, encrypt: encryptCache })
+            .catch(error => console.error("Error al configurar el cifrado de la caché.", error));
+    }, [engine, session.dataKey, encryptCache]);
 
-            return { column: colName, isNumeric: true, totalCount: numbers.length, sum, avg, min, max, median, };
-        } else {
-            const counts = {};
-            filteredValues.forEach(v => {
-                const key = String(v).trim();
-                counts[key] = (counts[key] || 0) + 1;
+    // El worker escribe algunos textos en los datos y las exportaciones (marcas, hojas, encabezados).
+    useEffect(() => {
+        engine.request("locale", { locale })
+            .catch(error => console.error("Error al configurar el idioma del motor.", error));
+    }, [engine, locale]);
+
+    const handleEncryptCache = async (encrypt) => {
+        onAccessChange(updateSettings(access, session, { encryptCache: encrypt }));
+        await engine.request("cacheKey", { key: session.dataKey, encrypt });
+        const converted = await engine.request("convertCache");
+        setCacheVersion(v => v + 1);
+        return converted ?? 0;
+    };
+
+    // [ALIAS DE EMPRESA - NOMBRES CANÓNICOS EN EL WORKER]
+    const entityColumns = useMemo(() => companyColumns(roles), [roles]);
+    useEffect(() => {
+        if (!rowCount) return;
+        engine.request("entities", { columns: entityColumns, aliases: companyAliases })
+            .then(changed => { if (changed) setEntityVersion(v => v + 1); })
+            .catch(error => console.error("Error al aplicar los alias de empresa.", error));
+    }, [engine, rowCount, datasetVersion, entityColumns, companyAliases]);
+
+    // [PIPELINE DE DATOS - FILTROS, BÚSQUEDA Y ORDEN EN EL WORKER]
+    useEffect(() => {
+        if (!rowCount) { setResult(EMPTY_RESULT); return; }
+        let active = true;
+        setIsQuerying(true);
+        engine.runQuery({ filters, query, searchKeys: selectedKeys, sort, sortByRelevance, anomalies: anomalySpec, limit: GRID_BLOCK_ROWS })
+            .then(res => {
+                // `undefined` = consulta cancelada por otra más reciente.
+                if (!active || !res) return;
+                setResult(res);
+                setIsQuerying(false);
+            })
+            .catch(error => {
+                console.error("Error al ejecutar la consulta.", error);
+                if (active) setIsQuerying(false);
             });
+        return () => { active = false; };
+    }, [engine, rowCount, datasetVersion, entityVersion, filters, query, selectedKeys, sort, sortByRelevance, anomalySpec]);
+
+    // [HANDLER DE CLICKS]
+    // Clic en un encabezado: ordena por esa columna; con mayúsculas la añade como siguiente nivel.
+    const handleSortClick = (colName, additive) => {
+        setSort(prev => toggleSortLevel(relevanceActive ? [] : prev, colName, additive));
+        setSortByRelevance(false);
+    };
 
-            const sortedCounts = Object.entries(counts).sort(([, countA], [, countB]) => countB - countA);
+    const handleColumnStats = async (colName) => {
+        try {
+            const stats = await engine.request("stats", { column: colName, ...statsOptions });
+            setSelectedColumnStats(stats ?? null);
+        } catch (error) {
+            console.error("Error al calcular las estadísticas:", error);
+            alert(t("stats.error"));
+        }
+    };
 
-            const topValues = sortedCounts.slice(0, 5).map(([value, count]) => ({ value, count }));
-            const uniqueCount = sortedCounts.length;
+    // El panel de estadísticas sigue a los resultados: se recalcula al filtrar o al cambiar sus opciones.
+    const statsColumn = selectedColumnStats?.column ?? null;
+    useEffect(() => {
+        if (!statsColumn) return;
+        let active = true;
+        engine.request("stats", { column: statsColumn, ...statsOptions })
+            .then(stats => { if (active && stats !== undefined) setSelectedColumnStats(stats); })
+            .catch(error => console.error("Error al calcular las estadísticas.", error));
+        return () => { active = false; };
+    }, [engine, statsColumn, statsOptions, result.version]);
+
+    // Clic en un intervalo o una barra del panel de estadísticas.
+    const handleStatsFilter = (patch) => {
+        if (!patch || !statsColumn) return;
+        setFilterValue(statsColumn, patch);
+    };
 
-            return { column: colName, isNumeric: false, totalCount, uniqueCount, topValues, };
+    const handleCompanyClick = async (companyName) => {
+        if (!companyName || companyName.trim() === "") return;
+        try {
+            const aggregates = await engine.request("company", { company: companyName, query, roles });
+            if (aggregates) { setSelectedCompanyData(aggregates); setLastCompany(companyName); }
+        } catch (error) {
+            console.error("Error al analizar la empresa:", error);
+            alert(t("company.error"));
         }
-    }, [numericColumns]);
-
-    // [PIPELINE DE DATOS - FILTROS Y BÚSQUEDA]
-    const applyDeterministicFilters = useCallback((rows) => {
-        const fkeys = Object.keys(filters || {}).filter(k => filters[k] && (filters[k].value !== undefined && filters[k].value !== "" || filters[k].min !== undefined || filters[k].max !== undefined));
-        if (!fkeys.length) return rows;
-        return rows.filter(r => {
-            return fkeys.every(col => {
-                const cfg = filters[col] || {};
-                const cell = r[col];
-                if (numericColumns.has(col)) { 
-                    const num = Number(cell);
-                    if (isNaN(num)) return false; 
-                    const min = cfg.min !== undefined ? Number(cfg.min) : undefined;
-                    const max = cfg.max !== undefined ? Number(cfg.max) : undefined;
-                    if (min !== undefined && num < min) return false;
-                    if (max !== undefined && num > max) return false;
-                    return true;
-                }
-                const val = String(cfg.value ?? "").trim().toLowerCase();
-                if (!val) return true;
-                const cellStr = String(cell ?? "").toLowerCase();
-                if (cfg.mode === "=") return cellStr === val;
-                return cellStr.includes(val);
-            });
+    };
+
+    // Sustituye la búsqueda por una consulta que deja solo los envíos de la empresa del modal.
+    const handleFilterToCompany = () => {
+        setQuery(companyQuery(selectedCompanyData.company, roles));
+        setSelectedCompanyData(null);
+    };
+
+    // [PRECIOS ANÓMALOS]
+    // Al activarlo se proponen las columnas de los roles: producto como grupo, valor y peso.
+    const toggleAnomalies = () => {
+        if (anomalySpec) { setAnomalySpec(null); return; }
+        const textColumn = columns.find(col => !numericColumns.has(col) && !dateColumns.has(col) && col !== SOURCE_COLUMN);
+        setAnomalySpec({
+            groupColumn: roles.product || textColumn || "",
+            valueColumn: roles.value || "",
+            weightColumn: roles.weight || "",
+            ...ANOMALY_DEFAULTS,
+            onlyFlagged: false,
         });
-    }, [filters, numericColumns]);
-
-    const processed = useMemo(() => {
-        let rows = rawData;
-        rows = applyDeterministicFilters(rows);
-        
-        if (query && fuseRef.current) {
-            try {
-                rows = fuseRef.current.search(query).map(res => res.item);
-            } catch (e) {
-                console.error("Error al ejecutar Fuse search.", e);
-            }
-        }
-        
-        if (sortKey && columns.includes(sortKey)) {
-            const dir = sortDir === "asc" ? 1 : -1;
-            rows = [...rows].sort((a, b) => {
-                const va = a[sortKey];
-                const vb = b[sortKey];
-                
-                if (numericColumns.has(sortKey)) {
-                    const numA = Number(va);
-                    const numB = Number(vb);
-                    if (isNaN(numA) || isNaN(numB)) {
-                        if (isNaN(numA) && isNaN(numB)) return 0;
-                        return isNaN(numA) ? 1 * dir : -1 * dir;
-                    }
-                    return (numA - numB) * dir;
-                }
-                
-                return String(va ?? "").localeCompare(String(vb ?? "")) * dir;
-            });
-        }
-        
-        return rows;
-    }, [rawData, filters, query, sortKey, sortDir, columns, applyDeterministicFilters, numericColumns]);
+    };
 
+    const updateAnomalySpec = (patch) => {
+        setAnomalySpec(prev => ({ ...prev, ...patch }));
+    };
 
-    // [HANDLER DE CLICKS]
-    const handleColumnHeaderClick = (colName) => {
-        if (sortKey === colName) { setSortDir(sortDir === "asc" ? "desc" : "asc"); } else { setSortKey(colName); setSortDir("asc"); }
-        const stats = getVisibleColumnStats(colName, processed);
-        setSelectedColumnStats(stats);
+    const handleAnomalyClick = async (index) => {
+        try {
+            const detail = await engine.request("anomalyGroup", { index });
+            if (detail) setAnomalyDetail(detail);
+        } catch (error) {
+            console.error("Error al obtener el grupo de la fila.", error);
+        }
     };
 
-    const handleCompanyClick = (companyName) => {
-        if (!companyName || companyName.trim() === "") return;
-        const isFiltered = rawData.length !== processed.length || query.trim() !== "";
-        const dataToAnalyze = isFiltered ? processed : rawData;
-        const aggregates = getCompanyAggregates(companyName, dataToAnalyze);
-        setSelectedCompanyData({ ...aggregates, isFiltered: isFiltered });
+    const handleFilterAnomalyGroup = (group) => {
+        const patch = drillDownFilter(anomalySpec.groupColumn, group, { numericColumns, dateColumns });
+        if (patch) setFilterValue(anomalySpec.groupColumn, patch);
+        setAnomalyDetail(null);
     };
 
     // [HANDLERS DE CARGA Y UX]
-    const loadSheetData = useCallback((wb, sheetName) => {
-        const json = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: "" });
-        const cols = Object.keys(json[0] || {});
-        setRawData(json); setColumns(cols); setSelectedKeys(cols); setFilters({}); setQuery(""); setPage(1); setSelectedColumnStats(null);
-    }, []);
+    // Con `keepFilters` (archivos añadidos, columnas cruzadas o calculadas sobre los datos cargados) se conservan
+    // filtros, búsqueda y roles de las columnas que siguen existiendo.
+    // Salvo que sus filas ya estén en la caché (`cached`), el conjunto se guarda en ella.
+    const applyDataset = (info, { keepFilters = false, cached = false } = {}) => {
+        setRowCount(info.rowCount); setColumns(info.columns); setNumericColumns(new Set(info.numericColumns));
+        setDateColumns(new Set(info.dateColumns)); setDateRanges(info.dateRanges); setFacetColumns(info.facetColumns);
+        setSheetNames(info.sheetNames); setActiveSheet(info.activeSheet); setDatasetVersion(v => v + 1);
+        setDatasetName(info.datasetName); setComputedErrors(info.computedErrors ?? []);
+        if (!cached) {
+            engine.request("cacheDataset")
+                .then(() => setCacheVersion(v => v + 1))
+                .catch(error => console.warn("No se pudo guardar el archivo en la caché local.", error));
+        }
+        if (keepFilters) {
+            setSelectedKeys(prev => [...prev.filter(col => info.columns.includes(col)), ...info.columns.filter(col => !columns.includes(col))]);
+            setFilters(prev => Object.fromEntries(Object.entries(prev).filter(([col]) => info.columns.includes(col))));
+            setColumnLayout(prev => fitLayoutToColumns(prev, info.columns));
+            setRoles(prev => sanitizeColumnRoles(prev, info.columns));
+            return;
+        }
+        setSelectedKeys(info.columns); setFilters({}); setQuery(""); setSelectedColumnStats(null); setLastCompany("");
+        setColumnLayout(fitLayoutToColumns(readJSON(COLUMN_LAYOUTS_KEY, {})[roleSignature(info.columns, computedColumns)], info.columns));
+        setViewWarnings([]); setAnomalySpec(null); setAnomalyDetail(null);
+        if (linkViewRef.current) {
+            applyView(linkViewRef.current, info.columns);
+            linkViewRef.current = null;
+        }
+
+        // Mapeo de roles: el guardado para estos encabezados o, si no hay, una sugerencia a confirmar.
+        const saved = readJSON(ROLE_MAPPINGS_KEY, {})[roleSignature(info.columns, computedColumns)];
+        if (saved) {
+            setRoles(sanitizeColumnRoles(saved, info.columns));
+        } else {
+            setRoles(suggestColumnRoles(info.columns, { numericColumns: new Set(info.numericColumns), dateColumns: new Set(info.dateColumns) }));
+            setShowRoleMapper(info.columns.length > 0);
+        }
+    };
+
+    const saveCompanyAliases = (nextAliases) => setCompanyAliases(nextAliases);
+
+    // Con la caché cifrada los alias (nombres de empresa) no se guardan en claro.
+    useEffect(() => {
+        if (encryptCache) removeJSON(COMPANY_ALIASES_KEY);
+        else writeJSON(COMPANY_ALIASES_KEY, companyAliases);
+    }, [companyAliases, encryptCache]);
 
+    // Las columnas calculadas se recalculan en el worker; las filas leídas no cambian.
+    const saveComputedColumns = async (definitions) => {
+        setComputedColumns(definitions);
+        try {
+            const info = await engine.request("computed", { definitions });
+            if (info?.rowCount) applyDataset(info, { keepFilters: true, cached: true });
+        } catch (error) {
+            console.error("Error al aplicar las columnas calculadas.", error);
+        }
+    };
+
+    const saveRoles = (nextRoles) => {
+        setRoles(nextRoles);
+        writeJSON(ROLE_MAPPINGS_KEY, { ...readJSON(ROLE_MAPPINGS_KEY, {}), [roleSignature(columns, computedColumns)]: nextRoles });
+        setShowRoleMapper(false);
+    };
+
+    // Primero se inspecciona el archivo; los datos no se cargan hasta confirmar la vista previa.
     const handleFile = async (file) => {
         try {
-            const data = await file.arrayBuffer();
-            const wb = XLSX.read(data, { type: "array" });
-            workbookRef.current = wb; const sheets = wb.SheetNames; const sheet = sheets[0];
-            setSheetNames(sheets); setActiveSheet(sheet); loadSheetData(wb, sheet);
+            const preview = await engine.request("inspect", { file }, { onProgress: setLoadProgress });
+            if (preview) setImportPreview(preview);
+        } catch (error) {
+            console.error("Error al leer el archivo:", error);
+            alert(t("load.fileError"));
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    const handleImportOptionsChange = async (patch) => {
+        const { encoding, delimiter, sheetName } = importPreview;
+        try {
+            setLoadProgress({ stage: "load.updatingPreview", progress: 0 });
+            const preview = await engine.request("preview", { encoding, delimiter, sheetName, ...patch });
+            if (preview) setImportPreview(preview);
+        } catch (error) {
+            console.error("Error al actualizar la vista previa:", error);
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    /** @param {import('./engine/importOptions').ImportOptions} options */
+    const handleImportConfirm = async (options) => {
+        setImportPreview(null);
+        try {
+            const info = await engine.request("load", options, { onProgress: setLoadProgress });
+            if (info) applyDataset(info);
         } catch (error) {
             console.error("Error al cargar el archivo:", error);
-            alert("Error al procesar el archivo. Asegúrate de que sea un archivo .xlsx, .xls o .csv válido.");
-            setRawData([]); setColumns([]); setSheetNames([]); setActiveSheet(""); workbookRef.current = null;
+            alert(t("load.fileError"));
+            setRowCount(0); setColumns([]); setNumericColumns(new Set()); setDateColumns(new Set()); setDateRanges({}); setFacetColumns([]); setSheetNames([]); setActiveSheet("");
+        } finally {
+            setLoadProgress(null);
         }
     };
 
-    const handleSheetChange = (name) => {
-        const wb = workbookRef.current;
-        if (wb && wb.SheetNames.includes(name)) { setActiveSheet(name); loadSheetData(wb, name); } else if (wb) { setActiveSheet(name); } else { setActiveSheet(name); }
+    const handleFiles = (files) => (files.length === 1 ? handleFile(files[0]) : openMerge(files, false));
+
+    const openMerge = async (files, append) => {
+        try {
+            const sources = await engine.request("inspectSources", { files }, { onProgress: setLoadProgress });
+            if (sources) setMergeDraft({ sources, append });
+        } catch (error) {
+            console.error("Error al leer los archivos:", error);
+            alert(t("load.filesError"));
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    const handleMergeConfirm = async (options) => {
+        const { append } = mergeDraft;
+        setMergeDraft(null);
+        try {
+            const info = await engine.request("merge", { ...options, append }, { onProgress: setLoadProgress });
+            if (!info) return;
+            applyDataset(info, { keepFilters: append });
+            if (info.duplicatesRemoved) alert(t("load.duplicatesRemoved", { count: info.duplicatesRemoved }));
+        } catch (error) {
+            console.error("Error al combinar los archivos:", error);
+            alert(t("load.mergeError"));
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    /**
+     * Abre un conjunto de la caché local y, si se indica, restaura la búsqueda guardada.
+     * @param {string} id
+     * @param {object | null} [session]
+     */
+    const handleOpenCached = async (id, session = null) => {
+        try {
+            const info = await engine.request("restore", { id }, { onProgress: setLoadProgress });
+            if (!info) return;
+            // Un enlace con vista tiene prioridad sobre la sesión guardada.
+            const hasLinkView = !!linkViewRef.current;
+            applyDataset(info, { cached: true });
+            if (session && !hasLinkView) applyView(session, info.columns);
+        } catch (error) {
+            console.error("Error al abrir el archivo guardado:", error);
+            if (!session) alert(`${t("load.cachedError")}\n${describeError(error)}`);
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    // Al entrar se restaura la última sesión (conjunto, filtros, búsqueda, columnas y orden).
+    // Solo al montar: después la sesión sigue al estado actual. Como en `useIdleTimeout`, el ref
+    // guarda la versión de este render, con los handlers actuales.
+    const restoreSessionRef = useRef(null);
+    restoreSessionRef.current = () => {
+        const session = readJSON(SESSION_KEY, null);
+        // Las columnas calculadas llegan al worker antes que cualquier conjunto.
+        if (computedColumns.length) {
+            engine.request("computed", { definitions: computedColumns })
+                .catch(error => console.error("Error al aplicar las columnas calculadas.", error));
+        }
+        if (session?.datasetName) handleOpenCached(session.datasetName, session);
+    };
+    useEffect(() => { restoreSessionRef.current(); }, []);
+
+    /** @type {import('./engine/views').ViewState} */
+    const currentView = useMemo(
+        () => ({ filters, query, selectedKeys, sort, sortByRelevance, hiddenColumns: columnLayout.hidden }),
+        [filters, query, selectedKeys, sort, sortByRelevance, columnLayout.hidden]
+    );
+
+    // La sesión y el hash de la URL siguen a la vista actual. Con la caché cifrada no se guardan:
+    // la búsqueda y los valores de los filtros quedarían en claro en localStorage y en la URL.
+    useEffect(() => {
+        if (encryptCache) {
+            removeJSON(SESSION_KEY);
+            if (!linkViewRef.current && window.location.hash) {
+                window.history.replaceState(null, "", window.location.pathname + window.location.search);
+            }
+            return;
+        }
+        if (!datasetName) return;
+        writeJSON(SESSION_KEY, { datasetName, ...currentView, computedColumns });
+        if (!linkViewRef.current) window.history.replaceState(null, "", encodeViewHash(currentView));
+    }, [datasetName, currentView, computedColumns, encryptCache]);
+
+    // [VISTAS GUARDADAS]
+    /**
+     * @param {any} view vista guardada, de la sesión o del enlace
+     * @param {string[]} [availableColumns]
+     */
+    const applyView = (view, availableColumns = columns) => {
+        const { view: fitted, warnings } = fitViewToColumns(view, availableColumns, t);
+        setFilters(fitted.filters); setQuery(fitted.query); setSelectedKeys(fitted.selectedKeys);
+        setSort(fitted.sort); setSortByRelevance(fitted.sortByRelevance);
+        setColumnLayout(prev => ({ ...prev, hidden: fitted.hiddenColumns }));
+        setViewWarnings(warnings);
+    };
+
+    const saveViews = (nextViews) => {
+        setSavedViews(nextViews);
+        writeJSON(SAVED_VIEWS_KEY, nextViews);
+    };
+
+    const handleSaveView = (name) => saveViews(upsertViews(savedViews, [{ ...currentView, name, savedAt: Date.now() }]));
+
+    const handleRenameView = (name, newName) => saveViews(savedViews.map(v => (v.name === name ? { ...v, name: newName } : v)));
+
+    const handleDeleteView = (name) => saveViews(savedViews.filter(v => v.name !== name));
+
+    const handleExportViews = () => {
+        const json = JSON.stringify({ views: savedViews }, null, 2);
+        downloadBlob("vistas_findir.json", new Blob([json], { type: "application/json" }));
+    };
+
+    const handleImportViews = async (file) => {
+        try {
+            const imported = parseViewsJSON(await file.text());
+            saveViews(upsertViews(savedViews, imported));
+            alert(t("views.imported", { count: imported.length }));
+        } catch (error) {
+            console.error("Error al importar vistas:", error);
+            alert(t("views.invalidFile"));
+        }
     };
 
+    const handleSheetChange = async (name) => {
+        try {
+            const info = await engine.request("sheet", { sheetName: name }, { onProgress: setLoadProgress });
+            if (info) applyDataset(info);
+        } catch (error) {
+            console.error("Error al cambiar de hoja:", error);
+        } finally {
+            setLoadProgress(null);
+        }
+    };
+
+    const handleDownloadAll = async () => {
+        try {
+            const csv = await engine.request("exportCSV", { columns: visibleColumns, delimiter: csvDelimiter });
+            if (csv !== undefined) downloadCSV("resultados_filtrados.csv", csv);
+        } catch (error) {
+            console.error("Error al exportar el CSV:", error);
+            alert(t("export.error"));
+        }
+    };
+
+    const handleExportXLSX = async () => {
+        try {
+            const buffer = await engine.request("exportXLSX", {
+                columns: visibleColumns,
+                criteria: { query, searchKeys: selectedKeys, filters, sort, sortByRelevance },
+                statsColumn: exportStats && selectedColumnStats ? selectedColumnStats.column : null,
+                statsOptions,
+                company: exportCompany && lastCompany ? lastCompany : null,
+                roles,
+            });
+            if (buffer) downloadXLSX("resultados_filtrados.xlsx", buffer);
+        } catch (error) {
+            console.error("Error al exportar el Excel:", error);
+            alert(t("export.error"));
+        }
+    };
+
+    const handleExportAudit = async (report) => {
+        try {
+            const buffer = await engine.request("exportAudit", { report });
+            if (buffer) downloadXLSX("auditoria_datos.xlsx", buffer);
+        } catch (error) {
+            console.error("Error al exportar la auditoría:", error);
+            alert(t("export.error"));
+        }
+    };
+
+    // "Ver filas" de un hallazgo de la auditoría: sustituye cualquier otro hallazgo en esa columna.
+    const handleShowAuditRows = (column, issue) => setFilterValue(column, { issue });
+
+    const changeCsvDelimiter = (delimiter) => {
+        setCsvDelimiter(delimiter);
+        writeJSON(CSV_DELIMITER_KEY, delimiter);
+    };
+
+    const total = result.total;
+    // Columnas que se muestran y exportan, en el orden de la tabla (primero las fijas).
+    const visibleColumns = orderColumns(columns, columnLayout).filter(col => !columnLayout.hidden.includes(col));
+    const toggleHidden = (col) => setColumnLayout(prev => ({
+        ...prev,
+        hidden: prev.hidden.includes(col) ? prev.hidden.filter(c => c !== col) : [...prev.hidden, col],
+    }));
+
+    // El diseño de la tabla se guarda para los archivos con los mismos encabezados.
     useEffect(() => {
-        if (!rawData.length || !selectedKeys.length) { fuseRef.current = null; return; }
-        const fuseOptions = { keys: selectedKeys, threshold: 0.35, ignoreLocation: true, minMatchCharLength: 2, useExtendedSearch: false, shouldSort: false, };
-        fuseRef.current = new Fuse(rawData, fuseOptions);
-    }, [rawData, selectedKeys]);
+        if (!columns.length) return;
+        writeJSON(COLUMN_LAYOUTS_KEY, { ...readJSON(COLUMN_LAYOUTS_KEY, {}), [roleSignature(columns, computedColumns)]: columnLayout });
+    }, [columns, computedColumns, columnLayout]);
+
+    /** @param {import('./components/ResultsGrid').GridRow} info @param {string} col */
+    const renderResultCell = ({ row, highlights }, col) => {
+        const text = String(row[col] ?? "");
+        const ranges = highlights?.[col];
+        if (companyColumns(roles).includes(col)) {
+            return (
+                <button
+                    onClick={() => handleCompanyClick(text)}
+                    className="block max-w-full truncate text-left text-indigo-600 hover:text-indigo-800 underline transition-colors cursor-pointer"
+                    title={t("results.companyTitle")}
+                >
+                    <HighlightedText text={text} ranges={ranges} />
+                </button>
+            );
+        }
+        const dateMs = dateColumns.has(col) ? parseDateValue(row[col]) : null;
+        return (
+            <div className="truncate" title={text}>
+                {dateMs !== null ? formatDate(dateMs) : <HighlightedText text={text} ranges={ranges} />}
+            </div>
+        );
+    };
 
+    // Columnas de precio unitario y puntuación z mientras el análisis de precios está activo.
+    /** @type {import('./components/ResultsGrid').ExtraColumn[]} */
+    const anomalyColumns = [
+        {
+            key: "price",
+            label: t("anomaly.price"),
+            width: 130,
+            render: ({ anomaly }) => (anomaly ? formatNumber(anomaly.price, { maximumFractionDigits: 4 }) : ""),
+        },
+        {
+            key: "z",
+            label: "z",
+            title: t("anomaly.zTitle"),
+            width: 120,
+            render: ({ anomaly, index }) => anomaly && (
+                <button onClick={() => handleAnomalyClick(index)} className="inline-flex items-center gap-1 hover:underline" title={t("anomaly.groupTitle")}>
+                    {anomaly.z === null ? "—" : formatNumber(anomaly.z, { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: "exceptZero" })}
+                    {anomaly.flag && (
+                        <span className={`text-xs font-semibold rounded-full px-2 ${anomaly.flag === "high" ? "bg-red-600 text-white" : "bg-sky-600 text-white"}`}>{t(anomaly.flag === "high" ? "anomaly.flagHigh" : "anomaly.flagLow")}</span>
+                    )}
+                </button>
+            ),
+        },
+    ];
 
-    const total = processed.length;
-    const maxPage = Math.max(1, Math.ceil(total / pageSize));
-    const pageClamped = Math.min(Math.max(1, page), maxPage); 
-    const start = (pageClamped - 1) * pageSize;
-    const visible = processed.slice(start, start + pageSize);
+    // El orden por relevancia solo aplica cuando hay una búsqueda difusa en curso.
+    const relevanceActive = sortByRelevance && query.trim() !== "";
+    // Los errores de sintaxis se muestran junto al buscador; el worker trata esa consulta como texto difuso.
+    const queryError = useMemo(() => parseQuery(query, columns).error, [query, columns]);
 
     const toggleKey = (k) => {
         setSelectedKeys(prev => prev.includes(k) ? prev.filter(x => x !== k) : [...prev, k]);
-        setPage(1);
     };
 
     const setFilterValue = (col, patch) => {
         setFilters(prev => ({ ...prev, [col]: { mode: "contiene", value: "", ...prev[col], ...patch } }));
-        setPage(1);
+    };
+
+    // Clic en una celda de la tabla dinámica: fija un filtro por cada dimensión del grupo.
+    const handlePivotDrillDown = (keys) => {
+        const patches = keys.map(({ column, key }) => [column, drillDownFilter(column, key, { numericColumns, dateColumns })]).filter(([, patch]) => patch);
+        if (!patches.length) return;
+        setFilters(prev => ({ ...prev, ...Object.fromEntries(patches.map(([column, patch]) => [column, { ...prev[column], ...patch }])) }));
     };
 
     const clearAll = () => {
-        setQuery(""); setFilters({}); setSortKey(""); setSortDir("asc"); setPage(1); setSelectedColumnStats(null);
+        setQuery(""); setFilters({}); setSort([]); setSortByRelevance(false); setSelectedColumnStats(null);
     };
 
     // --- Renderizado de Contenido del Buscador ---
@@ -300,20 +704,59 @@ function BuscadorContent() {
 
                 {/* CONTENIDO PRINCIPAL (Tabla, Filtros, Búsqueda) */}
                 <div className={`${selectedColumnStats ? 'lg:col-span-1' : 'lg:col-span-2'} backdrop-blur-sm bg-white/90 rounded-2xl shadow-2xl p-6`}>
-                    <header className="mb-6">
-                        <h1 className="text-3xl font-bold">Buscador de Excel en tu Navegador</h1>
-                        <p className="text-sm mt-1">Sube un archivo, busca con coincidencia difusa, filtra, ordena y exporta. Todo localmente.</p>
+                    <header className="mb-6 flex items-start justify-between gap-4 flex-wrap">
+                        <div>
+                            <h1 className="text-3xl font-bold">{t("app.title")}</h1>
+                            <p className="text-sm mt-1">{t("app.subtitle")}</p>
+                        </div>
+                        <div className="flex items-center gap-2 text-sm">
+                            <span className="text-neutral-600">{t("app.user", { name: session.name, role: t(`role.${session.role}`) })}</span>
+                            <LanguageSwitcher />
+                            {session.role === "admin" && (
+                                <button onClick={() => setShowAccessAdmin(true)} className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors">{t("app.accessAdmin")}</button>
+                            )}
+                            <button onClick={onLogout} className="border rounded-lg px-3 py-1 hover:bg-red-50 hover:text-red-700 transition-colors">{t("app.logout")}</button>
+                        </div>
                     </header>
 
                     {/* ZONA DE CARGA Y BÚSQUEDA GLOBAL */}
                     <div className="grid gap-4 md:grid-cols-3">
                         <div className="col-span-2 bg-white rounded-2xl shadow p-4">
-                            <label className="block text-sm font-medium mb-2">Archivo (.xlsx o .csv)</label>
-                            <FileDrop onFile={handleFile} />
+                            <label className="block text-sm font-medium mb-2">{t("load.fileLabel")}</label>
+                            <FileDrop onFiles={handleFiles} />
+                            <RecentDatasets refreshKey={cacheVersion} activeId={datasetName} disabled={!!loadProgress} onOpen={(id) => handleOpenCached(id)} />
+                            {rowCount > 0 && (
+                                <label className="mt-3 inline-block text-sm border rounded-lg px-3 py-1 cursor-pointer hover:bg-neutral-100 transition-colors">
+                                    {t("load.append")}
+                                    <input
+                                        type="file"
+                                        accept=".xlsx,.xls,.csv,.tsv,.txt"
+                                        multiple
+                                        className="hidden"
+                                        disabled={!!loadProgress}
+                                        onChange={(e) => {
+                                            const files = [...(e.target.files ?? [])];
+                                            if (files.length) openMerge(files, true);
+                                            e.target.value = "";
+                                        }}
+                                    />
+                                </label>
+                            )}
+                            {loadProgress && (
+                                <div className="mt-3">
+                                    <div className="flex justify-between text-xs text-neutral-600 mb-1">
+                                        <span>{t(loadProgress.stage, loadProgress.params)}…</span>
+                                        <span>{Math.round(loadProgress.progress * 100)}%</span>
+                                    </div>
+                                    <div className="h-2 bg-neutral-200 rounded-full overflow-hidden">
+                                        <div className="h-full bg-indigo-600 transition-all" style={{ width: `${Math.round(loadProgress.progress * 100)}%` }} />
+                                    </div>
+                                </div>
+                            )}
                             {sheetNames.length > 1 && (
                                 <div className="mt-3">
-                                    <label className="text-xs font-semibold mr-2">Hoja activa:</label>
-                                    <select value={activeSheet} onChange={(e) => handleSheetChange(e.target.value)} className="border rounded-lg px-2 py-1 text-sm" disabled={!workbookRef.current}>
+                                    <label className="text-xs font-semibold mr-2">{t("load.activeSheet")}</label>
+                                    <select value={activeSheet} onChange={(e) => handleSheetChange(e.target.value)} className="border rounded-lg px-2 py-1 text-sm" disabled={!!loadProgress}>
                                         {sheetNames.map(s => <option key={s} value={s}>{s}</option>)}
                                     </select>
                                 </div>
@@ -321,13 +764,31 @@ function BuscadorContent() {
                         </div>
 
                         <div className="bg-white rounded-2xl shadow p-4">
-                            <label className="block text-sm font-medium mb-2">Búsqueda global (difusa)</label>
-                            <input type="text" value={query} onChange={(e) => { setQuery(e.target.value); setPage(1); }} placeholder="Escribe aquí para buscar en las columnas seleccionadas..." className="w-full border rounded-lg px-3 py-2 focus:outline-none" disabled={!rawData.length} />
+                            <label className="block text-sm font-medium mb-2">{t("search.label")}</label>
+                            <input type="text" value={query} onChange={(e) => setQuery(e.target.value)} placeholder={t("search.placeholder")} className={`w-full border rounded-lg px-3 py-2 focus:outline-none ${queryError ? "border-red-500" : ""}`} disabled={!rowCount} />
+                            {queryError && (
+                                <p className="text-red-600 text-xs mt-1">
+                                    {t("search.syntaxError", { position: queryError.position + 1, message: describeError(queryError) })}
+                                </p>
+                            )}
+                            <details className="mt-2 text-xs text-neutral-600">
+                                <summary className="cursor-pointer font-semibold">{t("search.syntaxHelp")}</summary>
+                                <ul className="mt-1 space-y-0.5 font-mono">
+                                    <li>{t("search.syntaxColumn")}</li>
+                                    <li>{t("search.syntaxCompare")}</li>
+                                    <li>{t("search.syntaxPhrase")}</li>
+                                    <li>{t("search.syntaxFuse")}</li>
+                                </ul>
+                            </details>
+                            <label className="mt-2 flex items-center gap-2 text-xs">
+                                <input type="checkbox" checked={sortByRelevance} onChange={(e) => setSortByRelevance(e.target.checked)} disabled={!rowCount} />
+                                {t("search.byRelevance")}
+                            </label>
                             <div className="mt-3">
-                                <p className="text-xs font-semibold mb-1">Columnas incluidas en la búsqueda difusa</p>
+                                <p className="text-xs font-semibold mb-1">{t("search.columns")}</p>
                                 <div className="flex flex-wrap gap-2 max-h-32 overflow-auto border p-1 rounded-lg">
                                     {columns.map(k => (
-                                        <button key={k} onClick={() => toggleKey(k)} className={`text-xs px-2 py-1 rounded-full border transition-colors ${selectedKeys.includes(k) ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-neutral-100"}`} disabled={!rawData.length}>{k}</button>
+                                        <button key={k} onClick={() => toggleKey(k)} className={`text-xs px-2 py-1 rounded-full border transition-colors ${selectedKeys.includes(k) ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-neutral-100"}`} disabled={!rowCount}>{k}</button>
                                     ))}
                                 </div>
                             </div>
@@ -335,45 +796,130 @@ function BuscadorContent() {
                     </div>
 
                     {/* PANEL DE FILTROS POR COLUMNA */}
-                    {rawData.length > 0 && (
+                    {rowCount > 0 && (
                         <div className="mt-6 bg-white rounded-2xl shadow p-4">
                             <div className="flex items-center justify-between gap-4 flex-wrap pb-4 border-b">
-                                <div className="flex items-center gap-3">
-                                    <button onClick={clearAll} className="text-sm border rounded-lg px-3 py-2 hover:bg-red-50 hover:text-red-700 transition-colors">Limpiar Filtros/Búsqueda</button>
-                                    <button onClick={() => downloadCSV("resultados_filtrados.csv", processed)} className="text-sm border rounded-lg px-3 py-2 bg-green-500 text-white hover:bg-green-600 transition-colors font-medium">
-                                        Descargar {total.toLocaleString()} Resultados
+                                <div className="flex items-center gap-3 flex-wrap">
+                                    <button onClick={clearAll} className="text-sm border rounded-lg px-3 py-2 hover:bg-red-50 hover:text-red-700 transition-colors">{t("toolbar.clear")}</button>
+                                    <SavedViews
+                                        views={savedViews}
+                                        onSave={handleSaveView}
+                                        onApply={(view) => applyView(view)}
+                                        onRename={handleRenameView}
+                                        onDelete={handleDeleteView}
+                                        onExport={handleExportViews}
+                                        onImport={handleImportViews}
+                                    />
+                                    <SortEditor sort={sort} columns={columns} disabled={relevanceActive} onChange={setSort} />
+                                    <details className="relative text-sm">
+                                        <summary className="cursor-pointer border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors list-none">{t("toolbar.visibleColumns", { visible: visibleColumns.length, total: columns.length })}</summary>
+                                        <div className="absolute z-20 mt-1 w-72 max-h-72 overflow-auto bg-white border rounded-xl shadow-lg p-3 space-y-1 text-xs">
+                                            {columns.map(col => (
+                                                <label key={col} className="flex items-center gap-2">
+                                                    <input type="checkbox" checked={!columnLayout.hidden.includes(col)} onChange={() => toggleHidden(col)} /> {col}
+                                                </label>
+                                            ))}
+                                            <p className="pt-2 border-t text-neutral-500">{t("toolbar.layoutHint")}</p>
+                                            <button onClick={() => setColumnLayout(EMPTY_LAYOUT)} className="text-indigo-700 hover:underline">{t("toolbar.resetLayout")}</button>
+                                        </div>
+                                    </details>
+                                    <button onClick={() => setShowRoleMapper(true)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("toolbar.roleMapper")}</button>
+                                    <button onClick={() => setShowEntityResolver(true)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("toolbar.entities")}</button>
+                                    <button onClick={() => setShowJoin(true)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("toolbar.join")}</button>
+                                    <button onClick={() => setShowComputed(true)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">
+                                        {computedColumns.length > 0 ? t("toolbar.computedCount", { count: computedColumns.length }) : t("toolbar.computed")}
                                     </button>
-                                    <button onClick={() => downloadCSV("pagina_actual.csv", visible)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">Descargar Página Actual</button>
-                                </div>
-                                <div className="flex items-center gap-2">
-                                    <label className="text-sm font-medium whitespace-nowrap">Filas por página</label>
-                                    <select value={pageSize} onChange={(e)=>{ setPageSize(Number(e.target.value)); setPage(1); }} className="border rounded-lg px-2 py-1 text-sm">
-                                        {[25,50,100,250,500].map(n => <option key={n} value={n}>{n}</option>)}
-                                    </select>
+                                    <button onClick={() => setShowAudit(true)} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("toolbar.audit")}</button>
+                                    <button onClick={toggleAnomalies} className={`text-sm border rounded-lg px-3 py-2 transition-colors ${anomalySpec ? "bg-indigo-600 text-white hover:bg-indigo-700" : "hover:bg-neutral-100"}`}>{t("toolbar.anomalies")}</button>
+                                    <button onClick={() => setShowComparison(v => !v)} className={`text-sm border rounded-lg px-3 py-2 transition-colors ${showComparison ? "bg-indigo-600 text-white hover:bg-indigo-700" : "hover:bg-neutral-100"}`}>{t("toolbar.comparison")}</button>
+                                    <button onClick={() => setShowPivot(v => !v)} className={`text-sm border rounded-lg px-3 py-2 transition-colors ${showPivot ? "bg-indigo-600 text-white hover:bg-indigo-700" : "hover:bg-neutral-100"}`}>{t("toolbar.pivot")}</button>
+                                    <button onClick={handleDownloadAll} className="text-sm border rounded-lg px-3 py-2 bg-green-500 text-white hover:bg-green-600 transition-colors font-medium">
+                                        {t("toolbar.downloadCSV", { count: total })}
+                                    </button>
+                                    <button onClick={handleExportXLSX} className="text-sm border rounded-lg px-3 py-2 bg-green-700 text-white hover:bg-green-800 transition-colors font-medium">{t("toolbar.exportXLSX")}</button>
+                                    <details className="relative text-sm">
+                                        <summary className="cursor-pointer border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors list-none">{t("export.options")}</summary>
+                                        <div className="absolute z-20 mt-1 w-72 bg-white border rounded-xl shadow-lg p-3 space-y-2 text-xs">
+                                            <label className="flex items-center justify-between gap-2">
+                                                {t("export.delimiter")}
+                                                <select value={csvDelimiter} onChange={(e) => changeCsvDelimiter(e.target.value)} className="border rounded-lg px-2 py-1">
+                                                    {CSV_DELIMITERS.map(d => <option key={d} value={d}>{t(d === ";" ? "export.delimiterSemicolon" : "export.delimiterComma")}</option>)}
+                                                </select>
+                                            </label>
+                                            <p className="font-semibold pt-1 border-t">{t("export.extraSheets")}</p>
+                                            <label className={`flex items-center gap-2 ${selectedColumnStats ? "" : "text-neutral-400"}`}>
+                                                <input type="checkbox" checked={exportStats} onChange={(e) => setExportStats(e.target.checked)} disabled={!selectedColumnStats} />
+                                                {selectedColumnStats ? t("export.stats", { column: selectedColumnStats.column }) : t("export.statsNone")}
+                                            </label>
+                                            <label className={`flex items-center gap-2 ${lastCompany ? "" : "text-neutral-400"}`}>
+                                                <input type="checkbox" checked={exportCompany} onChange={(e) => setExportCompany(e.target.checked)} disabled={!lastCompany} />
+                                                {lastCompany ? t("export.company", { company: lastCompany }) : t("export.companyNone")}
+                                            </label>
+                                        </div>
+                                    </details>
                                 </div>
                             </div>
 
+                            {viewWarnings.length > 0 && (
+                                <div className="mt-3 border border-amber-300 bg-amber-50 text-amber-800 rounded-lg p-2 text-xs flex items-start justify-between gap-2">
+                                    <ul className="list-disc ml-4">
+                                        {viewWarnings.map(w => <li key={w}>{w}</li>)}
+                                    </ul>
+                                    <button onClick={() => setViewWarnings([])} className="text-amber-700 hover:text-amber-900 text-base leading-none">&times;</button>
+                                </div>
+                            )}
+
                             <div className="mt-4 grid gap-3 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
                                 {columns.map(col => {
                                     const cfg = filters[col] || {};
                                     const isNum = numericColumns.has(col);
+                                    const isDate = dateColumns.has(col);
                                     return (
                                         <div key={col} className="border rounded-xl p-3 bg-neutral-50 shadow-sm">
                                             <div className="text-xs font-semibold mb-2 truncate text-indigo-700" title={col}>{col}</div>
-                                            {isNum ? (
+                                            {isDate ? (
+                                                <div className="space-y-2">
+                                                    <div className="flex gap-2 items-center">
+                                                        <input type="date" value={cfg.from ?? ""} onChange={(e)=> setFilterValue(col, { from: e.target.value || undefined, value: undefined, mode: undefined })} title={t("filter.from")} className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
+                                                        <input type="date" value={cfg.to ?? ""} onChange={(e)=> setFilterValue(col, { to: e.target.value || undefined, value: undefined, mode: undefined })} title={t("filter.to")} className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
+                                                    </div>
+                                                    {dateRanges[col] && (
+                                                        <div className="flex gap-1 flex-wrap">
+                                                            {[["month", "filter.lastMonth"], ["quarter", "filter.lastQuarter"], ["year", "filter.lastYear"]].map(([preset, label]) => (
+                                                                <button key={preset} onClick={() => setFilterValue(col, { ...datePresetRange(preset, dateRanges[col].max), value: undefined, mode: undefined })} className="text-xs border rounded-full px-2 py-0.5 bg-white hover:bg-indigo-50 transition-colors">{t(label)}</button>
+                                                            ))}
+                                                            <button onClick={() => setFilterValue(col, { from: undefined, to: undefined })} className="text-xs border rounded-full px-2 py-0.5 bg-white hover:bg-red-50 transition-colors">{t("filter.allDates")}</button>
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            ) : isNum ? (
                                                 <div className="flex gap-2 items-center">
-                                                    <input type="number" value={cfg.min ?? ""} onChange={(e)=> setFilterValue(col, { min: e.target.value === "" ? undefined : Number(e.target.value), value: undefined, mode: undefined })} placeholder="Mínimo" className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
-                                                    <input type="number" value={cfg.max ?? ""} onChange={(e)=> setFilterValue(col, { max: e.target.value === "" ? undefined : Number(e.target.value), value: undefined, mode: undefined })} placeholder="Máximo" className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
+                                                    <NumberInput value={cfg.min} onChange={(min) => setFilterValue(col, { min, value: undefined, mode: undefined })} placeholder={t("filter.min")} className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
+                                                    <NumberInput value={cfg.max} onChange={(max) => setFilterValue(col, { max, value: undefined, mode: undefined })} placeholder={t("filter.max")} className="w-1/2 border rounded-lg px-2 py-1 text-sm" />
                                                 </div>
                                             ) : (
                                                 <div className="flex gap-2 items-center">
                                                     <select value={cfg.mode ?? "contiene"} onChange={(e)=> setFilterValue(col, { mode: /** @type {FilterMode} */ (e.target.value) })} className="border rounded-lg px-2 py-1 text-sm w-1/3">
-                                                        <option value="contiene">Contiene</option>
-                                                        <option value="=">Igual a</option>
+                                                        <option value="contiene">{t("filter.contains")}</option>
+                                                        <option value="=">{t("filter.equals")}</option>
                                                     </select>
-                                                    <input type="text" value={cfg.value ?? ""} onChange={(e)=> setFilterValue(col, { value: e.target.value, min: undefined, max: undefined })} placeholder="Texto a buscar..." className="flex-1 border rounded-lg px-2 py-1 text-sm" />
+                                                    <input type="text" value={cfg.value ?? ""} onChange={(e)=> setFilterValue(col, { value: e.target.value, min: undefined, max: undefined })} placeholder={t("filter.textPlaceholder")} className="flex-1 border rounded-lg px-2 py-1 text-sm" />
                                                 </div>
                                             )}
+                                            {facetColumns.includes(col) ? (
+                                                <FacetFilter counts={result.facets[col] ?? []} selection={cfg.facet} onChange={(facet) => setFilterValue(col, { facet })} />
+                                            ) : cfg.facet && (
+                                                <p className="mt-2 text-xs text-indigo-700 truncate" title={cfg.facet.values.join(", ")}>
+                                                    {t("filter.pinnedValues", { values: cfg.facet.values.map(v => v || t("value.empty")).join(", ") })}
+                                                    <button onClick={() => setFilterValue(col, { facet: undefined })} className="ml-1 hover:underline">{t("filter.remove")}</button>
+                                                </p>
+                                            )}
+                                            {cfg.issue && (
+                                                <p className="mt-2 text-xs text-amber-700 truncate" title={describeIssue(cfg.issue, t)}>
+                                                    {t("filter.audit", { issue: describeIssue(cfg.issue, t) })}
+                                                    <button onClick={() => setFilterValue(col, { issue: undefined })} className="ml-1 hover:underline">{t("filter.remove")}</button>
+                                                </p>
+                                            )}
                                         </div>
                                     );
                                 })}
@@ -381,65 +927,67 @@ function BuscadorContent() {
                         </div>
                     )}
 
+                    {/* TABLA DINÁMICA (CONDICIONAL) */}
+                    {rowCount > 0 && showPivot && (
+                        <PivotPanel
+                            key={datasetVersion}
+                            engine={engine}
+                            version={result.version}
+                            columns={columns}
+                            numericColumns={numericColumns}
+                            roles={roles}
+                            onDrillDown={handlePivotDrillDown}
+                            onExport={(rows) => downloadCSV("tabla_dinamica.csv", rowsToCSV(rows, { delimiter: csvDelimiter }))}
+                        />
+                    )}
+
+                    {/* COMPARACIÓN DE PERIODOS (CONDICIONAL) */}
+                    {rowCount > 0 && showComparison && (
+                        <ComparisonPanel
+                            engine={engine}
+                            version={result.version}
+                            columns={columns}
+                            roles={roles}
+                            currentLabel={t("results.rowsLabel", { name: datasetName || activeSheet, count: total })}
+                            base={comparisonBase}
+                            onBaseChange={setComparisonBase}
+                            onExport={(buffer) => downloadXLSX("comparacion_periodos.xlsx", buffer)}
+                            onExportCSV={(rows) => downloadCSV("comparacion_periodos.csv", rowsToCSV(rows, { delimiter: csvDelimiter }))}
+                        />
+                    )}
+
+                    {/* PRECIOS ANÓMALOS (CONDICIONAL) */}
+                    {rowCount > 0 && anomalySpec && (
+                        <PriceAnomalyPanel
+                            spec={anomalySpec}
+                            summary={result.anomalySummary}
+                            columns={columns}
+                            numericColumns={numericColumns}
+                            onChange={updateAnomalySpec}
+                        />
+                    )}
+
                     {/* TABLA DE RESULTADOS */}
-                    {rawData.length > 0 && (
+                    {rowCount > 0 && (
                         <div className="mt-6 bg-white rounded-2xl shadow overflow-hidden">
-                            <div className="p-3 text-sm text-neutral-600 font-semibold">Mostrando {visible.length.toLocaleString()} de {total.toLocaleString()} resultados de {rawData.length.toLocaleString()} filas totales</div>
-                            <div className="overflow-x-auto">
-                                <table className="min-w-full text-sm">
-                                    <thead className="bg-neutral-100 sticky top-0 z-10 border-b-2 border-neutral-200">
-                                        <tr>
-                                            {columns.map(col => (
-                                                <th key={col} className="text-left px-3 py-2 whitespace-nowrap">
-                                                    <button className="font-bold flex items-center gap-1 cursor-pointer hover:text-indigo-700 transition-colors" onClick={() => handleColumnHeaderClick(col)} title="Clic para Ordenar y Ver Estadísticas de Columna">
-                                                        {col} 
-                                                        <span className="text-xs">
-                                                            {sortKey === col ? (sortDir === "asc" ? "▲" : "▼") : ""}
-                                                            {selectedColumnStats?.column === col && <span className="text-xs text-yellow-500"> ★</span>} 
-                                                        </span>
-                                                    </button>
-                                                </th>
-                                            ))}
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        {visible.map((row, i) => (
-                                            <tr key={start + i} className={i % 2 ? "bg-neutral-50" : "bg-white"}>
-                                                {columns.map(col => (
-                                                    <td key={col} className="px-3 py-2 border-b border-neutral-200 align-top max-w-[360px]">
-                                                        { (col === 'Consignatario' || col === 'Expedidor') ? (
-                                                            <button 
-                                                                onClick={() => handleCompanyClick(String(row[col]))}
-                                                                className="text-indigo-600 hover:text-indigo-800 underline transition-colors cursor-pointer"
-                                                                title="Ver análisis de esta empresa"
-                                                            >
-                                                                {String(row[col] ?? "")}
-                                                            </button>
-                                                        ) : (
-                                                            <div className="truncate" title={String(row[col] ?? "")}>
-                                                                {String(row[col] ?? "")}
-                                                            </div>
-                                                        )}
-                                                    </td>
-                                                ))}
-                                            </tr>
-                                        ))}
-                                    </tbody>
-                                </table>
-                            </div>
-
-                            {/* Paginador */}
-                            <div className="p-3 flex items-center justify-between text-sm border-t border-neutral-200">
-                                <div>
-                                    Página **{pageClamped}** de **{maxPage}**
-                                </div>
-                                <div className="flex gap-2">
-                                    <button className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors" onClick={() => setPage(1)} disabled={pageClamped === 1}>« Primero</button>
-                                    <button className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors" onClick={() => setPage(p => Math.max(1, p - 1))} disabled={pageClamped === 1}>‹ Anterior</button>
-                                    <button className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors" onClick={() => setPage(p => Math.min(maxPage, p + 1))} disabled={pageClamped === maxPage}>Siguiente ›</button>
-                                    <button className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors" onClick={() => setPage(maxPage)} disabled={pageClamped === maxPage}>Último »</button>
-                                </div>
-                            </div>
+                            <div className="p-3 text-sm text-neutral-600 font-semibold">{t("results.count", { total, rowCount })}{isQuerying && <span className="ml-2 text-xs font-normal text-indigo-600">{t("results.updating")}</span>}</div>
+                            <ResultsGrid
+                                engine={engine}
+                                result={result}
+                                columns={visibleColumns}
+                                layout={columnLayout}
+                                sort={relevanceActive ? [] : sort}
+                                markedColumn={selectedColumnStats?.column ?? null}
+                                onSort={handleSortClick}
+                                onStats={handleColumnStats}
+                                onResize={(col, width) => setColumnLayout(prev => ({ ...prev, widths: { ...prev.widths, [col]: width } }))}
+                                onMove={(col, target) => setColumnLayout(prev => moveColumn(prev, columns, col, target))}
+                                onTogglePin={(col) => setColumnLayout(prev => togglePinned(prev, col))}
+                                onHide={toggleHidden}
+                                renderCell={renderResultCell}
+                                rowClassName={({ index, anomaly }) => (anomaly?.flag === "high" ? "bg-red-50" : anomaly?.flag === "low" ? "bg-sky-50" : index % 2 ? "bg-neutral-50" : "bg-white")}
+                                extraColumns={result.anomalies ? anomalyColumns : []}
+                            />
                         </div>
                     )}
 
@@ -447,12 +995,10 @@ function BuscadorContent() {
                     <div className="mt-8 text-xs text-neutral-600">
                         <details>
                             <summary className="cursor-pointer font-semibold">
-                                Acerca de esta Herramienta <strong className="font-bold">(Hecho por Vadir)</strong>
+                                {t("about.title")} <strong className="font-bold">{t("about.author")}</strong>
                             </summary>
                             <ul className="list-disc ml-5 mt-2 space-y-1">
-                                <li>El proceso completo se ejecuta <strong className="font-bold">en tu navegador</strong>; ningún dato de tu archivo se sube a un servidor.</li>
-                                <li>La <strong className="font-bold">búsqueda global</strong> es *difusa* (tolerante a errores); selecciona las columnas relevantes para obtener mejores resultados.</li>
-                                <li>**¡NUEVO!** Haz clic en el encabezado de cualquier columna para ver su <strong className="font-bold">Análisis Rápido y Auditoría</strong> sobre los datos actualmente filtrados.</li>
+                                {["about.local", "about.cache", "about.fuzzy", "about.sort", "about.stats", "about.language"].map(key => <li key={key}>{t(key)}</li>)}
                             </ul>
                         </details>
                     </div>
@@ -463,6 +1009,10 @@ function BuscadorContent() {
                     <div className="lg:col-span-1">
                         <ColumnStatsPanel 
                             stats={selectedColumnStats} 
+                            isCurrency={selectedColumnStats.column === roles.value}
+                            options={statsOptions}
+                            onOptionsChange={setStatsOptions}
+                            onFilter={handleStatsFilter}
                             onClose={() => setSelectedColumnStats(null)} 
                         />
                     </div>
@@ -473,9 +1023,109 @@ function BuscadorContent() {
             {selectedCompanyData && (
                 <CompanyDetailModal 
                     data={selectedCompanyData} 
+                    roles={roles}
+                    onFilterTable={companyQuery(selectedCompanyData.company, roles) && handleFilterToCompany}
                     onClose={() => setSelectedCompanyData(null)} 
                 />
             )}
+
+            {/* MODAL DE CRUCE CON TABLA DE BÚSQUEDA */}
+            {showJoin && (
+                <JoinDialog
+                    engine={engine}
+                    columns={columns}
+                    onJoined={(info) => applyDataset(info, { keepFilters: true })}
+                    onClose={() => setShowJoin(false)}
+                />
+            )}
+
+            {/* MODAL DE COLUMNAS CALCULADAS */}
+            {showComputed && (
+                <ComputedColumnsDialog
+                    engine={engine}
+                    columns={columns}
+                    definitions={computedColumns}
+                    errors={computedErrors}
+                    onChange={saveComputedColumns}
+                    onClose={() => setShowComputed(false)}
+                />
+            )}
+
+            {/* MODAL DE AUDITORÍA DE CALIDAD */}
+            {showAudit && (
+                <DataQualityPanel
+                    key={`${datasetVersion}|${entityVersion}`}
+                    engine={engine}
+                    columns={columns}
+                    onShowRows={handleShowAuditRows}
+                    onExport={handleExportAudit}
+                    onClose={() => setShowAudit(false)}
+                />
+            )}
+
+            {anomalyDetail && anomalySpec && (
+                <AnomalyGroupModal
+                    detail={anomalyDetail}
+                    groupColumn={anomalySpec.groupColumn}
+                    onFilterGroup={handleFilterAnomalyGroup}
+                    onClose={() => setAnomalyDetail(null)}
+                />
+            )}
+
+            {/* MODAL DE UNIFICACIÓN DE EMPRESAS */}
+            {showEntityResolver && (
+                <EntityResolver
+                    engine={engine}
+                    columns={entityColumns}
+                    aliases={companyAliases}
+                    onChange={saveCompanyAliases}
+                    onClose={() => setShowEntityResolver(false)}
+                />
+            )}
+
+            {/* VISTA PREVIA DE IMPORTACIÓN */}
+            {importPreview && (
+                <ImportPreview
+                    key={`${importPreview.sheetName}|${importPreview.encoding}|${importPreview.delimiter}`}
+                    preview={importPreview}
+                    busy={!!loadProgress}
+                    onChange={handleImportOptionsChange}
+                    onConfirm={handleImportConfirm}
+                    onCancel={() => setImportPreview(null)}
+                />
+            )}
+
+            {/* COMBINAR ARCHIVOS Y HOJAS */}
+            {mergeDraft && (
+                <MergeDialog
+                    sources={mergeDraft.sources}
+                    baseColumns={mergeDraft.append ? columns : null}
+                    onConfirm={handleMergeConfirm}
+                    onCancel={() => setMergeDraft(null)}
+                />
+            )}
+
+            {/* MODAL DE USUARIOS Y SEGURIDAD */}
+            {showAccessAdmin && (
+                <AccessAdmin
+                    store={access}
+                    session={session}
+                    onChange={onAccessChange}
+                    onEncryptCache={handleEncryptCache}
+                    onClose={() => setShowAccessAdmin(false)}
+                />
+            )}
+
+            {/* MODAL DE MAPEO DE COLUMNAS */}
+            {showRoleMapper && (
+                <ColumnRoleMapper
+                    columns={columns}
+                    roles={roles}
+                    sampleRow={result.rows[0]}
+                    onSave={saveRoles}
+                    onClose={() => setShowRoleMapper(false)}
+                />
+            )}
         </div>
     );
 }
@@ -485,70 +1135,48 @@ function BuscadorContent() {
 // =====================================================================
 
 export default function AppWrapper() {
-    // NUEVO ESTADO: Controla si el usuario tiene acceso
-    const [isLoggedIn, setIsLoggedIn] = useState(false); 
-    
-    // Si no está logeado, muestra la Puerta de Acceso (LOGIN GATE)
-    if (!isLoggedIn) {
-        return <LoginGate onSuccess={() => setIsLoggedIn(true)} />;
-    }
-
-    // SI ESTÁ LOGEADO, MUESTRA EL CONTENIDO PRINCIPAL DEL BUSCADOR
-    return <BuscadorContent />;
-}
+    const [access, setAccess] = useState(() => normalizeAccess(readJSON(ACCESS_KEY, null)));
+    /** @type {[import('./engine/access').AccessSession | null, React.Dispatch<React.SetStateAction<import('./engine/access').AccessSession | null>>]} */
+    const [session, setSession] = useState(null);
 
+    const saveAccess = (next) => {
+        setAccess(next);
+        writeJSON(ACCESS_KEY, next);
+    };
 
-// --- 4. Componente: Puerta de Acceso (LoginGate) ---
+    // La sesión (y con ella la clave de datos) solo vive en memoria: al recargar se vuelve a pedir el código.
+    const logout = () => setSession(null);
 
-const CORRECT_CODE = "Plas#2025"; // 🚨 ¡LA CONTRASEÑA SOLICITADA!
+    useIdleTimeout(session ? access.settings.idleMinutes : null, logout);
 
-function LoginGate({ onSuccess }) {
-    const [password, setPassword] = useState('');
-    const [error, setError] = useState(false);
-    
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        setError(false);
-        // Compara el password ingresado con el código secreto
-        if (password === CORRECT_CODE) { 
-            onSuccess(); // Permite el acceso
-        } else {
-            setError(true);
-        }
+    const handleSetup = async (name, passphrase) => {
+        const { store, session: next } = await setupAccess(name, passphrase);
+        saveAccess(store);
+        setSession(next);
+        return null;
+    };
+
+    const handleLogin = async (name, passphrase) => {
+        // Se relee el almacén por si otra pestaña registró intentos o cambió usuarios.
+        const result = await login(normalizeAccess(readJSON(ACCESS_KEY, null)), name, passphrase);
+        saveAccess(result.store);
+        if (result.session) setSession(result.session);
+        return result.error;
     };
 
     return (
-        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4">
-            <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-sm text-center">
-                <h2 className="text-2xl font-bold mb-4 text-indigo-700">Acceso Restringido</h2>
-                <p className="text-sm text-gray-600 mb-6">Introduce el código para acceder al Buscador de Datos.</p>
-                <form onSubmit={handleSubmit}>
-                    <input
-                        type="password"
-                        value={password}
-                        onChange={(e) => setPassword(e.target.value)}
-                        className={`w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${error ? 'border-red-500' : 'border-gray-300'}`}
-                        placeholder="Código Secreto"
-                        required
-                    />
-                    {error && (
-                        <p className="text-red-500 text-xs mt-2">Código incorrecto. ¡Acceso denegado!</p>
-                    )}
-                    <button
-                        type="submit"
-                        className="mt-6 w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
-                    >
-                        Acceder
-                    </button>
-                </form>
-            </div>
-        </div>
+        <I18nProvider>
+            {session
+                ? <BuscadorContent session={session} access={access} onAccessChange={saveAccess} onLogout={logout} />
+                : <AccessGate needsSetup={access.users.length === 0} onSetup={handleSetup} onLogin={handleLogin} />}
+        </I18nProvider>
     );
 }
 
 
 // --- Componente FileDrop (Auxiliar)
-function FileDrop({ onFile }) {
+function FileDrop({ onFiles }) {
+    const { t } = useI18n();
     const [drag, setDrag] = useState(false);
     const inputRef = useRef(null);
     return (
@@ -558,24 +1186,25 @@ function FileDrop({ onFile }) {
             onDrop={(e) => {
                 e.preventDefault();
                 setDrag(false);
-                const f = e.dataTransfer.files?.[0];
-                if (f) onFile(f);
+                const files = [...(e.dataTransfer.files ?? [])];
+                if (files.length) onFiles(files);
             }}
             className={`border-2 border-dashed rounded-2xl p-8 text-center cursor-pointer transition-colors ${drag ? 'border-indigo-600 bg-indigo-50' : 'border-neutral-300 hover:bg-neutral-50'}`}
             onClick={() => inputRef.current?.click()}
         >
-            <p className="text-sm text-neutral-600 mb-2">Arrastra tu archivo aquí o</p>
+            <p className="text-sm text-neutral-600 mb-2">{t("load.dropPrompt")}</p>
             <button type="button" className="border rounded-lg px-4 py-2 text-sm bg-indigo-500 text-white hover:bg-indigo-600 transition-colors shadow-md">
-                Seleccionar archivo
+                {t("load.selectFiles")}
             </button>
             <input 
                 ref={inputRef} 
                 type="file" 
-                accept=".xlsx,.xls,.csv" 
+                accept=".xlsx,.xls,.csv,.tsv,.txt" 
+                multiple
                 className="hidden" 
                 onChange={(e) => {
-                    const f = e.target.files?.[0];
-                    if (f) onFile(f);
+                    const files = [...(e.target.files ?? [])];
+                    if (files.length) onFiles(files);
                     e.target.value = '';
                 }} 
             />
@@ -583,142 +1212,214 @@ function FileDrop({ onFile }) {
     );
 }
 
-
-// --- 2. Componente: Modal de Detalle de Empresa
-/**
- * @param {{ data: CompanyAggregates, onClose: () => void }} props
- */
-function CompanyDetailModal({ data, onClose }) {
-    const { company, totalValue, totalWeight, isFiltered } = data;
-
-    const formatCurrency = (num) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2 }).format(num);
-    const formatWeight = (num) => new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 }).format(num) + ' KG';
-    const formatPricePerKg = (num) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 4 }).format(num);
-
-    let pricePerKg = 0;
-    if (totalWeight > 0) {
-        pricePerKg = totalValue / totalWeight;
-    }
-
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg p-6 relative">
-                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
-                <h2 className="text-xl font-bold text-indigo-700 mb-4 border-b pb-2">Análisis Global de Empresa</h2>
-                <h3 className="text-2xl font-semibold mb-6">{company}</h3>
-
-                <div className="grid grid-cols-2 gap-4 text-center mb-6">
-                    <div className="bg-indigo-50 p-4 rounded-lg">
-                        <p className="text-sm font-medium text-indigo-700">Valor Total (USD)</p>
-                        <p className="text-3xl font-bold text-indigo-900 mt-1">{formatCurrency(totalValue)}</p>
-                    </div>
-                    <div className="bg-green-50 p-4 rounded-lg">
-                        <p className="text-sm font-medium text-green-700">Peso Total (KG)</p>
-                        <p className="text-3xl font-bold text-green-900 mt-1">{formatWeight(totalWeight)}</p>
-                    </div>
-                </div>
-
-                <div className="mt-4 text-center p-3 bg-yellow-50 rounded-lg border border-yellow-200">
-                    <h4 className="text-lg font-bold text-yellow-800 mb-1">VALOR POR KILOGRAMO (PRECIO / KG)</h4>
-                    <p className="text-4xl font-extrabold text-yellow-900">{formatPricePerKg(pricePerKg)}</p>
-                    <p className="text-xs text-neutral-600 mt-1">Cálculo: {formatCurrency(totalValue)} / {totalWeight.toLocaleString()} KG</p>
-                </div>
-
-                <p className="text-xs text-neutral-500 mt-4 text-center">
-                    **Nota:** Este cálculo es **{isFiltered ? 'FILTRADO' : 'GLOBAL'}**. 
-                    {isFiltered ? 'Refleja solo las filas visibles en la tabla principal (con filtros y búsqueda aplicados).' : 'Refleja el 100% de los datos cargados.'}
-                </p>
-            </div>
-        </div>
-    );
-}
-
 // Componente: Panel de Estadísticas de Columna
+const STATS_BIN_OPTIONS = [5, 10, 20, 50];
+const STATS_TOP_OPTIONS = [5, 10, 20, 50];
+
 /**
- * @param {{ stats: ColumnStats, onClose: () => void }} props
+ * @param {{
+ *   stats: ColumnStats,
+ *   isCurrency: boolean,
+ *   options: { bins: number, topN: number },
+ *   onOptionsChange: (options: { bins: number, topN: number }) => void,
+ *   onFilter: (patch: object) => void,
+ *   onClose: () => void,
+ * }} props `onFilter` aplica un filtro sobre la columna analizada (clic en un intervalo o una barra).
  */
-function ColumnStatsPanel({ stats, onClose }) {
-    
-    const formatNumber = (num, isCurrency = false) => {
-        if (typeof num !== 'number') return '-';
-        if (isCurrency) {
-            return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 2 }).format(num);
-        }
-        return new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(num);
-    };
-
+function ColumnStatsPanel({ stats, isCurrency, options, onOptionsChange, onFilter, onClose }) {
+    const { t, tr } = useI18n();
     const isNum = stats.isNumeric;
-    const isCurrency = stats.column.includes('Valor (USD)');
+    const isDate = "isDate" in stats;
 
     return (
         <div className="bg-white/90 rounded-2xl shadow-2xl p-6 h-full sticky top-6">
             <div className="flex justify-between items-start border-b pb-2 mb-4">
                 <h2 className="text-xl font-bold text-indigo-700">
-                    Análisis: <span className="font-extrabold block text-2xl text-neutral-900 truncate" title={stats.column}>{stats.column}</span>
+                    {t("stats.title")} <span className="font-extrabold block text-2xl text-neutral-900 truncate" title={stats.column}>{stats.column}</span>
                 </h2>
                 <button onClick={onClose} className="text-neutral-500 hover:text-neutral-900 text-2xl ml-4 p-1">&times;</button>
             </div>
 
             <div className="text-sm">
                 <p className="mb-4 p-2 bg-neutral-100 rounded-lg font-medium">
-                    Analizando **{stats.totalCount.toLocaleString()}** celdas visibles.
+                    {tr("stats.analyzing", { count: <strong className="font-bold">{stats.totalCount}</strong> })}
+                    {stats.blankCount > 0 && <span className="block text-xs font-normal text-neutral-600">{t("stats.blankCells", { count: stats.blankCount })}</span>}
                 </p>
 
-                {isNum ? (
-                    <div className="space-y-3">
-                        {
-                            /** @type {NumericStats} */
-                            (stats).avg !== undefined && (
-                            <StatBox title="Promedio (Media)" value={formatNumber(/** @type {NumericStats} */ (stats).avg, isCurrency)} color="bg-indigo-50" />
-                        )}
-                        {
-                            /** @type {NumericStats} */
-                            (stats).median !== undefined && (
-                            <StatBox title="Mediana (Valor Central)" value={formatNumber(/** @type {NumericStats} */ (stats).median, isCurrency)} color="bg-indigo-50" />
-                        )}
-                        {
-                            /** @type {NumericStats} */
-                            (stats).sum !== undefined && (
-                            <StatBox title="Suma Total" value={formatNumber(/** @type {NumericStats} */ (stats).sum, isCurrency)} color="bg-green-50" />
-                        )}
-                        <div className="grid grid-cols-2 gap-3">
-                            {
-                                /** @type {NumericStats} */
-                                (stats).min !== undefined && (
-                                <StatBox title="Valor Mínimo" value={formatNumber(/** @type {NumericStats} */ (stats).min, isCurrency)} color="bg-red-50" size="text-lg" />
-                            )}
-                            {
-                                /** @type {NumericStats} */
-                                (stats).max !== undefined && (
-                                <StatBox title="Valor Máximo" value={formatNumber(/** @type {NumericStats} */ (stats).max, isCurrency)} color="bg-red-50" size="text-lg" />
-                            )}
-                        </div>
-                    </div>
+                {isDate ? (
+                    <DateStatsSection stats={/** @type {DateStats} */ (stats)} onFilter={onFilter} />
+                ) : isNum ? (
+                    <NumericStatsSection stats={/** @type {NumericStats} */ (stats)} isCurrency={isCurrency} bins={options.bins} onBinsChange={(bins) => onOptionsChange({ ...options, bins })} onFilter={onFilter} />
                 ) : (
-                    <div className="space-y-4">
-                        <StatBox title="Valores Únicos" value={(/** @type {CategoricalStats} */ (stats)).uniqueCount.toLocaleString()} color="bg-yellow-50" size="text-2xl" />
-                        
-                        <h4 className="font-semibold text-neutral-700 border-b pb-1">Top 5 Valores Más Frecuentes:</h4>
-                        <ul className="space-y-2">
-                            {(/** @type {CategoricalStats} */ (stats)).topValues.map(({ value, count }) => (
-                                <li key={value} className="flex justify-between items-center text-sm p-2 bg-neutral-50 rounded-lg border border-neutral-200">
-                                    <span className="truncate max-w-[60%] font-medium" title={value}>{value || '[VACÍO]'}</span>
-                                    <span className="text-neutral-600">
-                                        {count.toLocaleString()} ({((count / stats.totalCount) * 100).toFixed(1)}%)
-                                    </span>
-                                </li>
-                            ))}
-                        </ul>
-                    </div>
+                    <CategoricalStatsSection stats={/** @type {CategoricalStats} */ (stats)} topN={options.topN} onTopNChange={(topN) => onOptionsChange({ ...options, topN })} onFilter={onFilter} />
                 )}
             </div>
             <p className="text-xs text-neutral-500 mt-4 text-center">
-                El análisis se basa en los resultados actualmente visibles (con filtros y búsqueda aplicados).
+                {t("stats.basedOnVisible")}
             </p>
         </div>
     );
 }
 
+// Mayor conteo de una lista de intervalos o barras (sin `Math.max(...)` sobre listas largas).
+const maxCountOf = (items) => items.reduce((acc, { count }) => (count > acc ? count : acc), 1);
+
+/**
+ * @param {{ stats: NumericStats, isCurrency: boolean, bins: number, onBinsChange: (bins: number) => void, onFilter: (patch: object) => void }} props
+ */
+function NumericStatsSection({ stats, isCurrency, bins, onBinsChange, onFilter }) {
+    const { t, formatNumber, formatCurrency } = useI18n();
+    const fmt = (n) => (isCurrency && typeof n === "number" ? formatCurrency(n) : formatNumber(n));
+    const maxCount = maxCountOf(stats.histogram);
+    const outliers = stats.lowOutliers + stats.highOutliers;
+    return (
+        <div className="space-y-3">
+            <StatBox title={t("stats.avg")} value={fmt(stats.avg)} color="bg-indigo-50" />
+            <div className="grid grid-cols-2 gap-3">
+                <StatBox title={t("stats.median")} value={fmt(stats.median)} color="bg-indigo-50" size="text-lg" />
+                <StatBox title={t("stats.stdDev")} value={fmt(stats.stdDev)} color="bg-indigo-50" size="text-lg" />
+            </div>
+            <StatBox title={t("stats.sum")} value={fmt(stats.sum)} color="bg-green-50" />
+            <div className="grid grid-cols-2 gap-3">
+                <StatBox title={t("stats.min")} value={fmt(stats.min)} color="bg-red-50" size="text-lg" />
+                <StatBox title={t("stats.max")} value={fmt(stats.max)} color="bg-red-50" size="text-lg" />
+            </div>
+
+            <h4 className="font-semibold text-neutral-700 border-b pb-1">{t("stats.percentiles")}</h4>
+            <table className="w-full text-xs">
+                <tbody>
+                    {Object.entries(stats.percentiles).map(([key, value]) => (
+                        <tr key={key} className="border-b last:border-b-0">
+                            <td className="py-0.5 font-mono text-neutral-600">{key.toUpperCase()}</td>
+                            <td className="py-0.5 text-right">{fmt(value)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className={`p-2 rounded-lg border text-xs ${outliers ? "bg-amber-50 border-amber-200" : "bg-neutral-50"}`}>
+                <p className="font-semibold mb-1">{t("stats.outliers", { factor: 1.5 })}</p>
+                <p>{t("stats.iqr", { value: fmt(stats.iqr) })}</p>
+                <div className="flex gap-3 mt-1">
+                    <button onClick={() => onFilter({ min: undefined, max: stats.lowerFence })} disabled={!stats.lowOutliers} className="text-indigo-700 hover:underline disabled:text-neutral-400 disabled:no-underline">
+                        {t("stats.below", { count: stats.lowOutliers, value: fmt(stats.lowerFence) })}
+                    </button>
+                    <button onClick={() => onFilter({ min: stats.upperFence, max: undefined })} disabled={!stats.highOutliers} className="text-indigo-700 hover:underline disabled:text-neutral-400 disabled:no-underline">
+                        {t("stats.above", { count: stats.highOutliers, value: fmt(stats.upperFence) })}
+                    </button>
+                </div>
+            </div>
+            {stats.invalidCount > 0 && (
+                <p className="text-xs text-red-700">{t("stats.nonNumeric", { count: stats.invalidCount })}</p>
+            )}
+
+            <div className="flex items-center justify-between border-b pb-1">
+                <h4 className="font-semibold text-neutral-700">{t("stats.histogram")}</h4>
+                <label className="text-xs flex items-center gap-1">
+                    {t("stats.bins")}
+                    <select value={bins} onChange={(e) => onBinsChange(Number(e.target.value))} className="border rounded px-1 py-0.5">
+                        {STATS_BIN_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </label>
+            </div>
+            <div className="flex items-end gap-px h-32" title={t("stats.binTitle")}>
+                {stats.histogram.map((bin, i) => (
+                    <button
+                        key={i}
+                        onClick={() => onFilter({ min: bin.from, max: bin.to })}
+                        className="flex-1 bg-indigo-400 hover:bg-indigo-600 rounded-t transition-colors"
+                        style={{ height: `${Math.max(2, (bin.count / maxCount) * 100)}%` }}
+                        title={`${fmt(bin.from)} – ${fmt(bin.to)}: ${formatNumber(bin.count)}`}
+                    />
+                ))}
+            </div>
+            <div className="flex justify-between text-xs text-neutral-500">
+                <span>{fmt(stats.min)}</span>
+                <span>{fmt(stats.max)}</span>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * @param {{ stats: CategoricalStats, topN: number, onTopNChange: (topN: number) => void, onFilter: (patch: object) => void }} props
+ */
+function CategoricalStatsSection({ stats, topN, onTopNChange, onFilter }) {
+    const { t, formatNumber } = useI18n();
+    const bars = stats.othersCount > 0 ? [...stats.topValues, { value: null, count: stats.othersCount }] : stats.topValues;
+    const maxCount = maxCountOf(bars);
+    return (
+        <div className="space-y-4">
+            <StatBox title={t("stats.unique")} value={formatNumber(stats.uniqueCount)} color="bg-yellow-50" size="text-2xl" />
+
+            <div className="flex items-center justify-between border-b pb-1">
+                <h4 className="font-semibold text-neutral-700">{t("stats.topValues")}</h4>
+                <label className="text-xs flex items-center gap-1">
+                    {t("stats.top")}
+                    <select value={topN} onChange={(e) => onTopNChange(Number(e.target.value))} className="border rounded px-1 py-0.5">
+                        {STATS_TOP_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </label>
+            </div>
+            <ul className="space-y-1 max-h-96 overflow-auto">
+                {bars.map(({ value, count }) => {
+                    const isOthers = value === null;
+                    // "Otros" filtra excluyendo los valores que sí tienen barra propia.
+                    const patch = isOthers
+                        ? { facet: { values: stats.topValues.map(v => v.value), exclude: true } }
+                        : { facet: { values: [value], exclude: false } };
+                    return (
+                        <li key={isOthers ? "\0otros" : value}>
+                            <button onClick={() => onFilter(patch)} className="w-full text-left text-xs hover:bg-indigo-50 rounded p-1" title={t("stats.clickToFilter")}>
+                                <div className="flex justify-between gap-2">
+                                    <span className={`truncate font-medium ${isOthers ? "italic text-neutral-600" : ""}`} title={value ?? ""}>{isOthers ? t("stats.others", { count: stats.uniqueCount - stats.topValues.length }) : value || t("value.empty")}</span>
+                                    <span className="text-neutral-600 whitespace-nowrap">{formatNumber(count)} ({formatNumber(count / stats.totalCount, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 })})</span>
+                                </div>
+                                <span className="block h-2 bg-neutral-100 rounded mt-0.5">
+                                    <span className={`block h-full rounded ${isOthers ? "bg-neutral-400" : "bg-indigo-400"}`} style={{ width: `${(count / maxCount) * 100}%` }} />
+                                </span>
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * @param {{ stats: DateStats, onFilter: (patch: object) => void }} props
+ */
+function DateStatsSection({ stats, onFilter }) {
+    const { t, formatNumber, formatDate } = useI18n();
+    const maxCount = maxCountOf(stats.byMonth);
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                <StatBox title={t("stats.earliest")} value={formatDate(stats.earliest)} color="bg-indigo-50" size="text-lg" />
+                <StatBox title={t("stats.latest")} value={formatDate(stats.latest)} color="bg-indigo-50" size="text-lg" />
+            </div>
+            {stats.invalidCount > 0 && (
+                <p className="text-xs text-red-700">{t("stats.invalidDates", { count: stats.invalidCount })}</p>
+            )}
+            <h4 className="font-semibold text-neutral-700 border-b pb-1">{t("stats.byMonth")}</h4>
+            <ul className="space-y-1 max-h-80 overflow-auto">
+                {stats.byMonth.map(({ month, count }) => (
+                    <li key={month}>
+                        <button onClick={() => onFilter(drillDownFilter(stats.column, month, { numericColumns: new Set(), dateColumns: new Set([stats.column]) }))} className="w-full flex items-center gap-2 text-xs hover:bg-indigo-50 rounded" title={t("stats.monthTitle")}>
+                            <span className="w-16 font-mono text-neutral-600 text-left">{month}</span>
+                            <span className="flex-1 h-3 bg-neutral-100 rounded">
+                                <span className="block h-full bg-indigo-400 rounded" style={{ width: `${(count / maxCount) * 100}%` }} />
+                            </span>
+                            <span className="w-14 text-right text-neutral-700">{formatNumber(count)}</span>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
 /**
  * @param {{ title: string, value: string, color: string, size?: string }} props
  */
@@ -729,4 +1430,24 @@ function StatBox({ title, value, color, size = "text-3xl" }) {
             <p className={`font-extrabold text-neutral-900 ${size}`}>{value}</p>
         </div>
     );
-}
\ No newline at end of file
+}
+
+/**
+ * Resalta los rangos `[inicio, fin]` (inclusivos) que devolvió la búsqueda difusa.
+ * @param {{ text: string, ranges?: [number, number][] }} props
+ */
+function HighlightedText({ text, ranges }) {
+    if (!ranges?.length) return text;
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const parts = [];
+    let cursor = 0;
+    sorted.forEach(([from, to]) => {
+        if (to < cursor) return;
+        const s = Math.max(from, cursor);
+        if (s > cursor) parts.push(text.slice(cursor, s));
+        parts.push(<mark key={s} className="bg-yellow-200 rounded-sm">{text.slice(s, to + 1)}</mark>);
+        cursor = to + 1;
+    });
+    if (cursor < text.length) parts.push(text.slice(cursor));
+    return <>{parts}</>;
+}
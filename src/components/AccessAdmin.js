@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { MIN_PASSPHRASE_LENGTH, addUser, revokeUser, unlockUser, updateSettings } from "../engine/access";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Usuarios y seguridad (solo administradores) ---
+
+/**
+ * @param {{
+ *   store: import('../engine/access').AccessStore,
+ *   session: import('../engine/access').AccessSession,
+ *   onChange: (store: import('../engine/access').AccessStore) => void,
+ *   onEncryptCache: (encrypt: boolean) => Promise<number>,
+ *   onClose: () => void,
+ * }} props `onEncryptCache` cambia la opción y convierte los conjuntos ya guardados; devuelve cuántos
+ */
+export default function AccessAdmin({ store, session, onChange, onEncryptCache, onClose }) {
+    const { t, tr, formatDateTime, describeError } = useI18n();
+    const [name, setName] = useState("");
+    const [passphrase, setPassphrase] = useState("");
+    const [role, setRole] = useState("user");
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const now = Date.now();
+
+    const run = async (action, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            await action();
+            if (success) setMessage({ error: false, text: success });
+        } catch (error) {
+            setMessage({ error: true, text: describeError(error) });
+        }
+        setBusy(false);
+    };
+
+    const exists = store.users.some(u => u.name.trim().toLowerCase() === name.trim().toLowerCase());
+    const submit = (e) => {
+        e.preventDefault();
+        run(async () => {
+            onChange(await addUser(store, session, { name, passphrase, role }));
+            setName("");
+            setPassphrase("");
+        }, t(exists ? "accessAdmin.replaced" : "accessAdmin.added", { name: name.trim() }));
+    };
+
+    const revoke = (userName) => {
+        if (!window.confirm(t("accessAdmin.confirmRevoke", { name: userName }))) return;
+        run(async () => onChange(revokeUser(store, session, userName)), t("accessAdmin.revoked", { name: userName }));
+    };
+
+    // Los números se guardan al salir del campo, ya ajustados a su rango.
+    const setSetting = (patch) => run(async () => onChange(updateSettings(store, session, patch)));
+
+    const toggleEncryption = (encrypt) => run(async () => {
+        const converted = await onEncryptCache(encrypt);
+        setMessage({ error: false, text: t(encrypt ? "accessAdmin.encryptionOn" : "accessAdmin.encryptionOff", { count: converted }) });
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-2xl font-bold text-indigo-700 mb-1">{t("app.accessAdmin")}</h2>
+                <p className="text-sm text-neutral-600 mb-4">
+                    {t("accessAdmin.intro")}
+                </p>
+
+                <table className="w-full text-sm mb-4">
+                    <thead>
+                        <tr className="text-left border-b">
+                            <th className="py-1">{t("access.user")}</th>
+                            <th className="py-1">{t("accessAdmin.role")}</th>
+                            <th className="py-1">{t("accessAdmin.created")}</th>
+                            <th className="py-1">{t("accessAdmin.status")}</th>
+                            <th className="py-1" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {store.users.map(u => (
+                            <tr key={u.name} className="border-b">
+                                <td className="py-1 font-medium">{u.name}{u.name === session.name && <span className="text-xs text-neutral-500"> {t("accessAdmin.you")}</span>}</td>
+                                <td className="py-1">{t(`role.${u.role}`)}</td>
+                                <td className="py-1">{formatDateTime(u.createdAt)}</td>
+                                <td className="py-1">
+                                    {u.lockedUntil > now ? (
+                                        <span className="text-red-700">
+                                            {t("accessAdmin.lockedUntil", { time: formatDateTime(u.lockedUntil, { timeStyle: "short" }) })}
+                                            <button onClick={() => run(async () => onChange(unlockUser(store, session, u.name)))} className="ml-2 text-indigo-700 hover:underline" disabled={busy}>{t("accessAdmin.unlock")}</button>
+                                        </span>
+                                    ) : u.failedAttempts > 0 ? t("accessAdmin.failedAttempts", { count: u.failedAttempts }) : t("accessAdmin.active")}
+                                </td>
+                                <td className="py-1 text-right">
+                                    {u.name !== session.name && <button onClick={() => revoke(u.name)} className="text-red-700 hover:underline" disabled={busy}>{t("accessAdmin.revoke")}</button>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <form onSubmit={submit} className="flex flex-wrap items-end gap-2 text-sm mb-6">
+                    <label className="flex flex-col">
+                        <span className="text-xs text-neutral-600">{t("access.user")}</span>
+                        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className="border rounded-lg px-2 py-1" required disabled={busy} />
+                    </label>
+                    <label className="flex flex-col">
+                        <span className="text-xs text-neutral-600">{t("accessAdmin.passphrase", { min: MIN_PASSPHRASE_LENGTH })}</span>
+                        <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className="border rounded-lg px-2 py-1" autoComplete="new-password" required disabled={busy} />
+                    </label>
+                    <label className="flex flex-col">
+                        <span className="text-xs text-neutral-600">{t("accessAdmin.role")}</span>
+                        <select value={role} onChange={(e) => setRole(e.target.value)} className="border rounded-lg px-2 py-1" disabled={busy}>
+                            <option value="user">{t("role.user")}</option>
+                            <option value="admin">{t("role.admin")}</option>
+                        </select>
+                    </label>
+                    <button type="submit" disabled={busy} className="border rounded-lg px-3 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                        {t(exists ? "accessAdmin.replace" : "accessAdmin.add")}
+                    </button>
+                </form>
+
+                <h3 className="font-semibold mb-2">{t("accessAdmin.sessionTitle")}</h3>
+                <div className="flex flex-wrap gap-4 text-sm mb-6">
+                    <label className="flex items-center gap-2">
+                        {tr("accessAdmin.idle", {
+                            minutes: <input type="number" min={1} max={480} key={store.settings.idleMinutes} defaultValue={store.settings.idleMinutes} onBlur={(e) => setSetting({ idleMinutes: e.target.value })} className="w-16 border rounded-lg px-2 py-1" />,
+                        })}
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {tr("accessAdmin.lockout", {
+                            attempts: <input type="number" min={1} max={20} key={store.settings.maxAttempts} defaultValue={store.settings.maxAttempts} onBlur={(e) => setSetting({ maxAttempts: e.target.value })} className="w-16 border rounded-lg px-2 py-1" />,
+                            minutes: <input type="number" min={1} max={1440} key={store.settings.lockoutMinutes} defaultValue={store.settings.lockoutMinutes} onBlur={(e) => setSetting({ lockoutMinutes: e.target.value })} className="w-16 border rounded-lg px-2 py-1" />,
+                        })}
+                    </label>
+                </div>
+
+                <h3 className="font-semibold mb-2">{t("accessAdmin.cacheTitle")}</h3>
+                <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={store.settings.encryptCache} onChange={(e) => toggleEncryption(e.target.checked)} disabled={busy} />
+                    {t("accessAdmin.encryptCache")}
+                </label>
+                <p className="text-xs text-neutral-500 mt-1">
+                    {t("accessAdmin.encryptCacheNote")}
+                </p>
+
+                {busy && <p className="mt-4 text-sm text-indigo-600">{t("accessAdmin.processing")}</p>}
+                {message && <p className={`mt-4 text-sm ${message.error ? "text-red-600" : "text-green-700"}`}>{message.text}</p>}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { MIN_PASSPHRASE_LENGTH, isCryptoAvailable } from "../engine/access";
+import { useI18n } from "../useI18n";
+import LanguageSwitcher from "./LanguageSwitcher";
+
+// --- Componente: Puerta de Acceso ---
+// Sin usuarios guardados, pide crear el administrador; después, usuario y código.
+
+/**
+ * @param {{
+ *   needsSetup: boolean,
+ *   onSetup: (name: string, passphrase: string) => Promise<import('../engine/i18n').LocalizedError | null>,
+ *   onLogin: (name: string, passphrase: string) => Promise<import('../engine/i18n').LocalizedError | null>,
+ * }} props los callbacks devuelven el error, o `null` si se concedió el acceso
+ */
+export default function AccessGate({ needsSetup, onSetup, onLogin }) {
+    const { t, describeError } = useI18n();
+    const [name, setName] = useState("");
+    const [password, setPassword] = useState("");
+    const [confirm, setConfirm] = useState("");
+    const [error, setError] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (needsSetup && password !== confirm) {
+            setError(t("access.mismatch"));
+            return;
+        }
+        setError("");
+        setBusy(true);
+        try {
+            const failure = await (needsSetup ? onSetup : onLogin)(name, password);
+            if (failure) {
+                setError(describeError(failure));
+                setPassword("");
+                setBusy(false);
+            }
+        } catch (err) {
+            console.error("Error en el control de acceso.", err);
+            setError(describeError(err));
+            setBusy(false);
+        }
+    };
+
+    const inputClass = `w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 ${error ? 'border-red-500' : 'border-gray-300'}`;
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-4">
+            <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-sm text-center">
+                <div className="flex justify-end mb-2"><LanguageSwitcher /></div>
+                <h2 className="text-2xl font-bold mb-4 text-indigo-700">{t(needsSetup ? "access.setupTitle" : "access.loginTitle")}</h2>
+                {!isCryptoAvailable() ? (
+                    <p className="text-sm text-red-600">{t("access.noCrypto")}</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-600 mb-6">
+                            {needsSetup ? t("access.setupIntro", { min: MIN_PASSPHRASE_LENGTH }) : t("access.loginIntro")}
+                        </p>
+                        <form onSubmit={handleSubmit} className="space-y-3">
+                            <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} placeholder={t("access.user")} autoComplete="username" required disabled={busy} />
+                            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} placeholder={t("access.passphrase")} autoComplete={needsSetup ? "new-password" : "current-password"} required disabled={busy} />
+                            {needsSetup && (
+                                <input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} className={inputClass} placeholder={t("access.repeatPassphrase")} autoComplete="new-password" required disabled={busy} />
+                            )}
+                            {error && <p className="text-red-500 text-xs">{error}</p>}
+                            <button
+                                type="submit"
+                                disabled={busy}
+                                className="mt-3 w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors disabled:opacity-60"
+                            >
+                                {t(busy ? "access.checking" : needsSetup ? "access.createAdmin" : "access.login")}
+                            </button>
+                        </form>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
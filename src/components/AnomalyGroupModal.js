@@ -0,0 +1,96 @@
+import React from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Distribución de precios del grupo de una fila marcada ---
+
+/**
+ * @param {{
+ *   detail: ReturnType<typeof import('../engine/anomalies').describeAnomalyGroup>,
+ *   groupColumn: string,
+ *   onFilterGroup: (group: string) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function AnomalyGroupModal({ detail, groupColumn, onFilterGroup, onClose }) {
+    const { group, price, z, flag, baseline, histogram } = detail;
+    const { t, formatNumber } = useI18n();
+    const formatPrice = (n) => formatNumber(n, { maximumFractionDigits: 4 });
+    const maxCount = Math.max(1, ...histogram.map(b => b.count));
+    const isRowBin = (bin, i) => price >= bin.from && (price < bin.to || i === histogram.length - 1);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("anomalyGroup.title")}</h2>
+                <p className="text-sm mb-4">
+                    {groupColumn}: <strong className="font-bold">{group}</strong>
+                </p>
+
+                <div className="grid grid-cols-3 gap-2 text-center text-sm mb-4">
+                    <div className="bg-neutral-50 rounded-lg p-2">
+                        <p className="text-xs text-neutral-600">{t("anomalyGroup.rowPrice")}</p>
+                        <p className="font-semibold">{formatPrice(price)}</p>
+                    </div>
+                    <div className="bg-neutral-50 rounded-lg p-2">
+                        <p className="text-xs text-neutral-600">{t("anomalyGroup.z")}</p>
+                        <p className="font-semibold">{z === null ? "—" : formatNumber(z, { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: "exceptZero" })}</p>
+                    </div>
+                    <div className={`rounded-lg p-2 ${flag ? "bg-red-50" : "bg-neutral-50"}`}>
+                        <p className="text-xs text-neutral-600">{t("anomalyGroup.flag")}</p>
+                        <p className={`font-semibold ${flag ? "text-red-700" : ""}`}>{t(flag === "high" ? "anomalyGroup.priceHigh" : flag === "low" ? "anomalyGroup.priceLow" : "anomalyGroup.normal")}</p>
+                    </div>
+                </div>
+
+                {!baseline ? (
+                    <p className="text-sm text-neutral-500">{t("anomalyGroup.tooSmall")}</p>
+                ) : (
+                    <>
+                        <table className="w-full text-xs mb-4">
+                            <tbody>
+                                {[
+                                    [t("anomalyGroup.rows"), formatNumber(baseline.count)],
+                                    [t("anomalyGroup.median"), formatPrice(baseline.median)],
+                                    [t("anomalyGroup.spread"), formatPrice(baseline.spread)],
+                                    ["P25 – P75", `${formatPrice(baseline.q1)} – ${formatPrice(baseline.q3)}`],
+                                    [t("anomalyGroup.minMax"), `${formatPrice(baseline.min)} – ${formatPrice(baseline.max)}`],
+                                    [t("anomalyGroup.normalRange"), `${formatPrice(Math.max(0, baseline.lowerBound))} – ${formatPrice(baseline.upperBound)}`],
+                                ].map(([label, value]) => (
+                                    <tr key={label} className="border-b last:border-b-0">
+                                        <td className="py-0.5 text-neutral-600">{label}</td>
+                                        <td className="py-0.5 text-right font-medium">{value}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        <div className="flex items-end gap-px h-32">
+                            {histogram.map((bin, i) => {
+                                const outside = bin.to < baseline.lowerBound || bin.from > baseline.upperBound;
+                                return (
+                                    <div
+                                        key={i}
+                                        className={`flex-1 rounded-t ${isRowBin(bin, i) ? "bg-red-600" : outside ? "bg-red-200" : "bg-indigo-400"}`}
+                                        style={{ height: `${Math.max(2, (bin.count / maxCount) * 100)}%` }}
+                                        title={`${formatPrice(bin.from)} – ${formatPrice(bin.to)}: ${formatNumber(bin.count)}`}
+                                    />
+                                );
+                            })}
+                        </div>
+                        <div className="flex justify-between text-xs text-neutral-500 mb-1">
+                            <span>{formatPrice(baseline.min)}</span>
+                            <span>{formatPrice(baseline.max)}</span>
+                        </div>
+                        <p className="text-xs text-neutral-500">{t("anomalyGroup.legend")}</p>
+                    </>
+                )}
+
+                <div className="flex justify-end mt-4">
+                    <button onClick={() => onFilterGroup(group)} className="text-sm border rounded-lg px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">
+                        {t("anomalyGroup.filter")}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { ROLE_DEFINITIONS } from "../engine/roles";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Mapeo de roles de columna ---
+
+/**
+ * @param {{
+ *   columns: string[],
+ *   roles: import('../engine/roles').ColumnRoles,
+ *   sampleRow?: import('../engine/types').Row,
+ *   onSave: (roles: import('../engine/roles').ColumnRoles) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function ColumnRoleMapper({ columns, roles, sampleRow, onSave, onClose }) {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(roles);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-xl p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("toolbar.roleMapper")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("roleMapper.intro")}
+                </p>
+
+                <div className="space-y-3">
+                    {ROLE_DEFINITIONS.map(({ role }) => (
+                        <div key={role} className="grid grid-cols-[10rem_1fr] gap-3 items-center">
+                            <label className="text-sm font-medium" htmlFor={`role-${role}`}>{t(`columnRole.${role}`)}</label>
+                            <div>
+                                <select
+                                    id={`role-${role}`}
+                                    value={draft[role] ?? ""}
+                                    onChange={(e) => setDraft(prev => ({ ...prev, [role]: e.target.value || null }))}
+                                    className="w-full border rounded-lg px-2 py-1 text-sm"
+                                >
+                                    <option value="">{t("roleMapper.none")}</option>
+                                    {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                                </select>
+                                {draft[role] && sampleRow && (
+                                    <p className="text-xs text-neutral-500 mt-0.5 truncate" title={String(sampleRow[draft[role]] ?? "")}>
+                                        {t("roleMapper.example", { value: String(sampleRow[draft[role]] ?? "") || t("value.empty") })}
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onClose} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("common.cancel")}</button>
+                    <button onClick={() => onSave(draft)} className="text-sm border rounded-lg px-3 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors font-medium">{t("roleMapper.save")}</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,242 @@
+import React, { useState } from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Modal de Detalle de Empresa ---
+
+const DIRECTION_LABELS = { import: "company.directionImport", export: "company.directionExport", both: "company.directionBoth" };
+
+const SERIES_METRICS = [
+    { key: "value", label: "company.value" },
+    { key: "weight", label: "company.weight" },
+    { key: "count", label: "company.shipments" },
+];
+
+/**
+ * Formatos de importe, peso y precio por kg en el idioma de la interfaz.
+ * @param {import('../useI18n').I18n} i18n
+ */
+const companyFormats = ({ t, formatNumber, formatCurrency }) => ({
+    currency: (num) => formatCurrency(num, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+    weight: (num) => t("company.weightValue", { value: formatNumber(num, { maximumFractionDigits: 0 }) }),
+    pricePerKg: (num) => formatCurrency(num, { minimumFractionDigits: 2, maximumFractionDigits: 4 }),
+    count: (num) => formatNumber(num),
+});
+
+/**
+ * @param {{
+ *   data: import('../engine/types').CompanyAggregates,
+ *   roles: import('../engine/roles').ColumnRoles,
+ *   onFilterTable: (() => void) | null,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function CompanyDetailModal({ data, roles, onFilterTable, onClose }) {
+    const { company, totalValue, totalWeight, shipmentCount, asImporter, asExporter, monthly, priceDistribution, shipments, isFiltered } = data;
+    const [seriesMetric, setSeriesMetric] = useState("value");
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const fmt = companyFormats(i18n);
+    const formatMetric = { value: fmt.currency, weight: fmt.weight, count: fmt.count }[seriesMetric];
+
+    let pricePerKg = 0;
+    if (totalWeight > 0) {
+        pricePerKg = totalValue / totalWeight;
+    }
+
+    const maxMonthly = Math.max(1, ...monthly.map(m => m[seriesMetric]));
+    const maxBin = priceDistribution ? Math.max(1, ...priceDistribution.bins.map(b => b.count)) : 1;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-4 border-b pb-2">{t(isFiltered ? "company.titleFiltered" : "company.titleGlobal")}</h2>
+                <div className="flex items-center justify-between gap-4 flex-wrap mb-6">
+                    <h3 className="text-2xl font-semibold">{company}</h3>
+                    {onFilterTable && (
+                        <button onClick={onFilterTable} className="text-sm border rounded-lg px-3 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors font-medium">{t("company.filterTable")}</button>
+                    )}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center mb-6">
+                    <div className="bg-indigo-50 p-4 rounded-lg">
+                        <p className="text-sm font-medium text-indigo-700">{t("company.totalValue")}</p>
+                        <p className="text-2xl font-bold text-indigo-900 mt-1">{fmt.currency(totalValue)}</p>
+                    </div>
+                    <div className="bg-green-50 p-4 rounded-lg">
+                        <p className="text-sm font-medium text-green-700">{t("company.totalWeight")}</p>
+                        <p className="text-2xl font-bold text-green-900 mt-1">{fmt.weight(totalWeight)}</p>
+                    </div>
+                    <div className="bg-yellow-50 p-4 rounded-lg border border-yellow-200">
+                        <p className="text-sm font-medium text-yellow-800">{t("company.pricePerKg")}</p>
+                        <p className="text-2xl font-bold text-yellow-900 mt-1">{fmt.pricePerKg(pricePerKg)}</p>
+                    </div>
+                    <div className="bg-neutral-50 p-4 rounded-lg">
+                        <p className="text-sm font-medium text-neutral-700">{t("company.shipments")}</p>
+                        <p className="text-2xl font-bold text-neutral-900 mt-1">{fmt.count(shipmentCount)}</p>
+                    </div>
+                </div>
+
+                {/* Importador vs. exportador */}
+                <table className="w-full text-sm mb-6">
+                    <thead className="bg-neutral-100">
+                        <tr>
+                            <th className="text-left px-3 py-2">{t("company.role")}</th>
+                            <th className="text-right px-3 py-2">{t("company.shipments")}</th>
+                            <th className="text-right px-3 py-2">{t("company.value")}</th>
+                            <th className="text-right px-3 py-2">{t("company.weight")}</th>
+                            <th className="text-right px-3 py-2">{t("company.pricePerKg")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {[["company.asImporter", asImporter, roles.importer], ["company.asExporter", asExporter, roles.exporter]].map(([label, totals, column]) => (
+                            <tr key={label} className="border-b border-neutral-200">
+                                <td className="px-3 py-2 font-medium">{t(label)}{column && <span className="ml-1 text-xs text-neutral-500">({column})</span>}</td>
+                                <td className="px-3 py-2 text-right">{fmt.count(totals.count)}</td>
+                                <td className="px-3 py-2 text-right">{fmt.currency(totals.value)}</td>
+                                <td className="px-3 py-2 text-right">{fmt.weight(totals.weight)}</td>
+                                <td className="px-3 py-2 text-right">{totals.weight > 0 ? fmt.pricePerKg(totals.value / totals.weight) : "—"}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className="grid md:grid-cols-2 gap-6 mb-6">
+                    {/* Serie mensual */}
+                    <section>
+                        <div className="flex items-center justify-between border-b pb-1 mb-2">
+                            <h4 className="font-semibold text-neutral-700">{t("company.monthly")}</h4>
+                            <select value={seriesMetric} onChange={(e) => setSeriesMetric(e.target.value)} className="border rounded-lg px-2 py-0.5 text-xs">
+                                {SERIES_METRICS.map(m => <option key={m.key} value={m.key}>{t(m.label)}</option>)}
+                            </select>
+                        </div>
+                        {monthly.length ? (
+                            <ul className="space-y-1 max-h-64 overflow-auto">
+                                {monthly.map(m => (
+                                    <li key={m.month} className="flex items-center gap-2 text-xs">
+                                        <span className="w-16 font-mono text-neutral-600">{m.month}</span>
+                                        <span className="flex-1 h-3 bg-neutral-100 rounded">
+                                            <span className="block h-full bg-indigo-400 rounded" style={{ width: `${(m[seriesMetric] / maxMonthly) * 100}%` }} />
+                                        </span>
+                                        <span className="w-28 text-right text-neutral-700">{formatMetric(m[seriesMetric])}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="text-xs text-neutral-500">{t(roles.date ? "company.noDates" : "company.assignDate")}</p>
+                        )}
+                    </section>
+
+                    {/* Distribución del precio por kg */}
+                    <section>
+                        <h4 className="font-semibold text-neutral-700 border-b pb-1 mb-2">{t("company.priceDistribution")}</h4>
+                        {priceDistribution ? (
+                            <>
+                                <div className="grid grid-cols-5 gap-1 text-center text-xs mb-3">
+                                    {[[t("company.priceMin"), priceDistribution.min], ["P25", priceDistribution.p25], [t("company.priceMedian"), priceDistribution.median], ["P75", priceDistribution.p75], [t("company.priceMax"), priceDistribution.max]].map(([label, value]) => (
+                                        <div key={label} className="bg-yellow-50 rounded p-1">
+                                            <p className="text-neutral-600">{label}</p>
+                                            <p className="font-semibold">{fmt.pricePerKg(value)}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                                <ul className="space-y-1">
+                                    {priceDistribution.bins.map(bin => (
+                                        <li key={bin.from} className="flex items-center gap-2 text-xs">
+                                            <span className="w-32 font-mono text-neutral-600 truncate">{fmt.pricePerKg(bin.from)}–{fmt.pricePerKg(bin.to)}</span>
+                                            <span className="flex-1 h-3 bg-neutral-100 rounded">
+                                                <span className="block h-full bg-yellow-400 rounded" style={{ width: `${(bin.count / maxBin) * 100}%` }} />
+                                            </span>
+                                            <span className="w-10 text-right text-neutral-700">{fmt.count(bin.count)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <p className="text-xs text-neutral-500 mt-1">{t("company.priceCount", { count: priceDistribution.count })}</p>
+                            </>
+                        ) : (
+                            <p className="text-xs text-neutral-500">{t("company.noPrices")}</p>
+                        )}
+                    </section>
+                </div>
+
+                {/* Rankings */}
+                <div className="grid md:grid-cols-2 gap-6 mb-6">
+                    <RankedList title={t("company.topCounterparties")} entries={data.topCounterparties} missingRole={!roles.importer || !roles.exporter ? t("company.roleImporterExporter") : null} />
+                    <RankedList title={t("company.topProducts")} entries={data.topProducts} missingRole={roles.product ? null : t("company.roleProduct")} />
+                    <RankedList title={t("company.topOrigins")} entries={data.topOrigins} missingRole={roles.country ? null : t("company.roleCountry")} />
+                    <RankedList title={t("company.topPorts")} entries={data.topPorts} missingRole={roles.port ? null : t("company.rolePort")} />
+                </div>
+
+                {/* Envíos de la empresa */}
+                <section>
+                    <h4 className="font-semibold text-neutral-700 border-b pb-1 mb-2">
+                        {t("company.shipments")} {shipments.length < shipmentCount && <span className="text-xs font-normal text-neutral-500">{t("company.latestShipments", { shown: shipments.length, total: shipmentCount })}</span>}
+                    </h4>
+                    <div className="overflow-x-auto max-h-80 overflow-y-auto border rounded-lg">
+                        <table className="min-w-full text-xs">
+                            <thead className="bg-neutral-100 sticky top-0">
+                                <tr>
+                                    <th className="text-left px-2 py-1">{t("company.date")}</th>
+                                    <th className="text-left px-2 py-1">{t("company.role")}</th>
+                                    <th className="text-left px-2 py-1">{t("company.counterparty")}</th>
+                                    {roles.product && <th className="text-left px-2 py-1">{roles.product}</th>}
+                                    {roles.country && <th className="text-left px-2 py-1">{roles.country}</th>}
+                                    <th className="text-right px-2 py-1">{t("company.value")}</th>
+                                    <th className="text-right px-2 py-1">{t("company.weight")}</th>
+                                    <th className="text-right px-2 py-1">{t("company.pricePerKg")}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {shipments.map(({ row, dateMs, direction, counterparty, pricePerKg: price }, i) => (
+                                    <tr key={i} className={i % 2 ? "bg-neutral-50" : "bg-white"}>
+                                        <td className="px-2 py-1 whitespace-nowrap">{dateMs !== null ? formatDate(dateMs) : "—"}</td>
+                                        <td className="px-2 py-1">{t(DIRECTION_LABELS[direction])}</td>
+                                        <td className="px-2 py-1 max-w-[220px] truncate" title={counterparty}>{counterparty || "—"}</td>
+                                        {roles.product && <td className="px-2 py-1 max-w-[220px] truncate" title={String(row[roles.product] ?? "")}>{String(row[roles.product] ?? "")}</td>}
+                                        {roles.country && <td className="px-2 py-1">{String(row[roles.country] ?? "")}</td>}
+                                        <td className="px-2 py-1 text-right">{roles.value ? String(row[roles.value] ?? "") : "—"}</td>
+                                        <td className="px-2 py-1 text-right">{roles.weight ? String(row[roles.weight] ?? "") : "—"}</td>
+                                        <td className="px-2 py-1 text-right">{price !== null ? fmt.pricePerKg(price) : "—"}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </section>
+
+                <p className="text-xs text-neutral-500 mt-4 text-center">
+                    {i18n.tr("company.scope", { scope: <strong className="font-bold">{t(isFiltered ? "company.scopeFiltered" : "company.scopeGlobal")}</strong> })}{" "}
+                    {t(isFiltered ? "company.scopeFilteredNote" : "company.scopeGlobalNote")}
+                </p>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * @param {{ title: string, entries: import('../engine/types').RankedEntry[], missingRole: string | null }} props
+ */
+function RankedList({ title, entries, missingRole }) {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const fmt = companyFormats(i18n);
+    return (
+        <section>
+            <h4 className="font-semibold text-neutral-700 border-b pb-1 mb-2">{title}</h4>
+            {missingRole ? (
+                <p className="text-xs text-neutral-500">{t("company.missingRole", { role: missingRole })}</p>
+            ) : entries.length ? (
+                <ol className="space-y-1 text-xs">
+                    {entries.map(({ name, count, value }) => (
+                        <li key={name} className="flex justify-between gap-2 border-b border-neutral-100 pb-1">
+                            <span className="truncate" title={name}>{name}</span>
+                            <span className="whitespace-nowrap text-neutral-600">{t("company.rankedEntry", { value: fmt.currency(value), count })}</span>
+                        </li>
+                    ))}
+                </ol>
+            ) : (
+                <p className="text-xs text-neutral-500">{t("company.noData")}</p>
+            )}
+        </section>
+    );
+}
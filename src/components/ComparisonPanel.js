@@ -0,0 +1,297 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listDatasets } from "../datasetCache";
+import { ROW_STATUS_LABELS, STATUS_LABELS, entriesToRows, largestMovers, percentChange, sortEntries } from "../engine/compare";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Comparación entre dos periodos ---
+
+// Más entradas que esto se exportan, pero no se dibujan.
+const RENDER_LIMIT = 500;
+
+const deltaClass = (n) => (n > 0 ? "text-green-700" : n < 0 ? "text-red-700" : "text-neutral-500");
+
+const STATUS_CLASSES = { new: "bg-green-100 text-green-800", gone: "bg-red-100 text-red-800", both: "" };
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   version: number | undefined,
+ *   columns: string[],
+ *   roles: import('../engine/roles').ColumnRoles,
+ *   currentLabel: string,
+ *   base: { label: string, rowCount: number, columns: string[] } | null,
+ *   onBaseChange: (base: { label: string, rowCount: number, columns: string[] } | null) => void,
+ *   onExport: (buffer: ArrayBuffer) => void,
+ *   onExportCSV: (rows: import('../engine/types').Row[]) => void,
+ * }} props `base` (periodo A) vive en el componente padre para sobrevivir a la carga de otro archivo.
+ */
+export default function ComparisonPanel({ engine, version, columns, roles, currentLabel, base, onBaseChange, onExport, onExportCSV }) {
+    const { t, tr, formatNumber } = useI18n();
+    const formatDelta = (n) => formatNumber(n, { maximumFractionDigits: 2, signDisplay: "exceptZero" });
+    const formatPct = (pct) => (pct === null ? "—" : formatNumber(pct / 100, { style: "percent", maximumFractionDigits: 1, signDisplay: "exceptZero" }));
+    const [baseLabel, setBaseLabel] = useState(currentLabel);
+    const [cached, setCached] = useState([]);
+    const [cachedId, setCachedId] = useState("");
+    const [dimension, setDimension] = useState(() => roles.country ?? roles.product ?? "");
+    const [rowKey, setRowKey] = useState("");
+    const [table, setTable] = useState("companies");
+    const [statusFilter, setStatusFilter] = useState("");
+    const [sortBy, setSortBy] = useState("valueDelta");
+    const [sortDir, setSortDir] = useState("desc");
+    /** @type {[import('../engine/compare').ComparisonReport | null, React.Dispatch<React.SetStateAction<import('../engine/compare').ComparisonReport | null>>]} */
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        let active = true;
+        listDatasets()
+            .then(list => { if (active) setCached(list); })
+            .catch(error => console.warn("No se pudo leer la caché local.", error));
+        return () => { active = false; };
+    }, []);
+
+    // Columnas presentes en los dos periodos: solo esas se pueden usar como dimensión o clave.
+    const sharedColumns = useMemo(() => (base ? columns.filter(col => base.columns.includes(col)) : columns), [base, columns]);
+
+    useEffect(() => {
+        if (!base) { setReport(null); return; }
+        let active = true;
+        setBusy(true);
+        engine.request("compare", { roles, dimension, rowKey, label: currentLabel })
+            .then(res => { if (active && res !== undefined) setReport(res); })
+            .catch(error => console.error("Error al comparar los periodos.", error))
+            .finally(() => { if (active) setBusy(false); });
+        return () => { active = false; };
+    }, [engine, version, base, roles, dimension, rowKey, currentLabel]);
+
+    const fixBase = async (payload) => {
+        try {
+            setBusy(true);
+            const info = await engine.request("comparisonBase", payload);
+            if (info) onBaseChange(info);
+        } catch (error) {
+            console.error("Error al fijar el periodo A.", error);
+            alert(t("compare.baseError"));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const clearBase = async () => {
+        await engine.request("clearComparisonBase").catch(error => console.error("Error al quitar el periodo A.", error));
+        onBaseChange(null);
+    };
+
+    const exportReport = async () => {
+        try {
+            const buffer = await engine.request("exportComparison");
+            if (buffer) onExport(buffer);
+        } catch (error) {
+            console.error("Error al exportar la comparación.", error);
+        }
+    };
+
+    const activeEntries = table === "dimension" ? report?.dimension?.entries : report?.companies;
+    const keyLabel = table === "dimension" ? report?.dimension?.column ?? "" : t("compare.company");
+    const shownEntries = useMemo(() => {
+        if (!activeEntries) return [];
+        return sortEntries(statusFilter ? activeEntries.filter(e => e.status === statusFilter) : activeEntries, sortBy, sortDir);
+    }, [activeEntries, statusFilter, sortBy, sortDir]);
+    const movers = useMemo(() => (activeEntries ? largestMovers(activeEntries) : null), [activeEntries]);
+
+    const toggleSort = (by) => {
+        if (sortBy === by) { setSortDir(sortDir === "asc" ? "desc" : "asc"); } else { setSortBy(by); setSortDir(by === "key" ? "asc" : "desc"); }
+    };
+    const sortIcon = (by) => (sortBy === by ? (sortDir === "asc" ? " ▲" : " ▼") : "");
+    const keyText = (key) => key || t("value.empty");
+
+    const totals = report && [
+        ["compare.shipments", "count"],
+        ["compare.value", "value"],
+        ["compare.weight", "weight"],
+    ].map(([label, field]) => ({ label: t(label), before: report.beforeTotals[field], after: report.afterTotals[field] }));
+
+    return (
+        <div className="mt-6 bg-white rounded-2xl shadow p-4">
+            <div className="flex items-center justify-between gap-4 flex-wrap pb-3 border-b">
+                <h2 className="text-lg font-bold text-indigo-700">{t("toolbar.comparison")}</h2>
+                <div className="flex gap-2">
+                    <button onClick={() => onExportCSV(entriesToRows(shownEntries, keyLabel, t))} disabled={!shownEntries.length} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("compare.exportCSV")}</button>
+                    <button onClick={exportReport} disabled={!report} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("compare.exportReport")}</button>
+                </div>
+            </div>
+
+            <div className="mt-3 grid gap-4 md:grid-cols-2 text-sm">
+                <div className="space-y-2">
+                    <p className="text-xs font-semibold">{t("compare.periodA")}</p>
+                    {base ? (
+                        <p>
+                            {tr("results.rowsLabel", { name: <strong className="font-bold">{base.label}</strong>, count: base.rowCount })}
+                            <button onClick={clearBase} className="ml-2 text-xs text-indigo-700 hover:underline">{t("compare.change")}</button>
+                        </p>
+                    ) : (
+                        <>
+                            <div className="flex gap-2">
+                                <input type="text" value={baseLabel} onChange={(e) => setBaseLabel(e.target.value)} placeholder={t("compare.baseName")} className="flex-1 border rounded-lg px-2 py-1" />
+                                <button onClick={() => fixBase({ source: "result", label: baseLabel.trim() || currentLabel })} disabled={busy} className="border rounded-lg px-3 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">{t("compare.fixResults")}</button>
+                            </div>
+                            {cached.length > 0 && (
+                                <div className="flex gap-2">
+                                    <select value={cachedId} onChange={(e) => setCachedId(e.target.value)} className="flex-1 border rounded-lg px-2 py-1">
+                                        <option value="">{t("compare.useRecent")}</option>
+                                        {cached.map(d => <option key={d.id} value={d.id}>{t("results.rowsLabel", { name: d.id, count: d.rowCount })}</option>)}
+                                    </select>
+                                    <button onClick={() => fixBase({ source: "cache", id: cachedId, label: cachedId })} disabled={busy || !cachedId} className="border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("compare.useAsBase")}</button>
+                                </div>
+                            )}
+                            <p className="text-xs text-neutral-500">
+                                {t("compare.baseHelp")}
+                            </p>
+                        </>
+                    )}
+                    <p className="text-xs font-semibold pt-1">{t("compare.periodB")}</p>
+                    <p>{tr("compare.currentResults", { label: <strong className="font-bold">{currentLabel}</strong> })}</p>
+                </div>
+                <div className="space-y-2">
+                    <label className="block">
+                        <span className="text-xs font-semibold">{t("compare.dimension")}</span>
+                        <select value={dimension} onChange={(e) => setDimension(e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-1">
+                            <option value="">{t("compare.noDimension")}</option>
+                            {sharedColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="text-xs font-semibold">{t("compare.rowKey")}</span>
+                        <select value={rowKey} onChange={(e) => setRowKey(e.target.value)} className="mt-1 w-full border rounded-lg px-2 py-1">
+                            <option value="">{t("compare.noRowKey")}</option>
+                            {sharedColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                    </label>
+                    {!roles.value && <p className="text-xs text-neutral-500">{t("compare.valueHint")}</p>}
+                </div>
+            </div>
+
+            {busy && <p className="mt-3 text-xs text-indigo-600">{t("compare.running")}</p>}
+
+            {report && (
+                <div className="mt-4 space-y-4 text-sm">
+                    <div className="grid grid-cols-3 gap-2 text-center">
+                        {totals.map(({ label, before, after }) => (
+                            <div key={label} className="bg-neutral-50 rounded-lg p-2">
+                                <p className="text-xs text-neutral-600">{label}</p>
+                                <p>{formatNumber(before)} → <strong className="font-bold">{formatNumber(after)}</strong></p>
+                                <p className={`text-xs ${deltaClass(after - before)}`}>{formatDelta(after - before)} ({formatPct(percentChange(before, after))})</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {report.companies && (
+                        <p>
+                            {tr("compare.companiesSummary", {
+                                added: <strong className="font-bold text-green-700">{formatNumber(report.companies.filter(e => e.status === "new").length)}</strong>,
+                                gone: <strong className="font-bold text-red-700">{formatNumber(report.companies.filter(e => e.status === "gone").length)}</strong>,
+                                total: report.companies.length,
+                            })}
+                        </p>
+                    )}
+
+                    <div className="flex gap-2 items-center flex-wrap">
+                        {report.companies && <button onClick={() => setTable("companies")} className={`border rounded-lg px-3 py-1 ${table === "companies" ? "bg-indigo-600 text-white" : "hover:bg-neutral-100"}`}>{t("compare.companies")}</button>}
+                        {report.dimension && <button onClick={() => setTable("dimension")} className={`border rounded-lg px-3 py-1 ${table === "dimension" ? "bg-indigo-600 text-white" : "hover:bg-neutral-100"}`}>{report.dimension.column}</button>}
+                        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="border rounded-lg px-2 py-1 ml-auto">
+                            <option value="">{t("compare.allStatuses")}</option>
+                            {Object.entries(STATUS_LABELS).map(([status, label]) => <option key={status} value={status}>{t(label)}</option>)}
+                        </select>
+                    </div>
+
+                    {!activeEntries ? (
+                        <p className="text-xs text-neutral-500">
+                            {table === "companies" ? t("compare.companiesHint") : t("compare.dimensionHint")}
+                        </p>
+                    ) : (
+                        <>
+                            {movers && (movers.up.length > 0 || movers.down.length > 0) && (
+                                <div className="grid md:grid-cols-2 gap-4">
+                                    {[[t("compare.moversUp"), movers.up], [t("compare.moversDown"), movers.down]].map(([title, list]) => (
+                                        <div key={title}>
+                                            <p className="text-xs font-semibold mb-1">{title}</p>
+                                            <ul className="space-y-0.5">
+                                                {list.map(e => (
+                                                    <li key={e.key} className="flex justify-between gap-2">
+                                                        <span className="truncate" title={keyText(e.key)}>{keyText(e.key)}</span>
+                                                        <span className={`whitespace-nowrap ${deltaClass(e.valueDelta)}`}>{formatDelta(e.valueDelta)} ({formatPct(e.valuePct)})</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="overflow-x-auto max-h-96">
+                                <table className="min-w-full text-xs">
+                                    <thead className="bg-neutral-100 sticky top-0">
+                                        <tr>
+                                            {[["key", keyLabel, "text-left"], ["countDelta", t("compare.col.countAB"), "text-right"], ["before", t("compare.col.valueA"), "text-right"], ["after", t("compare.col.valueB"), "text-right"],
+                                                ["valueDelta", t("compare.col.delta"), "text-right"], ["valuePct", "%", "text-right"], ["weightDelta", t("compare.col.weightDelta"), "text-right"], ["weightPct", t("compare.col.weightPctShort"), "text-right"]].map(([by, label, align]) => (
+                                                <th key={by} className={`px-3 py-1 whitespace-nowrap ${align}`}>
+                                                    <button onClick={() => toggleSort(by)} className="font-bold hover:text-indigo-700">{label}{sortIcon(by)}</button>
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {shownEntries.slice(0, RENDER_LIMIT).map(e => (
+                                            <tr key={e.key} className="border-b last:border-b-0">
+                                                <td className="px-3 py-1 max-w-[280px]">
+                                                    <div className="truncate" title={keyText(e.key)}>
+                                                        {keyText(e.key)}
+                                                        {e.status !== "both" && <span className={`ml-2 rounded-full px-2 ${STATUS_CLASSES[e.status]}`}>{t(STATUS_LABELS[e.status])}</span>}
+                                                    </div>
+                                                </td>
+                                                <td className="px-3 py-1 text-right whitespace-nowrap">{formatNumber(e.before.count)} → {formatNumber(e.after.count)}</td>
+                                                <td className="px-3 py-1 text-right">{formatNumber(e.before.value)}</td>
+                                                <td className="px-3 py-1 text-right">{formatNumber(e.after.value)}</td>
+                                                <td className={`px-3 py-1 text-right ${deltaClass(e.valueDelta)}`}>{formatDelta(e.valueDelta)}</td>
+                                                <td className={`px-3 py-1 text-right ${deltaClass(e.valueDelta)}`}>{formatPct(e.valuePct)}</td>
+                                                <td className={`px-3 py-1 text-right ${deltaClass(e.weightDelta)}`}>{formatDelta(e.weightDelta)}</td>
+                                                <td className={`px-3 py-1 text-right ${deltaClass(e.weightDelta)}`}>{formatPct(e.weightPct)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {shownEntries.length > RENDER_LIMIT && (
+                                <p className="text-xs text-neutral-500">{t("compare.renderLimit", { shown: RENDER_LIMIT, total: shownEntries.length })}</p>
+                            )}
+                        </>
+                    )}
+
+                    {report.rowDiff && (
+                        <div>
+                            <p className="font-semibold mb-1">{t("compare.rowDiffTitle", { key: report.rowDiff.key })}</p>
+                            <p className="text-xs mb-2">
+                                {t("compare.rowDiffSummary", { added: report.rowDiff.added, removed: report.rowDiff.removed, changed: report.rowDiff.changed, unchanged: report.rowDiff.unchanged })}
+                                {report.rowDiff.emptyKeyRows > 0 && ` · ${t("compare.rowDiffEmptyKeys", { count: report.rowDiff.emptyKeyRows })}`}
+                                {report.rowDiff.duplicateKeys > 0 && ` · ${t("compare.rowDiffDuplicates", { count: report.rowDiff.duplicateKeys })}`}
+                            </p>
+                            <ul className="max-h-64 overflow-auto text-xs space-y-1">
+                                {report.rowDiff.changes.map(c => (
+                                    <li key={`${c.status}|${c.key}`} className="border rounded px-2 py-1">
+                                        <span className="font-semibold">{c.key}</span> — {t(ROW_STATUS_LABELS[c.status])}
+                                        {c.changes.map(({ column, before, after }) => (
+                                            <span key={column} className="block text-neutral-600">{column}: {String(before) || t("value.empty")} → {String(after) || t("value.empty")}</span>
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                            {report.rowDiff.added + report.rowDiff.removed + report.rowDiff.changed > report.rowDiff.changes.length && (
+                                <p className="text-xs text-neutral-500 mt-1">{t("compare.rowDiffLimit", { count: report.rowDiff.changes.length })}</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
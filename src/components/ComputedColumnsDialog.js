@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { FORMULA_FUNCTIONS, parseFormula } from "../engine/formula";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Columnas calculadas ---
+
+// Claves del catálogo: `<clave>` es el nombre del ejemplo y `<clave>Formula`, su fórmula con las
+// funciones en el idioma de la interfaz.
+const EXAMPLES = ["computed.examplePricePerKg", "computed.exampleYearMonth", "computed.exampleChapter", "computed.exampleValueBand", "computed.exampleSize"];
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   columns: string[],
+ *   definitions: import('../engine/formula').ComputedColumn[],
+ *   errors: import('../engine/formula').ComputedColumnError[],
+ *   onChange: (definitions: import('../engine/formula').ComputedColumn[]) => void,
+ *   onClose: () => void,
+ * }} props `columns` incluye las columnas calculadas ya aplicadas.
+ */
+export default function ComputedColumnsDialog({ engine, columns, definitions, errors, onChange, onClose }) {
+    const { t, tr, describeError } = useI18n();
+    // Índice de la definición en edición; `definitions.length` para una nueva.
+    const [editing, setEditing] = useState(definitions.length);
+    const [name, setName] = useState("");
+    const [formula, setFormula] = useState("");
+    const [preview, setPreview] = useState(null);
+
+    // Una fórmula puede usar las columnas leídas y las calculadas antes que ella.
+    const laterNames = new Set(definitions.slice(editing).map(d => d.name));
+    const available = columns.filter(col => !laterNames.has(col));
+    const parsed = formula.trim() ? parseFormula(formula, available) : null;
+    const trimmedName = name.trim();
+    const nameError = !trimmedName ? null
+        : available.includes(trimmedName) || definitions.some((d, i) => i !== editing && d.name === trimmedName) ? t("computed.nameExists", { name: trimmedName }) : null;
+    const canSave = !!trimmedName && !nameError && !!parsed && !parsed.error;
+
+    const startEdit = (index) => {
+        setEditing(index);
+        setName(definitions[index]?.name ?? "");
+        setFormula(definitions[index]?.formula ?? "");
+        setPreview(null);
+    };
+
+    const save = () => {
+        const next = [...definitions];
+        next.splice(editing, editing < definitions.length ? 1 : 0, { name: trimmedName, formula: formula.trim() });
+        onChange(next);
+        setEditing(next.length);
+        setName("");
+        setFormula("");
+        setPreview(null);
+    };
+
+    const remove = (index) => {
+        const next = definitions.filter((_, i) => i !== index);
+        onChange(next);
+        startEdit(next.length);
+    };
+
+    const runPreview = async () => {
+        try {
+            const res = await engine.request("formulaPreview", { formula });
+            if (res) setPreview(res.values);
+        } catch (error) {
+            console.error("Error al probar la fórmula.", error);
+        }
+    };
+
+    const errorFor = (defName) => errors.find(e => e.name === defName);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("computed.title")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("computed.intro")}
+                </p>
+
+                <div className="space-y-4 text-sm">
+                    {definitions.length > 0 && (
+                        <ul className="space-y-1">
+                            {definitions.map((d, i) => (
+                                <li key={d.name} className={`border rounded-lg px-3 py-2 ${i === editing ? "bg-indigo-50 border-indigo-300" : ""}`}>
+                                    <div className="flex items-center gap-2">
+                                        <span className="font-semibold">{d.name}</span>
+                                        <code className="flex-1 text-xs text-neutral-600 truncate" title={d.formula}>= {d.formula}</code>
+                                        <button onClick={() => startEdit(i)} className="text-xs text-indigo-700 hover:underline">{t("computed.edit")}</button>
+                                        <button onClick={() => remove(i)} className="text-neutral-500 hover:text-red-700 px-1" title={t("computed.delete")}>&times;</button>
+                                    </div>
+                                    {errorFor(d.name) && <p className="text-xs text-red-700 mt-1">{t("computed.notApplied", { message: describeError(errorFor(d.name)) })}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="border rounded-xl p-3 bg-neutral-50 space-y-2">
+                        <p className="font-semibold">{editing < definitions.length ? t("computed.editing", { name: definitions[editing].name }) : t("computed.new")}</p>
+                        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder={t("computed.namePlaceholder")} className="w-full border rounded-lg px-2 py-1" />
+                        {nameError && <p className="text-xs text-red-700">{nameError}</p>}
+                        <div className="flex gap-2">
+                            <textarea
+                                value={formula}
+                                onChange={(e) => { setFormula(e.target.value); setPreview(null); }}
+                                rows={2}
+                                placeholder="[Valor (USD)] / [Peso (KG)]"
+                                className="flex-1 border rounded-lg px-2 py-1 font-mono text-xs"
+                            />
+                            <select value="" onChange={(e) => { setFormula(f => `${f}[${e.target.value}]`); setPreview(null); }} className="border rounded-lg px-2 py-1 text-xs self-start w-40">
+                                <option value="">{t("computed.insertColumn")}</option>
+                                {available.map(col => <option key={col} value={col}>{col}</option>)}
+                            </select>
+                        </div>
+                        {parsed?.error && (
+                            <p className="text-xs text-red-700">
+                                {describeError(parsed.error)} <span className="text-neutral-500">{t("computed.position", { position: parsed.error.position + 1 })}</span>
+                            </p>
+                        )}
+                        {preview && (
+                            <p className="text-xs text-neutral-700">
+                                {t("computed.firstRows")} {preview.map((v, i) => <code key={i} className="mr-2 bg-white border rounded px-1">{v === "" ? t("value.empty") : String(v)}</code>)}
+                            </p>
+                        )}
+                        <div className="flex justify-end gap-2">
+                            {editing < definitions.length && (
+                                <button onClick={() => startEdit(definitions.length)} className="text-sm border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors">{t("computed.cancelEdit")}</button>
+                            )}
+                            <button onClick={runPreview} disabled={!parsed || !!parsed.error} className="text-sm border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("computed.test")}</button>
+                            <button onClick={save} disabled={!canSave} className="text-sm border rounded-lg px-4 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                                {t(editing < definitions.length ? "computed.saveChanges" : "computed.add")}
+                            </button>
+                        </div>
+                    </div>
+
+                    <details className="text-xs">
+                        <summary className="cursor-pointer font-semibold">{t("computed.help")}</summary>
+                        <div className="mt-2 grid md:grid-cols-2 gap-4">
+                            <div className="space-y-1">
+                                <p>{tr("computed.helpSyntax", { column: <code>[Valor (USD)]</code>, text: <code>"China"</code> })}</p>
+                                <p>{tr("computed.helpOperators", { arithmetic: <code>+ - * / ^</code>, join: <code>&amp;</code>, compare: <code>= &lt;&gt; &lt; &lt;= &gt; &gt;=</code> })}</p>
+                                <p>{t("computed.helpBlanks")}</p>
+                                <p className="font-semibold pt-1">{t("computed.examples")}</p>
+                                {EXAMPLES.map(key => (
+                                    <button key={key} onClick={() => { setName(t(key)); setFormula(t(`${key}Formula`)); setPreview(null); }} className="block text-left hover:text-indigo-700">
+                                        {t(key)}: <code>{t(`${key}Formula`)}</code>
+                                    </button>
+                                ))}
+                            </div>
+                            <ul className="space-y-0.5">
+                                {FORMULA_FUNCTIONS.map(f => <li key={f.names[0]}><code>{t(f.help)}</code></li>)}
+                            </ul>
+                        </div>
+                    </details>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Auditoría de calidad de datos ---
+
+/**
+ * @typedef {{ sheetName: string, rowCount: number, columns: import('../engine/audit').ColumnAudit[] }} AuditReport
+ */
+
+/**
+ * Conteo que, si no es cero, aplica el filtro de las filas afectadas.
+ * @param {{ count: number, onClick: () => void, title: string }} props
+ */
+function FindingCount({ count, onClick, title }) {
+    const { formatNumber } = useI18n();
+    if (!count) return <span className="text-neutral-400">0</span>;
+    return (
+        <button onClick={onClick} title={title} className="text-amber-700 font-semibold hover:underline">
+            {formatNumber(count)}
+        </button>
+    );
+}
+
+/**
+ * @param {{
+ *   title: string,
+ *   summary: import('../engine/audit').DuplicateReport['exact'],
+ *   onShowRows: () => void,
+ * }} props
+ */
+function DuplicateSummary({ title, summary, onShowRows }) {
+    const { t, formatNumber } = useI18n();
+    return (
+        <div className="border rounded-xl p-3 bg-neutral-50">
+            <p className="font-semibold">{title}</p>
+            {summary.groups === 0 ? (
+                <p className="text-xs text-neutral-500">{t("audit.none")}</p>
+            ) : (
+                <>
+                    <p className="text-xs">
+                        {t("audit.duplicateSummary", { groups: summary.groups, rows: summary.rows, extra: summary.extra })}
+                        <button onClick={onShowRows} className="ml-2 text-indigo-700 hover:underline">{t("audit.showRows")}</button>
+                    </p>
+                    <ul className="mt-1 text-xs max-h-40 overflow-auto">
+                        {summary.examples.map(group => (
+                            <li key={group.values.join("|")} className="flex justify-between gap-2 border-b py-0.5">
+                                <span className="truncate" title={group.values.join(" ≈ ")}>{group.values.join(" ≈ ")}</span>
+                                <span>{formatNumber(group.count)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   columns: string[],
+ *   onShowRows: (column: string, issue: import('../engine/audit').AuditIssue) => void,
+ *   onExport: (report: AuditReport & { duplicates: import('../engine/audit').DuplicateReport | null }) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function DataQualityPanel({ engine, columns, onShowRows, onExport, onClose }) {
+    const { t, tr } = useI18n();
+    const kindLabel = (kind) => t(`audit.kind.${kind}`);
+    /** @type {[AuditReport | null, React.Dispatch<React.SetStateAction<AuditReport | null>>]} */
+    const [report, setReport] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [keys, setKeys] = useState([]);
+    /** @type {[import('../engine/audit').DuplicateReport | null, React.Dispatch<React.SetStateAction<import('../engine/audit').DuplicateReport | null>>]} */
+    const [duplicates, setDuplicates] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        let active = true;
+        engine.request("audit", {}, { onProgress: (p) => { if (active) setProgress(p); } })
+            .then(res => { if (active && res) setReport(res); })
+            .catch(error => console.error("Error al auditar los datos.", error));
+        return () => { active = false; };
+    }, [engine]);
+
+    const toggleKey = (col) => {
+        setKeys(prev => (prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]));
+        setDuplicates(null);
+    };
+
+    const findDuplicates = async () => {
+        try {
+            setBusy(true);
+            const res = await engine.request("auditDuplicates", { keys });
+            if (res) setDuplicates(res);
+        } catch (error) {
+            console.error("Error al buscar duplicados.", error);
+            alert(t("audit.duplicatesError"));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const show = (column, issue) => {
+        onShowRows(column, issue);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("audit.title")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("audit.intro")}
+                </p>
+
+                {!report ? (
+                    <p className="text-sm text-indigo-600">
+                        {progress ? t("progress.stage", { stage: t(progress.stage, progress.params), percent: Math.round(progress.progress * 100) }) : t("audit.running")}
+                    </p>
+                ) : (
+                    <div className="space-y-5 text-sm">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <p>
+                                {tr("audit.summary", { sheet: <strong className="font-bold">{report.sheetName}</strong>, rows: report.rowCount, columns: report.columns.length })}
+                            </p>
+                            <button onClick={() => onExport({ ...report, duplicates })} className="text-sm border rounded-lg px-3 py-1 bg-green-500 text-white hover:bg-green-600 transition-colors">
+                                {t("audit.export")}
+                            </button>
+                        </div>
+
+                        <div className="overflow-auto border rounded-xl">
+                            <table className="min-w-full text-xs">
+                                <thead className="bg-neutral-100 text-left">
+                                    <tr>
+                                        <th className="p-2">{t("audit.column")}</th>
+                                        <th className="p-2">{t("audit.type")}</th>
+                                        <th className="p-2 text-right">{t("audit.blank")}</th>
+                                        <th className="p-2 text-right" title={t("audit.mixedTitle")}>{t("audit.mixed")}</th>
+                                        <th className="p-2 text-right" title={t("audit.invalidTitle")}>{t("audit.invalid")}</th>
+                                        <th className="p-2 text-right" title={t("audit.whitespaceTitle")}>{t("audit.whitespace")}</th>
+                                        <th className="p-2 text-right" title={t("audit.casingTitle")}>{t("audit.casing")}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.columns.map(c => (
+                                        <tr key={c.column} className="border-t align-top">
+                                            <td className="p-2 font-medium max-w-[220px] truncate" title={c.column}>{c.column}</td>
+                                            <td className="p-2 whitespace-nowrap">
+                                                {kindLabel(c.declaredType)}
+                                                {c.inferredType && c.inferredType !== c.declaredType && (
+                                                    <span className="ml-1 text-amber-700" title={t("audit.majorityTitle")}>
+                                                        {t("audit.majority", { kind: kindLabel(c.inferredType) })}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="p-2 text-right"><FindingCount count={c.blankCount} title={t("audit.showBlank")} onClick={() => show(c.column, { type: "blank" })} /></td>
+                                            <td className="p-2 text-right"><FindingCount count={c.mixedCount} title={t("audit.showMixed", { kind: c.inferredType ? kindLabel(c.inferredType) : "" })} onClick={() => show(c.column, { type: "mixed", kind: c.inferredType })} /></td>
+                                            <td className="p-2 text-right"><FindingCount count={c.invalidCount} title={t("audit.showInvalid")} onClick={() => show(c.column, { type: "invalid" })} /></td>
+                                            <td className="p-2 text-right"><FindingCount count={c.whitespaceCount} title={t("audit.showWhitespace")} onClick={() => show(c.column, { type: "whitespace" })} /></td>
+                                            <td className="p-2 text-right">
+                                                <FindingCount count={c.casingCount} title={c.casingExamples.slice(0, 5).map(v => v.join(" / ")).join("\n")} onClick={() => show(c.column, { type: "casing" })} />
+                                                {c.casingGroups > 0 && <span className="text-neutral-500"> {t("audit.casingGroups", { count: c.casingGroups })}</span>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="space-y-2">
+                            <h3 className="font-semibold">{t("audit.duplicates")}</h3>
+                            <p className="text-xs text-neutral-600">
+                                {t("audit.duplicatesIntro")}
+                            </p>
+                            <div className="flex flex-wrap gap-x-4 gap-y-1">
+                                {columns.map(col => (
+                                    <label key={col} className="flex items-center gap-1 text-xs">
+                                        <input type="checkbox" checked={keys.includes(col)} onChange={() => toggleKey(col)} /> {col}
+                                    </label>
+                                ))}
+                            </div>
+                            <button onClick={findDuplicates} disabled={busy || !keys.length} className="text-sm border rounded-lg px-4 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                                {t(busy ? "audit.searching" : "audit.findDuplicates")}
+                            </button>
+                            {duplicates && (
+                                <div className="grid md:grid-cols-2 gap-3">
+                                    <DuplicateSummary title={t("audit.exact")} summary={duplicates.exact} onShowRows={() => show(duplicates.keys[0], { type: "duplicate", keys: duplicates.keys })} />
+                                    <DuplicateSummary title={t("audit.near")} summary={duplicates.near} onShowRows={() => show(duplicates.keys[0], { type: "duplicate", keys: duplicates.keys, near: true })} />
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
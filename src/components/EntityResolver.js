@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import { acceptCluster, isClusterResolved } from "../engine/entities";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Unificación de nombres de empresa ---
+
+// Grupos dibujados a la vez; el buscador permite llegar al resto.
+const RENDER_LIMIT = 100;
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   columns: string[],
+ *   aliases: import('../engine/entities').CompanyAliases,
+ *   onChange: (aliases: import('../engine/entities').CompanyAliases) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function EntityResolver({ engine, columns, aliases, onChange, onClose }) {
+    const { t, formatNumber } = useI18n();
+    /** @type {[import('../engine/entities').CompanyCluster[] | null, React.Dispatch<React.SetStateAction<import('../engine/entities').CompanyCluster[] | null>>]} */
+    const [clusters, setClusters] = useState(null);
+    const [mergeKeys, setMergeKeys] = useState([]);
+    const [search, setSearch] = useState("");
+    const [showResolved, setShowResolved] = useState(false);
+    // Las propuestas se calculan una vez al abrir; las ediciones posteriores son locales hasta aceptarlas.
+    const [initialAliases] = useState(aliases);
+
+    useEffect(() => {
+        let active = true;
+        engine.request("companyClusters", { columns, aliases: initialAliases })
+            .then(res => { if (active && res) setClusters(res); })
+            .catch(error => console.error("Error al agrupar los nombres de empresa.", error));
+        return () => { active = false; };
+    }, [engine, columns, initialAliases]);
+
+    const pending = (clusters ?? []).filter(c => !isClusterResolved(c, aliases));
+
+    const updateCluster = (key, patch) => setClusters(prev => prev.map(c => (c.key === key ? { ...c, ...patch } : c)));
+
+    const accept = (cluster) => onChange(acceptCluster(aliases, cluster.members.map(m => m.name), cluster.canonical.trim()));
+
+    const acceptAll = () => onChange(pending.reduce((acc, c) => acceptCluster(acc, c.members.map(m => m.name), c.canonical.trim()), aliases));
+
+    // Separar una variante la saca del grupo y deshace su alias, si lo tenía.
+    const split = (cluster, name) => {
+        const members = cluster.members.filter(m => m.name !== name);
+        setClusters(prev => (members.length > 1 ? prev.map(c => (c.key === cluster.key ? { ...c, members } : c)) : prev.filter(c => c.key !== cluster.key)));
+        if (aliases[name] !== undefined) {
+            const next = { ...aliases };
+            delete next[name];
+            onChange(next);
+        }
+    };
+
+    const merge = () => {
+        const [target, ...rest] = mergeKeys.map(key => clusters.find(c => c.key === key));
+        const members = [target, ...rest].flatMap(c => c.members).sort((a, b) => b.count - a.count);
+        setClusters(prev => prev.filter(c => !rest.includes(c)).map(c => (c === target ? { ...c, members } : c)));
+        setMergeKeys([]);
+    };
+
+    const toggleMerge = (key) => setMergeKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+
+    const undoCanonical = (canonical) => onChange(Object.fromEntries(Object.entries(aliases).filter(([, target]) => target !== canonical)));
+
+    const needle = search.trim().toLowerCase();
+    const visible = (clusters ?? [])
+        .filter(c => showResolved || !isClusterResolved(c, aliases))
+        .filter(c => !needle || c.members.some(m => m.name.toLowerCase().includes(needle)));
+
+    const savedGroups = Object.entries(aliases).reduce((acc, [name, canonical]) => {
+        (acc[canonical] = acc[canonical] || []).push(name);
+        return acc;
+    }, {});
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("toolbar.entities")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("entities.intro", { columns: columns.join(" / ") })}
+                </p>
+
+                {!columns.length ? (
+                    <p className="text-sm text-red-700">{t("entities.missingColumns")}</p>
+                ) : !clusters ? (
+                    <p className="text-sm text-indigo-600">{t("entities.searching")}</p>
+                ) : (
+                    <>
+                        <div className="flex items-center gap-3 flex-wrap mb-3">
+                            <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder={t("entities.search")} className="flex-1 border rounded-lg px-3 py-1 text-sm" />
+                            <label className="flex items-center gap-1 text-xs">
+                                <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} /> {t("entities.showResolved")}
+                            </label>
+                            <button onClick={merge} disabled={mergeKeys.length < 2} className="text-sm border rounded-lg px-3 py-1 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("entities.merge", { count: mergeKeys.length })}</button>
+                            <button onClick={acceptAll} disabled={!pending.length} className="text-sm border rounded-lg px-3 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">{t("entities.acceptAll", { count: pending.length })}</button>
+                        </div>
+
+                        {!visible.length && <p className="text-sm text-neutral-500">{t("entities.nonePending")}</p>}
+                        <ul className="space-y-3">
+                            {visible.slice(0, RENDER_LIMIT).map(cluster => {
+                                const resolved = isClusterResolved(cluster, aliases);
+                                return (
+                                    <li key={cluster.key} className={`border rounded-xl p-3 ${resolved ? "bg-green-50" : "bg-neutral-50"}`}>
+                                        <div className="flex items-center gap-2 mb-2">
+                                            <input type="checkbox" checked={mergeKeys.includes(cluster.key)} onChange={() => toggleMerge(cluster.key)} title={t("entities.selectToMerge")} />
+                                            <label className="text-xs font-semibold whitespace-nowrap">{t("entities.canonical")}</label>
+                                            <input
+                                                type="text"
+                                                list={`canonical-${cluster.key}`}
+                                                value={cluster.canonical}
+                                                onChange={(e) => updateCluster(cluster.key, { canonical: e.target.value })}
+                                                className="flex-1 border rounded-lg px-2 py-1 text-sm"
+                                            />
+                                            <datalist id={`canonical-${cluster.key}`}>
+                                                {cluster.members.map(m => <option key={m.name} value={m.name} />)}
+                                            </datalist>
+                                            {resolved ? (
+                                                <span className="text-xs text-green-700 font-semibold">{t("entities.accepted")}</span>
+                                            ) : (
+                                                <button onClick={() => accept(cluster)} disabled={!cluster.canonical.trim()} className="text-xs border rounded-lg px-2 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">{t("entities.accept")}</button>
+                                            )}
+                                        </div>
+                                        <ul className="flex flex-wrap gap-2">
+                                            {cluster.members.map(m => (
+                                                <li key={m.name} className="text-xs bg-white border rounded-full pl-2 pr-1 py-0.5 flex items-center gap-1">
+                                                    <span>{m.name}</span>
+                                                    <span className="text-neutral-500">({formatNumber(m.count)})</span>
+                                                    <button onClick={() => split(cluster, m.name)} className="text-neutral-500 hover:text-red-700 px-1" title={t("entities.split")}>&times;</button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                        {visible.length > RENDER_LIMIT && <p className="text-xs text-neutral-500 mt-2">{t("entities.truncated", { shown: RENDER_LIMIT, total: visible.length })}</p>}
+                    </>
+                )}
+
+                {Object.keys(savedGroups).length > 0 && (
+                    <details className="mt-6 text-sm">
+                        <summary className="cursor-pointer font-semibold">{t("entities.saved", { count: Object.keys(aliases).length })}</summary>
+                        <ul className="mt-2 space-y-1 max-h-60 overflow-auto">
+                            {Object.entries(savedGroups).map(([canonical, names]) => (
+                                <li key={canonical} className="flex items-start justify-between gap-2 text-xs border-b pb-1">
+                                    <span><strong className="font-bold">{canonical}</strong> ← {names.join(" · ")}</span>
+                                    <button onClick={() => undoCanonical(canonical)} className="text-indigo-700 hover:underline whitespace-nowrap">{t("entities.undo")}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </details>
+                )}
+            </div>
+        </div>
+    );
+}
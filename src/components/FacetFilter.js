@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Filtro por facetas (selección múltiple con conteos) ---
+
+/**
+ * @param {{
+ *   counts: import('../engine/types').ValueCount[],
+ *   selection?: import('../engine/types').FacetSelection,
+ *   onChange: (selection: import('../engine/types').FacetSelection | undefined) => void,
+ * }} props
+ */
+export default function FacetFilter({ counts, selection, onChange }) {
+    const { t, formatNumber } = useI18n();
+    const [search, setSearch] = useState("");
+    const selected = new Set(selection?.values ?? []);
+    const exclude = !!selection?.exclude;
+
+    // Los valores seleccionados siguen visibles aunque el resto de filtros los deje en 0.
+    const countByValue = new Map(counts.map(c => [c.value, c.count]));
+    const items = [...counts, ...[...selected].filter(v => !countByValue.has(v)).map(value => ({ value, count: 0 }))];
+    const needle = search.trim().toLowerCase();
+    const visibleItems = needle ? items.filter(({ value }) => value.toLowerCase().includes(needle)) : items;
+
+    const update = (values, nextExclude = exclude) => onChange(values.length ? { values, exclude: nextExclude } : undefined);
+    const toggle = (value) => update(selected.has(value) ? [...selected].filter(v => v !== value) : [...selected, value]);
+
+    return (
+        <details className="mt-2 text-xs">
+            <summary className="cursor-pointer font-medium text-neutral-700">
+                {t("facet.values", { count: items.length })}{selected.size > 0 && <span className="ml-1 text-indigo-700">· {t(exclude ? "facet.excluded" : "facet.selected", { count: selected.size })}</span>}
+            </summary>
+            <div className="mt-2 flex gap-2 items-center">
+                <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder={t("facet.search")} className="flex-1 border rounded-lg px-2 py-1" />
+                <select value={exclude ? "exclude" : "include"} onChange={(e) => update([...selected], e.target.value === "exclude")} className="border rounded-lg px-1 py-1">
+                    <option value="include">{t("facet.include")}</option>
+                    <option value="exclude">{t("facet.exclude")}</option>
+                </select>
+            </div>
+            <ul className="mt-2 max-h-48 overflow-auto space-y-0.5 border rounded-lg bg-white p-1">
+                {visibleItems.map(({ value, count }) => (
+                    <li key={value}>
+                        <label className={`flex items-center gap-2 px-1 rounded cursor-pointer hover:bg-neutral-100 ${count === 0 ? "text-neutral-400" : ""}`}>
+                            <input type="checkbox" checked={selected.has(value)} onChange={() => toggle(value)} />
+                            <span className="flex-1 truncate" title={value}>{value || t("value.empty")}</span>
+                            <span className="text-neutral-500">{formatNumber(count)}</span>
+                        </label>
+                    </li>
+                ))}
+                {!visibleItems.length && <li className="px-1 text-neutral-500">{t("facet.noMatches")}</li>}
+            </ul>
+            {selected.size > 0 && (
+                <button onClick={() => onChange(undefined)} className="mt-1 text-indigo-700 hover:underline">{t("facet.clear")}</button>
+            )}
+        </details>
+    );
+}
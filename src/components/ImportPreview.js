@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { DELIMITER_OPTIONS, ENCODING_OPTIONS, buildHeaderKeys } from "../engine/importOptions";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Vista previa de importación ---
+
+/**
+ * Se monta de nuevo (con `key`) al cambiar de hoja, codificación o separador, para partir
+ * siempre de la fila de encabezado detectada.
+ * @param {{
+ *   preview: import('../engine/importOptions').ImportPreview,
+ *   busy: boolean,
+ *   onChange: (patch: { sheetName?: string, encoding?: string, delimiter?: string }) => void,
+ *   onConfirm: (options: import('../engine/importOptions').ImportOptions) => void,
+ *   onCancel: () => void,
+ * }} props
+ */
+export default function ImportPreview({ preview, busy, onChange, onConfirm, onCancel }) {
+    const { fileName, isText, encoding, delimiter, sheetNames, sheetName, rows, totalRows } = preview;
+    const { t } = useI18n();
+    const [headerRow, setHeaderRow] = useState(preview.headerRow);
+    const [skipBottom, setSkipBottom] = useState(0);
+    const [excluded, setExcluded] = useState(() => new Set());
+
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const headerKeys = buildHeaderKeys(Array.from({ length: width }, (_, i) => rows[headerRow]?.[i]));
+    const dataRows = Math.max(0, totalRows - headerRow - 1 - skipBottom);
+    const selectedCount = headerKeys.filter(key => !excluded.has(key)).length;
+
+    const changeHeaderRow = (value) => {
+        setHeaderRow(Math.min(Math.max(0, (parseInt(value, 10) || 1) - 1), Math.max(0, rows.length - 1)));
+        setExcluded(new Set());
+    };
+
+    const toggleColumn = (key) => setExcluded(prev => {
+        const next = new Set(prev);
+        if (next.has(key)) next.delete(key); else next.add(key);
+        return next;
+    });
+
+    const confirm = () => onConfirm({
+        sheetName,
+        headerRow,
+        skipBottom,
+        columns: excluded.size ? headerKeys.filter(key => !excluded.has(key)) : null,
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-6xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onCancel} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("importPreview.title", { file: fileName })}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("importPreview.intro")}
+                </p>
+
+                <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+                    {sheetNames.length > 1 && (
+                        <label className="flex flex-col gap-1">
+                            <span className="text-xs font-semibold">{t("importPreview.sheet")}</span>
+                            <select value={sheetName} onChange={(e) => onChange({ sheetName: e.target.value })} disabled={busy} className="border rounded-lg px-2 py-1">
+                                {sheetNames.map(s => <option key={s} value={s}>{s}</option>)}
+                            </select>
+                        </label>
+                    )}
+                    {isText && (
+                        <>
+                            <label className="flex flex-col gap-1">
+                                <span className="text-xs font-semibold">{t("importPreview.encoding")}</span>
+                                <select value={encoding} onChange={(e) => onChange({ encoding: e.target.value })} disabled={busy} className="border rounded-lg px-2 py-1">
+                                    {ENCODING_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                </select>
+                            </label>
+                            <label className="flex flex-col gap-1">
+                                <span className="text-xs font-semibold">{t("importPreview.delimiter")}</span>
+                                <select value={delimiter} onChange={(e) => onChange({ delimiter: e.target.value })} disabled={busy} className="border rounded-lg px-2 py-1">
+                                    {DELIMITER_OPTIONS.map(o => <option key={o.value} value={o.value}>{t(o.label)}</option>)}
+                                </select>
+                            </label>
+                        </>
+                    )}
+                    <label className="flex flex-col gap-1">
+                        <span className="text-xs font-semibold">{t("importPreview.headerRow", { row: preview.headerRow + 1 })}</span>
+                        <input type="number" min={1} max={Math.max(1, rows.length)} value={headerRow + 1} onChange={(e) => changeHeaderRow(e.target.value)} className="border rounded-lg px-2 py-1 w-28" />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                        <span className="text-xs font-semibold">{t("importPreview.skipBottom")}</span>
+                        <input type="number" min={0} value={skipBottom} onChange={(e) => setSkipBottom(Math.max(0, parseInt(e.target.value, 10) || 0))} className="border rounded-lg px-2 py-1 w-28" />
+                    </label>
+                </div>
+
+                <p className="text-xs text-neutral-600 mb-2">
+                    {t("importPreview.summary", { rows: dataRows, selected: selectedCount, total: headerKeys.length })}
+                    {rows.length < totalRows && ` ${t("importPreview.partial", { shown: rows.length, total: totalRows })}`}
+                </p>
+
+                <div className="overflow-auto border rounded-xl max-h-[50vh]">
+                    <table className="min-w-full text-xs">
+                        <thead className="bg-neutral-100 sticky top-0">
+                            <tr>
+                                <th className="px-2 py-1 text-neutral-500">#</th>
+                                {headerKeys.map(key => (
+                                    <th key={key} className="px-2 py-1 text-left whitespace-nowrap">
+                                        <label className="flex items-center gap-1">
+                                            <input type="checkbox" checked={!excluded.has(key)} onChange={() => toggleColumn(key)} />
+                                            <span className={excluded.has(key) ? "line-through text-neutral-400" : ""}>{key}</span>
+                                        </label>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row, r) => {
+                                const tone = r < headerRow ? "text-neutral-400 bg-neutral-50" : r === headerRow ? "font-bold bg-indigo-50" : "";
+                                return (
+                                    <tr key={r} className={`border-t ${tone}`}>
+                                        <td className="px-2 py-1 text-neutral-500">{r + 1}</td>
+                                        {headerKeys.map((key, c) => (
+                                            <td key={key} className={`px-2 py-1 whitespace-nowrap ${excluded.has(key) ? "text-neutral-300" : ""}`}>{row[c] ?? ""}</td>
+                                        ))}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex justify-end gap-2 mt-4">
+                    <button onClick={onCancel} className="text-sm border rounded-lg px-4 py-2 hover:bg-neutral-100 transition-colors">{t("common.cancel")}</button>
+                    <button onClick={confirm} disabled={busy || !selectedCount || !dataRows} className="text-sm border rounded-lg px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">{t("importPreview.import")}</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+import { joinKey } from "../engine/join";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Cruzar con una tabla de búsqueda ---
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   columns: string[],
+ *   onJoined: (info: object) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function JoinDialog({ engine, columns, onJoined, onClose }) {
+    const { t, tr, formatNumber } = useI18n();
+    /** @type {[import('../engine/merge').MergeSource[] | null, React.Dispatch<React.SetStateAction<import('../engine/merge').MergeSource[] | null>>]} */
+    const [sources, setSources] = useState(null);
+    const [sourceLabel, setSourceLabel] = useState("");
+    const [key, setKey] = useState(columns[0] ?? "");
+    const [lookupKey, setLookupKey] = useState("");
+    const [picked, setPicked] = useState([]);
+    const [busy, setBusy] = useState(false);
+    /** @type {[import('../engine/join').JoinReport | null, React.Dispatch<React.SetStateAction<import('../engine/join').JoinReport | null>>]} */
+    const [report, setReport] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        engine.request("lookupSources", {})
+            .then(res => { if (active && res) setSources(res); })
+            .catch(error => console.error("Error al listar las hojas.", error));
+        return () => { active = false; };
+    }, [engine]);
+
+    const source = sources?.find(s => s.label === sourceLabel) ?? null;
+
+    // Al elegir tabla se propone como clave la columna con el mismo nombre y se traen las demás.
+    const chooseSource = (label) => {
+        const next = sources.find(s => s.label === label);
+        setSourceLabel(label);
+        if (!next) return;
+        const sameName = next.columns.find(col => joinKey(col) === joinKey(key)) ?? next.columns[0] ?? "";
+        setLookupKey(sameName);
+        setPicked(next.columns.filter(col => col !== sameName));
+        setReport(null);
+    };
+
+    const addFile = async (file) => {
+        try {
+            setBusy(true);
+            const res = await engine.request("lookupSources", { file });
+            if (!res) return;
+            setSources(res);
+            const added = res.filter(s => s.fileName === file.name);
+            if (added.length) chooseSource(added[0].label);
+        } catch (error) {
+            console.error("Error al leer el archivo de búsqueda.", error);
+            alert(t("join.fileError"));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const togglePicked = (col) => setPicked(prev => (prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]));
+
+    const run = async () => {
+        try {
+            setBusy(true);
+            const info = await engine.request("join", { file: source.file, sheetName: source.sheetName, key, lookupKey, columns: picked });
+            if (!info) return;
+            setReport(info.report);
+            onJoined(info);
+        } catch (error) {
+            console.error("Error al cruzar las tablas.", error);
+            alert(t("join.error"));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onClose} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{t("join.title")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("join.intro")}
+                </p>
+
+                {!sources ? (
+                    <p className="text-sm text-indigo-600">{t("join.loading")}</p>
+                ) : (
+                    <div className="space-y-4 text-sm">
+                        <div className="flex flex-wrap items-end gap-3">
+                            <label className="flex flex-col gap-1 flex-1 min-w-[200px]">
+                                <span className="text-xs font-semibold">{t("join.lookupTable")}</span>
+                                <select value={sourceLabel} onChange={(e) => chooseSource(e.target.value)} className="border rounded-lg px-2 py-1">
+                                    <option value="">{t("join.chooseSheet")}</option>
+                                    {sources.map(s => <option key={`${s.file}|${s.sheetName}`} value={s.label}>{t("results.rowsLabel", { name: s.label, count: s.rowCount })}</option>)}
+                                </select>
+                            </label>
+                            <label className="text-sm border rounded-lg px-3 py-1 cursor-pointer hover:bg-neutral-100 transition-colors">
+                                {t("join.loadFile")}
+                                <input
+                                    type="file"
+                                    accept=".xlsx,.xls,.csv,.tsv,.txt"
+                                    className="hidden"
+                                    disabled={busy}
+                                    onChange={(e) => {
+                                        const f = e.target.files?.[0];
+                                        if (f) addFile(f);
+                                        e.target.value = "";
+                                    }}
+                                />
+                            </label>
+                        </div>
+
+                        {source && (
+                            <>
+                                <div className="flex flex-wrap gap-3">
+                                    <label className="flex flex-col gap-1">
+                                        <span className="text-xs font-semibold">{t("join.key")}</span>
+                                        <select value={key} onChange={(e) => setKey(e.target.value)} className="border rounded-lg px-2 py-1">
+                                            {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                                        </select>
+                                    </label>
+                                    <label className="flex flex-col gap-1">
+                                        <span className="text-xs font-semibold">{t("join.lookupKey")}</span>
+                                        <select value={lookupKey} onChange={(e) => setLookupKey(e.target.value)} className="border rounded-lg px-2 py-1">
+                                            {source.columns.map(col => <option key={col} value={col}>{col}</option>)}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div>
+                                    <span className="text-xs font-semibold">{t("join.columns")}</span>
+                                    <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1">
+                                        {source.columns.filter(col => col !== lookupKey).map(col => (
+                                            <label key={col} className="flex items-center gap-1 text-xs">
+                                                <input type="checkbox" checked={picked.includes(col)} onChange={() => togglePicked(col)} /> {col}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="flex justify-end">
+                                    <button onClick={run} disabled={busy || !key || !lookupKey || !picked.length} className="text-sm border rounded-lg px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                                        {busy ? t("join.running") : t("join.run", { count: picked.length })}
+                                    </button>
+                                </div>
+                            </>
+                        )}
+
+                        {report && (
+                            <div className="border rounded-xl p-3 bg-neutral-50">
+                                <p className="font-semibold mb-1">{t("join.added", { columns: report.addedColumns.join(", ") })}</p>
+                                <ul className="text-xs space-y-0.5 mb-2">
+                                    <li>{tr("join.matched", { count: <strong className="font-bold">{formatNumber(report.matchedRows)}</strong> })}</li>
+                                    <li>{tr("join.unmatched", { count: <strong className="font-bold">{formatNumber(report.unmatchedRows)}</strong>, keys: report.unmatchedKeyCount })}</li>
+                                    {report.emptyKeyRows > 0 && <li>{t("join.emptyKeys", { count: report.emptyKeyRows })}</li>}
+                                    {report.duplicateLookupKeys > 0 && <li className="text-amber-700">{t("join.duplicateKeys", { count: report.duplicateLookupKeys })}</li>}
+                                </ul>
+                                {report.unmatchedKeys.length > 0 && (
+                                    <details className="text-xs">
+                                        <summary className="cursor-pointer">{report.unmatchedKeyCount > report.unmatchedKeys.length ? t("join.unmatchedKeysTop", { count: report.unmatchedKeys.length }) : t("join.unmatchedKeys")}</summary>
+                                        <ul className="mt-1 max-h-48 overflow-auto">
+                                            {report.unmatchedKeys.map(({ value, count }) => (
+                                                <li key={value} className="flex justify-between border-b py-0.5"><span>{value}</span><span>{formatNumber(count)}</span></li>
+                                            ))}
+                                        </ul>
+                                    </details>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import React from "react";
+import { LOCALES } from "../engine/i18n";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Selector de idioma ---
+// Cambia los textos de la interfaz y el formato de números y fechas.
+
+export default function LanguageSwitcher() {
+    const { locale, setLocale, t } = useI18n();
+    return (
+        <select
+            value={locale}
+            onChange={(e) => setLocale(/** @type {import('../engine/i18n').Locale} */ (e.target.value))}
+            className="border rounded-lg px-2 py-1 text-sm bg-white"
+            title={t("language.label")}
+            aria-label={t("language.label")}
+        >
+            {Object.entries(LOCALES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+        </select>
+    );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { SOURCE_COLUMN, suggestColumnMapping } from "../engine/merge";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Combinar archivos y hojas ---
+
+const NEW_COLUMN = "";
+const DROP_COLUMN = "__drop__";
+
+/**
+ * @param {{
+ *   sources: import('../engine/merge').MergeSource[],
+ *   baseColumns: string[] | null,
+ *   onConfirm: (options: { sources: { file: number, sheetName: string }[], mappings: Object<string, import('../engine/merge').ColumnMapping>, dedupeKeys: string[] }) => void,
+ *   onCancel: () => void,
+ * }} props `baseColumns` son las columnas del conjunto actual cuando se añaden archivos a él.
+ */
+export default function MergeDialog({ sources, baseColumns, onConfirm, onCancel }) {
+    const { t } = useI18n();
+    // Por defecto, la primera hoja de cada archivo (lo habitual: un libro por mes).
+    const [checked, setChecked] = useState(() => new Set(sources.filter((s, i) => sources.findIndex(o => o.file === s.file) === i).map(s => s.label)));
+    // Correspondencias elegidas a mano; el resto se toma de la sugerencia por nombre.
+    const [overrides, setOverrides] = useState({});
+    const [dedupeKeys, setDedupeKeys] = useState([]);
+
+    const selected = sources.filter(s => checked.has(s.label));
+    const base = baseColumns ? baseColumns.filter(col => col !== SOURCE_COLUMN) : selected[0]?.columns ?? [];
+    const others = baseColumns ? selected : selected.slice(1);
+
+    const mappings = Object.fromEntries(others.map(source => [
+        source.label,
+        { ...suggestColumnMapping(source.columns, base), ...overrides[source.label] },
+    ]));
+    const mismatches = others
+        .map(source => ({ source, columns: source.columns.filter(col => !base.includes(col)) }))
+        .filter(({ columns }) => columns.length);
+
+    const resultColumns = [...base];
+    others.forEach(source => source.columns.forEach(col => {
+        const target = mappings[source.label][col] === undefined ? col : mappings[source.label][col];
+        if (target !== null && !resultColumns.includes(target)) resultColumns.push(target);
+    }));
+
+    const toggleSource = (label) => setChecked(prev => {
+        const next = new Set(prev);
+        if (next.has(label)) next.delete(label); else next.add(label);
+        return next;
+    });
+
+    const setMapping = (label, col, value) => setOverrides(prev => {
+        const current = { ...prev[label] };
+        if (value === NEW_COLUMN) current[col] = col;
+        else current[col] = value === DROP_COLUMN ? null : value;
+        return { ...prev, [label]: current };
+    });
+
+    const toggleKey = (col) => setDedupeKeys(prev => (prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]));
+
+    const confirm = () => onConfirm({
+        sources: selected.map(({ file, sheetName }) => ({ file, sheetName })),
+        mappings,
+        dedupeKeys: dedupeKeys.filter(col => resultColumns.includes(col)),
+    });
+
+    const mappingValue = (label, col) => {
+        const target = mappings[label][col];
+        if (target === null) return DROP_COLUMN;
+        return target === undefined || target === col ? NEW_COLUMN : target;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-auto p-6 relative">
+                <button onClick={onCancel} className="absolute top-4 right-4 text-neutral-500 hover:text-neutral-900 text-2xl">&times;</button>
+                <h2 className="text-xl font-bold text-indigo-700 mb-1 border-b pb-2">{baseColumns ? t("merge.appendTitle") : t("merge.title")}</h2>
+                <p className="text-xs text-neutral-600 mb-4">
+                    {t("merge.intro", { column: SOURCE_COLUMN })}{baseColumns && ` ${t("merge.keepsCriteria")}`}
+                </p>
+
+                <h3 className="font-semibold text-sm mb-2">{t("merge.sheets")}</h3>
+                <ul className="space-y-1 mb-4 max-h-48 overflow-auto text-sm">
+                    {sources.map(source => (
+                        <li key={source.label}>
+                            <label className="flex items-center gap-2">
+                                <input type="checkbox" checked={checked.has(source.label)} onChange={() => toggleSource(source.label)} />
+                                <span>{source.label}</span>
+                                <span className="text-xs text-neutral-500">{t("merge.sheetSize", { rows: source.rowCount, columns: source.columns.length })}</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+
+                {mismatches.length > 0 && (
+                    <>
+                        <h3 className="font-semibold text-sm mb-1">{t("merge.mismatches")}</h3>
+                        <p className="text-xs text-neutral-600 mb-2">
+                            {baseColumns ? t("merge.mismatchesLoaded") : t("merge.mismatchesSheet", { sheet: selected[0]?.label })}
+                        </p>
+                        <div className="space-y-3 mb-4">
+                            {mismatches.map(({ source, columns }) => (
+                                <div key={source.label} className="border rounded-xl p-3 bg-neutral-50">
+                                    <div className="text-xs font-semibold mb-2">{source.label}</div>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                        {columns.map(col => (
+                                            <label key={col} className="flex items-center gap-2 text-xs">
+                                                <span className="w-1/2 truncate" title={col}>{col}</span>
+                                                <select value={mappingValue(source.label, col)} onChange={(e) => setMapping(source.label, col, e.target.value)} className="flex-1 border rounded-lg px-2 py-1">
+                                                    <option value={NEW_COLUMN}>{t("merge.newColumn")}</option>
+                                                    <option value={DROP_COLUMN}>{t("merge.drop")}</option>
+                                                    {base.map(b => <option key={b} value={b}>{b}</option>)}
+                                                </select>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <details className="mb-4 text-sm">
+                    <summary className="cursor-pointer font-semibold">{dedupeKeys.length > 0 ? t("merge.dedupeKey", { key: dedupeKeys.join(" + ") }) : t("merge.dedupe")}</summary>
+                    <p className="text-xs text-neutral-600 my-2">{t("merge.dedupeHelp")}</p>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 max-h-40 overflow-auto">
+                        {resultColumns.map(col => (
+                            <label key={col} className="flex items-center gap-1 text-xs">
+                                <input type="checkbox" checked={dedupeKeys.includes(col)} onChange={() => toggleKey(col)} /> {col}
+                            </label>
+                        ))}
+                    </div>
+                </details>
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={onCancel} className="text-sm border rounded-lg px-4 py-2 hover:bg-neutral-100 transition-colors">{t("common.cancel")}</button>
+                    <button onClick={confirm} disabled={!selected.length} className="text-sm border rounded-lg px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                        {baseColumns ? t("merge.append", { count: selected.length }) : t("merge.run", { count: selected.length })}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Campo numérico según el idioma ---
+// Acepta los separadores del idioma ("1.234,5" en español) además de "1234.5". Mientras se escribe
+// se conserva el texto tal cual; un texto que no es un número no cambia el valor.
+
+/**
+ * @param {{
+ *   value: number | undefined,
+ *   onChange: (value: number | undefined) => void,
+ *   placeholder?: string,
+ *   className?: string,
+ * }} props
+ */
+export default function NumberInput({ value, onChange, placeholder, className = "" }) {
+    const { t, formatNumber, parseNumber } = useI18n();
+    // Texto que se está editando y el valor que representa; si el valor cambia desde fuera, se descarta.
+    const [draft, setDraft] = useState(null);
+    const editing = draft && Object.is(draft.value, value);
+    const invalid = editing && draft.invalid;
+    const text = editing ? draft.text : value === undefined || value === null ? "" : formatNumber(value, { maximumFractionDigits: 20 });
+
+    const handleChange = (next) => {
+        if (next.trim() === "") {
+            setDraft({ text: next, value: undefined, invalid: false });
+            onChange(undefined);
+            return;
+        }
+        const parsed = parseNumber(next);
+        setDraft({ text: next, value: parsed ?? value, invalid: parsed === null });
+        if (parsed !== null && !Object.is(parsed, value)) onChange(parsed);
+    };
+
+    return (
+        <input
+            type="text"
+            inputMode="decimal"
+            value={text}
+            onChange={(e) => handleChange(e.target.value)}
+            onBlur={() => setDraft(null)}
+            placeholder={placeholder}
+            title={invalid ? t("filter.invalidNumber") : undefined}
+            className={`${className} ${invalid ? "border-red-500" : ""}`}
+        />
+    );
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ADDITIVE_OPS, PIVOT_OPS, measureLabel, percentOfTotal, pivotToRows, sortPivotGroups } from "../engine/pivot";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Tabla dinámica sobre los resultados filtrados ---
+
+// Más grupos que esto se exportan, pero no se dibujan.
+const RENDER_LIMIT = 500;
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   version: number | undefined,
+ *   columns: string[],
+ *   numericColumns: Set<string>,
+ *   roles: import('../engine/roles').ColumnRoles,
+ *   onDrillDown: (keys: { column: string, key: string }[]) => void,
+ *   onExport: (rows: import('../engine/types').Row[]) => void,
+ * }} props
+ */
+export default function PivotPanel({ engine, version, columns, numericColumns, roles, onDrillDown, onExport }) {
+    const { t, formatNumber } = useI18n();
+    const [dimensions, setDimensions] = useState(() => [roles.importer ?? columns[0], ""]);
+    const [measures, setMeasures] = useState(() => [{ op: "count" }, ...(roles.value ? [{ op: "sum", column: roles.value }] : [])]);
+    const [sortBy, setSortBy] = useState(0);
+    const [sortDir, setSortDir] = useState("desc");
+    /** @type {[import('../engine/pivot').PivotResult | null, React.Dispatch<React.SetStateAction<import('../engine/pivot').PivotResult | null>>]} */
+    const [pivot, setPivot] = useState(null);
+    const [isComputing, setIsComputing] = useState(false);
+
+    const numericList = columns.filter(c => numericColumns.has(c));
+    const ratioAvailable = !!(roles.value && roles.weight);
+    // Medidas completas: las que necesitan columna y aún no la tienen no se calculan.
+    const spec = useMemo(() => ({
+        dimensions: dimensions.filter(Boolean),
+        measures: measures.filter(m => (m.op === "ratio" ? ratioAvailable : !PIVOT_OPS.find(o => o.op === m.op).needsColumn || m.column)),
+    }), [dimensions, measures, ratioAvailable]);
+
+    useEffect(() => {
+        if (!spec.dimensions.length || !spec.measures.length) { setPivot(null); return; }
+        let active = true;
+        setIsComputing(true);
+        engine.request("pivot", { spec, roles })
+            .then(res => { if (active && res) setPivot(res); })
+            .catch(error => console.error("Error al calcular la tabla dinámica.", error))
+            .finally(() => { if (active) setIsComputing(false); });
+        return () => { active = false; };
+    }, [engine, version, spec, roles]);
+
+    const sortedGroups = useMemo(() => {
+        if (!pivot) return [];
+        return sortPivotGroups(pivot.groups, sortBy < pivot.measures.length ? sortBy : -1, sortDir);
+    }, [pivot, sortBy, sortDir]);
+
+    const setDimension = (i, column) => setDimensions(prev => prev.map((d, j) => (j === i ? column : d)));
+    const setMeasure = (i, patch) => setMeasures(prev => prev.map((m, j) => (j === i ? { ...m, ...patch } : m)));
+    const toggleSort = (by) => {
+        if (sortBy === by) { setSortDir(sortDir === "asc" ? "desc" : "asc"); } else { setSortBy(by); setSortDir(by < 0 ? "asc" : "desc"); }
+    };
+    const formatMeasure = (value) => (value === null ? "—" : formatNumber(value));
+    const sortIcon = (by) => (sortBy === by ? (sortDir === "asc" ? " ▲" : " ▼") : "");
+
+    const drill = (keys) => {
+        if (!pivot) return;
+        onDrillDown(keys.map((key, i) => ({ column: pivot.dimensions[i], key })));
+    };
+
+    const renderCells = (group, keys) => pivot.measures.map((m, i) => (
+        <React.Fragment key={i}>
+            <td className="px-3 py-1 text-right">
+                <button onClick={() => drill(keys)} className="hover:text-indigo-700 hover:underline" title={t("pivot.drillDown")}>{formatMeasure(group.values[i])}</button>
+            </td>
+            {ADDITIVE_OPS.has(m.op) && <td className="px-3 py-1 text-right text-neutral-500">{t("pivot.percent", { value: formatMeasure(percentOfTotal(group.values[i], pivot.total.values[i])) })}</td>}
+        </React.Fragment>
+    ));
+
+    const keyLabel = (key) => key || t("value.empty");
+
+    return (
+        <div className="mt-6 bg-white rounded-2xl shadow p-4">
+            <div className="flex items-center justify-between gap-4 flex-wrap pb-3 border-b">
+                <h2 className="text-lg font-bold text-indigo-700">{t("toolbar.pivot")}</h2>
+                <button onClick={() => pivot && onExport(pivotToRows(pivot, sortedGroups, t))} disabled={!pivot} className="text-sm border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors">{t("pivot.export")}</button>
+            </div>
+
+            <div className="mt-3 grid gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                    <p className="text-xs font-semibold">{t("pivot.groupBy")}</p>
+                    {[0, 1].map(i => (
+                        <select key={i} value={dimensions[i]} onChange={(e) => setDimension(i, e.target.value)} className="w-full border rounded-lg px-2 py-1 text-sm">
+                            {i === 1 && <option value="">{t("pivot.noSecondDimension")}</option>}
+                            {columns.map(col => <option key={col} value={col} disabled={col === dimensions[1 - i]}>{col}</option>)}
+                        </select>
+                    ))}
+                    <p className="text-xs text-neutral-500">{t("pivot.datesByMonth")}</p>
+                </div>
+                <div className="space-y-2">
+                    <p className="text-xs font-semibold">{t("pivot.measures")}</p>
+                    {measures.map((m, i) => {
+                        const { needsColumn } = PIVOT_OPS.find(o => o.op === m.op);
+                        const options = m.op === "distinct" ? columns : numericList;
+                        return (
+                            <div key={i} className="flex gap-2 items-center">
+                                <select value={m.op} onChange={(e) => setMeasure(i, { op: e.target.value, column: e.target.value === "distinct" ? m.column : (numericColumns.has(m.column) ? m.column : undefined) })} className="border rounded-lg px-2 py-1 text-sm w-2/5">
+                                    {PIVOT_OPS.map(o => <option key={o.op} value={o.op} disabled={o.op === "ratio" && !ratioAvailable}>{t(o.label)}</option>)}
+                                </select>
+                                {needsColumn && (
+                                    <select value={m.column ?? ""} onChange={(e) => setMeasure(i, { column: e.target.value || undefined })} className="flex-1 border rounded-lg px-2 py-1 text-sm">
+                                        <option value="">{t("pivot.column")}</option>
+                                        {options.map(col => <option key={col} value={col}>{col}</option>)}
+                                    </select>
+                                )}
+                                {m.op === "ratio" && <span className="flex-1 text-xs text-neutral-500 truncate">{roles.value} / {roles.weight}</span>}
+                                <button onClick={() => setMeasures(prev => prev.filter((_, j) => j !== i))} disabled={measures.length === 1} className="text-neutral-500 hover:text-red-700 text-lg" title={t("pivot.removeMeasure")}>&times;</button>
+                            </div>
+                        );
+                    })}
+                    <button onClick={() => setMeasures(prev => [...prev, { op: "count" }])} className="text-xs text-indigo-700 hover:underline">{t("pivot.addMeasure")}</button>
+                    {!ratioAvailable && <p className="text-xs text-neutral-500">{t("pivot.ratioHint")}</p>}
+                </div>
+            </div>
+
+            {pivot && (
+                <div className="mt-4 overflow-x-auto max-h-[480px] overflow-y-auto border rounded-lg">
+                    <table className="min-w-full text-sm">
+                        <thead className="bg-neutral-100 sticky top-0">
+                            <tr>
+                                {pivot.dimensions.map((dim, i) => (
+                                    <th key={dim} className="text-left px-3 py-2 whitespace-nowrap">
+                                        {i === pivot.dimensions.length - 1 ? <button onClick={() => toggleSort(-1)} className="font-bold hover:text-indigo-700">{dim}{sortIcon(-1)}</button> : dim}
+                                    </th>
+                                ))}
+                                {pivot.measures.map((m, i) => (
+                                    <React.Fragment key={i}>
+                                        <th className="text-right px-3 py-2 whitespace-nowrap">
+                                            <button onClick={() => toggleSort(i)} className="font-bold hover:text-indigo-700">{measureLabel(m, t)}{sortIcon(i)}</button>
+                                        </th>
+                                        {ADDITIVE_OPS.has(m.op) && <th className="text-right px-3 py-2 whitespace-nowrap text-neutral-500">{t("pivot.percentOfTotal")}</th>}
+                                    </React.Fragment>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedGroups.slice(0, RENDER_LIMIT).map(group => (group.children ? (
+                                <React.Fragment key={group.key[0]}>
+                                    {group.children.map((child, j) => (
+                                        <tr key={child.key[1]} className="border-b border-neutral-200">
+                                            <td className="px-3 py-1 align-top font-medium">{j === 0 ? keyLabel(group.key[0]) : ""}</td>
+                                            <td className="px-3 py-1">{keyLabel(child.key[1])}</td>
+                                            {renderCells(child, child.key)}
+                                        </tr>
+                                    ))}
+                                    <tr className="bg-indigo-50 border-b border-neutral-300 font-semibold">
+                                        <td className="px-3 py-1" colSpan={2}>{t("pivot.subtotalOf", { group: keyLabel(group.key[0]) })}</td>
+                                        {renderCells(group, group.key)}
+                                    </tr>
+                                </React.Fragment>
+                            ) : (
+                                <tr key={group.key[0]} className="border-b border-neutral-200">
+                                    <td className="px-3 py-1">{keyLabel(group.key[0])}</td>
+                                    {renderCells(group, group.key)}
+                                </tr>
+                            )))}
+                            <tr className="bg-neutral-100 font-bold">
+                                <td className="px-3 py-2" colSpan={pivot.dimensions.length}>{t("pivot.total")}</td>
+                                {pivot.measures.map((m, i) => (
+                                    <React.Fragment key={i}>
+                                        <td className="px-3 py-2 text-right">{formatMeasure(pivot.total.values[i])}</td>
+                                        {ADDITIVE_OPS.has(m.op) && <td className="px-3 py-2 text-right text-neutral-500">{t("pivot.percent", { value: formatMeasure(100) })}</td>}
+                                    </React.Fragment>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <p className="mt-2 text-xs text-neutral-500">
+                {pivot && t("pivot.groups", { count: pivot.groups.length })}
+                {pivot && pivot.groups.length > RENDER_LIMIT && ` ${t("pivot.renderLimit", { count: RENDER_LIMIT })}`}
+                {isComputing && <span className="ml-2 text-indigo-600">{t("pivot.computing")}</span>}
+                {pivot && ` · ${t("pivot.drillDownHint")}`}
+            </p>
+        </div>
+    );
+}
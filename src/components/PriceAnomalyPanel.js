@@ -0,0 +1,79 @@
+import React from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Precios unitarios anómalos ---
+
+/**
+ * @param {{
+ *   spec: import('../engine/anomalies').AnomalySpec,
+ *   summary: import('../engine/anomalies').AnomalySummary | null,
+ *   columns: string[],
+ *   numericColumns: Set<string>,
+ *   onChange: (patch: Partial<import('../engine/anomalies').AnomalySpec>) => void,
+ * }} props
+ */
+export default function PriceAnomalyPanel({ spec, summary, columns, numericColumns, onChange }) {
+    const { t, tr, formatNumber } = useI18n();
+    const numericList = columns.filter(c => numericColumns.has(c));
+    const missing = [spec.groupColumn, spec.valueColumn, spec.weightColumn].some(col => !col || !columns.includes(col));
+
+    const columnSelect = (key, options, label) => (
+        <label className="flex flex-col gap-1">
+            <span className="text-xs font-semibold">{label}</span>
+            <select value={spec[key] ?? ""} onChange={(e) => onChange({ [key]: e.target.value })} className="border rounded-lg px-2 py-1 text-sm">
+                <option value="">{t("anomalies.chooseColumn")}</option>
+                {options.map(col => <option key={col} value={col}>{col}</option>)}
+            </select>
+        </label>
+    );
+
+    return (
+        <div className="mt-6 bg-white rounded-2xl shadow p-4 text-sm">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-indigo-700">{t("anomalies.title")}</h3>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={!!spec.onlyFlagged} onChange={(e) => onChange({ onlyFlagged: e.target.checked })} />
+                    {t("anomalies.onlyFlagged")}
+                </label>
+            </div>
+            <p className="text-xs text-neutral-600 mb-3">
+                {t("anomalies.intro")}
+            </p>
+            <div className="flex flex-wrap items-end gap-3">
+                {columnSelect("groupColumn", columns, t("anomalies.groupBy"))}
+                {columnSelect("valueColumn", numericList, t("anomalies.value"))}
+                {columnSelect("weightColumn", numericList, t("anomalies.weight"))}
+                <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold">{t("anomalies.method")}</span>
+                    <select value={spec.method} onChange={(e) => onChange({ method: /** @type {import('../engine/anomalies').AnomalyMethod} */ (e.target.value) })} className="border rounded-lg px-2 py-1 text-sm">
+                        <option value="mad">{t("anomalies.methodMad")}</option>
+                        <option value="iqr">{t("anomalies.methodIqr")}</option>
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold">{t("anomalies.threshold")}</span>
+                    <input type="number" min="1" step="0.5" value={spec.threshold} onChange={(e) => onChange({ threshold: Math.max(0.5, Number(e.target.value) || 0) })} className="border rounded-lg px-2 py-1 text-sm w-20" />
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold">{t("anomalies.minGroupSize")}</span>
+                    <input type="number" min="2" value={spec.minGroupSize} onChange={(e) => onChange({ minGroupSize: Math.max(2, Math.round(Number(e.target.value)) || 2) })} className="border rounded-lg px-2 py-1 text-sm w-20" />
+                </label>
+            </div>
+            {missing ? (
+                <p className="mt-3 text-xs text-amber-700">{t("anomalies.missingColumns")}</p>
+            ) : summary && (
+                <p className="mt-3 text-xs">
+                    {tr("anomalies.summary", {
+                        flagged: <strong className="font-bold text-red-700">{formatNumber(summary.flagged)}</strong>,
+                        high: summary.high,
+                        low: summary.low,
+                        scored: summary.scored,
+                        groups: summary.groups,
+                    })}
+                    {summary.smallGroups > 0 && ` ${t("anomalies.smallGroups", { count: summary.smallGroups })}`}
+                    {summary.unpriced > 0 && ` ${t("anomalies.unpriced", { count: summary.unpriced })}`}
+                </p>
+            )}
+        </div>
+    );
+}
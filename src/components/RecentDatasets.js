@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from "react";
+import { deleteDataset, listDatasets, storageEstimate } from "../datasetCache";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Archivos recientes (caché local) ---
+
+/**
+ * @param {number} bytes
+ * @param {import('../useI18n').I18n['formatNumber']} formatNumber
+ */
+const formatBytes = (bytes, formatNumber) => {
+    if (bytes < 1024 * 1024) return `${formatNumber(Math.max(1, Math.round(bytes / 1024)))} KB`;
+    if (bytes < 1024 ** 3) return `${formatNumber(bytes / 1024 ** 2, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} MB`;
+    return `${formatNumber(bytes / 1024 ** 3, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} GB`;
+};
+
+/**
+ * @param {{
+ *   refreshKey: number,
+ *   activeId: string,
+ *   disabled: boolean,
+ *   onOpen: (id: string) => void,
+ * }} props `refreshKey` cambia cada vez que se guarda un conjunto, para volver a leer la lista.
+ */
+export default function RecentDatasets({ refreshKey, activeId, disabled, onOpen }) {
+    const { t, formatNumber, formatDateTime } = useI18n();
+    /** @type {[import('../datasetCache').CachedDatasetMeta[], React.Dispatch<React.SetStateAction<import('../datasetCache').CachedDatasetMeta[]>>]} */
+    const [datasets, setDatasets] = useState([]);
+    const [storage, setStorage] = useState(null);
+    const [deleted, setDeleted] = useState(0);
+
+    useEffect(() => {
+        let active = true;
+        Promise.all([listDatasets(), storageEstimate()])
+            .then(([list, estimate]) => { if (active) { setDatasets(list); setStorage(estimate); } })
+            .catch(error => console.warn("No se pudo leer la caché local.", error));
+        return () => { active = false; };
+    }, [refreshKey, deleted]);
+
+    const remove = async (id) => {
+        try {
+            await deleteDataset(id);
+        } catch (error) {
+            console.warn(`No se pudo borrar "${id}" de la caché local.`, error);
+        }
+        setDeleted(n => n + 1);
+    };
+
+    if (!datasets.length) return null;
+
+    return (
+        <details className="mt-3 text-sm" open>
+            <summary className="cursor-pointer font-semibold">{t("recent.title", { count: datasets.length })}</summary>
+            <ul className="mt-2 space-y-1">
+                {datasets.map(d => (
+                    <li key={d.id} className={`flex items-center gap-2 border rounded-lg px-2 py-1 ${d.id === activeId ? "bg-indigo-50 border-indigo-300" : ""}`}>
+                        <button onClick={() => onOpen(d.id)} disabled={disabled || d.id === activeId} className="flex-1 text-left truncate hover:text-indigo-700 disabled:hover:text-inherit" title={d.id}>
+                            {d.encrypted && <span title={t("recent.encrypted")}>🔒 </span>}{d.id}
+                        </button>
+                        <span className="text-xs text-neutral-500 whitespace-nowrap">
+                            {t("recent.details", { rows: d.rowCount, size: formatBytes(d.approxBytes, formatNumber), date: formatDateTime(d.savedAt) })}
+                        </span>
+                        <button onClick={() => remove(d.id)} className="text-neutral-500 hover:text-red-700 px-1" title={t("recent.delete")}>&times;</button>
+                    </li>
+                ))}
+            </ul>
+            {storage && (
+                <p className="text-xs text-neutral-500 mt-2">
+                    {storage.quota > 0
+                        ? t("recent.storageOfQuota", { usage: formatBytes(storage.usage, formatNumber), quota: formatBytes(storage.quota, formatNumber) })
+                        : t("recent.storage", { usage: formatBytes(storage.usage, formatNumber) })}
+                    {" "}{t("recent.localOnly")}
+                </p>
+            )}
+        </details>
+    );
+}
@@ -0,0 +1,222 @@
+import React, { useEffect, useRef, useState } from "react";
+import { clampWidth, columnWidth, pinnedOffsets } from "../engine/columnLayout";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Tabla de resultados virtualizada ---
+// Solo se dibujan las filas a la vista; el resto del resultado se pide al worker por bloques
+// a medida que se desplaza. Las columnas se pueden reordenar, redimensionar, fijar y ocultar.
+
+/** Filas por bloque pedido al worker (la consulta devuelve el primero). */
+export const GRID_BLOCK_ROWS = 200;
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 600;
+// Filas extra dibujadas por encima y por debajo de las visibles.
+const OVERSCAN = 10;
+
+/**
+ * @typedef {{ row: import('../engine/types').Row, index: number, highlights: import('../engine/types').MatchHighlights | null, anomaly: import('../engine/anomalies').AnomalyScore | null }} GridRow
+ * @typedef {{ key: string, label: string, title?: string, width: number, render: (info: GridRow) => React.ReactNode }} ExtraColumn
+ */
+
+/**
+ * @param {{
+ *   engine: ReturnType<typeof import('../useDataEngine').useDataEngine>,
+ *   result: import('../App').QueryResult,
+ *   columns: string[],
+ *   layout: import('../engine/columnLayout').ColumnLayout,
+ *   sort: import('../engine/sort').SortLevel[],
+ *   markedColumn: string | null,
+ *   onSort: (column: string, additive: boolean) => void,
+ *   onStats: (column: string) => void,
+ *   onResize: (column: string, width: number) => void,
+ *   onMove: (column: string, target: string | null) => void,
+ *   onTogglePin: (column: string) => void,
+ *   onHide: (column: string) => void,
+ *   renderCell: (info: GridRow, column: string) => React.ReactNode,
+ *   rowClassName: (info: GridRow) => string,
+ *   extraColumns?: ExtraColumn[],
+ * }} props `columns`: las visibles, en el orden mostrado. `sort` vacío si no hay orden por columna.
+ */
+export default function ResultsGrid({ engine, result, columns, layout, sort, markedColumn, onSort, onStats, onResize, onMove, onTogglePin, onHide, renderCell, rowClassName, extraColumns = [] }) {
+    const { t } = useI18n();
+    const scrollRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    // Bloques cargados del resultado actual, por índice de bloque (`null` si no se pudo leer).
+    const [blocks, setBlocks] = useState(() => new Map());
+    const pendingRef = useRef(new Set());
+    const [dragging, setDragging] = useState(null);
+    // Ancho provisional mientras se arrastra el borde de una columna; se guarda al soltar.
+    const [resizing, setResizing] = useState(null);
+
+    const version = result.version;
+    const total = result.total;
+
+    // Un resultado nuevo vacía los bloques y vuelve al principio.
+    useEffect(() => {
+        pendingRef.current = new Set();
+        setBlocks(new Map());
+        setScrollTop(0);
+        if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    }, [version]);
+
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(total, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+    useEffect(() => {
+        if (version === undefined) return;
+        for (let block = Math.floor(first / GRID_BLOCK_ROWS); block * GRID_BLOCK_ROWS < last; block++) {
+            // El primer bloque llega con la consulta.
+            if (block === 0 || blocks.has(block) || pendingRef.current.has(block)) continue;
+            const pending = pendingRef.current;
+            pending.add(block);
+            engine.request("rows", { start: block * GRID_BLOCK_ROWS, limit: GRID_BLOCK_ROWS, version })
+                .then(res => {
+                    if (res && pendingRef.current === pending) setBlocks(prev => new Map(prev).set(block, res));
+                })
+                .catch(error => {
+                    console.error("Error al leer las filas.", error);
+                    if (pendingRef.current === pending) setBlocks(prev => new Map(prev).set(block, null));
+                })
+                .finally(() => pending.delete(block));
+        }
+    }, [engine, version, first, last, blocks]);
+
+    /** @returns {GridRow | null} */
+    const rowAt = (index) => {
+        const block = Math.floor(index / GRID_BLOCK_ROWS);
+        const slice = block === 0 ? result : blocks.get(block);
+        const i = index - block * GRID_BLOCK_ROWS;
+        if (!slice || i >= slice.rows.length) return null;
+        return { row: slice.rows[i], index, highlights: slice.highlights[i] ?? null, anomaly: slice.anomalies?.[i] ?? null };
+    };
+
+    const widthOf = (col) => (resizing?.column === col ? resizing.width : columnWidth(layout, col));
+    const offsets = pinnedOffsets(columns, { ...layout, widths: resizing ? { ...layout.widths, [resizing.column]: resizing.width } : layout.widths });
+    const lastPinned = columns.filter(col => offsets.has(col)).pop();
+    const tableWidth = columns.reduce((sum, col) => sum + widthOf(col), 0) + extraColumns.reduce((sum, c) => sum + c.width, 0);
+
+    const startResize = (event, col) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const startX = event.clientX;
+        const startWidth = widthOf(col);
+        let width = startWidth;
+        const move = (e) => {
+            width = clampWidth(startWidth + e.clientX - startX);
+            setResizing({ column: col, width });
+        };
+        const up = () => {
+            window.removeEventListener("mousemove", move);
+            window.removeEventListener("mouseup", up);
+            setResizing(null);
+            if (width !== startWidth) onResize(col, width);
+        };
+        window.addEventListener("mousemove", move);
+        window.addEventListener("mouseup", up);
+    };
+
+    // Soltar sobre la mitad derecha de un encabezado coloca la columna detrás de él.
+    const dropOn = (event, col) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const after = event.clientX > rect.left + rect.width / 2;
+        if (dragging) onMove(dragging, after ? columns[columns.indexOf(col) + 1] ?? null : col);
+        setDragging(null);
+    };
+
+    const sortLevel = (col) => {
+        const index = sort.findIndex(level => level.column === col);
+        if (index < 0) return "";
+        // Con varios niveles se muestra la prioridad junto a la flecha.
+        return `${sort[index].dir === "asc" ? "▲" : "▼"}${sort.length > 1 ? index + 1 : ""}`;
+    };
+
+    const stickyStyle = (col, top) => {
+        if (!offsets.has(col)) return top ? { position: "sticky", top: 0 } : undefined;
+        return { position: "sticky", left: offsets.get(col), top: top ? 0 : undefined, zIndex: top ? 30 : 10 };
+    };
+    const pinnedBorder = (col) => (col === lastPinned ? "border-r-2 border-r-neutral-300" : "");
+
+    const renderRow = (index) => {
+        const info = rowAt(index);
+        if (!info) {
+            return (
+                <tr key={index} style={{ height: ROW_HEIGHT }}>
+                    <td colSpan={columns.length + extraColumns.length} className="px-3 text-neutral-400 border-b border-neutral-200">
+                        {blocks.get(Math.floor(index / GRID_BLOCK_ROWS)) === null ? t("grid.rowsError") : t("grid.loading")}
+                    </td>
+                </tr>
+            );
+        }
+        const background = rowClassName(info);
+        return (
+            <tr key={index} style={{ height: ROW_HEIGHT }} className={background}>
+                {columns.map(col => (
+                    <td key={col} style={stickyStyle(col, false)} className={`px-3 border-b border-neutral-200 overflow-hidden whitespace-nowrap ${offsets.has(col) ? `${background} ${pinnedBorder(col)}` : ""}`}>
+                        {renderCell(info, col)}
+                    </td>
+                ))}
+                {extraColumns.map(c => (
+                    <td key={c.key} className="px-3 border-b border-neutral-200 text-right whitespace-nowrap">{c.render(info)}</td>
+                ))}
+            </tr>
+        );
+    };
+
+    const visibleRows = [];
+    for (let index = first; index < last; index++) visibleRows.push(renderRow(index));
+
+    return (
+        <div
+            ref={scrollRef}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+            className="overflow-auto"
+            style={{ maxHeight: VIEWPORT_HEIGHT + ROW_HEIGHT }}
+        >
+            <table className="text-sm" style={{ tableLayout: "fixed", width: tableWidth }}>
+                <colgroup>
+                    {columns.map(col => <col key={col} style={{ width: widthOf(col) }} />)}
+                    {extraColumns.map(c => <col key={c.key} style={{ width: c.width }} />)}
+                </colgroup>
+                <thead>
+                    <tr style={{ height: ROW_HEIGHT }}>
+                        {columns.map(col => (
+                            <th
+                                key={col}
+                                style={stickyStyle(col, true)}
+                                className={`relative text-left px-3 bg-neutral-100 border-b-2 border-neutral-200 whitespace-nowrap z-20 ${pinnedBorder(col)} ${dragging && dragging !== col ? "hover:bg-indigo-100" : ""}`}
+                                onDragOver={(e) => { if (dragging) e.preventDefault(); }}
+                                onDrop={(e) => { e.preventDefault(); dropOn(e, col); }}
+                            >
+                                <div className="flex items-center gap-1 overflow-hidden">
+                                    <span
+                                        draggable
+                                        onDragStart={(e) => { e.dataTransfer.effectAllowed = "move"; e.dataTransfer.setData("text/plain", col); setDragging(col); }}
+                                        onDragEnd={() => setDragging(null)}
+                                        className="cursor-move text-neutral-400 hover:text-neutral-700 select-none"
+                                        title={t("grid.moveTitle")}
+                                    >⋮⋮</span>
+                                    <button className="font-bold flex-1 min-w-0 flex items-center gap-1 cursor-pointer hover:text-indigo-700 transition-colors" onClick={(e) => onSort(col, e.shiftKey)} title={t("grid.sortTitle")}>
+                                        <span className="truncate">{col}</span>
+                                        <span className="text-xs">{sortLevel(col)}</span>
+                                    </button>
+                                    <button onClick={() => onStats(col)} className={`text-xs ${markedColumn === col ? "text-yellow-600" : "text-neutral-400 hover:text-neutral-700"}`} title={t("grid.statsTitle")}>Σ</button>
+                                    <button onClick={() => onTogglePin(col)} className={`text-xs ${offsets.has(col) ? "text-indigo-700" : "text-neutral-400 hover:text-neutral-700"}`} title={t(offsets.has(col) ? "grid.unpinTitle" : "grid.pinTitle")}>📌</button>
+                                    <button onClick={() => onHide(col)} className="text-neutral-400 hover:text-red-700" title={t("grid.hideTitle")}>&times;</button>
+                                </div>
+                                <div onMouseDown={(e) => startResize(e, col)} className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-indigo-300" title={t("grid.resizeTitle")} />
+                            </th>
+                        ))}
+                        {extraColumns.map(c => (
+                            <th key={c.key} style={{ position: "sticky", top: 0 }} className="text-right px-3 bg-neutral-100 border-b-2 border-neutral-200 whitespace-nowrap font-bold z-20" title={c.title}>{c.label}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+                    {visibleRows}
+                    {last < total && <tr style={{ height: (total - last) * ROW_HEIGHT }} />}
+                </tbody>
+            </table>
+        </div>
+    );
+}
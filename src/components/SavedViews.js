@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Vistas guardadas ---
+
+/**
+ * @param {{
+ *   views: import('../engine/views').SavedView[],
+ *   onSave: (name: string) => void,
+ *   onApply: (view: import('../engine/views').SavedView) => void,
+ *   onRename: (name: string, newName: string) => void,
+ *   onDelete: (name: string) => void,
+ *   onExport: () => void,
+ *   onImport: (file: File) => void,
+ * }} props
+ */
+export default function SavedViews({ views, onSave, onApply, onRename, onDelete, onExport, onImport }) {
+    const { t } = useI18n();
+    const [newName, setNewName] = useState("");
+    const [editing, setEditing] = useState(null);
+    const [editName, setEditName] = useState("");
+    const [copied, setCopied] = useState(false);
+
+    const save = () => {
+        const name = newName.trim();
+        if (!name) return;
+        if (views.some(v => v.name === name) && !window.confirm(t("views.confirmReplace", { name }))) return;
+        onSave(name);
+        setNewName("");
+    };
+
+    const commitRename = (name) => {
+        const next = editName.trim();
+        setEditing(null);
+        if (!next || next === name) return;
+        if (views.some(v => v.name === next)) {
+            alert(t("views.exists", { name: next }));
+            return;
+        }
+        onRename(name, next);
+    };
+
+    // El hash de la URL ya contiene la vista actual.
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.warn("No se pudo copiar el enlace.", error);
+            window.prompt(t("views.copyPrompt"), window.location.href);
+        }
+    };
+
+    return (
+        <details className="relative text-sm">
+            <summary className="cursor-pointer border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors list-none">{t("views.title", { count: views.length })}</summary>
+            <div className="absolute z-20 mt-1 w-96 bg-white border rounded-xl shadow-lg p-3 space-y-3">
+                <div className="flex gap-2">
+                    <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") save(); }} placeholder={t("views.namePlaceholder")} className="flex-1 border rounded-lg px-2 py-1" />
+                    <button onClick={save} disabled={!newName.trim()} className="border rounded-lg px-3 py-1 bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50">{t("views.save")}</button>
+                </div>
+
+                {views.length === 0 ? (
+                    <p className="text-xs text-neutral-500">{t("views.empty")}</p>
+                ) : (
+                    <ul className="space-y-1 max-h-64 overflow-auto">
+                        {views.map(view => (
+                            <li key={view.name} className="flex items-center gap-2 border-b pb-1">
+                                {editing === view.name ? (
+                                    <input
+                                        type="text"
+                                        autoFocus
+                                        value={editName}
+                                        onChange={(e) => setEditName(e.target.value)}
+                                        onBlur={() => commitRename(view.name)}
+                                        onKeyDown={(e) => { if (e.key === "Enter") commitRename(view.name); if (e.key === "Escape") setEditing(null); }}
+                                        className="flex-1 border rounded-lg px-2 py-0.5 text-sm"
+                                    />
+                                ) : (
+                                    <button onClick={() => onApply(view)} className="flex-1 text-left truncate hover:text-indigo-700" title={t("views.apply")}>{view.name}</button>
+                                )}
+                                <button onClick={() => { setEditing(view.name); setEditName(view.name); }} className="text-xs text-indigo-700 hover:underline">{t("views.rename")}</button>
+                                <button onClick={() => onDelete(view.name)} className="text-neutral-500 hover:text-red-700 px-1" title={t("views.delete")}>&times;</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex flex-wrap gap-2 text-xs">
+                    <button onClick={copyLink} className="border rounded-lg px-2 py-1 hover:bg-neutral-100 transition-colors">{t(copied ? "views.linkCopied" : "views.copyLink")}</button>
+                    <button onClick={onExport} disabled={!views.length} className="border rounded-lg px-2 py-1 hover:bg-neutral-100 transition-colors disabled:opacity-50">{t("views.export")}</button>
+                    <label className="border rounded-lg px-2 py-1 hover:bg-neutral-100 transition-colors cursor-pointer">
+                        {t("views.import")}
+                        <input
+                            type="file"
+                            accept=".json,application/json"
+                            className="hidden"
+                            onChange={(e) => {
+                                const f = e.target.files?.[0];
+                                if (f) onImport(f);
+                                e.target.value = "";
+                            }}
+                        />
+                    </label>
+                </div>
+                <p className="text-xs text-neutral-500">{t("views.linkNote")}</p>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { useI18n } from "../useI18n";
+
+// --- Componente: Editor del orden por varias columnas ---
+
+/**
+ * @param {{
+ *   sort: import('../engine/sort').SortLevel[],
+ *   columns: string[],
+ *   disabled: boolean,
+ *   onChange: (sort: import('../engine/sort').SortLevel[]) => void,
+ * }} props `disabled`: el orden por relevancia de la búsqueda sustituye al orden por columnas
+ */
+export default function SortEditor({ sort, columns, disabled, onChange }) {
+    const { t } = useI18n();
+    const used = new Set(sort.map(level => level.column));
+    const unused = columns.filter(col => !used.has(col));
+
+    const update = (index, patch) => onChange(sort.map((level, i) => (i === index ? { ...level, ...patch } : level)));
+    const move = (index, offset) => {
+        const next = [...sort];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    return (
+        <details className="relative text-sm">
+            <summary className="cursor-pointer border rounded-lg px-3 py-2 hover:bg-neutral-100 transition-colors list-none">{t("sort.summary", { count: sort.length })}</summary>
+            <div className="absolute z-20 mt-1 w-[28rem] bg-white border rounded-xl shadow-lg p-3 space-y-2 text-xs">
+                {disabled && <p className="text-amber-700">{t("sort.relevanceActive")}</p>}
+                {sort.length === 0 && <p className="text-neutral-500">{t("sort.none")}</p>}
+                {sort.map((level, index) => (
+                    <div key={level.column} className="flex items-center gap-1">
+                        <span className="w-5 text-right font-semibold text-neutral-500">{index + 1}.</span>
+                        <select value={level.column} onChange={(e) => update(index, { column: e.target.value })} className="flex-1 min-w-0 border rounded-lg px-1 py-1">
+                            {[level.column, ...unused].map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                        <select value={level.dir} onChange={(e) => update(index, { dir: /** @type {import('../engine/types').SortDirection} */ (e.target.value) })} className="border rounded-lg px-1 py-1">
+                            <option value="asc">{t("sort.asc")}</option>
+                            <option value="desc">{t("sort.desc")}</option>
+                        </select>
+                        <select value={level.blanks ?? "last"} onChange={(e) => update(index, { blanks: /** @type {import('../engine/sort').BlankPlacement} */ (e.target.value) })} className="border rounded-lg px-1 py-1" title={t("sort.blanksTitle")}>
+                            <option value="last">{t("sort.blanksLast")}</option>
+                            <option value="first">{t("sort.blanksFirst")}</option>
+                        </select>
+                        <button onClick={() => move(index, -1)} disabled={index === 0} className="px-1 hover:text-indigo-700 disabled:opacity-30" title={t("sort.up")}>▲</button>
+                        <button onClick={() => move(index, 1)} disabled={index === sort.length - 1} className="px-1 hover:text-indigo-700 disabled:opacity-30" title={t("sort.down")}>▼</button>
+                        <button onClick={() => onChange(sort.filter((_, i) => i !== index))} className="px-1 text-neutral-400 hover:text-red-700" title={t("sort.removeLevel")}>&times;</button>
+                    </div>
+                ))}
+                <div className="flex items-center justify-between pt-2 border-t">
+                    <button onClick={() => onChange([...sort, { column: unused[0], dir: "asc", blanks: "last" }])} disabled={!unused.length} className="text-indigo-700 hover:underline disabled:opacity-50">{t("sort.addLevel")}</button>
+                    <button onClick={() => onChange([])} disabled={!sort.length} className="text-red-700 hover:underline disabled:opacity-50">{t("sort.clear")}</button>
+                </div>
+                <p className="text-neutral-500">{t("sort.hint")}</p>
+            </div>
+        </details>
+    );
+}
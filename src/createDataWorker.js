@@ -0,0 +1,4 @@
+// Aislado en su propio módulo: `import.meta.url` solo lo entiende el bundler (webpack 5).
+export function createDataWorker() {
+    return new Worker(new URL("./dataWorker.js", import.meta.url));
+}
@@ -0,0 +1,553 @@
+/* eslint-disable no-restricted-globals */
+import { detectSheetHeaderRow, readTextWorkbook, readWorkbook, sheetPreview, sheetToRows } from "./engine/sheets";
+import { buildHeaderKeys, decodeText, detectDelimiter, detectEncoding, detectHeaderRow, isBinaryWorkbook } from "./engine/importOptions";
+import { analyzeCompany, buildTable, createSearchIndexCache, detectTableTypes, getDateRanges, openWorkbook, readSheet, runQuery, withAnomalyColumns } from "./engine/dataEngine";
+import { getVisibleColumnStats } from "./engine/stats";
+import { rowsToCSV } from "./engine/csv";
+import { buildAuditWorkbook, buildComparisonWorkbook, buildExportWorkbook, workbookToArrayBuffer } from "./engine/exportWorkbook";
+import { computePivot } from "./engine/pivot";
+import { applyCompanyAliases, collectCompanyNames, proposeClusters } from "./engine/entities";
+import { SOURCE_COLUMN, dropDuplicateRows, mergeParts, sourceLabel } from "./engine/merge";
+import { leftJoin } from "./engine/join";
+import { auditColumn, findDuplicates } from "./engine/audit";
+import { addComputedColumns, compileFormula, parseFormula, toCell } from "./engine/formula";
+import { ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN, describeAnomalyGroup } from "./engine/anomalies";
+import { ROW_CHANGES_LIMIT, compareDatasets } from "./engine/compare";
+import { convertDatasets, loadDataset, saveDataset } from "./datasetCache";
+import { DEFAULT_LOCALE, LocalizedError, createTranslator } from "./engine/i18n";
+import es from "./locales/es";
+import en from "./locales/en";
+
+// =====================================================================
+// === WORKER DEL MOTOR DE DATOS ========================================
+// =====================================================================
+// Protocolo: el hilo principal envía { id, type, payload } y recibe
+// { id, type: "progress" | "done" | "error" | "cancelled", ... }. Las etapas del progreso y los
+// errores del motor llegan como claves del catálogo de mensajes, para mostrarlos en el idioma elegido.
+// La lectura y la consulta están en `engine/dataEngine`; aquí se guarda el estado entre
+// mensajes, se reutilizan los resultados y se cancelan las consultas obsoletas.
+
+class CancelledError extends Error {}
+
+// Incluye los campos de un `DataTable` del motor (`rows`, `columns`, tipos y facetas), así que
+// se le pasa directamente a `runQuery`, `getDateRanges` y `analyzeCompany`.
+const state = {
+    workbook: null,
+    fileName: "",
+    // Archivo leído por `inspect` a la espera de que se confirmen las opciones de importación.
+    pendingImport: null,
+    // Libros leídos por `inspectSources` a la espera de `merge`.
+    pendingSources: [],
+    // Libros disponibles como tablas de búsqueda para `join`.
+    lookupBooks: [],
+    sheetName: "",
+    // "archivo / hoja" del conjunto cargado; en uno combinado, cada fila lleva el suyo.
+    sourceLabel: "",
+    // Nombre con el que el conjunto se guarda en la caché local.
+    datasetName: "",
+    // Filas tal como se leyeron; `aliasedRows` les aplica los nombres de empresa canónicos
+    // y `rows` añade las columnas calculadas.
+    sourceRows: [],
+    aliasedRows: [],
+    rows: [],
+    entitySignature: "",
+    // Columnas de empresa y alias aplicados, para aplicarlos también al periodo de comparación.
+    entityOptions: { columns: [], aliases: {} },
+    // Columnas leídas del archivo; `columns` incluye además las calculadas.
+    baseColumns: [],
+    columns: [],
+    // Tipos y facetas detectados en las columnas leídas.
+    baseTypes: { numeric: [], date: [], facet: [] },
+    // Definiciones de columnas calculadas; se conservan al cambiar de archivo.
+    computedColumns: [],
+    computedErrors: [],
+    numericColumns: new Set(),
+    dateColumns: new Set(),
+    facetColumns: [],
+    // Índices de Fuse de `rows` por columnas de búsqueda.
+    searchIndex: null,
+    // Último resultado del pipeline, reutilizado al paginar o pedir estadísticas.
+    processed: [],
+    processedSignature: "",
+    // Cambia cada vez que `processed` se recalcula; las vistas derivadas lo usan para refrescarse.
+    processedVersion: 0,
+    // Puntuación y resaltado de la consulta para una fila del resultado actual.
+    describeRow: null,
+    // Conteos de cada faceta contra el resto de filtros y la búsqueda.
+    facetCounts: {},
+    // Precios anómalos del resultado actual (antes de dejar solo los marcados) y su configuración.
+    anomalies: null,
+    anomalySpec: null,
+    // Periodo A de la comparación ({ label, rows, columns }); se conserva al cambiar de archivo.
+    comparisonBase: null,
+    // Último informe de comparación completo, para exportarlo.
+    comparison: null,
+    // Clave de datos de la sesión (abre los conjuntos cifrados) y si los nuevos se guardan cifrados.
+    cacheKey: null,
+    encryptCache: false,
+    // Idioma de la interfaz y su traductor, para los textos que el worker escribe en los datos y exportaciones.
+    locale: DEFAULT_LOCALE,
+    t: createTranslator({ es, en }, DEFAULT_LOCALE),
+    latestQueryId: null,
+};
+
+const post = (message) => self.postMessage(message);
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function describeDataset() {
+    return {
+        sheetNames: state.workbook?.SheetNames ?? [],
+        activeSheet: state.sheetName,
+        datasetName: state.datasetName,
+        columns: state.columns,
+        numericColumns: [...state.numericColumns],
+        dateColumns: [...state.dateColumns],
+        dateRanges: getDateRanges(state),
+        facetColumns: state.facetColumns,
+        computedErrors: state.computedErrors,
+        rowCount: state.rows.length,
+    };
+}
+
+/**
+ * @param {string} sheetName
+ * @param {(stage: string, fraction: number, params?: object) => void} reportProgress
+ * @param {{ headerRow?: number, skipBottom?: number, columns?: string[] | null }} [options]
+ */
+function loadSheet(sheetName, reportProgress, options = {}) {
+    const { rows, columns } = readSheet(state.workbook, {
+        ...options,
+        sheetName,
+        onProgress: (fraction) => reportProgress("stage.convertingRows", 0.3 + fraction * 0.6),
+    });
+    reportProgress("stage.detectingTypes", 0.95);
+    state.sheetName = sheetName;
+    state.sourceLabel = sourceLabel(state.fileName, sheetName);
+    state.datasetName = state.sourceLabel;
+    return setDataset(rows, columns);
+}
+
+// Sustituye el conjunto de datos: detecta de nuevo los tipos y las facetas.
+function setDataset(rows, columns) {
+    state.sourceRows = rows;
+    state.baseColumns = columns;
+    state.baseTypes = detectTableTypes(rows, columns);
+    state.entitySignature = "";
+    state.aliasedRows = rows;
+    applyComputedColumns();
+    return describeDataset();
+}
+
+// Recalcula las columnas calculadas sobre las filas con alias.
+function applyComputedColumns() {
+    const table = buildTable(state.aliasedRows, state.baseColumns, state.baseTypes, state.computedColumns);
+    state.columns = table.columns;
+    state.computedErrors = table.computedErrors;
+    state.numericColumns = table.numericColumns;
+    state.dateColumns = table.dateColumns;
+    state.facetColumns = table.facetColumns;
+    setRows(table.rows);
+}
+
+// Sustituye las filas de trabajo y descarta todo lo calculado sobre las anteriores.
+// La consulta en curso, si la hay, queda obsoleta: se cancela en su próximo punto de control.
+function setRows(rows) {
+    state.rows = rows;
+    state.latestQueryId = null;
+    state.searchIndex = createSearchIndexCache(rows);
+    state.processed = rows;
+    state.processedSignature = "";
+    state.processedVersion++;
+    state.describeRow = null;
+    state.facetCounts = {};
+    state.anomalies = null;
+}
+
+// Filas `start`..`start + limit` del resultado actual, con su resaltado y su puntuación de precio.
+function resultSlice(start, limit) {
+    const rows = state.processed.slice(start, start + limit);
+    return {
+        start,
+        rows,
+        highlights: rows.map(row => (state.describeRow ? state.describeRow(row).highlights : null)),
+        anomalies: state.anomalies ? rows.map(row => state.anomalies.scores.get(row) ?? null) : null,
+        version: state.processedVersion,
+    };
+}
+
+/**
+ * Hojas no vacías de un libro, con las columnas del encabezado detectado.
+ * @returns {import('./engine/merge').MergeSource[]}
+ */
+function describeSources(file, fileName, workbook) {
+    return workbook.SheetNames.flatMap(sheetName => {
+        const { rows, totalRows } = sheetPreview(workbook, sheetName);
+        if (!totalRows) return [];
+        const headerRow = detectHeaderRow(rows);
+        const width = Math.max(0, ...rows.map(row => row.length));
+        const columns = buildHeaderKeys(Array.from({ length: width }, (_, i) => rows[headerRow]?.[i]));
+        return [{ file, fileName, sheetName, label: sourceLabel(fileName, sheetName), columns, rowCount: Math.max(0, totalRows - headerRow - 1) }];
+    });
+}
+
+// Interpreta el archivo pendiente con la codificación y el separador indicados (solo texto).
+function parsePendingText(encoding, delimiter) {
+    const pending = state.pendingImport;
+    pending.encoding = encoding;
+    pending.delimiter = delimiter ?? detectDelimiter(decodeText(pending.bytes.subarray(0, 64 * 1024), encoding));
+    pending.workbook = readTextWorkbook(decodeText(pending.bytes, encoding), pending.delimiter);
+}
+
+/** @returns {import('./engine/importOptions').ImportPreview} */
+function describePendingImport(sheetName) {
+    const { fileName, isText, encoding, delimiter, workbook } = state.pendingImport;
+    const { rows, totalRows } = sheetPreview(workbook, sheetName);
+    return { fileName, isText, encoding, delimiter, sheetNames: workbook.SheetNames, sheetName, rows, totalRows, headerRow: detectHeaderRow(rows) };
+}
+
+// [HANDLERS]
+const handlers = {
+    /** @param {{ key: CryptoKey | null, encrypt: boolean }} payload */
+    async cacheKey({ key, encrypt }) {
+        state.cacheKey = key;
+        state.encryptCache = !!key && encrypt;
+    },
+
+    /** @param {{ locale: import('./engine/i18n').Locale }} payload */
+    async locale({ locale }) {
+        state.locale = locale;
+        state.t = createTranslator({ es, en }, locale);
+    },
+
+    // Cifra o descifra los conjuntos ya guardados según la opción actual.
+    async convertCache() {
+        if (!state.cacheKey) throw new LocalizedError("worker.error.noSession");
+        return convertDatasets(state.cacheKey, state.encryptCache);
+    },
+
+    // Lee el archivo y devuelve la vista previa con la codificación, el separador y el encabezado detectados.
+    // El libro queda pendiente hasta que `load` confirme las opciones.
+    async inspect({ file }, { reportProgress }) {
+        reportProgress("stage.readingFile", 0);
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        reportProgress("stage.parsingWorkbook", 0.3);
+        const isText = !isBinaryWorkbook(bytes);
+        state.pendingImport = { fileName: file.name, bytes, isText, encoding: null, delimiter: null, workbook: null };
+        if (isText) {
+            parsePendingText(detectEncoding(bytes), null);
+        } else {
+            state.pendingImport.workbook = readWorkbook(bytes);
+        }
+        return describePendingImport(state.pendingImport.workbook.SheetNames[0]);
+    },
+
+    async preview({ encoding, delimiter, sheetName }) {
+        const pending = state.pendingImport;
+        if (!pending) throw new LocalizedError("worker.error.noPendingImport");
+        if (pending.isText && (encoding !== pending.encoding || delimiter !== pending.delimiter)) {
+            // Al cambiar la codificación se vuelve a detectar el separador, salvo que también se haya cambiado.
+            parsePendingText(encoding, encoding !== pending.encoding && delimiter === pending.delimiter ? null : delimiter);
+        }
+        return describePendingImport(pending.workbook.SheetNames.includes(sheetName) ? sheetName : pending.workbook.SheetNames[0]);
+    },
+
+    /** @param {import('./engine/importOptions').ImportOptions} options */
+    async load({ sheetName, headerRow, skipBottom, columns }, { reportProgress }) {
+        if (!state.pendingImport) throw new LocalizedError("worker.error.noPendingImport");
+        state.workbook = state.pendingImport.workbook;
+        state.fileName = state.pendingImport.fileName;
+        state.pendingImport = null;
+        return loadSheet(sheetName, reportProgress, { headerRow, skipBottom, columns });
+    },
+
+    async sheet({ sheetName }, { reportProgress }) {
+        if (!state.workbook || !state.workbook.SheetNames.includes(sheetName)) {
+            throw new LocalizedError("engine.error.missingSheet", { sheet: sheetName });
+        }
+        return loadSheet(sheetName, reportProgress);
+    },
+
+    // Lee varios archivos y describe cada hoja con su encabezado detectado, para elegir qué combinar.
+    /** @returns {Promise<import('./engine/merge').MergeSource[]>} */
+    async inspectSources({ files }, { reportProgress }) {
+        state.pendingSources = [];
+        const sources = [];
+        for (const [file, { name }] of files.entries()) {
+            reportProgress("stage.readingNamed", file / files.length, { name });
+            const workbook = openWorkbook(new Uint8Array(await files[file].arrayBuffer()));
+            state.pendingSources.push({ fileName: name, workbook });
+            sources.push(...describeSources(file, name, workbook));
+        }
+        return sources;
+    },
+
+    /**
+     * Combina las hojas elegidas (y, con `append`, el conjunto actual) en un solo conjunto.
+     * @param {{ sources: { file: number, sheetName: string }[], mappings: Object<string, import('./engine/merge').ColumnMapping>, dedupeKeys: string[], append: boolean }} payload
+     */
+    async merge({ sources, mappings, dedupeKeys, append }, { reportProgress }) {
+        const parts = append && state.sourceRows.length
+            ? [{ label: state.sourceLabel, rows: state.sourceRows, columns: state.baseColumns }]
+            : [];
+        sources.forEach(({ file, sheetName }, i) => {
+            const { fileName, workbook } = state.pendingSources[file];
+            const { rows, columns } = sheetToRows(workbook, sheetName, {
+                headerRow: detectSheetHeaderRow(workbook, sheetName),
+                onProgress: (fraction) => reportProgress("stage.convertingNamed", (i + fraction) / sources.length * 0.8, { name: fileName }),
+            });
+            parts.push({ label: sourceLabel(fileName, sheetName), rows, columns });
+        });
+        state.pendingSources = [];
+
+        reportProgress("stage.merging", 0.85);
+        const merged = mergeParts(parts, mappings);
+        const { rows, removed } = dropDuplicateRows(merged.rows, dedupeKeys.filter(col => merged.columns.includes(col)));
+        reportProgress("stage.detectingTypes", 0.95);
+        // Un conjunto combinado no corresponde a una hoja concreta: no se puede cambiar de hoja.
+        state.workbook = null;
+        const labels = [...new Set(rows.map(row => row[SOURCE_COLUMN]))];
+        state.sheetName = state.t("worker.sheet.combined", { count: labels.length });
+        state.sourceLabel = "";
+        state.datasetName = labels.join(" + ");
+        return { ...setDataset(rows, merged.columns), duplicatesRemoved: removed };
+    },
+
+    // Tablas disponibles para cruzar: las hojas del libro cargado y las de los archivos añadidos con `file`.
+    /** @returns {Promise<import('./engine/merge').MergeSource[]>} */
+    async lookupSources({ file }) {
+        if (!file) {
+            state.lookupBooks = state.workbook ? [{ fileName: state.fileName, workbook: state.workbook }] : [];
+        } else {
+            state.lookupBooks.push({ fileName: file.name, workbook: openWorkbook(new Uint8Array(await file.arrayBuffer())) });
+        }
+        return state.lookupBooks.flatMap(({ fileName, workbook }, i) => describeSources(i, fileName, workbook));
+    },
+
+    /**
+     * Añade al conjunto actual columnas de una tabla de búsqueda, cruzando por clave.
+     * @param {{ file: number, sheetName: string, key: string, lookupKey: string, columns: string[] }} payload
+     */
+    async join({ file, sheetName, key, lookupKey, columns }, { reportProgress }) {
+        const book = state.lookupBooks[file];
+        if (!book || !book.workbook.SheetNames.includes(sheetName)) throw new LocalizedError("worker.error.lookupSheet", { sheet: sheetName });
+        reportProgress("stage.readingLookup", 0.1);
+        const lookup = sheetToRows(book.workbook, sheetName, { headerRow: detectSheetHeaderRow(book.workbook, sheetName) });
+        reportProgress("stage.joining", 0.5);
+        const joined = leftJoin(state.sourceRows, lookup.rows, { key, lookupKey, columns, baseColumns: state.baseColumns, lookupLabel: sheetName });
+        reportProgress("stage.detectingTypes", 0.9);
+        return { ...setDataset(joined.rows, joined.columns), report: joined.report };
+    },
+
+    // Guarda el conjunto actual (filas sin alias de empresa) en la caché local.
+    async cacheDataset() {
+        if (!state.sourceRows.length) return null;
+        const { datasetName: id, sourceRows: rows, baseColumns: columns, sheetName, sourceLabel, fileName } = state;
+        return saveDataset({ id, rows, columns, sheetName, sourceLabel, fileName }, state.encryptCache ? state.cacheKey : null);
+    },
+
+    async restore({ id }, { reportProgress }) {
+        reportProgress("stage.openingCached", 0.1);
+        const dataset = await loadDataset(id, state.cacheKey);
+        if (!dataset) throw new LocalizedError("worker.error.notCached", { id });
+        reportProgress("stage.detectingTypes", 0.8);
+        state.workbook = null;
+        state.fileName = dataset.fileName;
+        state.sheetName = dataset.sheetName;
+        state.sourceLabel = dataset.sourceLabel;
+        state.datasetName = dataset.id;
+        return setDataset(dataset.rows, dataset.columns);
+    },
+
+    // Aplica los alias de empresa; devuelve `false` si ya estaban aplicados y no hay que recalcular nada.
+    async entities({ columns, aliases }) {
+        const signature = Object.keys(aliases).length && columns.length ? JSON.stringify({ columns, aliases }) : "";
+        if (signature === state.entitySignature) return false;
+        state.entitySignature = signature;
+        state.entityOptions = { columns, aliases };
+        state.aliasedRows = applyCompanyAliases(state.sourceRows, columns, aliases);
+        applyComputedColumns();
+        return true;
+    },
+
+    /**
+     * Sustituye las definiciones de columnas calculadas y las aplica al conjunto cargado.
+     * @param {{ definitions: import('./engine/formula').ComputedColumn[] }} payload
+     */
+    async computed({ definitions }) {
+        state.computedColumns = definitions;
+        if (state.sourceRows.length) applyComputedColumns();
+        return describeDataset();
+    },
+
+    // Resultado de una fórmula en las primeras filas, para la vista previa del editor.
+    async formulaPreview({ formula, limit = 5 }) {
+        const { ast, error } = parseFormula(formula, state.columns);
+        if (error) return { error, values: [] };
+        const evaluate = compileFormula(ast);
+        return { error: null, values: state.rows.slice(0, limit).map(row => toCell(evaluate(row))) };
+    },
+
+    async companyClusters({ columns, aliases }) {
+        return proposeClusters(collectCompanyNames(state.sourceRows, columns), aliases);
+    },
+
+    // Recalcula el resultado si cambió algún criterio y devuelve su primer bloque de filas;
+    // la tabla pide el resto con `rows` a medida que se desplaza.
+    async query({ filters, query, searchKeys, sort = [], sortByRelevance, anomalies = null, limit }, { id, reportProgress }) {
+        state.latestQueryId = id;
+        // Entre etapas y bloques de filas: informa del progreso, cede el hilo para recibir
+        // "cancel" y abandona la consulta si ya no es la última.
+        const checkpoint = async (stage, fraction) => {
+            reportProgress(stage, fraction);
+            await yieldToEventLoop();
+            if (state.latestQueryId !== id) throw new CancelledError();
+        };
+
+        const signature = JSON.stringify({ filters, query, searchKeys, sort, sortByRelevance, anomalies, sheet: state.sheetName });
+        if (signature !== state.processedSignature) {
+            const result = await runQuery(state, { filters, query, searchKeys, sort, sortByRelevance, anomalies }, { searchIndex: state.searchIndex, checkpoint });
+            state.processed = result.rows;
+            state.processedSignature = signature;
+            state.processedVersion++;
+            state.describeRow = result.describeRow;
+            state.facetCounts = result.facetCounts;
+            state.anomalies = result.anomalies;
+            state.anomalySpec = anomalies;
+        }
+
+        return {
+            ...resultSlice(0, limit),
+            total: state.processed.length, facets: state.facetCounts, anomalySummary: state.anomalies?.summary ?? null,
+        };
+    },
+
+    // Un bloque del resultado; `null` si el resultado cambió desde `version`.
+    async rows({ start, limit, version }) {
+        if (version !== state.processedVersion) return null;
+        return resultSlice(start, limit);
+    },
+
+    async stats({ column, bins, topN }) {
+        return getVisibleColumnStats(column, state.processed, state.numericColumns, state.dateColumns, { bins, topN });
+    },
+
+    // La auditoría revisa el conjunto completo, no el resultado filtrado.
+    async audit(_payload, { reportProgress }) {
+        const columns = [];
+        for (let i = 0; i < state.columns.length; i++) {
+            const col = state.columns[i];
+            const declaredType = state.dateColumns.has(col) ? "date" : state.numericColumns.has(col) ? "number" : "text";
+            columns.push(auditColumn(state.rows, col, declaredType));
+            reportProgress("stage.auditing", (i + 1) / state.columns.length);
+            await yieldToEventLoop();
+        }
+        return { sheetName: state.datasetName || state.sheetName, rowCount: state.rows.length, columns };
+    },
+
+    async auditDuplicates({ keys }) {
+        return findDuplicates(state.rows, keys.filter(col => state.columns.includes(col)));
+    },
+
+    async exportAudit({ report }) {
+        return workbookToArrayBuffer(buildAuditWorkbook(report, state.t, state.locale));
+    },
+
+    async pivot({ spec, roles }) {
+        return computePivot(state.processed, spec, { dateColumns: state.dateColumns, roles });
+    },
+
+    async company({ company, query, roles }) {
+        return analyzeCompany(state, state.processed, company, { query, roles });
+    },
+
+    // Distribución del grupo de la fila `index` del resultado actual.
+    async anomalyGroup({ index }) {
+        const row = state.processed[index];
+        if (!state.anomalies || !row) return null;
+        return describeAnomalyGroup(state.anomalies, row, state.anomalySpec.threshold);
+    },
+
+    /**
+     * Fija el periodo A de la comparación: el resultado actual o un conjunto de la caché local,
+     * con los mismos alias de empresa y columnas calculadas que el conjunto cargado.
+     * @param {{ source: 'result' | 'cache', id?: string, label: string }} payload
+     */
+    async comparisonBase({ source, id, label }, { reportProgress }) {
+        if (source === "result") {
+            state.comparisonBase = { label, rows: state.processed, columns: state.columns };
+        } else {
+            reportProgress("stage.openingCached", 0.1);
+            const dataset = await loadDataset(id, state.cacheKey);
+            if (!dataset) throw new LocalizedError("worker.error.notCached", { id });
+            reportProgress("stage.applyingAliases", 0.7);
+            const { columns: companyCols, aliases } = state.entityOptions;
+            const aliased = applyCompanyAliases(dataset.rows, companyCols.filter(col => dataset.columns.includes(col)), aliases);
+            const computed = addComputedColumns(aliased, dataset.columns, state.computedColumns);
+            state.comparisonBase = { label, rows: computed.rows, columns: computed.columns };
+        }
+        state.comparison = null;
+        return { label, rowCount: state.comparisonBase.rows.length, columns: state.comparisonBase.columns };
+    },
+
+    async clearComparisonBase() {
+        state.comparisonBase = null;
+        state.comparison = null;
+        return null;
+    },
+
+    // Compara el periodo A con el resultado actual; los cambios por fila se recortan para la pantalla.
+    async compare({ roles, dimension, rowKey, label }) {
+        if (!state.comparisonBase) return null;
+        state.comparison = compareDatasets(state.comparisonBase, { label, rows: state.processed, columns: state.columns }, { roles, dimension, rowKey, dateColumns: state.dateColumns });
+        const { rowDiff } = state.comparison;
+        return { ...state.comparison, rowDiff: rowDiff && { ...rowDiff, changes: rowDiff.changes.slice(0, ROW_CHANGES_LIMIT) } };
+    },
+
+    async exportComparison() {
+        return state.comparison ? workbookToArrayBuffer(buildComparisonWorkbook(state.comparison, state.t, state.locale)) : null;
+    },
+
+    async exportCSV({ columns, delimiter }) {
+        const exported = withAnomalyColumns(state.processed, columns, state.anomalies, state.t);
+        const numericColumns = new Set([...state.numericColumns, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN]);
+        return rowsToCSV(exported.rows, { columns: exported.columns, delimiter, numericColumns });
+    },
+
+    async exportXLSX({ columns, criteria, statsColumn, statsOptions, company, roles }) {
+        const exported = withAnomalyColumns(state.processed, columns, state.anomalies, state.t);
+        const wb = buildExportWorkbook({
+            rows: exported.rows,
+            columns: exported.columns,
+            numericColumns: new Set([...state.numericColumns, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN]),
+            dateColumns: state.dateColumns,
+            criteria: { ...criteria, sheetName: state.sheetName, totalRows: state.rows.length },
+            stats: statsColumn ? getVisibleColumnStats(statsColumn, state.processed, state.numericColumns, state.dateColumns, statsOptions) : null,
+            company: company ? await handlers.company({ company, query: criteria.query, roles }) : null,
+        }, state.t, state.locale);
+        return workbookToArrayBuffer(wb);
+    },
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    // Cancelar una consulta la deja obsoleta: se detiene en su próximo punto de control.
+    if (type === "cancel") {
+        if (state.latestQueryId === payload.id) state.latestQueryId = null;
+        return;
+    }
+
+    const reportProgress = (stage, fraction, params = {}) => post({ id, type: "progress", stage, params, progress: fraction });
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Mensaje desconocido: ${type}`);
+        const result = await handler(payload, { id, reportProgress });
+        post({ id, type: "done", result });
+    } catch (error) {
+        if (error instanceof CancelledError) {
+            post({ id, type: "cancelled" });
+        } else {
+            post({ id, type: "error", message: error?.message ?? String(error), key: error?.key, params: error?.params });
+        }
+    }
+};
@@ -0,0 +1,180 @@
+// --- Caché de conjuntos de datos en IndexedDB ---
+// Guarda las filas ya interpretadas para no volver a leer el archivo. Todo queda en este navegador.
+// Se usa desde el worker (guardar y abrir) y desde el hilo principal (lista, borrado y espacio usado).
+// Con el cifrado activado, las filas se guardan cifradas con la clave de datos de la sesión;
+// los metadatos (nombre, filas, tamaño) quedan sin cifrar para poder listarlos.
+
+import { decryptJSON, encryptJSON } from "./engine/access";
+import { LocalizedError } from "./engine/i18n";
+
+const DB_NAME = "findir";
+const DB_VERSION = 1;
+// Metadatos y filas van en almacenes separados para poder listar sin leer las filas.
+const META_STORE = "datasets";
+const DATA_STORE = "datasetRows";
+
+/** Conjuntos que se conservan; al guardar uno más se descarta el usado hace más tiempo. */
+export const MAX_CACHED_DATASETS = 10;
+
+/**
+ * @typedef {object} CachedDatasetMeta
+ * @property {string} id nombre del conjunto ("archivo / hoja" o la lista de archivos combinados)
+ * @property {string} sheetName
+ * @property {number} rowCount
+ * @property {number} columnCount
+ * @property {number} approxBytes tamaño estimado de las filas
+ * @property {number} savedAt
+ * @property {boolean} [encrypted]
+ * @typedef {{ id: string, rows: import('./engine/types').Row[], columns: string[], sheetName: string, sourceLabel: string, fileName: string }} CachedDataset
+ */
+
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(META_STORE, { keyPath: "id" });
+                request.result.createObjectStore(DATA_STORE, { keyPath: "id" });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Ejecuta `fn` en una transacción y se resuelve con su valor cuando la transacción termina.
+async function transaction(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([META_STORE, DATA_STORE], mode);
+        let result;
+        fn(tx.objectStore(META_STORE), tx.objectStore(DATA_STORE), (value) => { result = value; });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Tamaño aproximado de las filas, extrapolado de una muestra serializada.
+ * @param {import('./engine/types').Row[]} rows
+ */
+export function estimateRowsBytes(rows) {
+    if (!rows.length) return 0;
+    const sample = rows.slice(0, 200);
+    return Math.round(JSON.stringify(sample).length * 2 * (rows.length / sample.length));
+}
+
+// Registro del almacén de filas: el conjunto tal cual o, cifrado, `{ id, sealed }`.
+const sealRecord = async (dataset, key) => (key ? { id: dataset.id, sealed: await encryptJSON(key, dataset) } : dataset);
+
+async function openRecord(record, key) {
+    if (!record?.sealed) return record ?? null;
+    if (!key) throw new LocalizedError("cache.error.encrypted", { id: record.id });
+    return decryptJSON(key, record.sealed);
+}
+
+/**
+ * @returns {Promise<CachedDatasetMeta[]>} del más reciente al más antiguo
+ */
+export async function listDatasets() {
+    const metas = await transaction("readonly", (meta, _data, done) => {
+        const request = meta.getAll();
+        request.onsuccess = () => done(request.result);
+    });
+    return (metas ?? []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Guarda (o reemplaza) un conjunto y descarta los más antiguos por encima de `MAX_CACHED_DATASETS`.
+ * @param {CachedDataset} dataset
+ * @param {CryptoKey | null} [key] clave con la que cifrar las filas; sin ella se guardan tal cual
+ * @returns {Promise<CachedDatasetMeta>}
+ */
+export async function saveDataset(dataset, key = null) {
+    /** @type {CachedDatasetMeta} */
+    const meta = {
+        id: dataset.id,
+        sheetName: dataset.sheetName,
+        rowCount: dataset.rows.length,
+        columnCount: dataset.columns.length,
+        approxBytes: estimateRowsBytes(dataset.rows),
+        savedAt: Date.now(),
+        encrypted: !!key,
+    };
+    // El cifrado es asíncrono: se hace antes de abrir la transacción, que no puede esperar.
+    const record = await sealRecord(dataset, key);
+    const stale = (await listDatasets()).filter(m => m.id !== dataset.id).slice(MAX_CACHED_DATASETS - 1);
+    await transaction("readwrite", (metaStore, dataStore) => {
+        stale.forEach(m => { metaStore.delete(m.id); dataStore.delete(m.id); });
+        metaStore.put(meta);
+        dataStore.put(record);
+    });
+    return meta;
+}
+
+/**
+ * @param {string} id
+ * @param {CryptoKey | null} [key] necesaria si el conjunto se guardó cifrado
+ * @returns {Promise<CachedDataset | null>}
+ */
+export async function loadDataset(id, key = null) {
+    const dataset = await transaction("readwrite", (metaStore, dataStore, done) => {
+        const request = dataStore.get(id);
+        request.onsuccess = () => done(request.result ?? null);
+        // Abrir un conjunto lo convierte en el más reciente.
+        const metaRequest = metaStore.get(id);
+        metaRequest.onsuccess = () => { if (metaRequest.result) metaStore.put({ ...metaRequest.result, savedAt: Date.now() }); };
+    });
+    return openRecord(dataset, key);
+}
+
+/**
+ * Cifra (o descifra, con `encrypt` a `false`) todos los conjuntos guardados que no estén ya así.
+ * @param {CryptoKey} key
+ * @param {boolean} encrypt
+ * @returns {Promise<number>} conjuntos convertidos
+ */
+export async function convertDatasets(key, encrypt) {
+    const metas = await listDatasets();
+    let converted = 0;
+    for (const meta of metas) {
+        if (!!meta.encrypted === encrypt) continue;
+        const record = await transaction("readonly", (_meta, dataStore, done) => {
+            const request = dataStore.get(meta.id);
+            request.onsuccess = () => done(request.result ?? null);
+        });
+        if (!record) continue;
+        const next = await sealRecord(await openRecord(record, key), encrypt ? key : null);
+        await transaction("readwrite", (metaStore, dataStore) => {
+            metaStore.put({ ...meta, encrypted: encrypt });
+            dataStore.put(next);
+        });
+        converted++;
+    }
+    return converted;
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteDataset(id) {
+    await transaction("readwrite", (metaStore, dataStore) => {
+        metaStore.delete(id);
+        dataStore.delete(id);
+    });
+}
+
+/**
+ * Espacio usado y disponible para este sitio, si el navegador lo informa.
+ * @returns {Promise<{ usage: number, quota: number } | null>}
+ */
+export async function storageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
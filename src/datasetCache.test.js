@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+// Web Crypto (crypto.subtle) no está disponible en el entorno jsdom, y el de Node no lo expone como global.
+import { webcrypto } from "crypto";
+import { deserialize, serialize } from "v8";
+import { MAX_CACHED_DATASETS, convertDatasets, deleteDataset, estimateRowsBytes, listDatasets, loadDataset, saveDataset } from "./datasetCache";
+import { setupAccess } from "./engine/access";
+
+if (!global.crypto) global.crypto = webcrypto;
+
+// IndexedDB mínimo en memoria: las peticiones se resuelven en microtareas y la transacción
+// termina después, como en el navegador. Los valores se copian al guardar y al leer
+// (con el serializador de V8: el entorno de Jest no tiene `structuredClone`).
+const clone = (value) => (value === undefined ? undefined : deserialize(serialize(value)));
+
+function createFakeIndexedDB() {
+    const stores = {};
+    const request = (compute) => {
+        const req = {};
+        queueMicrotask(() => {
+            req.result = compute();
+            req.onsuccess?.();
+        });
+        return req;
+    };
+    const objectStore = (name) => ({
+        get: (id) => request(() => clone(stores[name].get(id))),
+        getAll: () => request(() => [...stores[name].values()].map(clone)),
+        put: (value) => request(() => { stores[name].set(value.id, clone(value)); }),
+        delete: (id) => request(() => { stores[name].delete(id); }),
+    });
+    const db = {
+        createObjectStore: (name) => { stores[name] = new Map(); },
+        transaction: () => {
+            const tx = { objectStore };
+            setTimeout(() => tx.oncomplete?.(), 0);
+            return tx;
+        },
+    };
+    return {
+        stores,
+        open: () => {
+            const req = {};
+            queueMicrotask(() => {
+                req.result = db;
+                req.onupgradeneeded?.();
+                req.onsuccess?.();
+            });
+            return req;
+        },
+    };
+}
+
+const fakeDB = createFakeIndexedDB();
+global.indexedDB = fakeDB;
+
+let clock = 0;
+beforeEach(() => {
+    Object.values(fakeDB.stores).forEach(store => store.clear());
+    jest.spyOn(Date, "now").mockImplementation(() => ++clock);
+});
+afterEach(() => jest.restoreAllMocks());
+
+const dataset = (id, rowCount = 3) => ({
+    id,
+    rows: Array.from({ length: rowCount }, (_, i) => ({ Empresa: `ACME ${i}`, Valor: i })),
+    columns: ["Empresa", "Valor"],
+    sheetName: "Hoja1",
+    sourceLabel: `${id} / Hoja1`,
+    fileName: id,
+});
+
+test("estimates the rows size from a serialized sample", () => {
+    expect(estimateRowsBytes([])).toBe(0);
+    const rows = Array.from({ length: 500 }, () => ({ a: "xyz" }));
+    const sampleBytes = JSON.stringify(rows.slice(0, 200)).length * 2;
+    expect(estimateRowsBytes(rows)).toBe(Math.round(sampleBytes * 2.5));
+    expect(estimateRowsBytes(rows.slice(0, 10))).toBe(JSON.stringify(rows.slice(0, 10)).length * 2);
+});
+
+test("records the row, column and size counts of each saved dataset", async () => {
+    const saved = await saveDataset(dataset("ventas.xlsx", 4));
+    expect(saved).toMatchObject({ id: "ventas.xlsx", sheetName: "Hoja1", rowCount: 4, columnCount: 2, encrypted: false });
+    expect(saved.approxBytes).toBe(estimateRowsBytes(dataset("ventas.xlsx", 4).rows));
+    expect(await listDatasets()).toEqual([saved]);
+    expect(await loadDataset("ventas.xlsx")).toEqual(dataset("ventas.xlsx", 4));
+
+    await deleteDataset("ventas.xlsx");
+    expect(await listDatasets()).toEqual([]);
+    expect(fakeDB.stores.datasetRows.size).toBe(0);
+    expect(await loadDataset("ventas.xlsx")).toBeNull();
+});
+
+test("evicts the least recently used datasets above the limit", async () => {
+    for (let i = 0; i < MAX_CACHED_DATASETS; i++) await saveDataset(dataset(`d${i}`));
+    // Abrir d0 lo convierte en el más reciente; volver a guardar d1 lo reemplaza sin descartar nada.
+    await loadDataset("d0");
+    await saveDataset(dataset("d1", 5));
+    expect((await listDatasets()).map(m => m.id)).toHaveLength(MAX_CACHED_DATASETS);
+
+    await saveDataset(dataset("nuevo"));
+    await saveDataset(dataset("otro"));
+    const ids = (await listDatasets()).map(m => m.id);
+    expect(ids).toHaveLength(MAX_CACHED_DATASETS);
+    expect(ids.slice(0, 3)).toEqual(["otro", "nuevo", "d1"]);
+    expect(ids).toContain("d0");
+    expect(ids).not.toContain("d2");
+    expect(ids).not.toContain("d3");
+    // Las filas de los descartados también se borran.
+    expect([...fakeDB.stores.datasetRows.keys()].sort()).toEqual([...ids].sort());
+    expect((await loadDataset("d1")).rows).toHaveLength(5);
+});
+
+test("stores encrypted rows and converts the existing datasets", async () => {
+    const { dataKey: key } = (await setupAccess("Ana", "clave-segura-1", { iterations: 1000 })).session;
+    await saveDataset(dataset("claro.csv"));
+    const sealed = await saveDataset(dataset("secreto.csv"), key);
+    expect(sealed.encrypted).toBe(true);
+    const record = fakeDB.stores.datasetRows.get("secreto.csv");
+    expect(record.rows).toBeUndefined();
+    expect(new TextDecoder().decode(record.sealed.data)).not.toContain("ACME");
+    await expect(loadDataset("secreto.csv")).rejects.toThrow("está cifrado");
+    expect(await loadDataset("secreto.csv", key)).toEqual(dataset("secreto.csv"));
+
+    expect(await convertDatasets(key, true)).toBe(1);
+    expect((await listDatasets()).every(m => m.encrypted)).toBe(true);
+    expect(fakeDB.stores.datasetRows.get("claro.csv").rows).toBeUndefined();
+    expect(await convertDatasets(key, false)).toBe(2);
+    expect(fakeDB.stores.datasetRows.get("secreto.csv")).toEqual(dataset("secreto.csv"));
+});
@@ -0,0 +1,315 @@
+// --- Control de acceso local: usuarios, códigos con PBKDF2 y clave de cifrado de la caché ---
+// Todo funciona sin conexión con Web Crypto. De cada código solo se guarda un verificador
+// derivado con sal y muchas iteraciones; la misma derivación da una clave que envuelve la clave
+// de datos (común a todos los usuarios) con la que se cifran los conjuntos guardados.
+// La clave de datos de la sesión no es exportable y solo vive en memoria: al recargar la página
+// se vuelve a pedir el código para desenvolverla. Los errores son `LocalizedError`: la interfaz
+// los muestra en su idioma.
+
+import { LocalizedError } from "./i18n";
+
+/**
+ * @typedef {'admin' | 'user'} AccessRole
+ * @typedef {{ iv: string, data: string }} SealedKey clave de datos envuelta con AES-GCM (base64)
+ * @typedef {object} UserRecord
+ * @property {string} name
+ * @property {AccessRole} role
+ * @property {string} salt base64
+ * @property {number} iterations
+ * @property {string} verifier primera mitad de la derivación, en base64
+ * @property {SealedKey} wrappedKey clave de datos envuelta con la segunda mitad
+ * @property {number} failedAttempts intentos fallidos seguidos
+ * @property {number} lockedUntil instante (ms) hasta el que no se admiten intentos; 0 si no hay bloqueo
+ * @property {number} createdAt
+ * @typedef {object} AccessSettings
+ * @property {number} idleMinutes minutos sin actividad tras los que se cierra la sesión
+ * @property {number} maxAttempts intentos fallidos seguidos antes del bloqueo
+ * @property {number} lockoutMinutes
+ * @property {boolean} encryptCache cifrar los conjuntos que se guardan en este navegador
+ * @typedef {{ users: UserRecord[], settings: AccessSettings }} AccessStore
+ * @typedef {object} AccessSession
+ * @property {string} name
+ * @property {AccessRole} role
+ * @property {CryptoKey} dataKey clave de datos no exportable, para cifrar y descifrar
+ * @property {CryptoKey} wrappingKey clave derivada del código del usuario (no exportable); permite
+ *   a un administrador desenvolver su copia de la clave de datos para envolverla para otro usuario
+ * @typedef {{ iv: Uint8Array, data: ArrayBuffer }} EncryptedPayload
+ */
+
+/** Iteraciones de PBKDF2-SHA-256 para los códigos nuevos (recomendación OWASP). */
+export const PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/** @type {AccessSettings} */
+export const DEFAULT_ACCESS_SETTINGS = { idleMinutes: 15, maxAttempts: 5, lockoutMinutes: 5, encryptCache: false };
+
+/** @type {AccessStore} */
+export const EMPTY_ACCESS = { users: [], settings: DEFAULT_ACCESS_SETTINGS };
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// Sal fija para derivar también cuando el usuario no existe y no delatarlo por el tiempo de respuesta.
+const DUMMY_SALT = "AAAAAAAAAAAAAAAAAAAAAA==";
+
+const encoder = new TextEncoder();
+const subtle = () => crypto.subtle;
+
+/** Web Crypto solo está disponible en contextos seguros (https o localhost). */
+export const isCryptoAvailable = () => typeof crypto !== "undefined" && !!crypto.subtle;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Comparación sin salida anticipada.
+function equalStrings(a, b) {
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * Deriva 512 bits del código: la primera mitad es el verificador que se guarda y la segunda,
+ * la clave que envuelve la clave de datos (nunca se guarda).
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<{ verifier: string, wrappingKey: CryptoKey }>}
+ */
+async function deriveSecrets(passphrase, salt, iterations) {
+    const base = await subtle().importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+    const bits = new Uint8Array(await subtle().deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, base, 512));
+    const wrappingKey = await subtle().importKey("raw", bits.slice(32), "AES-GCM", false, ["wrapKey", "unwrapKey"]);
+    return { verifier: toBase64(bits.slice(0, 32)), wrappingKey };
+}
+
+/**
+ * Desenvuelve la clave de datos de un usuario. Solo se pide exportable para envolverla de nuevo
+ * (al añadir un usuario) y esa copia no sale de la función que la pide.
+ * @param {UserRecord} user
+ * @param {CryptoKey} wrappingKey
+ * @param {boolean} extractable
+ * @returns {Promise<CryptoKey>}
+ */
+const unwrapDataKey = (user, wrappingKey, extractable) => subtle().unwrapKey(
+    "raw", fromBase64(user.wrappedKey.data), wrappingKey, { name: "AES-GCM", iv: fromBase64(user.wrappedKey.iv) },
+    "AES-GCM", extractable, ["encrypt", "decrypt"]
+);
+
+/**
+ * Envuelve la clave de datos (exportable) con el código del usuario.
+ * @param {string} name
+ * @param {string} passphrase
+ * @param {AccessRole} role
+ * @param {CryptoKey} dataKey
+ * @param {number} iterations
+ * @returns {Promise<{ record: UserRecord, wrappingKey: CryptoKey }>}
+ */
+async function sealUserRecord(name, passphrase, role, dataKey, iterations) {
+    if (!name.trim()) throw new LocalizedError("access.error.nameRequired");
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) throw new LocalizedError("access.error.passphraseTooShort", { min: MIN_PASSPHRASE_LENGTH });
+    const salt = randomBytes(SALT_BYTES);
+    const iv = randomBytes(IV_BYTES);
+    const { verifier, wrappingKey } = await deriveSecrets(passphrase, salt, iterations);
+    const wrapped = await subtle().wrapKey("raw", dataKey, wrappingKey, { name: "AES-GCM", iv });
+    const record = {
+        name: name.trim(),
+        role,
+        salt: toBase64(salt),
+        iterations,
+        verifier,
+        wrappedKey: { iv: toBase64(iv), data: toBase64(wrapped) },
+        failedAttempts: 0,
+        lockedUntil: 0,
+        createdAt: Date.now(),
+    };
+    return { record, wrappingKey };
+}
+
+/**
+ * Sesión con la clave de datos desenvuelta como no exportable.
+ * @param {UserRecord} user
+ * @param {CryptoKey} wrappingKey
+ * @returns {Promise<AccessSession>}
+ */
+const openSession = async (user, wrappingKey) => ({ name: user.name, role: user.role, dataKey: await unwrapDataKey(user, wrappingKey, false), wrappingKey });
+
+/**
+ * @param {string} name
+ * @param {string} passphrase
+ * @param {AccessRole} role
+ * @param {CryptoKey} dataKey
+ * @param {number} [iterations]
+ * @returns {Promise<UserRecord>}
+ */
+export async function createUserRecord(name, passphrase, role, dataKey, iterations = PBKDF2_ITERATIONS) {
+    return (await sealUserRecord(name, passphrase, role, dataKey, iterations)).record;
+}
+
+/**
+ * Copia con los tipos esperados del almacén guardado.
+ * @param {any} raw
+ * @returns {AccessStore}
+ */
+export function normalizeAccess(raw) {
+    const store = raw && typeof raw === "object" ? raw : {};
+    const users = Array.isArray(store.users)
+        ? store.users.filter(u => u && typeof u.name === "string" && typeof u.verifier === "string" && u.wrappedKey && typeof u.salt === "string")
+        : [];
+    return { users, settings: normalizeSettings(store.settings) };
+}
+
+/**
+ * @param {any} raw
+ * @returns {AccessSettings}
+ */
+export function normalizeSettings(raw) {
+    const settings = raw && typeof raw === "object" ? raw : {};
+    const clampInt = (value, min, max, fallback) => (Number.isFinite(Number(value)) ? Math.min(max, Math.max(min, Math.round(Number(value)))) : fallback);
+    return {
+        idleMinutes: clampInt(settings.idleMinutes, 1, 480, DEFAULT_ACCESS_SETTINGS.idleMinutes),
+        maxAttempts: clampInt(settings.maxAttempts, 1, 20, DEFAULT_ACCESS_SETTINGS.maxAttempts),
+        lockoutMinutes: clampInt(settings.lockoutMinutes, 1, 1440, DEFAULT_ACCESS_SETTINGS.lockoutMinutes),
+        encryptCache: !!settings.encryptCache,
+    };
+}
+
+/**
+ * Primer arranque: crea el administrador y la clave de datos.
+ * @param {string} name
+ * @param {string} passphrase
+ * @param {{ iterations?: number }} [options]
+ * @returns {Promise<{ store: AccessStore, session: AccessSession }>}
+ */
+export async function setupAccess(name, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    // Exportable solo aquí, para envolverla; la sesión recibe una copia no exportable.
+    const dataKey = await subtle().generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+    const { record: admin, wrappingKey } = await sealUserRecord(name, passphrase, "admin", dataKey, iterations);
+    return { store: { users: [admin], settings: DEFAULT_ACCESS_SETTINGS }, session: await openSession(admin, wrappingKey) };
+}
+
+/**
+ * Comprueba un código. Los fallos cuentan para el bloqueo del usuario, así que el almacén
+ * devuelto se debe guardar siempre, haya acceso o no.
+ * @param {AccessStore} store
+ * @param {string} name
+ * @param {string} passphrase
+ * @param {{ now?: number }} [options]
+ * @returns {Promise<{ store: AccessStore, session: AccessSession | null, error: LocalizedError | null }>}
+ */
+export async function login(store, name, passphrase, { now = Date.now() } = {}) {
+    const user = store.users.find(u => sameName(u.name, name));
+    if (!user) {
+        await deriveSecrets(passphrase, fromBase64(DUMMY_SALT), store.users[0]?.iterations ?? PBKDF2_ITERATIONS);
+        return { store, session: null, error: new LocalizedError("access.error.invalidCredentials") };
+    }
+    if (user.lockedUntil > now) {
+        const minutes = Math.ceil((user.lockedUntil - now) / 60000);
+        return { store, session: null, error: new LocalizedError("access.error.locked", { minutes }) };
+    }
+    const replace = (patch) => ({ ...store, users: store.users.map(u => (u === user ? { ...u, ...patch } : u)) });
+    const { verifier, wrappingKey } = await deriveSecrets(passphrase, fromBase64(user.salt), user.iterations);
+    if (!equalStrings(verifier, user.verifier)) {
+        const failedAttempts = (user.failedAttempts || 0) + 1;
+        if (failedAttempts >= store.settings.maxAttempts) {
+            const lockoutMinutes = store.settings.lockoutMinutes;
+            return {
+                store: replace({ failedAttempts: 0, lockedUntil: now + lockoutMinutes * 60000 }),
+                session: null,
+                error: new LocalizedError("access.error.lockedOut", { minutes: lockoutMinutes }),
+            };
+        }
+        return { store: replace({ failedAttempts }), session: null, error: new LocalizedError("access.error.invalidCredentials") };
+    }
+    return { store: replace({ failedAttempts: 0, lockedUntil: 0 }), session: await openSession(user, wrappingKey), error: null };
+}
+
+const assertAdmin = (session) => {
+    if (session?.role !== "admin") throw new LocalizedError("access.error.adminOnly");
+};
+
+/**
+ * Añade un usuario o, si ya existe, le asigna un código nuevo (y el rol indicado).
+ * @param {AccessStore} store
+ * @param {AccessSession} session administrador que hace el cambio
+ * @param {{ name: string, passphrase: string, role: AccessRole, iterations?: number }} user
+ * @returns {Promise<AccessStore>}
+ */
+export async function addUser(store, session, { name, passphrase, role, iterations }) {
+    assertAdmin(session);
+    const existing = store.users.find(u => sameName(u.name, name));
+    if (existing && existing.role === "admin" && role !== "admin" && store.users.filter(u => u.role === "admin").length === 1) {
+        throw new LocalizedError("access.error.lastAdmin");
+    }
+    // La copia envuelta del propio administrador da una clave exportable solo para esta operación.
+    // Si ya no existe o su código cambió después de entrar, la sesión no puede abrirla.
+    const self = store.users.find(u => sameName(u.name, session.name));
+    const dataKey = self && await unwrapDataKey(self, session.wrappingKey, true).catch(() => null);
+    if (!dataKey) throw new LocalizedError("access.error.signInAgain");
+    const record = await createUserRecord(existing?.name ?? name, passphrase, role, dataKey, iterations);
+    return { ...store, users: existing ? store.users.map(u => (u === existing ? record : u)) : [...store.users, record] };
+}
+
+/**
+ * Revoca el código de un usuario. Un administrador no puede revocarse a sí mismo.
+ * @param {AccessStore} store
+ * @param {AccessSession} session
+ * @param {string} name
+ * @returns {AccessStore}
+ */
+export function revokeUser(store, session, name) {
+    assertAdmin(session);
+    if (sameName(name, session.name)) throw new LocalizedError("access.error.revokeSelf");
+    return { ...store, users: store.users.filter(u => !sameName(u.name, name)) };
+}
+
+/**
+ * Quita el bloqueo por intentos fallidos.
+ * @param {AccessStore} store
+ * @param {AccessSession} session
+ * @param {string} name
+ * @returns {AccessStore}
+ */
+export function unlockUser(store, session, name) {
+    assertAdmin(session);
+    return { ...store, users: store.users.map(u => (sameName(u.name, name) ? { ...u, failedAttempts: 0, lockedUntil: 0 } : u)) };
+}
+
+/**
+ * @param {AccessStore} store
+ * @param {AccessSession} session
+ * @param {Partial<AccessSettings>} patch
+ * @returns {AccessStore}
+ */
+export function updateSettings(store, session, patch) {
+    assertAdmin(session);
+    return { ...store, settings: normalizeSettings({ ...store.settings, ...patch }) };
+}
+
+/**
+ * Cifra un valor serializable con la clave de datos.
+ * @param {CryptoKey} key
+ * @param {any} value
+ * @returns {Promise<EncryptedPayload>}
+ */
+export async function encryptJSON(key, value) {
+    const iv = randomBytes(IV_BYTES);
+    const data = await subtle().encrypt({ name: "AES-GCM", iv }, key, encoder.encode(JSON.stringify(value)));
+    return { iv, data };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {EncryptedPayload} payload
+ */
+export async function decryptJSON(key, payload) {
+    let plain;
+    try {
+        plain = await subtle().decrypt({ name: "AES-GCM", iv: payload.iv }, key, payload.data);
+    } catch {
+        throw new LocalizedError("access.error.decrypt");
+    }
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
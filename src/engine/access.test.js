@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+// Web Crypto (crypto.subtle) no está disponible en el entorno jsdom, y el de Node no lo expone como global.
+import { webcrypto } from "crypto";
+import { addUser, decryptJSON, encryptJSON, login, normalizeAccess, revokeUser, setupAccess, unlockUser, updateSettings } from "./access";
+
+if (!global.crypto) global.crypto = webcrypto;
+
+// Pocas iteraciones para que las pruebas sean rápidas.
+const iterations = 1000;
+
+test("sets up an admin whose code is stored only as a salted verifier", async () => {
+    const { store, session } = await setupAccess("Ana", "clave-segura-1", { iterations });
+    expect(session).toMatchObject({ name: "Ana", role: "admin" });
+    // La clave de datos de la sesión no se puede exportar.
+    expect(session.dataKey.extractable).toBe(false);
+    await expect(crypto.subtle.exportKey("raw", session.dataKey)).rejects.toThrow();
+    const stored = JSON.stringify(store);
+    expect(stored).not.toContain("clave-segura-1");
+    expect(store.users[0]).toMatchObject({ name: "Ana", role: "admin", iterations, failedAttempts: 0 });
+    expect(normalizeAccess(JSON.parse(stored))).toEqual(store);
+
+    await expect(setupAccess("Ana", "corta", { iterations })).rejects.toMatchObject({ key: "access.error.passphraseTooShort", params: { min: 8 } });
+    await expect(setupAccess("  ", "clave-segura-1", { iterations })).rejects.toThrow("Indica un nombre de usuario.");
+});
+
+test("logs in with the right code and locks the user after repeated failures", async () => {
+    const setup = await setupAccess("Ana", "clave-segura-1", { iterations });
+    let store = updateSettings(setup.store, setup.session, { maxAttempts: 2, lockoutMinutes: 10 });
+
+    const ok = await login(store, " ana ", "clave-segura-1", { now: 0 });
+    expect(ok.error).toBeNull();
+    expect(ok.session.name).toBe("Ana");
+
+    expect((await login(store, "Nadie", "clave-segura-1")).error.key).toBe("access.error.invalidCredentials");
+
+    let attempt = await login(store, "Ana", "otra-clave", { now: 1000 });
+    expect(attempt.session).toBeNull();
+    expect(attempt.store.users[0].failedAttempts).toBe(1);
+    attempt = await login(attempt.store, "Ana", "otra-clave", { now: 2000 });
+    expect(attempt.error).toMatchObject({ key: "access.error.lockedOut", params: { minutes: 10 } });
+    store = attempt.store;
+    expect(store.users[0].lockedUntil).toBe(2000 + 10 * 60000);
+
+    // Ni siquiera el código correcto entra durante el bloqueo.
+    expect((await login(store, "Ana", "clave-segura-1", { now: 3000 })).error).toMatchObject({ key: "access.error.locked", params: { minutes: 10 } });
+    expect((await login(store, "Ana", "clave-segura-1", { now: 2000 + 10 * 60000 })).session).not.toBeNull();
+    expect((await login(unlockUser(store, setup.session, "Ana"), "Ana", "clave-segura-1", { now: 3000 })).session).not.toBeNull();
+});
+
+test("admins add and revoke users, who share the data key", async () => {
+    const setup = await setupAccess("Ana", "clave-segura-1", { iterations });
+    let store = await addUser(setup.store, setup.session, { name: "Luis", passphrase: "clave-de-luis", role: "user", iterations });
+    const luis = await login(store, "Luis", "clave-de-luis");
+    expect(luis.session.role).toBe("user");
+    expect(luis.session.dataKey.extractable).toBe(false);
+
+    // Lo cifrado en una sesión se descifra en la de otro usuario.
+    const sealed = await encryptJSON(setup.session.dataKey, { rows: [{ A: 1 }] });
+    expect(await decryptJSON(luis.session.dataKey, sealed)).toEqual({ rows: [{ A: 1 }] });
+
+    await expect(addUser(store, luis.session, { name: "Eva", passphrase: "clave-de-eva", role: "user", iterations })).rejects.toMatchObject({ key: "access.error.adminOnly" });
+    await expect(addUser(store, setup.session, { name: "ana", passphrase: "clave-segura-2", role: "user", iterations })).rejects.toMatchObject({ key: "access.error.lastAdmin" });
+    expect(() => revokeUser(store, setup.session, "ANA")).toThrow(expect.objectContaining({ key: "access.error.revokeSelf" }));
+
+    // Tras cambiar su propio código, el administrador tiene que volver a acceder para añadir usuarios.
+    const renewed = await addUser(store, setup.session, { name: "Ana", passphrase: "clave-segura-2", role: "admin", iterations });
+    await expect(addUser(renewed, setup.session, { name: "Eva", passphrase: "clave-de-eva", role: "user", iterations })).rejects.toMatchObject({ key: "access.error.signInAgain" });
+    const again = await login(renewed, "Ana", "clave-segura-2");
+    expect((await addUser(renewed, again.session, { name: "Eva", passphrase: "clave-de-eva", role: "user", iterations })).users).toHaveLength(3);
+
+    store = revokeUser(store, setup.session, "Luis");
+    expect(store.users.map(u => u.name)).toEqual(["Ana"]);
+    expect((await login(store, "Luis", "clave-de-luis")).session).toBeNull();
+});
+
+test("rejects data encrypted with another key", async () => {
+    const a = await setupAccess("Ana", "clave-segura-1", { iterations });
+    const b = await setupAccess("Ana", "clave-segura-1", { iterations });
+    const sealed = await encryptJSON(a.session.dataKey, [1, 2, 3]);
+    await expect(decryptJSON(b.session.dataKey, sealed)).rejects.toMatchObject({ key: "access.error.decrypt" });
+});
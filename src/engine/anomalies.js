@@ -0,0 +1,181 @@
+import { histogram, quantile, toNumberOrNull, valueKey } from "./stats";
+
+// --- Precios unitarios anómalos frente a envíos comparables ---
+// El precio unitario de cada fila (valor / peso) se compara con el de las filas de su grupo
+// (misma descripción, partida...). La referencia del grupo es robusta: mediana y MAD o IQR,
+// para que los propios valores extremos no la desplacen.
+
+/**
+ * @typedef {'mad' | 'iqr'} AnomalyMethod
+ * @typedef {object} AnomalySpec
+ * @property {string} groupColumn columna que define los envíos comparables
+ * @property {string} valueColumn
+ * @property {string} weightColumn
+ * @property {AnomalyMethod} method
+ * @property {number} threshold |z| a partir del cual una fila se marca
+ * @property {number} minGroupSize grupos más pequeños no se puntúan
+ * @property {boolean} [onlyFlagged] dejar solo las filas marcadas
+ * @typedef {object} AnomalyScore
+ * @property {number | null} price
+ * @property {number | null} z `null` si la fila no tiene precio o su grupo es demasiado pequeño
+ * @property {'high' | 'low' | null} flag
+ * @property {string} group
+ * @typedef {object} GroupBaseline
+ * @property {number} count
+ * @property {number} median
+ * @property {number} spread desviación equivalente: 1,4826 × MAD o IQR / 1,349
+ * @property {number} q1
+ * @property {number} q3
+ * @typedef {object} AnomalySummary
+ * @property {number} scored filas puntuadas
+ * @property {number} flagged
+ * @property {number} high
+ * @property {number} low
+ * @property {number} groups grupos puntuados
+ * @property {number} smallGroups grupos con menos filas que `minGroupSize`
+ * @property {number} unpriced filas sin grupo, valor o peso válidos
+ * @typedef {{ scores: Map<import('./types').Row, AnomalyScore>, baselines: Map<string, GroupBaseline & { prices: Float64Array }>, summary: AnomalySummary }} AnomalyAnalysis
+ */
+
+export const ANOMALY_DEFAULTS = { method: "mad", threshold: 3.5, minGroupSize: 5 };
+
+/** Columnas que se añaden a las exportaciones mientras el análisis está activo. */
+export const ANOMALY_PRICE_COLUMN = "Precio unitario";
+export const ANOMALY_Z_COLUMN = "Puntuación z";
+export const ANOMALY_FLAG_COLUMN = "Precio anómalo";
+
+// Claves del catálogo de mensajes para la marca de cada fila.
+export const ANOMALY_FLAG_LABELS = { high: "anomaly.flagHigh", low: "anomaly.flagLow" };
+
+// Factores que convierten MAD e IQR en una desviación estándar equivalente bajo normalidad.
+const MAD_SCALE = 1.4826;
+const IQR_SCALE = 1.349;
+
+/**
+ * Valor / peso, o `null` si falta alguno o el peso no es positivo.
+ * @param {import('./types').Row} row
+ * @param {string} valueColumn
+ * @param {string} weightColumn
+ */
+export function unitPrice(row, valueColumn, weightColumn) {
+    const value = toNumberOrNull(row[valueColumn]);
+    const weight = toNumberOrNull(row[weightColumn]);
+    if (value === null || weight === null || weight <= 0) return null;
+    return value / weight;
+}
+
+/**
+ * Referencia robusta de una lista de precios ya ordenada.
+ * @param {Float64Array | number[]} sorted
+ * @param {AnomalyMethod} method
+ * @returns {GroupBaseline}
+ */
+export function groupBaseline(sorted, method) {
+    const median = quantile(sorted, 0.5);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    let spread;
+    if (method === "iqr") {
+        spread = (q3 - q1) / IQR_SCALE;
+    } else {
+        const deviations = Float64Array.from(sorted, p => Math.abs(p - median)).sort();
+        spread = quantile(deviations, 0.5) * MAD_SCALE;
+    }
+    return { count: sorted.length, median, spread, q1, q3 };
+}
+
+/**
+ * Puntuación z robusta. Con dispersión nula (todos los precios del grupo iguales) cualquier
+ * precio distinto es infinitamente atípico.
+ * @param {number} price
+ * @param {GroupBaseline} baseline
+ */
+export function robustZ(price, { median, spread }) {
+    if (spread > 0) return (price - median) / spread;
+    if (price === median) return 0;
+    return price > median ? Infinity : -Infinity;
+}
+
+/**
+ * Puntúa cada fila contra su grupo.
+ * @param {import('./types').Row[]} rows
+ * @param {AnomalySpec} spec
+ * @returns {AnomalyAnalysis}
+ */
+export function detectPriceAnomalies(rows, { groupColumn, valueColumn, weightColumn, method = ANOMALY_DEFAULTS.method, threshold = ANOMALY_DEFAULTS.threshold, minGroupSize = ANOMALY_DEFAULTS.minGroupSize }) {
+    /** @type {Map<string, number[]>} */
+    const pricesByGroup = new Map();
+    const priced = [];
+    let unpriced = 0;
+    for (const row of rows) {
+        const group = valueKey(row[groupColumn]);
+        const price = unitPrice(row, valueColumn, weightColumn);
+        if (!group || price === null) {
+            unpriced++;
+            continue;
+        }
+        priced.push({ row, group, price });
+        let prices = pricesByGroup.get(group);
+        if (!prices) pricesByGroup.set(group, (prices = []));
+        prices.push(price);
+    }
+
+    const baselines = new Map();
+    let smallGroups = 0;
+    pricesByGroup.forEach((prices, group) => {
+        if (prices.length < minGroupSize) { smallGroups++; return; }
+        const sorted = Float64Array.from(prices).sort();
+        baselines.set(group, { ...groupBaseline(sorted, method), prices: sorted });
+    });
+
+    const scores = new Map();
+    const summary = { scored: 0, flagged: 0, high: 0, low: 0, groups: baselines.size, smallGroups, unpriced };
+    for (const { row, group, price } of priced) {
+        const baseline = baselines.get(group);
+        if (!baseline) {
+            scores.set(row, { price, z: null, flag: null, group });
+            continue;
+        }
+        const z = robustZ(price, baseline);
+        const flag = Math.abs(z) > threshold ? (z > 0 ? "high" : "low") : null;
+        summary.scored++;
+        if (flag) {
+            summary.flagged++;
+            summary[flag]++;
+        }
+        scores.set(row, { price, z, flag, group });
+    }
+    return { scores, baselines, summary };
+}
+
+/**
+ * Distribución de precios del grupo de una fila, para inspeccionar por qué se marcó.
+ * @param {AnomalyAnalysis} analysis
+ * @param {import('./types').Row} row
+ * @param {number} threshold
+ * @param {number} [bins]
+ */
+export function describeAnomalyGroup(analysis, row, threshold, bins = 20) {
+    const score = analysis.scores.get(row);
+    if (!score) return null;
+    const baseline = analysis.baselines.get(score.group);
+    if (!baseline) return { ...score, baseline: null, histogram: [] };
+    const { prices, ...stats } = baseline;
+    return {
+        ...score,
+        baseline: {
+            ...stats,
+            min: prices[0],
+            max: prices[prices.length - 1],
+            lowerBound: stats.median - threshold * stats.spread,
+            upperBound: stats.median + threshold * stats.spread,
+        },
+        histogram: histogram(Array.from(prices), bins),
+    };
+}
+
+/**
+ * Puntuación z para mostrar: dos decimales y signo; ±∞ si el grupo no tiene dispersión.
+ * @param {number} z
+ */
+export const formatZ = (z) => (isFinite(z) ? `${z > 0 ? "+" : ""}${z.toFixed(2)}` : z > 0 ? "+∞" : "−∞");
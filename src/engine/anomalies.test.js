@@ -0,0 +1,58 @@
+import { describeAnomalyGroup, detectPriceAnomalies, formatZ, groupBaseline, robustZ, unitPrice } from "./anomalies";
+
+const shipment = (product, value, weight) => ({ Producto: product, Valor: value, Peso: weight });
+const spec = { groupColumn: "Producto", valueColumn: "Valor", weightColumn: "Peso", method: "mad", threshold: 3.5, minGroupSize: 5 };
+
+// Precios unitarios 9, 10, 10, 10, 11, 10 y dos extremos: 40 (alto) y 1 (bajo).
+const rows = [
+    shipment("Resina", 900, 100), shipment("Resina", 1000, 100), shipment("Resina", "2000", "200"), shipment("Resina", 500, 50),
+    shipment("Resina", 1100, 100), shipment("Resina", 100, 10), shipment("Resina", 4000, 100), shipment("Resina", 100, 100),
+    shipment("Tapas", 50, 10), shipment("Tapas", 60, 10),
+    shipment("Resina", 100, 0), shipment("", 100, 10), shipment("Resina", "n/d", 10),
+];
+
+test("computes unit prices only for positive weights and numeric values", () => {
+    expect(unitPrice(rows[2], "Valor", "Peso")).toBe(10);
+    expect(unitPrice(rows[10], "Valor", "Peso")).toBeNull();
+    expect(unitPrice(rows[12], "Valor", "Peso")).toBeNull();
+});
+
+test("builds robust baselines with MAD or IQR", () => {
+    const sorted = Float64Array.from([1, 9, 10, 10, 10, 10, 11, 40]);
+    expect(groupBaseline(sorted, "mad")).toMatchObject({ count: 8, median: 10 });
+    expect(groupBaseline(sorted, "mad").spread).toBeCloseTo(0.5 * 1.4826);
+    expect(groupBaseline(sorted, "iqr").spread).toBeCloseTo((10.25 - 9.75) / 1.349);
+});
+
+test("flags high and low prices against their group and leaves small groups unscored", () => {
+    const { scores, summary } = detectPriceAnomalies(rows, spec);
+    expect(summary).toEqual({ scored: 8, flagged: 2, high: 1, low: 1, groups: 1, smallGroups: 1, unpriced: 3 });
+    expect(scores.get(rows[6])).toMatchObject({ price: 40, flag: "high" });
+    expect(scores.get(rows[7])).toMatchObject({ price: 1, flag: "low" });
+    expect(scores.get(rows[4]).flag).toBeNull();
+    expect(scores.get(rows[8])).toEqual({ price: 5, z: null, flag: null, group: "Tapas" });
+    expect(scores.has(rows[11])).toBe(false);
+
+    // Con un umbral más alto solo queda el extremo más lejano.
+    expect(detectPriceAnomalies(rows, { ...spec, threshold: 20 }).summary).toMatchObject({ flagged: 1, high: 1, low: 0 });
+});
+
+test("a group without spread makes any different price infinitely atypical", () => {
+    const baseline = { median: 10, spread: 0 };
+    expect(robustZ(10, baseline)).toBe(0);
+    expect(robustZ(12, baseline)).toBe(Infinity);
+    expect(formatZ(robustZ(8, baseline))).toBe("−∞");
+    expect(formatZ(1.234)).toBe("+1.23");
+});
+
+test("describes the price distribution of a flagged row's group", () => {
+    const analysis = detectPriceAnomalies(rows, spec);
+    const detail = describeAnomalyGroup(analysis, rows[6], spec.threshold, 4);
+    expect(detail).toMatchObject({ group: "Resina", flag: "high", baseline: { count: 8, median: 10, min: 1, max: 40 } });
+    expect(detail.baseline.upperBound).toBeCloseTo(10 + 3.5 * 0.5 * 1.4826);
+    expect(detail.histogram).toHaveLength(4);
+    expect(detail.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(8);
+
+    expect(describeAnomalyGroup(analysis, rows[8], spec.threshold)).toMatchObject({ baseline: null, histogram: [] });
+    expect(describeAnomalyGroup(analysis, rows[11], spec.threshold)).toBeNull();
+});
@@ -0,0 +1,269 @@
+import { isValueNumeric } from "./columns";
+import { isPlausibleSerial, parseDateString, parseDateValue } from "./dates";
+import { valueKey } from "./stats";
+import { translateDefault } from "./i18n";
+
+// --- Auditoría de calidad de datos ---
+// Recorre todas las filas (no la muestra de 200 con la que se detectan los tipos) y describe,
+// por columna, las celdas que estorban al filtrar o agrupar. Cada hallazgo tiene un filtro
+// (`FilterConfig.issue`) que muestra exactamente las filas afectadas.
+
+/**
+ * @typedef {'number' | 'date' | 'text'} CellKind
+ * @typedef {'blank' | 'whitespace' | 'invalid' | 'mixed' | 'casing' | 'duplicate'} AuditIssueType
+ * @typedef {object} AuditIssue filtro de filas con un problema de calidad
+ * @property {AuditIssueType} type
+ * @property {CellKind} [kind] `mixed`: tipo mayoritario de la columna
+ * @property {string[]} [keys] `duplicate`: columnas que forman la clave
+ * @property {boolean} [near] `duplicate`: casi duplicados (sin distinguir mayúsculas, acentos ni puntuación)
+ * @typedef {object} ColumnAudit
+ * @property {string} column
+ * @property {CellKind} declaredType tipo con el que la aplicación trata la columna
+ * @property {CellKind | null} inferredType tipo mayoritario de las celdas no vacías (`null` si no hay ninguna)
+ * @property {{ number: number, date: number, text: number }} kinds celdas no vacías de cada tipo
+ * @property {number} blankCount
+ * @property {number} whitespaceCount celdas con espacios al principio o al final
+ * @property {number} mixedCount celdas no vacías de un tipo distinto al mayoritario
+ * @property {number} invalidCount celdas que no son número (o fecha) en una columna numérica (o de fechas)
+ * @property {number} casingGroups valores escritos con más de una combinación de mayúsculas
+ * @property {number} casingCount celdas de esos valores
+ * @property {string[][]} casingExamples variantes de los primeros valores afectados
+ * @typedef {{ count: number, values: string[] }} DuplicateGroup
+ * @typedef {object} DuplicateReport
+ * @property {string[]} keys
+ * @property {{ groups: number, rows: number, extra: number, examples: DuplicateGroup[] }} exact filas con la clave idéntica
+ * @property {{ groups: number, rows: number, extra: number, examples: DuplicateGroup[] }} near claves que solo difieren en mayúsculas, acentos, espacios o puntuación
+ */
+
+export const AUDIT_EXAMPLE_LIMIT = 20;
+
+/** @type {AuditIssueType[]} */
+export const AUDIT_ISSUE_TYPES = ["blank", "whitespace", "invalid", "mixed", "casing", "duplicate"];
+
+/** Clave del catálogo de mensajes con el nombre de cada tipo de celda. */
+export const KIND_LABELS = { number: "audit.kind.number", date: "audit.kind.date", text: "audit.kind.text" };
+
+const isBlank = (cell) => valueKey(cell) === "";
+
+/**
+ * Tipo de una celda no vacía. En una columna de fechas, un número que es un serial de Excel
+ * plausible cuenta como fecha.
+ * @param {any} cell
+ * @param {boolean} [isDateColumn]
+ * @returns {CellKind | null} `null` si está vacía
+ */
+export function cellKind(cell, isDateColumn = false) {
+    if (isBlank(cell)) return null;
+    if (isValueNumeric(cell)) return isDateColumn && isPlausibleSerial(Number(cell)) ? "date" : "number";
+    if (typeof cell === "string" && parseDateString(cell) !== null) return "date";
+    return "text";
+}
+
+const hasOuterWhitespace = (cell) => typeof cell === "string" && cell !== cell.trim() && cell.trim() !== "";
+
+/**
+ * La celda no encaja en el tipo con el que se trata la columna.
+ * @param {any} cell
+ * @param {CellKind} declaredType
+ */
+function isInvalidCell(cell, declaredType) {
+    if (declaredType === "text" || isBlank(cell)) return false;
+    if (declaredType === "number") return !isValueNumeric(cell);
+    return parseDateValue(cell) === null;
+}
+
+/**
+ * Valores de texto (en minúsculas) que aparecen con más de una combinación de mayúsculas,
+ * con el conteo de cada variante.
+ * @param {import('./types').Row[]} rows
+ * @param {string} column
+ * @returns {Map<string, Map<string, number>>}
+ */
+function casingVariants(rows, column) {
+    const byLower = new Map();
+    for (const row of rows) {
+        const key = valueKey(row[column]);
+        if (!key || isValueNumeric(key)) continue;
+        const lower = key.toLowerCase();
+        let variants = byLower.get(lower);
+        if (!variants) byLower.set(lower, (variants = new Map()));
+        variants.set(key, (variants.get(key) || 0) + 1);
+    }
+    for (const [lower, variants] of byLower) if (variants.size < 2) byLower.delete(lower);
+    return byLower;
+}
+
+/**
+ * @param {import('./types').Row[]} rows
+ * @param {string} column
+ * @param {CellKind} declaredType
+ * @returns {ColumnAudit}
+ */
+export function auditColumn(rows, column, declaredType) {
+    const kinds = { number: 0, date: 0, text: 0 };
+    let blankCount = 0;
+    let whitespaceCount = 0;
+    let invalidCount = 0;
+    const isDateColumn = declaredType === "date";
+    for (const row of rows) {
+        const cell = row[column];
+        const kind = cellKind(cell, isDateColumn);
+        if (kind === null) {
+            blankCount++;
+            continue;
+        }
+        kinds[kind]++;
+        if (hasOuterWhitespace(cell)) whitespaceCount++;
+        if (isInvalidCell(cell, declaredType)) invalidCount++;
+    }
+
+    const nonBlank = rows.length - blankCount;
+    const inferredType = nonBlank ? /** @type {CellKind[]} */ (["number", "date", "text"]).reduce((best, kind) => (kinds[kind] > kinds[best] ? kind : best)) : null;
+
+    let casingGroups = 0;
+    let casingCount = 0;
+    const casingExamples = [];
+    if (declaredType === "text") {
+        for (const variants of casingVariants(rows, column).values()) {
+            casingGroups++;
+            const sorted = [...variants].sort((a, b) => b[1] - a[1]);
+            for (const [, count] of sorted) casingCount += count;
+            if (casingExamples.length < AUDIT_EXAMPLE_LIMIT) casingExamples.push(sorted.map(([value]) => value));
+        }
+    }
+
+    return {
+        column,
+        declaredType,
+        inferredType,
+        kinds,
+        blankCount,
+        whitespaceCount,
+        mixedCount: inferredType ? nonBlank - kinds[inferredType] : 0,
+        invalidCount,
+        casingGroups,
+        casingCount,
+        casingExamples,
+    };
+}
+
+/**
+ * Clave de casi duplicado: sin acentos, en minúsculas y con la puntuación y los espacios repetidos
+ * reducidos a un espacio.
+ * @param {any} cell
+ */
+export const nearDuplicateKey = (cell) => String(cell ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const exactKey = (row, keys) => keys.map(col => String(row[col] ?? "")).join("\u0001");
+const nearKey = (row, keys) => keys.map(col => nearDuplicateKey(row[col])).join("\u0001");
+
+/**
+ * Agrupa las filas repetidas. Los grupos exactos comparten la clave tal cual; los casi duplicados
+ * comparten la clave normalizada pero se escribieron de más de una forma (los idénticos ya
+ * aparecen como exactos).
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} keys
+ * @param {boolean} near
+ * @returns {import('./types').Row[][]}
+ */
+function duplicateGroups(rows, keys, near) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = near ? nearKey(row, keys) : exactKey(row, keys);
+        const group = groups.get(key);
+        if (group) group.push(row);
+        else groups.set(key, [row]);
+    }
+    const result = [];
+    for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        if (near && new Set(group.map(row => exactKey(row, keys))).size < 2) continue;
+        result.push(group);
+    }
+    return result;
+}
+
+/**
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} keys columnas que identifican una fila
+ * @returns {DuplicateReport}
+ */
+export function findDuplicates(rows, keys) {
+    const summarize = (near) => {
+        const groups = duplicateGroups(rows, keys, near).sort((a, b) => b.length - a.length);
+        const rowCount = groups.reduce((sum, g) => sum + g.length, 0);
+        return {
+            groups: groups.length,
+            rows: rowCount,
+            extra: rowCount - groups.length,
+            examples: groups.slice(0, AUDIT_EXAMPLE_LIMIT).map(group => ({
+                count: group.length,
+                values: [...new Set(group.map(row => keys.map(col => valueKey(row[col])).join(" | ")))],
+            })),
+        };
+    };
+    return { keys, exact: summarize(false), near: summarize(true) };
+}
+
+/**
+ * Predicado de las filas afectadas por un hallazgo de la auditoría en `column`.
+ * Los de mayúsculas y duplicados dependen del conjunto completo, por eso reciben `rows`.
+ * @param {AuditIssue} issue
+ * @param {string} column
+ * @param {{ numericColumns: Set<string>, dateColumns: Set<string>, rows: import('./types').Row[] }} context
+ * @returns {(row: import('./types').Row) => boolean}
+ */
+export function buildIssueTest(issue, column, { numericColumns, dateColumns, rows }) {
+    const declaredType = dateColumns.has(column) ? "date" : numericColumns.has(column) ? "number" : "text";
+    switch (issue.type) {
+        case "blank":
+            return (r) => isBlank(r[column]);
+        case "whitespace":
+            return (r) => hasOuterWhitespace(r[column]);
+        case "invalid":
+            return (r) => isInvalidCell(r[column], declaredType);
+        case "mixed": {
+            const isDateColumn = declaredType === "date";
+            return (r) => {
+                const kind = cellKind(r[column], isDateColumn);
+                return kind !== null && kind !== issue.kind;
+            };
+        }
+        case "casing": {
+            const affected = new Set(casingVariants(rows, column).keys());
+            return (r) => affected.has(valueKey(r[column]).toLowerCase());
+        }
+        case "duplicate": {
+            const keys = issue.keys?.length ? issue.keys : [column];
+            const affected = new Set(duplicateGroups(rows, keys, !!issue.near).flat());
+            return (r) => affected.has(r);
+        }
+        default:
+            return () => true;
+    }
+}
+
+/**
+ * @param {AuditIssue} issue
+ * @param {import('./i18n').Translator} [t]
+ * @returns {string}
+ */
+export function describeIssue(issue, t = translateDefault) {
+    switch (issue.type) {
+        case "blank":
+        case "whitespace":
+        case "invalid":
+        case "casing":
+            return t(`audit.issue.${issue.type}`);
+        case "mixed": {
+            const kind = Object.prototype.hasOwnProperty.call(KIND_LABELS, issue.kind) ? t(KIND_LABELS[issue.kind]) : issue.kind;
+            return t("audit.issue.mixed", { kind });
+        }
+        case "duplicate": return t(issue.near ? "audit.issue.nearDuplicate" : "audit.issue.duplicate", { keys: (issue.keys ?? []).join(" + ") });
+        default: return String(issue.type);
+    }
+}
@@ -0,0 +1,62 @@
+import { auditColumn, cellKind, findDuplicates, nearDuplicateKey } from "./audit";
+import { applyDeterministicFilters } from "./pipeline";
+
+const rows = [
+    { Empresa: "ACME S.A.", Valor: 100, Fecha: "2024-01-05", Pais: "China" },
+    { Empresa: "Acme S.A.", Valor: "200", Fecha: "2024-01-06", Pais: " China" },
+    { Empresa: "acme sa", Valor: "n/d", Fecha: "no consta", Pais: "" },
+    { Empresa: "Beta", Valor: 300, Fecha: 45300, Pais: "Perú" },
+    { Empresa: "Beta", Valor: 300, Fecha: "", Pais: "Perú" },
+    { Empresa: "Ñandú", Valor: "", Fecha: "2024-02-01", Pais: "PERÚ" },
+];
+const numericColumns = new Set(["Valor"]);
+const dateColumns = new Set(["Fecha"]);
+
+test("classifies cells by kind, counting Excel serials as dates in date columns", () => {
+    expect(cellKind("  ")).toBeNull();
+    expect(cellKind("12,5")).toBe("text");
+    expect(cellKind(" 12.5 ")).toBe("number");
+    expect(cellKind("05/01/2024")).toBe("date");
+    expect(cellKind(45300)).toBe("number");
+    expect(cellKind(45300, true)).toBe("date");
+});
+
+test("audits every row of a column, not only a sample", () => {
+    const many = [...Array.from({ length: 300 }, (_, i) => ({ Valor: i })), { Valor: "pendiente" }, { Valor: " 7" }];
+    const valor = auditColumn(many, "Valor", "number");
+    expect(valor).toMatchObject({ inferredType: "number", blankCount: 0, mixedCount: 1, invalidCount: 1, whitespaceCount: 1 });
+    expect(valor.kinds).toEqual({ number: 301, date: 0, text: 1 });
+
+    const fecha = auditColumn(rows, "Fecha", "date");
+    expect(fecha).toMatchObject({ inferredType: "date", blankCount: 1, mixedCount: 1, invalidCount: 1 });
+
+    const pais = auditColumn(rows, "Pais", "text");
+    expect(pais).toMatchObject({ blankCount: 1, whitespaceCount: 1, casingGroups: 1, casingCount: 3 });
+    expect(pais.casingExamples).toEqual([["Perú", "PERÚ"]]);
+});
+
+test("finds exact and near-duplicate rows on the chosen keys", () => {
+    expect(nearDuplicateKey(" ACME, S.A. ")).toBe("acme s a");
+    expect(nearDuplicateKey("Ñandú")).toBe("nandu");
+
+    const report = findDuplicates(rows, ["Empresa"]);
+    expect(report.exact).toMatchObject({ groups: 1, rows: 2, extra: 1 });
+    expect(report.exact.examples).toEqual([{ count: 2, values: ["Beta"] }]);
+    expect(report.near).toMatchObject({ groups: 1, rows: 2 });
+    expect(report.near.examples[0].values).toEqual(["ACME S.A.", "Acme S.A."]);
+});
+
+test("issue filters show exactly the rows behind each finding", () => {
+    const filter = (col, issue) => applyDeterministicFilters(rows, { [col]: { mode: "contiene", issue } }, numericColumns, dateColumns);
+    expect(filter("Valor", { type: "invalid" }).map(r => r.Valor)).toEqual(["n/d"]);
+    expect(filter("Valor", { type: "blank" })).toHaveLength(1);
+    expect(filter("Pais", { type: "whitespace" }).map(r => r.Pais)).toEqual([" China"]);
+    expect(filter("Fecha", { type: "mixed", kind: "date" }).map(r => r.Fecha)).toEqual(["no consta"]);
+    expect(filter("Empresa", { type: "casing" }).map(r => r.Empresa)).toEqual(["ACME S.A.", "Acme S.A."]);
+    expect(filter("Empresa", { type: "duplicate", keys: ["Empresa", "Valor"] })).toHaveLength(2);
+    expect(filter("Empresa", { type: "duplicate", keys: ["Empresa"], near: true })).toHaveLength(2);
+
+    // Combinado con el filtro de valor de la misma columna.
+    const both = applyDeterministicFilters(rows, { Pais: { mode: "contiene", value: "chi", issue: { type: "whitespace" } } }, numericColumns, dateColumns);
+    expect(both).toHaveLength(1);
+});
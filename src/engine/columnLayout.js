@@ -0,0 +1,112 @@
+// --- Diseño de la tabla de resultados: orden, ancho, columnas fijas y ocultas ---
+// Se guarda por esquema de archivo (firma de encabezados), como el mapeo de roles.
+
+/**
+ * @typedef {object} ColumnLayout
+ * @property {string[]} order columnas en el orden elegido; las que no figuran van al final
+ * @property {Object<string, number>} widths ancho en píxeles de las columnas redimensionadas
+ * @property {string[]} pinned columnas fijas a la izquierda, en su orden
+ * @property {string[]} hidden
+ */
+
+export const DEFAULT_COLUMN_WIDTH = 180;
+export const MIN_COLUMN_WIDTH = 60;
+export const MAX_COLUMN_WIDTH = 800;
+
+/** @type {ColumnLayout} */
+export const EMPTY_LAYOUT = { order: [], widths: {}, pinned: [], hidden: [] };
+
+const asColumnList = (value, available) => (Array.isArray(value) ? [...new Set(value.filter(col => available.has(col)))] : []);
+
+/**
+ * @param {any} width
+ * @returns {number}
+ */
+export const clampWidth = (width) => Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, Number(width) || DEFAULT_COLUMN_WIDTH)));
+
+/**
+ * Copia válida de un diseño guardado para las columnas del archivo cargado:
+ * descarta las columnas que no existen y limita los anchos.
+ * @param {any} raw
+ * @param {string[]} columns
+ * @returns {ColumnLayout}
+ */
+export function fitLayoutToColumns(raw, columns) {
+    const layout = raw && typeof raw === "object" ? raw : {};
+    const available = new Set(columns);
+    const widths = layout.widths && typeof layout.widths === "object" ? layout.widths : {};
+    return {
+        order: asColumnList(layout.order, available),
+        widths: Object.fromEntries(Object.entries(widths).filter(([col]) => available.has(col)).map(([col, width]) => [col, clampWidth(width)])),
+        pinned: asColumnList(layout.pinned, available),
+        hidden: asColumnList(layout.hidden, available),
+    };
+}
+
+/**
+ * Columnas en el orden del diseño: primero las fijas y después el resto. Las columnas que el
+ * diseño no menciona (nuevas o calculadas después) conservan su posición relativa al final.
+ * @param {string[]} columns
+ * @param {Pick<ColumnLayout, 'order' | 'pinned'>} layout
+ * @returns {string[]}
+ */
+export function orderColumns(columns, { order, pinned }) {
+    const available = new Set(columns);
+    const ordered = [...order.filter(col => available.has(col)), ...columns.filter(col => !order.includes(col))];
+    const pinnedSet = new Set(pinned);
+    return [...ordered.filter(col => pinnedSet.has(col)), ...ordered.filter(col => !pinnedSet.has(col))];
+}
+
+/**
+ * Mueve `column` delante de `target` (o al final si `target` es `null`).
+ * @param {ColumnLayout} layout
+ * @param {string[]} columns todas las columnas del archivo
+ * @param {string} column
+ * @param {string | null} target
+ * @returns {ColumnLayout}
+ */
+export function moveColumn(layout, columns, column, target) {
+    if (column === target) return layout;
+    const order = orderColumns(columns, { order: layout.order, pinned: [] }).filter(col => col !== column);
+    const at = target === null ? -1 : order.indexOf(target);
+    order.splice(at < 0 ? order.length : at, 0, column);
+    // Soltar una columna entre las fijas la fija; soltarla fuera la suelta.
+    const pinnedSet = new Set(layout.pinned);
+    const pinned = target !== null && pinnedSet.has(target)
+        ? order.filter(col => pinnedSet.has(col) || col === column)
+        : layout.pinned.filter(col => col !== column);
+    return { ...layout, order, pinned };
+}
+
+/**
+ * @param {ColumnLayout} layout
+ * @param {string} column
+ * @returns {ColumnLayout}
+ */
+export const togglePinned = (layout, column) => ({
+    ...layout,
+    pinned: layout.pinned.includes(column) ? layout.pinned.filter(col => col !== column) : [...layout.pinned, column],
+});
+
+/**
+ * @param {Pick<ColumnLayout, 'widths'>} layout
+ * @param {string} column
+ */
+export const columnWidth = (layout, column) => layout.widths[column] ?? DEFAULT_COLUMN_WIDTH;
+
+/**
+ * Posición `left` de cada columna fija visible (para `position: sticky`).
+ * @param {string[]} visibleColumns en el orden mostrado
+ * @param {Pick<ColumnLayout, 'widths' | 'pinned'>} layout
+ * @returns {Map<string, number>}
+ */
+export function pinnedOffsets(visibleColumns, layout) {
+    const offsets = new Map();
+    let left = 0;
+    visibleColumns.forEach(col => {
+        if (!layout.pinned.includes(col)) return;
+        offsets.set(col, left);
+        left += columnWidth(layout, col);
+    });
+    return offsets;
+}
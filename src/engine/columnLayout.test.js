@@ -0,0 +1,33 @@
+import { DEFAULT_COLUMN_WIDTH, MAX_COLUMN_WIDTH, fitLayoutToColumns, moveColumn, orderColumns, pinnedOffsets, togglePinned } from "./columnLayout";
+
+const columns = ["Fecha", "Importador", "Exportador", "Pais", "Valor"];
+
+test("fits a saved layout to the loaded columns", () => {
+    const layout = fitLayoutToColumns({ order: ["Valor", "Borrada", "Valor"], widths: { Pais: 9999, Borrada: 100, Valor: "abc" }, pinned: ["Borrada", "Importador"], hidden: "Pais" }, columns);
+    expect(layout).toEqual({ order: ["Valor"], widths: { Pais: MAX_COLUMN_WIDTH, Valor: DEFAULT_COLUMN_WIDTH }, pinned: ["Importador"], hidden: [] });
+    expect(fitLayoutToColumns(null, columns)).toEqual({ order: [], widths: {}, pinned: [], hidden: [] });
+});
+
+test("orders pinned columns first and appends columns the layout does not mention", () => {
+    const layout = { order: ["Valor", "Pais", "Importador"], widths: {}, pinned: ["Importador"], hidden: [] };
+    expect(orderColumns(columns, layout)).toEqual(["Importador", "Valor", "Pais", "Fecha", "Exportador"]);
+    expect(orderColumns([...columns, "Calculada"], { order: columns, pinned: [] }).at(-1)).toBe("Calculada");
+});
+
+test("moves columns, pinning them when dropped among pinned ones", () => {
+    const layout = { order: [], widths: {}, pinned: ["Importador"], hidden: [] };
+    const moved = moveColumn(layout, columns, "Valor", "Fecha");
+    expect(orderColumns(columns, moved)).toEqual(["Importador", "Valor", "Fecha", "Exportador", "Pais"]);
+    expect(moveColumn(moved, columns, "Fecha", null).order.at(-1)).toBe("Fecha");
+
+    const pinned = moveColumn(layout, columns, "Pais", "Importador");
+    expect(pinned.pinned).toEqual(["Pais", "Importador"]);
+    expect(moveColumn(pinned, columns, "Importador", "Valor").pinned).toEqual(["Pais"]);
+    expect(togglePinned(layout, "Importador").pinned).toEqual([]);
+});
+
+test("computes sticky offsets of the visible pinned columns", () => {
+    const layout = { order: [], widths: { Importador: 250 }, pinned: ["Importador", "Exportador", "Fecha"], hidden: [] };
+    const offsets = pinnedOffsets(["Importador", "Fecha", "Pais"], layout);
+    expect([...offsets]).toEqual([["Importador", 0], ["Fecha", 250]]);
+});
@@ -0,0 +1,60 @@
+import { DATE_HEADER_HINT, isPlausibleSerial, parseDateString } from "./dates";
+import { valueKey } from "./stats";
+
+// --- Detección de tipos de columna ---
+
+export const isValueNumeric = (v) => typeof v === "number" || (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v)));
+
+export const isColumnMostlyNumeric = (data, key) => {
+    const sample = data.slice(0, 200);
+    if (!sample.length) return false;
+    const numericCount = sample.filter(r => isValueNumeric(r[key])).length;
+    return numericCount / sample.length > 0.7;
+};
+
+/**
+ * Una columna es de fechas si la mayoría de sus celdas no vacías son texto con formato de fecha,
+ * o si su encabezado lo sugiere ("Fecha", "Date"...) y contiene seriales de Excel plausibles.
+ */
+export const isColumnMostlyDate = (data, key) => {
+    const values = data.slice(0, 200).map(r => r[key]).filter(v => v !== null && v !== undefined && String(v).trim() !== "");
+    if (!values.length) return false;
+    const dateStrings = values.filter(v => typeof v === "string" && !isValueNumeric(v) && parseDateString(v) !== null).length;
+    if (dateStrings / values.length > 0.7) return true;
+    if (!DATE_HEADER_HINT.test(key)) return false;
+    const serials = values.filter(v => isValueNumeric(v) && isPlausibleSerial(Number(v))).length;
+    return serials / values.length > 0.7;
+};
+
+/**
+ * Clasifica las columnas: fechas, numéricas (filtro min/max, estadísticas numéricas) o texto (el resto).
+ * @param {Object<string, string|number>[]} rows
+ * @param {string[]} columns
+ * @returns {{ numeric: string[], date: string[] }}
+ */
+export function detectColumnTypes(rows, columns) {
+    if (!rows.length) return { numeric: [], date: [] };
+    const date = columns.filter(col => isColumnMostlyDate(rows, col));
+    const numeric = columns.filter(col => !date.includes(col) && isColumnMostlyNumeric(rows, col));
+    return { numeric, date };
+}
+
+export const FACET_MAX_VALUES = 200;
+
+/**
+ * Columnas de texto con pocos valores distintos, aptas para filtrar con una lista de casillas.
+ * @param {Object<string, string|number>[]} rows
+ * @param {string[]} textColumns
+ * @param {number} [maxValues]
+ * @returns {string[]}
+ */
+export function detectFacetColumns(rows, textColumns, maxValues = FACET_MAX_VALUES) {
+    return textColumns.filter(col => {
+        const seen = new Set();
+        for (const row of rows) {
+            seen.add(valueKey(row[col]));
+            if (seen.size > maxValues) return false;
+        }
+        return seen.size > 1;
+    });
+}
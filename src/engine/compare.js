@@ -0,0 +1,268 @@
+import { translateDefault } from "./i18n";
+import { dimensionKey } from "./pivot";
+import { joinKey } from "./join";
+import { SOURCE_COLUMN } from "./merge";
+import { compareText } from "./sort";
+import { tallyCompanies, toNumberOrNull, valueKey } from "./stats";
+
+// --- Comparación entre dos periodos (dos archivos o dos cortes del mismo) ---
+// El periodo A es una instantánea fijada antes (resultado filtrado o archivo de la caché);
+// el periodo B, el resultado actual.
+
+/**
+ * @typedef {{ count: number, value: number, weight: number }} PeriodTotals
+ * @typedef {'new' | 'gone' | 'both'} EntryStatus
+ * @typedef {object} ComparisonEntry
+ * @property {string} key empresa o valor de la dimensión
+ * @property {EntryStatus} status `new`: solo en B; `gone`: solo en A
+ * @property {PeriodTotals} before
+ * @property {PeriodTotals} after
+ * @property {number} valueDelta
+ * @property {number | null} valuePct `null` si en A no había valor
+ * @property {number} weightDelta
+ * @property {number | null} weightPct
+ * @typedef {{ column: string, before: any, after: any }} CellChange
+ * @typedef {{ key: string, status: 'added' | 'removed' | 'changed', changes: CellChange[] }} RowChange
+ * @typedef {object} RowDiff
+ * @property {string} key columna clave
+ * @property {string[]} columns columnas comparadas (las comunes a ambos periodos)
+ * @property {number} added claves solo en B
+ * @property {number} removed claves solo en A
+ * @property {number} changed claves en ambos con alguna celda distinta
+ * @property {number} unchanged
+ * @property {number} emptyKeyRows filas sin clave (no se comparan)
+ * @property {number} duplicateKeys filas con una clave repetida en su periodo (se usa la primera)
+ * @property {RowChange[]} changes
+ * @typedef {{ label: string, rows: import('./types').Row[], columns: string[] }} ComparisonSide
+ * @typedef {object} ComparisonReport
+ * @property {string} beforeLabel
+ * @property {string} afterLabel
+ * @property {PeriodTotals} beforeTotals
+ * @property {PeriodTotals} afterTotals
+ * @property {ComparisonEntry[] | null} companies `null` sin columnas de empresa en los roles
+ * @property {{ column: string, entries: ComparisonEntry[] } | null} dimension
+ * @property {RowDiff | null} rowDiff
+ */
+
+/** Cambios por fila que se envían a la pantalla; la exportación los incluye todos. */
+export const ROW_CHANGES_LIMIT = 500;
+/** Empresas o valores que se muestran como mayores subidas y bajadas. */
+export const MOVERS_LIMIT = 5;
+
+// Claves del catálogo de mensajes.
+export const STATUS_LABELS = { new: "compare.status.new", gone: "compare.status.gone", both: "compare.status.both" };
+export const ROW_STATUS_LABELS = { added: "compare.rowStatus.added", removed: "compare.rowStatus.removed", changed: "compare.rowStatus.changed" };
+
+const emptyTotals = () => ({ count: 0, value: 0, weight: 0 });
+
+/**
+ * Variación porcentual de `before` a `after`, o `null` si no hay base.
+ * @param {number} before
+ * @param {number} after
+ */
+export const percentChange = (before, after) => (before ? ((after - before) / Math.abs(before)) * 100 : null);
+
+/**
+ * Envíos, valor y peso de todas las filas.
+ * @param {import('./types').Row[]} rows
+ * @param {import('./roles').ColumnRoles} roles
+ * @returns {PeriodTotals}
+ */
+export function periodTotals(rows, roles) {
+    const totals = emptyTotals();
+    rows.forEach(row => {
+        totals.count++;
+        totals.value += (roles.value ? toNumberOrNull(row[roles.value]) : null) ?? 0;
+        totals.weight += (roles.weight ? toNumberOrNull(row[roles.weight]) : null) ?? 0;
+    });
+    return totals;
+}
+
+/**
+ * Envíos, valor y peso por valor de una columna (las fechas, por mes).
+ * @param {import('./types').Row[]} rows
+ * @param {string} column
+ * @param {boolean} isDate
+ * @param {import('./roles').ColumnRoles} roles
+ * @returns {Map<string, PeriodTotals>}
+ */
+export function tallyDimension(rows, column, isDate, roles) {
+    const tally = new Map();
+    rows.forEach(row => {
+        const key = dimensionKey(row[column], isDate);
+        const entry = tally.get(key) || emptyTotals();
+        entry.count++;
+        entry.value += (roles.value ? toNumberOrNull(row[roles.value]) : null) ?? 0;
+        entry.weight += (roles.weight ? toNumberOrNull(row[roles.weight]) : null) ?? 0;
+        tally.set(key, entry);
+    });
+    return tally;
+}
+
+/**
+ * Une los conteos de ambos periodos. Ordena por la variación de valor en valor absoluto:
+ * los mayores movimientos primero.
+ * @param {Map<string, PeriodTotals>} before
+ * @param {Map<string, PeriodTotals>} after
+ * @returns {ComparisonEntry[]}
+ */
+export function compareTallies(before, after) {
+    const keys = new Set([...before.keys(), ...after.keys()]);
+    return [...keys].map(key => {
+        const b = before.get(key) ?? emptyTotals();
+        const a = after.get(key) ?? emptyTotals();
+        return {
+            key,
+            status: !before.has(key) ? "new" : !after.has(key) ? "gone" : "both",
+            before: b,
+            after: a,
+            valueDelta: a.value - b.value,
+            valuePct: percentChange(b.value, a.value),
+            weightDelta: a.weight - b.weight,
+            weightPct: percentChange(b.weight, a.weight),
+        };
+    }).sort((x, y) => Math.abs(y.valueDelta) - Math.abs(x.valueDelta) || x.key.localeCompare(y.key));
+}
+
+/**
+ * Mayores subidas y bajadas de valor.
+ * @param {ComparisonEntry[]} entries
+ * @param {number} [limit]
+ */
+export function largestMovers(entries, limit = MOVERS_LIMIT) {
+    const byDelta = entries.filter(e => e.valueDelta !== 0).sort((x, y) => y.valueDelta - x.valueDelta);
+    return {
+        up: byDelta.filter(e => e.valueDelta > 0).slice(0, limit),
+        down: byDelta.filter(e => e.valueDelta < 0).reverse().slice(0, limit),
+    };
+}
+
+/**
+ * Ordena las entradas por un campo; las variaciones porcentuales sin base van al final.
+ * @param {ComparisonEntry[]} entries
+ * @param {'key' | 'before' | 'after' | 'valueDelta' | 'valuePct' | 'weightDelta' | 'weightPct' | 'countDelta'} sortBy
+ * @param {'asc' | 'desc'} dir
+ */
+export function sortEntries(entries, sortBy, dir) {
+    const pick = {
+        key: e => e.key,
+        before: e => e.before.value,
+        after: e => e.after.value,
+        valueDelta: e => e.valueDelta,
+        valuePct: e => e.valuePct,
+        weightDelta: e => e.weightDelta,
+        weightPct: e => e.weightPct,
+        countDelta: e => e.after.count - e.before.count,
+    }[sortBy];
+    const sign = dir === "asc" ? 1 : -1;
+    return [...entries].sort((x, y) => {
+        const a = pick(x);
+        const b = pick(y);
+        if (a === null || b === null) return a === b ? 0 : a === null ? 1 : -1;
+        return (typeof a === "string" ? compareText(a, b) : a - b) * sign;
+    });
+}
+
+/**
+ * Compara fila a fila por una columna clave. Las claves se comparan sin espacios sobrantes ni
+ * mayúsculas, y las celdas por su texto, para que `100` y `"100"` no cuenten como cambio.
+ * @param {import('./types').Row[]} beforeRows
+ * @param {import('./types').Row[]} afterRows
+ * @param {string} key
+ * @param {string[]} columns
+ * @returns {RowDiff}
+ */
+export function diffRows(beforeRows, afterRows, key, columns) {
+    let emptyKeyRows = 0;
+    let duplicateKeys = 0;
+    const index = (rows) => {
+        const map = new Map();
+        rows.forEach(row => {
+            const k = joinKey(row[key]);
+            if (k === "") { emptyKeyRows++; return; }
+            if (map.has(k)) { duplicateKeys++; return; }
+            map.set(k, row);
+        });
+        return map;
+    };
+    const before = index(beforeRows);
+    const after = index(afterRows);
+    const compared = columns.filter(col => col !== key);
+
+    /** @type {RowChange[]} */
+    const changes = [];
+    let unchanged = 0;
+    after.forEach((row, k) => {
+        const old = before.get(k);
+        if (!old) {
+            changes.push({ key: valueKey(row[key]), status: "added", changes: [] });
+            return;
+        }
+        const cells = compared
+            .filter(col => valueKey(old[col]) !== valueKey(row[col]))
+            .map(col => ({ column: col, before: old[col] ?? "", after: row[col] ?? "" }));
+        if (cells.length) changes.push({ key: valueKey(row[key]), status: "changed", changes: cells });
+        else unchanged++;
+    });
+    before.forEach((row, k) => {
+        if (!after.has(k)) changes.push({ key: valueKey(row[key]), status: "removed", changes: [] });
+    });
+    const count = (status) => changes.filter(c => c.status === status).length;
+    return { key, columns: compared, added: count("added"), removed: count("removed"), changed: count("changed"), unchanged, emptyKeyRows, duplicateKeys, changes };
+}
+
+/**
+ * Informe completo de la comparación.
+ * @param {ComparisonSide} before
+ * @param {ComparisonSide} after
+ * @param {{ roles: import('./roles').ColumnRoles, dimension?: string, rowKey?: string, dateColumns?: Set<string> }} options
+ *   la dimensión y la clave se ignoran si no existen en ambos periodos
+ * @returns {ComparisonReport}
+ */
+export function compareDatasets(before, after, { roles, dimension = "", rowKey = "", dateColumns = new Set() }) {
+    const inBoth = (col) => !!col && before.columns.includes(col) && after.columns.includes(col);
+    const hasCompanies = [roles.importer, roles.exporter].some(inBoth);
+    // Los roles solo se usan si la columna existe en los dos periodos.
+    const shared = Object.fromEntries(Object.entries(roles).map(([role, col]) => [role, inBoth(col) ? col : null]));
+    const common = after.columns.filter(col => col !== SOURCE_COLUMN && before.columns.includes(col));
+    return {
+        beforeLabel: before.label,
+        afterLabel: after.label,
+        beforeTotals: periodTotals(before.rows, shared),
+        afterTotals: periodTotals(after.rows, shared),
+        companies: hasCompanies ? compareTallies(tallyCompanies(before.rows, shared), tallyCompanies(after.rows, shared)) : null,
+        dimension: inBoth(dimension) ? {
+            column: dimension,
+            entries: compareTallies(
+                tallyDimension(before.rows, dimension, dateColumns.has(dimension), shared),
+                tallyDimension(after.rows, dimension, dateColumns.has(dimension), shared),
+            ),
+        } : null,
+        rowDiff: inBoth(rowKey) ? diffRows(before.rows, after.rows, rowKey, common) : null,
+    };
+}
+
+/**
+ * Filas planas de una tabla de comparación, para exportarla.
+ * @param {ComparisonEntry[]} entries
+ * @param {string} keyLabel encabezado de la primera columna
+ * @param {import('./i18n').Translator} [t] idioma de los encabezados y de los estados
+ * @returns {import('./types').Row[]}
+ */
+export function entriesToRows(entries, keyLabel, t = translateDefault) {
+    const round = (n) => (n === null ? "" : Math.round(n * 100) / 100);
+    return entries.map(e => ({
+        [keyLabel]: e.key || t("value.empty"),
+        [t("compare.col.status")]: t(STATUS_LABELS[e.status]),
+        [t("compare.col.countA")]: e.before.count,
+        [t("compare.col.countB")]: e.after.count,
+        [t("compare.col.valueA")]: e.before.value,
+        [t("compare.col.valueB")]: e.after.value,
+        [t("compare.col.valueDelta")]: e.valueDelta,
+        [t("compare.col.valuePct")]: round(e.valuePct),
+        [t("compare.col.weightA")]: e.before.weight,
+        [t("compare.col.weightB")]: e.after.weight,
+        [t("compare.col.weightDelta")]: e.weightDelta,
+        [t("compare.col.weightPct")]: round(e.weightPct),
+    }));
+}
@@ -0,0 +1,73 @@
+import * as XLSX from "xlsx";
+import { compareDatasets, diffRows, largestMovers, sortEntries } from "./compare";
+import { buildComparisonWorkbook } from "./exportWorkbook";
+
+const roles = { importer: "Importador", exporter: "Exportador", value: "Valor", weight: "Peso", date: "Fecha" };
+const columns = ["Id", "Importador", "Exportador", "Pais", "Fecha", "Valor", "Peso"];
+const row = (Id, Importador, Exportador, Pais, Fecha, Valor, Peso) => ({ Id, Importador, Exportador, Pais, Fecha, Valor, Peso });
+
+const march = {
+    label: "Marzo",
+    columns,
+    rows: [
+        row(1, "ACME", "Sino", "China", "2024-03-02", 1000, 100),
+        row(2, "ACME", "Andes", "Perú", "2024-03-10", 500, 50),
+        row(3, "Beta", "Sino", "China", "2024-03-15", 200, 20),
+    ],
+};
+const april = {
+    label: "Abril",
+    columns: [...columns, "Solo abril"],
+    rows: [
+        row(1, "ACME", "Sino", "China", "2024-03-02", 1200, 100),
+        row(2, "ACME", "Andes", "Perú", "2024-03-10", 500, 50),
+        row(4, "Gamma", "Sino", " China ", "2024-04-01", "300", ""),
+        row("", "Gamma", "Sino", "China", "2024-04-03", 100, 10),
+    ],
+};
+
+test("compares companies, a dimension and totals between periods", () => {
+    const report = compareDatasets(march, april, { roles, dimension: "Pais" });
+    expect(report.beforeTotals).toEqual({ count: 3, value: 1700, weight: 170 });
+    expect(report.afterTotals).toEqual({ count: 4, value: 2100, weight: 160 });
+
+    const byKey = Object.fromEntries(report.companies.map(e => [e.key, e]));
+    expect(byKey.Gamma).toMatchObject({ status: "new", valueDelta: 400, valuePct: null });
+    expect(byKey.Beta).toMatchObject({ status: "gone", valueDelta: -200, valuePct: -100 });
+    expect(byKey.Sino).toMatchObject({ status: "both", before: { count: 2, value: 1200 }, after: { count: 3, value: 1600 } });
+    expect(byKey.ACME.valuePct).toBeCloseTo(200 / 15);
+    // Los mayores movimientos primero.
+    expect(report.companies[0].key).toBe("Gamma");
+
+    expect(report.dimension.entries.find(e => e.key === "China")).toMatchObject({ before: { count: 2, value: 1200 }, after: { count: 3, value: 1600 } });
+    expect(report.rowDiff).toBeNull();
+    expect(compareDatasets(march, april, { roles, dimension: "Solo abril" }).dimension).toBeNull();
+});
+
+test("ranks movers and sorts deltas leaving missing percentages last", () => {
+    const { companies } = compareDatasets(march, april, { roles });
+    const { up, down } = largestMovers(companies);
+    expect(up.map(e => e.key)).toEqual(["Gamma", "Sino", "ACME"]);
+    expect(down.map(e => e.key)).toEqual(["Beta"]);
+    expect(sortEntries(companies, "valuePct", "desc").map(e => e.key)).toEqual(["Sino", "ACME", "Andes", "Beta", "Gamma"]);
+    expect(sortEntries(companies, "key", "asc")[0].key).toBe("ACME");
+});
+
+test("diffs rows on a key, ignoring blank keys and type-only differences", () => {
+    const diff = diffRows(march.rows, april.rows, "Id", columns);
+    expect(diff).toMatchObject({ added: 1, removed: 1, changed: 1, unchanged: 1, emptyKeyRows: 1, duplicateKeys: 0 });
+    expect(diff.changes.find(c => c.status === "changed")).toEqual({ key: "1", status: "changed", changes: [{ column: "Valor", before: 1000, after: 1200 }] });
+    expect(diffRows([{ Id: "a", V: 1 }, { Id: "A ", V: 2 }], [{ Id: "a", V: "1" }], "Id", ["Id", "V"])).toMatchObject({ unchanged: 1, duplicateKeys: 1 });
+});
+
+test("exports a workbook with summary, company and row-difference sheets", () => {
+    const report = compareDatasets(march, april, { roles, rowKey: "Id" });
+    const wb = buildComparisonWorkbook(report);
+    expect(wb.SheetNames).toEqual(["Resumen", "Empresas", "Diferencias por fila"]);
+    const summary = XLSX.utils.sheet_to_json(wb.Sheets.Resumen, { header: 1 });
+    expect(summary).toContainEqual(["Valor", 1700, 2100, 400]);
+    expect(summary).toContainEqual(["Empresas nuevas", 1]);
+    const diffs = XLSX.utils.sheet_to_json(wb.Sheets["Diferencias por fila"], { header: 1 });
+    expect(diffs).toContainEqual(["1", "Modificada", "Valor", 1000, 1200]);
+    expect(diffs).toContainEqual(["3", "Eliminada"]);
+});
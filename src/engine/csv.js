@@ -0,0 +1,47 @@
+import { isValueNumeric } from "./columns";
+
+// --- Exportación a CSV ---
+
+/** Marca de orden de bytes: sin ella Excel abre el CSV como ANSI y estropea los acentos. */
+export const CSV_BOM = "\uFEFF";
+
+/** Separadores ofrecidos: la coma estándar y el punto y coma que espera Excel en configuración regional española. */
+export const CSV_DELIMITERS = [",", ";"];
+
+// Celdas que una hoja de cálculo interpretaría como fórmula (inyección CSV).
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?(\d+([.,]\d*)?|[.,]\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Neutraliza el texto que empieza como una fórmula anteponiendo un apóstrofo.
+ * Los números con signo (`-12.5`) se dejan tal cual.
+ * @param {string} text
+ */
+export const escapeFormula = (text) => (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text);
+
+/**
+ * Serializa filas a texto CSV.
+ * @param {import('./types').Row[]} rows
+ * @param {{ columns?: string[], delimiter?: string, numericColumns?: Set<string> }} [options] `columns`
+ *        fija qué columnas se exportan y en qué orden; por defecto, las claves de la primera fila. Con el
+ *        separador `;` los números se escriben con coma decimal, como los espera Excel en español; el texto
+ *        numérico (como llegan las celdas de un CSV importado) solo en `numericColumns`, para no alterar
+ *        códigos como "8471.30" de las columnas de texto.
+ * @returns {string}
+ */
+export function rowsToCSV(rows, { columns, delimiter = ",", numericColumns = new Set() } = {}) {
+    if (!rows?.length) return "";
+    const header = columns ?? Object.keys(rows[0]);
+    const needsQuotes = delimiter === ";" ? /[";\n\r]/ : /[",\n\r]/;
+    const escape = (v, numeric = false) => {
+        if (v === null || v === undefined || v === "") return "";
+        const text = typeof v === "string" ? escapeFormula(v) : String(v);
+        const decimalComma = delimiter === ";" && (typeof v === "number" || (numeric && isValueNumeric(v)));
+        // Un número tiene como mucho un punto decimal: basta con sustituir el primero.
+        const s = (decimalComma ? text.replace(".", ",") : text).replaceAll('"', '""');
+        return needsQuotes.test(s) ? `"${s}"` : s;
+    };
+    const numeric = header.map(k => numericColumns.has(k));
+    const csvRows = rows.map(r => header.map((k, i) => escape(r[k], numeric[i])).join(delimiter));
+    return [header.map(escape).join(delimiter), ...csvRows].join("\n");
+}
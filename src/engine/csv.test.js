@@ -0,0 +1,42 @@
+import { escapeFormula, rowsToCSV } from "./csv";
+
+test("escapes formula-like text but keeps signed numbers", () => {
+    expect(escapeFormula("=HYPERLINK(\"x\")")).toBe("'=HYPERLINK(\"x\")");
+    expect(escapeFormula("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(escapeFormula("+51 999")).toBe("'+51 999");
+    expect(escapeFormula("-12.5")).toBe("-12.5");
+    expect(escapeFormula("ACME")).toBe("ACME");
+});
+
+test("writes the chosen columns in order with the chosen delimiter", () => {
+    const rows = [
+        { Empresa: "Peña; Hnos", Valor: 1234.5, Nota: "=1+1" },
+        { Empresa: "ACME", Valor: "", Nota: "dijo \"hola\"" },
+    ];
+    expect(rowsToCSV(rows, { columns: ["Valor", "Empresa"] })).toBe("Valor,Empresa\n1234.5,Peña; Hnos\n,ACME");
+    expect(rowsToCSV(rows, { delimiter: ";" })).toBe([
+        "Empresa;Valor;Nota",
+        "\"Peña; Hnos\";1234,5;'=1+1",
+        "ACME;;\"dijo \"\"hola\"\"\"",
+    ].join("\n"));
+});
+
+test("writes numeric text with a decimal comma for the semicolon delimiter, only in numeric columns", () => {
+    const rows = [{ Valor: "12.5", Peso: " -0.75 ", Codigo: "A.1", Fecha: "01.02.2024" }, { Valor: "3", Peso: 1e-7, Codigo: "1.2.3", Fecha: "" }];
+    const numericColumns = new Set(["Valor", "Peso"]);
+    expect(rowsToCSV(rows, { delimiter: ";", numericColumns })).toBe([
+        "Valor;Peso;Codigo;Fecha",
+        "12,5; -0,75 ;A.1;01.02.2024",
+        "3;1e-7;1.2.3;",
+    ].join("\n"));
+    expect(rowsToCSV(rows.slice(0, 1), { numericColumns })).toBe("Valor,Peso,Codigo,Fecha\n12.5, -0.75 ,A.1,01.02.2024");
+});
+
+test("keeps codes that look numeric in text columns", () => {
+    const rows = [{ Partida: "8471.30", Referencia: "1.5", Valor: 1234.5 }, { Partida: "8471.30", Referencia: "", Valor: "99.9" }];
+    expect(rowsToCSV(rows, { delimiter: ";", numericColumns: new Set(["Valor"]) })).toBe([
+        "Partida;Referencia;Valor",
+        "8471.30;1.5;1234,5",
+        "8471.30;;99,9",
+    ].join("\n"));
+});
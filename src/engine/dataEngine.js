@@ -0,0 +1,309 @@
+import { detectSheetHeaderRow, readTextWorkbook, readWorkbook, sheetToRows } from "./sheets";
+import { decodeText, detectDelimiter, detectEncoding, isBinaryWorkbook } from "./importOptions";
+import { detectColumnTypes, detectFacetColumns } from "./columns";
+import { parseDateValue } from "./dates";
+import { buildColumnPredicates, createSearchIndex, searchRows, sortHitsByRelevance } from "./pipeline";
+import { sortRows } from "./sort";
+import { collectFuzzyNodes, compileQuery, parseQuery } from "./query";
+import { getCompanyAggregates, rankValueCounts, tallyValue } from "./stats";
+import { addComputedColumns } from "./formula";
+import { LocalizedError, translateDefault } from "./i18n";
+import { ANOMALY_FLAG_COLUMN, ANOMALY_FLAG_LABELS, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN, detectPriceAnomalies } from "./anomalies";
+
+// =====================================================================
+// === MOTOR DE DATOS SIN INTERFAZ ======================================
+// =====================================================================
+// Lectura de archivos, tipos de columna, columnas calculadas y la consulta completa (búsqueda,
+// filtros, facetas, orden y precios anómalos) sin React ni APIs del navegador. El worker de la
+// aplicación guarda el estado entre mensajes y cancela consultas obsoletas; la línea de comandos
+// (`scripts/findir.mjs`) y las pruebas llaman a estas funciones directamente.
+//
+// Uso típico:
+//   const { rows, columns } = readSheet(openWorkbook(bytes));
+//   const table = createTable(rows, columns);
+//   const result = await runQuery(table, { query: "acme", searchKeys: table.columns });
+//   getVisibleColumnStats("Valor", result.rows, table.numericColumns, table.dateColumns);
+
+/**
+ * @typedef {import('./types').Row} Row
+ *
+ * @typedef {object} ColumnTypes tipos detectados en las columnas leídas de un archivo
+ * @property {string[]} numeric
+ * @property {string[]} date
+ * @property {string[]} facet columnas de texto con pocos valores distintos
+ *
+ * @typedef {object} DataTable conjunto listo para consultar
+ * @property {Row[]} rows filas con las columnas calculadas
+ * @property {string[]} columns columnas leídas y, detrás, las calculadas
+ * @property {Set<string>} numericColumns
+ * @property {Set<string>} dateColumns
+ * @property {string[]} facetColumns
+ * @property {import('./formula').ComputedColumnError[]} computedErrors columnas calculadas que no se pudieron aplicar
+ *
+ * @typedef {object} QuerySpec criterios de una consulta (los mismos que guarda una vista)
+ * @property {import('./types').Filters} [filters]
+ * @property {string} [query] búsqueda global, con la sintaxis avanzada de `query.js`
+ * @property {string[]} [searchKeys] columnas de la búsqueda difusa
+ * @property {import('./sort').SortLevel[]} [sort]
+ * @property {boolean} [sortByRelevance] con una búsqueda en curso, sustituye a `sort`
+ * @property {import('./anomalies').AnomalySpec & { onlyFlagged?: boolean } | null} [anomalies]
+ *
+ * @typedef {object} QueryResult
+ * @property {Row[]} rows filas del resultado, ya ordenadas
+ * @property {((row: Row) => { score: number, highlights: import('./types').MatchHighlights | null }) | null} describeRow
+ *           puntuación y resaltado de la búsqueda para una fila; `null` sin búsqueda
+ * @property {Object<string, import('./types').ValueCount[]>} facetCounts conteos de cada faceta contra el resto de criterios
+ * @property {import('./anomalies').AnomalyAnalysis | null} anomalies
+ *
+ * @typedef {object} QueryOptions
+ * @property {(keys: string[], extended: boolean) => any} [searchIndex] índice de Fuse para esas columnas
+ *           (el worker reutiliza el suyo entre consultas); por defecto se construye uno para esta consulta
+ * @property {(stage: string, fraction: number) => void | Promise<void>} [checkpoint] se espera tras cada
+ *           etapa (clave del catálogo de mensajes) y cada bloque de filas: permite informar del progreso,
+ *           ceder el hilo o cancelar lanzando un error
+ * @property {number} [chunkRows] filas filtradas entre dos `checkpoint`
+ */
+
+export const QUERY_CHUNK_ROWS = 20000;
+
+/**
+ * Libro de un archivo: binario (xlsx, xls) o de texto, detectando la codificación y el separador.
+ * @param {Uint8Array} bytes
+ */
+export function openWorkbook(bytes) {
+    if (isBinaryWorkbook(bytes)) return readWorkbook(bytes);
+    const encoding = detectEncoding(bytes);
+    return readTextWorkbook(decodeText(bytes, encoding), detectDelimiter(decodeText(bytes.subarray(0, 64 * 1024), encoding)));
+}
+
+/**
+ * Filas de una hoja (por defecto la primera), con el encabezado detectado salvo que se indique.
+ * @param {any} workbook
+ * @param {{ sheetName?: string, headerRow?: number, skipBottom?: number, columns?: string[] | null, onProgress?: (fraction: number) => void }} [options]
+ * @returns {{ sheetName: string, rows: Row[], columns: string[] }}
+ */
+export function readSheet(workbook, { sheetName = workbook.SheetNames[0], headerRow, ...options } = {}) {
+    if (!workbook.SheetNames.includes(sheetName)) throw new LocalizedError("engine.error.missingSheet", { sheet: sheetName });
+    const { rows, columns } = sheetToRows(workbook, sheetName, { ...options, headerRow: headerRow ?? detectSheetHeaderRow(workbook, sheetName) });
+    return { sheetName, rows, columns };
+}
+
+/**
+ * @param {Row[]} rows
+ * @param {string[]} columns
+ * @returns {ColumnTypes}
+ */
+export function detectTableTypes(rows, columns) {
+    const types = detectColumnTypes(rows, columns);
+    const facet = detectFacetColumns(rows, columns.filter(c => !types.numeric.includes(c) && !types.date.includes(c)));
+    return { ...types, facet };
+}
+
+/**
+ * Añade las columnas calculadas a las filas leídas; sus tipos se detectan como los de las leídas,
+ * que se reciben ya detectados para no recorrer de nuevo el conjunto al cambiar solo las fórmulas.
+ * @param {Row[]} rows
+ * @param {string[]} baseColumns
+ * @param {ColumnTypes} baseTypes
+ * @param {import('./formula').ComputedColumn[]} [computedColumns]
+ * @returns {DataTable}
+ */
+export function buildTable(rows, baseColumns, baseTypes, computedColumns = []) {
+    const computed = addComputedColumns(rows, baseColumns, computedColumns);
+    const added = computed.columns.slice(baseColumns.length);
+    const types = detectColumnTypes(computed.rows, added);
+    const textAdded = added.filter(c => !types.numeric.includes(c) && !types.date.includes(c));
+    return {
+        rows: computed.rows,
+        columns: computed.columns,
+        numericColumns: new Set([...baseTypes.numeric, ...types.numeric]),
+        dateColumns: new Set([...baseTypes.date, ...types.date]),
+        facetColumns: [...baseTypes.facet, ...detectFacetColumns(computed.rows, textAdded)],
+        computedErrors: computed.errors,
+    };
+}
+
+/**
+ * @param {Row[]} rows
+ * @param {string[]} columns
+ * @param {import('./formula').ComputedColumn[]} [computedColumns]
+ * @returns {DataTable}
+ */
+export const createTable = (rows, columns, computedColumns = []) => buildTable(rows, columns, detectTableTypes(rows, columns), computedColumns);
+
+/**
+ * Primera y última fecha de cada columna de fechas (para los atajos de rango del filtro).
+ * @param {DataTable} table
+ * @returns {Object<string, { min: number, max: number }>}
+ */
+export function getDateRanges({ rows, dateColumns }) {
+    const ranges = {};
+    dateColumns.forEach(col => {
+        let min = Infinity;
+        let max = -Infinity;
+        rows.forEach(row => {
+            const ms = parseDateValue(row[col]);
+            if (ms === null) return;
+            if (ms < min) min = ms;
+            if (ms > max) max = ms;
+        });
+        if (min !== Infinity) ranges[col] = { min, max };
+    });
+    return ranges;
+}
+
+/**
+ * Índices de Fuse de unas filas por columnas de búsqueda; el extendido reutiliza el índice del simple.
+ * @param {Row[]} rows
+ * @returns {(keys: string[], extended: boolean) => any}
+ */
+export function createSearchIndexCache(rows) {
+    let signature = "";
+    let fuse = null;
+    let extendedFuse = null;
+    return (keys, extended) => {
+        if (signature !== JSON.stringify(keys)) {
+            fuse = createSearchIndex(rows, keys);
+            extendedFuse = null;
+            signature = JSON.stringify(keys);
+        }
+        if (extended && !extendedFuse) extendedFuse = createSearchIndex(rows, keys, { extended: true, index: fuse.getIndex() });
+        return extended ? extendedFuse : fuse;
+    };
+}
+
+/**
+ * Ejecuta una consulta completa sobre el conjunto: búsqueda global, filtros por columna (contando
+ * las facetas en la misma pasada), orden y, si se pide, precios anómalos.
+ * @param {DataTable} table
+ * @param {QuerySpec} spec
+ * @param {QueryOptions} [options]
+ * @returns {Promise<QueryResult>}
+ */
+export async function runQuery(table, spec, options = {}) {
+    const { filters = {}, query = "", searchKeys = [], sort = [], sortByRelevance = false, anomalies = null } = spec;
+    const { searchIndex = createSearchIndexCache(table.rows), checkpoint = () => {}, chunkRows = QUERY_CHUNK_ROWS } = options;
+    const columnPredicates = buildColumnPredicates(filters, table.numericColumns, table.dateColumns, table.rows);
+    const facetTallies = Object.fromEntries(table.facetColumns.map(col => [col, new Map()]));
+    let rows = table.rows;
+    let describeRow = null;
+    let queryTest = null;
+
+    // La consulta se evalúa como un predicado más, combinado con los filtros por columna.
+    // Si tiene errores de sintaxis se trata entera como una búsqueda difusa simple.
+    const parsed = parseQuery(query, table.columns);
+    const ast = parsed.error ? { type: "fuzzy", text: query, extended: false } : parsed.ast;
+    if (ast) {
+        const fuzzyNodes = collectFuzzyNodes(ast);
+        let fuzzyHits = null;
+        if (searchKeys.length && table.rows.length) {
+            fuzzyHits = fuzzyNodes.map(node => {
+                const hits = new Map();
+                try {
+                    searchRows(searchIndex(searchKeys, node.extended), node.text).forEach(hit => hits.set(hit.row, hit));
+                } catch (e) {
+                    console.error("Error al ejecutar Fuse search.", e);
+                }
+                return hits;
+            });
+        }
+        await checkpoint("stage.searching", 1);
+
+        const compiled = compileQuery(ast, { searchKeys, numericColumns: table.numericColumns, dateColumns: table.dateColumns, fuzzyHits });
+        queryTest = compiled.test;
+        describeRow = compiled.describe;
+    }
+
+    // Una sola pasada filtra y cuenta las facetas. Una fila que solo falla el filtro de
+    // la columna C cuenta para la faceta de C: así cada faceta refleja los demás filtros.
+    if (queryTest || columnPredicates.length || table.facetColumns.length) {
+        const kept = [];
+        for (let i = 0; i < rows.length; i += chunkRows) {
+            const end = Math.min(rows.length, i + chunkRows);
+            for (let j = i; j < end; j++) {
+                const row = rows[j];
+                if (queryTest && !queryTest(row)) continue;
+                let failedColumn = null;
+                let failedTwice = false;
+                for (const { column, test } of columnPredicates) {
+                    if (test(row)) continue;
+                    if (failedColumn !== null) { failedTwice = true; break; }
+                    failedColumn = column;
+                }
+                if (failedTwice) continue;
+                if (failedColumn !== null) {
+                    if (facetTallies[failedColumn]) tallyValue(facetTallies[failedColumn], row[failedColumn]);
+                    continue;
+                }
+                for (const col in facetTallies) tallyValue(facetTallies[col], row[col]);
+                kept.push(row);
+            }
+            await checkpoint("stage.filtering", end / rows.length);
+        }
+        rows = kept;
+    }
+
+    // El orden por relevancia (si hay búsqueda) sustituye al orden por columna.
+    if (ast && sortByRelevance) {
+        rows = sortHitsByRelevance(rows.map(row => ({ row, ...describeRow(row) }))).map(hit => hit.row);
+    }
+    const sortLevels = sort.filter(level => table.columns.includes(level.column));
+    if (sortLevels.length && !(ast && sortByRelevance)) {
+        rows = sortRows(rows, sortLevels, table.numericColumns, table.dateColumns);
+        await checkpoint("stage.sorting", 1);
+    }
+
+    // La referencia de cada grupo se calcula sobre el resultado completo; después se
+    // pueden dejar solo las filas marcadas.
+    let analysis = null;
+    if (anomalies && [anomalies.groupColumn, anomalies.valueColumn, anomalies.weightColumn].every(col => table.columns.includes(col))) {
+        analysis = detectPriceAnomalies(rows, anomalies);
+        if (anomalies.onlyFlagged) rows = rows.filter(row => analysis.scores.get(row)?.flag);
+        await checkpoint("stage.anomalies", 1);
+    }
+
+    return {
+        rows,
+        describeRow,
+        facetCounts: Object.fromEntries(Object.entries(facetTallies).map(([col, counts]) => [col, rankValueCounts(counts)])),
+        anomalies: analysis,
+    };
+}
+
+/**
+ * Con el análisis de precios activo, las exportaciones llevan el precio unitario, la puntuación z y la marca.
+ * @param {Row[]} rows
+ * @param {string[]} columns
+ * @param {import('./anomalies').AnomalyAnalysis | null} anomalies
+ * @param {import('./i18n').Translator} [t] traduce la marca (alto / bajo)
+ * @returns {{ rows: Row[], columns: string[] }}
+ */
+export function withAnomalyColumns(rows, columns, anomalies, t = translateDefault) {
+    if (!anomalies) return { rows, columns };
+    const { scores } = anomalies;
+    return {
+        rows: rows.map(row => {
+            const score = scores.get(row);
+            return {
+                ...row,
+                [ANOMALY_PRICE_COLUMN]: score?.price ?? "",
+                [ANOMALY_Z_COLUMN]: score && score.z !== null && isFinite(score.z) ? score.z : "",
+                [ANOMALY_FLAG_COLUMN]: score?.flag ? t(ANOMALY_FLAG_LABELS[score.flag]) : "",
+            };
+        }),
+        columns: [...columns, ANOMALY_PRICE_COLUMN, ANOMALY_Z_COLUMN, ANOMALY_FLAG_COLUMN],
+    };
+}
+
+/**
+ * Análisis de una empresa: sobre el resultado si hay filtros o búsqueda, si no sobre todo el conjunto.
+ * @param {DataTable} table
+ * @param {Row[]} resultRows
+ * @param {string} company
+ * @param {{ query?: string, roles: import('./roles').ColumnRoles }} options
+ * @returns {import('./types').CompanyAggregates}
+ */
+export function analyzeCompany(table, resultRows, company, { query = "", roles }) {
+    const isFiltered = table.rows.length !== resultRows.length || query.trim() !== "";
+    return { ...getCompanyAggregates(company, isFiltered ? resultRows : table.rows, roles), isFiltered };
+}
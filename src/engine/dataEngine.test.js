@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+// Como en la línea de comandos: los archivos se leen con fs y se interpretan fuera del navegador.
+import { readFileSync } from "fs";
+import path from "path";
+import * as XLSX from "xlsx";
+import { analyzeCompany, buildTable, createTable, detectTableTypes, getDateRanges, openWorkbook, readSheet, runQuery, withAnomalyColumns } from "./dataEngine";
+import { getVisibleColumnStats } from "./stats";
+import { suggestColumnRoles } from "./roles";
+import { ANOMALY_FLAG_COLUMN } from "./anomalies";
+import { createTranslator } from "./i18n";
+import es from "../locales/es";
+import en from "../locales/en";
+
+const fixture = (name) => new Uint8Array(readFileSync(path.join(__dirname, "fixtures", name)));
+
+function loadShipments() {
+    const { rows, columns } = readSheet(openWorkbook(fixture("envios.csv")));
+    return createTable(rows, columns);
+}
+
+const column = (rows, col) => rows.map(row => row[col]);
+
+test("reads the CSV fixture and detects column types, facets and date ranges", () => {
+    const table = loadShipments();
+    expect(table.columns).toEqual(["Fecha", "Consignatario", "Expedidor", "Producto", "País de origen", "Valor (USD)", "Peso (KG)"]);
+    expect(table.rows).toHaveLength(8);
+    expect([...table.numericColumns]).toEqual(["Valor (USD)", "Peso (KG)"]);
+    expect([...table.dateColumns]).toEqual(["Fecha"]);
+    expect(table.facetColumns).toEqual(["Consignatario", "Expedidor", "Producto", "País de origen"]);
+    expect(getDateRanges(table)).toEqual({ Fecha: { min: Date.UTC(2024, 0, 5), max: Date.UTC(2024, 3, 15) } });
+});
+
+test("reads a workbook sheet by name, skipping the title rows above the header", () => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["a"]]), "Portada");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Informe de envíos 2024"], [], ["Empresa", "Valor"], ["ACME", 10], ["Beta", 20]]), "Datos");
+    const workbook = openWorkbook(new Uint8Array(XLSX.write(wb, { bookType: "xlsx", type: "array" })));
+    expect(workbook.SheetNames).toEqual(["Portada", "Datos"]);
+    const sheet = readSheet(workbook, { sheetName: "Datos" });
+    expect(sheet.columns).toEqual(["Empresa", "Valor"]);
+    expect(column(sheet.rows, "Valor")).toEqual([10, 20]);
+    expect(() => readSheet(workbook, { sheetName: "Otra" })).toThrow('La hoja "Otra" no existe en el libro.');
+});
+
+test("filters, searches and sorts, counting each facet against the other criteria", async () => {
+    const table = loadShipments();
+    const result = await runQuery(table, {
+        filters: { "País de origen": { mode: "contiene", facet: { values: ["China"] } }, "Valor (USD)": { mode: "contiene", min: 9000 } },
+        searchKeys: table.columns,
+        sort: [{ column: "Valor (USD)", dir: "desc" }],
+    });
+    expect(column(result.rows, "Valor (USD)")).toEqual(["30000", "12000", "9000"]);
+    expect(result.describeRow).toBeNull();
+    // Sin el filtro de país, solo quedan los envíos de al menos 9000 USD.
+    expect(result.facetCounts["País de origen"]).toEqual([{ value: "China", count: 3 }]);
+    expect(result.facetCounts.Producto).toEqual([{ value: "Tubos de acero", count: 3 }]);
+
+    const searched = await runQuery(table, { query: "Producto:repuestos Consignatario:acme", searchKeys: table.columns });
+    expect(column(searched.rows, "Fecha")).toEqual(["01/03/2024"]);
+
+    const fuzzy = await runQuery(table, { query: "hamburg", searchKeys: ["Expedidor"], sortByRelevance: true });
+    expect(column(fuzzy.rows, "Expedidor")).toEqual(["Hamburg Tools GmbH", "Hamburg Tools GmbH"]);
+    expect(fuzzy.describeRow(fuzzy.rows[0]).highlights.Expedidor).toBeTruthy();
+});
+
+test("stops at a checkpoint that throws, after reporting each stage", async () => {
+    const table = loadShipments();
+    const stages = [];
+    const cancelled = new Error("cancelada");
+    const checkpoint = (stage) => {
+        stages.push(stage);
+        if (stage === "stage.filtering") throw cancelled;
+    };
+    await expect(runQuery(table, { query: "acero", searchKeys: ["Producto"] }, { checkpoint, chunkRows: 3 })).rejects.toBe(cancelled);
+    expect(stages).toEqual(["stage.searching", "stage.filtering"]);
+});
+
+test("adds computed columns and flags price anomalies for export", async () => {
+    const { rows, columns } = readSheet(openWorkbook(fixture("envios.csv")));
+    const table = buildTable(rows, columns, detectTableTypes(rows, columns), [{ name: "Precio", formula: "[Valor (USD)] / [Peso (KG)]" }, { name: "Roto", formula: "[No existe] + 1" }]);
+    expect(table.columns.at(-1)).toBe("Precio");
+    expect(table.numericColumns.has("Precio")).toBe(true);
+    expect(table.computedErrors.map(e => e.name)).toEqual(["Roto"]);
+
+    const anomalies = { groupColumn: "Producto", valueColumn: "Valor (USD)", weightColumn: "Peso (KG)", method: "mad", threshold: 2, minGroupSize: 3, onlyFlagged: true };
+    const result = await runQuery(table, { anomalies });
+    expect(column(result.rows, "Fecha")).toEqual(["03/04/2024"]);
+    const exported = withAnomalyColumns(result.rows, ["Fecha"], result.anomalies);
+    expect(exported.columns).toContain(ANOMALY_FLAG_COLUMN);
+    expect(exported.rows[0][ANOMALY_FLAG_COLUMN]).toBe("Alto");
+    const translated = withAnomalyColumns(result.rows, ["Fecha"], result.anomalies, createTranslator({ es, en }, "en"));
+    expect(translated.rows[0][ANOMALY_FLAG_COLUMN]).toBe("High");
+});
+
+test("computes column stats and company aggregates over the query result", async () => {
+    const table = loadShipments();
+    const roles = suggestColumnRoles(table.columns, table);
+    expect(roles).toMatchObject({ importer: "Consignatario", exporter: "Expedidor", value: "Valor (USD)", weight: "Peso (KG)", date: "Fecha" });
+
+    const result = await runQuery(table, { filters: { Producto: { mode: "=", value: "Tubos de acero" } } });
+    const stats = getVisibleColumnStats("Valor (USD)", result.rows, table.numericColumns, table.dateColumns);
+    expect(stats).toMatchObject({ totalCount: 3, sum: 51000, min: 9000, max: 30000, median: 12000 });
+
+    const filtered = analyzeCompany(table, result.rows, "ACME S.A.", { roles });
+    expect(filtered).toMatchObject({ isFiltered: true, shipmentCount: 1, totalValue: 12000 });
+    const global = analyzeCompany(table, table.rows, "ACME S.A.", { roles });
+    expect(global).toMatchObject({ isFiltered: false, shipmentCount: 4, totalValue: 25000, totalWeight: 8600 });
+});
@@ -0,0 +1,122 @@
+// --- Fechas: detección, conversión y rangos ---
+// Todas las fechas se manejan como milisegundos UTC para evitar desfases por zona horaria.
+
+/** Milisegundos de un día. */
+export const DAY_MS = 86400000;
+// Día 0 de Excel (1899-12-30) en milisegundos UTC.
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+// Seriales plausibles para fechas de envío: 1954-10-03 .. 2119-01-05.
+export const SERIAL_MIN = 20000;
+export const SERIAL_MAX = 80000;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?Z?)?$/;
+const DMY_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+export const DATE_HEADER_HINT = /fecha|date|fec\b|d[ií]a\b|periodo|per[ií]odo/i;
+
+const buildUTC = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+    const ms = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const d = new Date(ms);
+    // Descarta fechas imposibles como 31/02 (Date.UTC las desbordaría al mes siguiente).
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+    return ms;
+};
+
+/**
+ * Interpreta un texto con formato ISO (aaaa-mm-dd) o día/mes/año (dd/mm/aaaa, dd-mm-aa, dd.mm.aaaa).
+ * Si el segundo número no puede ser un mes (> 12) se lee como mes/día/año.
+ * @param {string} text
+ * @returns {number | null}
+ */
+export function parseDateString(text) {
+    const s = String(text).trim();
+    let m = ISO_DATE.exec(s);
+    if (m) return buildUTC(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    m = DMY_DATE.exec(s);
+    if (m) {
+        let [day, month] = [+m[1], +m[2]];
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+        let year = +m[3];
+        if (m[3].length === 2) year += year < 70 ? 2000 : 1900;
+        return buildUTC(year, month, day, +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    }
+    return null;
+}
+
+export const excelSerialToMs = (serial) => EXCEL_EPOCH_MS + Math.round(serial * DAY_MS);
+
+/** Inverso de `excelSerialToMs`: serial de Excel (con fracción para la hora). */
+export const msToExcelSerial = (ms) => (ms - EXCEL_EPOCH_MS) / DAY_MS;
+
+export const isPlausibleSerial = (n) => n >= SERIAL_MIN && n <= SERIAL_MAX;
+
+/**
+ * Convierte una celda de una columna de fechas a milisegundos UTC: seriales de Excel o texto.
+ * @param {string|number|null|undefined} value
+ * @returns {number | null}
+ */
+export function parseDateValue(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (typeof value === "number") return isPlausibleSerial(value) ? excelSerialToMs(value) : null;
+    const s = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(s)) return isPlausibleSerial(Number(s)) ? excelSerialToMs(Number(s)) : null;
+    return parseDateString(s);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Convierte un `Date` en hora local (como lo entrega `xlsx` con `cellDates`) a texto ISO.
+ * @param {Date} date
+ * @returns {string} `aaaa-mm-dd` o `aaaa-mm-dd HH:MM` si tiene hora
+ */
+export function localDateToISO(date) {
+    const d = new Date(Math.round(date.getTime() / 60000) * 60000);
+    const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    return d.getHours() || d.getMinutes() ? `${day} ${pad(d.getHours())}:${pad(d.getMinutes())}` : day;
+}
+
+/** @param {number} ms */
+export const toISODate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/** @param {number} ms */
+export const toMonthKey = (ms) => new Date(ms).toISOString().slice(0, 7);
+
+/**
+ * @param {number} ms
+ * @returns {string} dd/mm/aaaa
+ */
+export function formatDate(ms) {
+    const d = new Date(ms);
+    return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`;
+}
+
+/**
+ * Rango [desde, hasta] en milisegundos de un filtro con fechas `aaaa-mm-dd`; `hasta` incluye el día completo.
+ * @param {{ from?: string, to?: string }} cfg
+ */
+export function dateFilterBounds(cfg) {
+    const from = cfg.from ? parseDateString(cfg.from) : null;
+    const to = cfg.to ? parseDateString(cfg.to) : null;
+    return { from, to: to === null ? null : to + DAY_MS - 1 };
+}
+
+/**
+ * Atajos de rango anclados a la fecha más reciente de la columna.
+ * @typedef {'month'|'quarter'|'year'} DatePreset
+ * @param {DatePreset} preset
+ * @param {number} latestMs
+ * @returns {{ from: string, to: string }}
+ */
+export function datePresetRange(preset, latestMs) {
+    const d = new Date(latestMs);
+    const year = d.getUTCFullYear();
+    const month = d.getUTCMonth();
+    let startMonth = 0;
+    let months = 12;
+    if (preset === "month") { startMonth = month; months = 1; }
+    if (preset === "quarter") { startMonth = month - (month % 3); months = 3; }
+    const from = Date.UTC(year, startMonth, 1);
+    const to = Date.UTC(year, startMonth + months, 1) - DAY_MS;
+    return { from: toISODate(from), to: toISODate(to) };
+}
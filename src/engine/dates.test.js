@@ -0,0 +1,37 @@
+import { datePresetRange, parseDateString, parseDateValue, toISODate } from "./dates";
+import { detectColumnTypes } from "./columns";
+
+test.each([
+    ["2024-03-15", "2024-03-15"],
+    ["15/03/2024", "2024-03-15"],
+    ["03/15/2024", "2024-03-15"],
+    ["15-03-24", "2024-03-15"],
+    ["15.03.2024 08:30", "2024-03-15"],
+])("parses %s", (text, iso) => {
+    expect(toISODate(parseDateString(text))).toBe(iso);
+});
+
+test("rejects impossible dates and plain text", () => {
+    expect(parseDateString("31/02/2024")).toBeNull();
+    expect(parseDateString("Callao")).toBeNull();
+});
+
+test("reads Excel serials", () => {
+    expect(toISODate(parseDateValue(45366))).toBe("2024-03-15");
+    expect(parseDateValue(12)).toBeNull();
+});
+
+test("detects date columns by format, or by header for serials", () => {
+    const rows = [
+        { "Fecha Embarque": 45366, Llegada: "20/03/2024", Cantidad: 45366 },
+        { "Fecha Embarque": 45400, Llegada: "2024-04-18", Cantidad: 45400 },
+    ];
+    expect(detectColumnTypes(rows, Object.keys(rows[0]))).toEqual({ numeric: ["Cantidad"], date: ["Fecha Embarque", "Llegada"] });
+});
+
+test("presets cover the calendar period of the latest date", () => {
+    const latest = parseDateString("2024-05-20");
+    expect(datePresetRange("month", latest)).toEqual({ from: "2024-05-01", to: "2024-05-31" });
+    expect(datePresetRange("quarter", latest)).toEqual({ from: "2024-04-01", to: "2024-06-30" });
+    expect(datePresetRange("year", latest)).toEqual({ from: "2024-01-01", to: "2024-12-31" });
+});
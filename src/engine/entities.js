@@ -0,0 +1,171 @@
+import Fuse from "fuse.js";
+import { valueKey } from "./stats";
+
+// --- Resolución de entidades: variantes del nombre de una misma empresa ---
+
+/**
+ * Variante del nombre -> nombre canónico. Solo contiene las variantes que difieren del canónico.
+ * @typedef {Object<string, string>} CompanyAliases
+ * @typedef {{ name: string, count: number }} NameCount
+ * @typedef {{ key: string, canonical: string, members: NameCount[] }} CompanyCluster
+ */
+
+// Formas jurídicas y conectores que se ignoran al final del nombre ("ACME S.A. de C.V." = "ACME").
+const LEGAL_SUFFIXES = new Set([
+    "sa", "sac", "saa", "sas", "saic", "sacv", "sapi", "srl", "sl", "slu", "ltda", "ltd", "llc", "lp", "inc", "corp", "corporation",
+    "co", "cia", "company", "cv", "rl", "de", "y", "and", "gmbh", "ag", "spa", "eirl", "limited", "plc", "bv", "nv", "sarl", "pte",
+]);
+
+// Umbral de Fuse (0 = idéntico) y proporción mínima de longitudes para proponer dos nombres como la misma empresa.
+export const CLUSTER_THRESHOLD = 0.2;
+const MIN_LENGTH_RATIO = 0.75;
+
+/**
+ * Clave de comparación: sin acentos, mayúsculas, puntuación ni forma jurídica final.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeCompanyName(name) {
+    const tokens = String(name ?? "")
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/\./g, "")
+        .replace(/[^a-z0-9&]+/g, " ")
+        .trim()
+        .split(" ")
+        .filter(Boolean);
+    // Une las iniciales sueltas: "s a de c v" -> "sa de cv".
+    const joined = [];
+    let initials = "";
+    tokens.forEach(token => {
+        if (/^[a-z]$/.test(token)) { initials += token; return; }
+        if (initials) { joined.push(initials); initials = ""; }
+        joined.push(token);
+    });
+    if (initials) joined.push(initials);
+    while (joined.length > 1 && LEGAL_SUFFIXES.has(joined[joined.length - 1])) joined.pop();
+    return joined.join(" ");
+}
+
+/**
+ * Nombres distintos (recortados) de las columnas de empresa, con su número de apariciones.
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} columns
+ * @returns {NameCount[]}
+ */
+export function collectCompanyNames(rows, columns) {
+    const counts = new Map();
+    rows.forEach(row => columns.forEach(col => {
+        const name = valueKey(row[col]);
+        if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    }));
+    return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Propone grupos de variantes: primero por clave normalizada idéntica y después por similitud
+ * difusa entre claves que empiezan igual. Solo devuelve grupos con más de una variante.
+ * El canónico propuesto es el alias ya guardado, si existe, o la variante más frecuente.
+ * @param {NameCount[]} names ordenados de mayor a menor frecuencia
+ * @param {CompanyAliases} [aliases]
+ * @param {{ threshold?: number }} [options]
+ * @returns {CompanyCluster[]}
+ */
+export function proposeClusters(names, aliases = {}, { threshold = CLUSTER_THRESHOLD } = {}) {
+    // 1) Variantes con la misma clave normalizada.
+    const byKey = new Map();
+    names.forEach(entry => {
+        const key = normalizeCompanyName(entry.name);
+        if (!key) return;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(entry);
+    });
+
+    // 2) Claves parecidas, comparando solo dentro de bloques con el mismo comienzo para no ser cuadráticos.
+    const blocks = new Map();
+    [...byKey.keys()].forEach(key => {
+        const block = key.slice(0, 2);
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push(key);
+    });
+    const parent = new Map([...byKey.keys()].map(k => [k, k]));
+    const root = (k) => (parent.get(k) === k ? k : root(parent.get(k)));
+    blocks.forEach(keys => {
+        if (keys.length < 2) return;
+        const fuse = new Fuse(keys, { includeScore: true, threshold, ignoreLocation: true });
+        keys.forEach(key => {
+            fuse.search(key).forEach(({ item, score }) => {
+                if (item === key || score > threshold) return;
+                if (Math.min(item.length, key.length) / Math.max(item.length, key.length) < MIN_LENGTH_RATIO) return;
+                parent.set(root(item), root(key));
+            });
+        });
+    });
+
+    const clusters = new Map();
+    byKey.forEach((members, key) => {
+        const r = root(key);
+        if (!clusters.has(r)) clusters.set(r, []);
+        clusters.get(r).push(...members);
+    });
+
+    return [...clusters]
+        .filter(([, members]) => members.length > 1)
+        .map(([key, members]) => {
+            members.sort((a, b) => b.count - a.count);
+            const saved = members.map(m => aliases[m.name]).find(Boolean);
+            return { key, canonical: saved ?? members[0].name, members };
+        })
+        .sort((a, b) => sumCounts(b.members) - sumCounts(a.members));
+}
+
+const sumCounts = (members) => members.reduce((acc, m) => acc + m.count, 0);
+
+/**
+ * Un grupo ya resuelto: todas sus variantes apuntan al mismo canónico en `aliases`.
+ * @param {CompanyCluster} cluster
+ * @param {CompanyAliases} aliases
+ */
+export const isClusterResolved = (cluster, aliases) =>
+    cluster.members.every(m => (aliases[m.name] ?? m.name) === cluster.canonical);
+
+/**
+ * Registra las variantes de `members` como alias de `canonical`.
+ * @param {CompanyAliases} aliases
+ * @param {string[]} members
+ * @param {string} canonical
+ * @returns {CompanyAliases}
+ */
+export function acceptCluster(aliases, members, canonical) {
+    const next = { ...aliases };
+    members.forEach(name => {
+        if (name === canonical) delete next[name];
+        else next[name] = canonical;
+    });
+    // Quien antes apuntaba a una variante ahora apunta directamente al canónico.
+    Object.keys(next).forEach(name => { if (members.includes(next[name])) next[name] = canonical; });
+    delete next[canonical];
+    return next;
+}
+
+/**
+ * Copia de las filas con las columnas de empresa sustituidas por su nombre canónico.
+ * Las filas sin cambios se reutilizan tal cual.
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} columns
+ * @param {CompanyAliases} aliases
+ * @returns {import('./types').Row[]}
+ */
+export function applyCompanyAliases(rows, columns, aliases) {
+    if (!columns.length || !Object.keys(aliases).length) return rows;
+    return rows.map(row => {
+        let copy = null;
+        columns.forEach(col => {
+            const canonical = aliases[valueKey(row[col])];
+            if (canonical === undefined) return;
+            if (!copy) copy = { ...row };
+            copy[col] = canonical;
+        });
+        return copy ?? row;
+    });
+}
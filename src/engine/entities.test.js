@@ -0,0 +1,37 @@
+import { acceptCluster, applyCompanyAliases, normalizeCompanyName, proposeClusters } from "./entities";
+
+test.each([
+    ["ACME S.A.", "acme"],
+    [" Acme S. A. de C.V. ", "acme"],
+    ["Compañía Minera Ltda.", "compania minera"],
+    ["ACME Industrial SAC", "acme industrial"],
+    ["S.A.", "sa"],
+])("normalizes %j to %j", (name, key) => {
+    expect(normalizeCompanyName(name)).toBe(key);
+});
+
+test("clusters normalized and near-identical variants, keeping distinct companies apart", () => {
+    const names = [
+        { name: "ACME S.A.", count: 5 },
+        { name: "ACME SA", count: 3 },
+        { name: "Acme S.A. de C.V.", count: 1 },
+        { name: "ACMEE SA", count: 1 },
+        { name: "ACME Industrial", count: 2 },
+        { name: "Beta", count: 1 },
+    ];
+    expect(proposeClusters(names)).toEqual([
+        { key: "acme", canonical: "ACME S.A.", members: names.slice(0, 4) },
+    ]);
+    expect(proposeClusters(names, { "ACME SA": "Acme Corp" })[0].canonical).toBe("Acme Corp");
+});
+
+test("accepting a cluster rewrites aliases and rows use the canonical name", () => {
+    const aliases = acceptCluster({ "Acme Inc": "ACME SA" }, ["ACME SA", "ACME S.A."], "ACME S.A.");
+    expect(aliases).toEqual({ "Acme Inc": "ACME S.A.", "ACME SA": "ACME S.A." });
+
+    const rows = [{ Consignatario: "ACME SA ", Pais: "China" }, { Consignatario: "Beta", Pais: "Perú" }];
+    const canonical = applyCompanyAliases(rows, ["Consignatario"], aliases);
+    expect(canonical[0]).toEqual({ Consignatario: "ACME S.A.", Pais: "China" });
+    expect(canonical[1]).toBe(rows[1]);
+    expect(rows[0].Consignatario).toBe("ACME SA ");
+});
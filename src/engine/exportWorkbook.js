@@ -0,0 +1,310 @@
+import * as XLSX from "xlsx";
+import { DAY_MS, formatDate, msToExcelSerial, parseDateValue } from "./dates";
+import { KIND_LABELS, describeIssue } from "./audit";
+import { ROW_STATUS_LABELS, entriesToRows } from "./compare";
+import { describeSort } from "./sort";
+import { DEFAULT_LOCALE, formatLocaleDateTime, translateDefault } from "./i18n";
+
+// --- Exportación a Excel (.xlsx) con celdas tipadas y hojas de contexto ---
+
+// Los textos de las hojas van en el idioma del traductor que se pasa a cada libro (por defecto, el
+// español de la línea de comandos); la fecha y hora de exportación, en el formato de `locale`.
+const exportedAt = (locale) => formatLocaleDateTime(Date.now(), locale, { dateStyle: "short", timeStyle: "short" });
+
+/**
+ * @typedef {object} ExportCriteria
+ * @property {string} sheetName hoja de origen
+ * @property {string} query búsqueda global
+ * @property {string[]} searchKeys columnas de la búsqueda difusa
+ * @property {import('./types').Filters} filters
+ * @property {import('./sort').SortLevel[]} sort
+ * @property {boolean} sortByRelevance
+ * @property {number} totalRows filas del conjunto cargado
+ */
+
+/**
+ * Celda tipada: número en columnas numéricas, fecha de Excel (serial con formato) en columnas de fechas
+ * y texto en el resto. Un valor que no encaja en el tipo de su columna se conserva como texto.
+ * Las celdas vacías o con solo espacios devuelven `undefined` para que no se escriban.
+ * @param {any} cell
+ * @param {'number' | 'date' | 'text'} type
+ */
+function typedCell(cell, type) {
+    // Sin el recorte, `Number(" ")` daría 0.
+    if (cell === null || cell === undefined || String(cell).trim() === "") return undefined;
+    if (type === "number") {
+        const num = Number(typeof cell === "string" ? cell.trim() : cell);
+        if (!isNaN(num)) return { t: "n", v: num };
+    }
+    if (type === "date") {
+        const ms = parseDateValue(cell);
+        if (ms !== null) {
+            const hasTime = ms % DAY_MS !== 0;
+            return { t: "n", v: msToExcelSerial(ms), z: hasTime ? "dd/mm/yyyy hh:mm" : "dd/mm/yyyy" };
+        }
+    }
+    return typeof cell === "number" ? { t: "n", v: cell } : { t: "s", v: String(cell) };
+}
+
+/**
+ * Texto legible de un filtro de columna, o `null` si no está activo.
+ * @param {import('./types').FilterConfig | undefined} cfg
+ * @param {boolean} isNumeric
+ * @param {boolean} isDate
+ * @param {import('./i18n').Translator} [t]
+ * @returns {string | null}
+ */
+export function describeFilter(cfg, isNumeric, isDate, t = translateDefault) {
+    if (!cfg) return null;
+    const parts = [];
+    if (isDate) {
+        if (cfg.from) parts.push(t("xlsx.filter.from", { value: cfg.from }));
+        if (cfg.to) parts.push(t("xlsx.filter.to", { value: cfg.to }));
+    } else if (isNumeric) {
+        if (cfg.min !== undefined) parts.push(`>= ${cfg.min}`);
+        if (cfg.max !== undefined) parts.push(`<= ${cfg.max}`);
+    } else if (cfg.value) {
+        parts.push(t(cfg.mode === "=" ? "xlsx.filter.equals" : "xlsx.filter.contains", { value: cfg.value }));
+    }
+    if (cfg.facet?.values.length) {
+        const values = cfg.facet.values.map(v => v || t("value.empty")).join(", ");
+        parts.push(t(cfg.facet.exclude ? "xlsx.filter.exclude" : "xlsx.filter.only", { values }));
+    }
+    if (cfg.issue) parts.push(t("xlsx.filter.issue", { issue: describeIssue(cfg.issue, t) }));
+    return parts.length ? parts.join("; ") : null;
+}
+
+/**
+ * Filas clave/valor de la hoja "Criterios".
+ * @param {ExportCriteria} criteria
+ * @param {number} exportedRows
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} dateColumns
+ * @param {import('./i18n').Translator} t
+ * @param {import('./i18n').Locale} locale
+ * @returns {(string | number)[][]}
+ */
+function criteriaToAOA(criteria, exportedRows, numericColumns, dateColumns, t, locale) {
+    const { sheetName, query, searchKeys, filters, sort, sortByRelevance, totalRows } = criteria;
+    const filterRows = Object.entries(filters || {})
+        .map(([col, cfg]) => [col, describeFilter(cfg, numericColumns.has(col), dateColumns.has(col), t)])
+        .filter(([, text]) => text);
+    let sortText = t("xlsx.criteria.originalOrder");
+    if (sortByRelevance && query.trim()) sortText = t("xlsx.criteria.relevance");
+    else if (sort?.length) sortText = describeSort(sort, t);
+
+    return [
+        [t("xlsx.criteria.header"), t("xlsx.criteria.value")],
+        [t("xlsx.criteria.exportedAt"), exportedAt(locale)],
+        [t("xlsx.criteria.sheet"), sheetName],
+        [t("xlsx.criteria.exportedRows"), exportedRows],
+        [t("xlsx.criteria.totalRows"), totalRows],
+        [t("xlsx.criteria.query"), query.trim() || t("xlsx.criteria.noQuery")],
+        [t("xlsx.criteria.searchColumns"), searchKeys.join(", ")],
+        [t("xlsx.criteria.sort"), sortText],
+        [],
+        [t("xlsx.criteria.filters"), filterRows.length ? "" : t("xlsx.criteria.noFilters")],
+        ...filterRows,
+    ];
+}
+
+/**
+ * @param {import('./types').ColumnStats} stats
+ * @param {import('./i18n').Translator} t
+ * @returns {(string | number)[][]}
+ */
+function statsToAOA(stats, t) {
+    const aoa = [[t("xlsx.stats.column"), stats.column], [t("xlsx.stats.records"), stats.totalCount], [t("xlsx.stats.blank"), stats.blankCount]];
+    if ("isDate" in stats) {
+        aoa.push(
+            [t("xlsx.stats.earliest"), formatDate(stats.earliest)], [t("xlsx.stats.latest"), formatDate(stats.latest)], [t("xlsx.stats.invalidDates"), stats.invalidCount],
+            [], [t("xlsx.stats.month"), t("xlsx.stats.records")],
+        );
+        stats.byMonth.forEach(({ month, count }) => aoa.push([month, count]));
+    } else if (stats.isNumeric) {
+        aoa.push(
+            [t("xlsx.stats.nonNumeric"), stats.invalidCount],
+            [t("xlsx.stats.sum"), stats.sum], [t("xlsx.stats.avg"), stats.avg], [t("xlsx.stats.stdDev"), stats.stdDev],
+            [t("xlsx.stats.median"), stats.median], [t("xlsx.stats.min"), stats.min], [t("xlsx.stats.max"), stats.max],
+            ...Object.entries(stats.percentiles).map(([key, value]) => [key.toUpperCase(), value]),
+            [t("xlsx.stats.iqr"), stats.iqr],
+            [t("xlsx.stats.lowOutliers"), stats.lowOutliers],
+            [t("xlsx.stats.highOutliers"), stats.highOutliers],
+            [], [t("xlsx.stats.from"), t("xlsx.stats.to"), t("xlsx.stats.records")],
+        );
+        stats.histogram.forEach(({ from, to, count }) => aoa.push([from, to, count]));
+    } else {
+        aoa.push([t("xlsx.stats.unique"), stats.uniqueCount], [], [t("xlsx.stats.value"), t("xlsx.stats.frequency")]);
+        stats.topValues.forEach(({ value, count }) => aoa.push([value, count]));
+        if (stats.othersCount) aoa.push([t("xlsx.stats.others"), stats.othersCount]);
+    }
+    return aoa;
+}
+
+/**
+ * @param {import('./types').CompanyAggregates} data
+ * @param {import('./i18n').Translator} t
+ * @returns {(string | number)[][]}
+ */
+function companyToAOA(data, t) {
+    const [shipments, value, weight] = [t("xlsx.company.shipments"), t("xlsx.company.value"), t("xlsx.company.weight")];
+    const ranked = (title, entries) => [[], [t(title), value, shipments], ...entries.map(e => [e.name, e.value, e.count])];
+    return [
+        [t("xlsx.company.company"), data.company],
+        [t("xlsx.company.scope"), t(data.isFiltered ? "xlsx.company.scopeFiltered" : "xlsx.company.scopeAll")],
+        [shipments, data.shipmentCount],
+        [t("xlsx.company.totalValue"), data.totalValue],
+        [t("xlsx.company.totalWeight"), data.totalWeight],
+        [t("xlsx.company.pricePerKg"), data.totalWeight > 0 ? data.totalValue / data.totalWeight : ""],
+        [],
+        [t("xlsx.company.role"), shipments, value, weight],
+        [t("xlsx.company.asImporter"), data.asImporter.count, data.asImporter.value, data.asImporter.weight],
+        [t("xlsx.company.asExporter"), data.asExporter.count, data.asExporter.value, data.asExporter.weight],
+        [],
+        [t("xlsx.company.month"), shipments, value, weight],
+        ...data.monthly.map(m => [m.month, m.count, m.value, m.weight]),
+        ...ranked("xlsx.company.counterparty", data.topCounterparties),
+        ...ranked("xlsx.company.product", data.topProducts),
+        ...ranked("xlsx.company.origin", data.topOrigins),
+        ...ranked("xlsx.company.port", data.topPorts),
+    ];
+}
+
+/**
+ * Libro con los resultados (solo las columnas indicadas, en su orden, con celdas tipadas),
+ * una hoja con los criterios aplicados y, opcionalmente, estadísticas de columna y análisis de empresa.
+ * @param {{
+ *   rows: import('./types').Row[],
+ *   columns: string[],
+ *   numericColumns: Set<string>,
+ *   dateColumns: Set<string>,
+ *   criteria: ExportCriteria,
+ *   stats?: import('./types').ColumnStats | null,
+ *   company?: import('./types').CompanyAggregates | null,
+ * }} input
+ * @param {import('./i18n').Translator} [t] idioma de los nombres de hoja y de las hojas de contexto
+ * @param {import('./i18n').Locale} [locale] formato de la fecha de exportación
+ * @returns {import('./types').WorkBook}
+ */
+export function buildExportWorkbook({ rows, columns, numericColumns, dateColumns, criteria, stats, company }, t = translateDefault, locale = DEFAULT_LOCALE) {
+    const types = columns.map(col => (numericColumns.has(col) ? "number" : dateColumns.has(col) ? "date" : "text"));
+    const data = [columns, ...rows.map(row => columns.map((col, i) => typedCell(row[col], types[i])))];
+    const resultsSheet = XLSX.utils.aoa_to_sheet(data);
+    resultsSheet["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: Math.max(0, columns.length - 1) } }) };
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, resultsSheet, t("xlsx.sheet.results"));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(criteriaToAOA(criteria, rows.length, numericColumns, dateColumns, t, locale)), t("xlsx.sheet.criteria"));
+    if (stats) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(statsToAOA(stats, t)), t("xlsx.sheet.stats"));
+    if (company) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(companyToAOA(company, t)), t("xlsx.sheet.company"));
+    return wb;
+}
+
+/**
+ * Libro del informe de calidad: una hoja con los hallazgos por columna y, si se buscaron,
+ * otra con los grupos de filas duplicadas.
+ * @param {{
+ *   sheetName: string,
+ *   rowCount: number,
+ *   columns: import('./audit').ColumnAudit[],
+ *   duplicates?: import('./audit').DuplicateReport | null,
+ * }} report
+ * @param {import('./i18n').Translator} [t]
+ * @param {import('./i18n').Locale} [locale]
+ * @returns {import('./types').WorkBook}
+ */
+export function buildAuditWorkbook({ sheetName, rowCount, columns, duplicates }, t = translateDefault, locale = DEFAULT_LOCALE) {
+    const headers = ["column", "declaredType", "inferredType", "numbers", "dates", "texts", "blank", "mixed", "invalid", "whitespace", "casingGroups", "casingCount", "casingExamples"];
+    const columnsAOA = [
+        [t("xlsx.audit.sheet"), sheetName],
+        [t("xlsx.audit.rows"), rowCount],
+        [t("xlsx.generatedAt"), exportedAt(locale)],
+        [],
+        headers.map(key => t(`xlsx.audit.${key}`)),
+        ...columns.map(c => [
+            c.column,
+            t(KIND_LABELS[c.declaredType]),
+            c.inferredType ? t(KIND_LABELS[c.inferredType]) : t("xlsx.audit.emptyColumn"),
+            c.kinds.number, c.kinds.date, c.kinds.text,
+            c.blankCount, c.mixedCount, c.invalidCount, c.whitespaceCount, c.casingGroups, c.casingCount,
+            c.casingExamples.slice(0, 5).map(variants => variants.join(" / ")).join("; "),
+        ]),
+    ];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(columnsAOA), t("xlsx.sheet.columns"));
+    if (duplicates) {
+        const section = (title, summary) => [
+            [],
+            [t(title), t("xlsx.audit.groups", { count: summary.groups }), t("xlsx.audit.rowCount", { count: summary.rows }), t("xlsx.audit.extra", { count: summary.extra })],
+            ...summary.examples.map(g => [g.values.join(" ≈ "), g.count]),
+        ];
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+            [t("xlsx.audit.key"), duplicates.keys.join(" + ")],
+            ...section("audit.exact", duplicates.exact),
+            ...section("audit.near", duplicates.near),
+        ]), t("xlsx.sheet.duplicates"));
+    }
+    return wb;
+}
+
+/**
+ * Libro del informe de comparación entre periodos: resumen, empresas, la dimensión elegida y los
+ * cambios fila a fila (todos, no solo los que se muestran en pantalla).
+ * @param {import('./compare').ComparisonReport} report
+ * @param {import('./i18n').Translator} [t]
+ * @param {import('./i18n').Locale} [locale]
+ * @returns {import('./types').WorkBook}
+ */
+export function buildComparisonWorkbook({ beforeLabel, afterLabel, beforeTotals, afterTotals, companies, dimension, rowDiff }, t = translateDefault, locale = DEFAULT_LOCALE) {
+    const totalsRow = (label, key) => [t(label), beforeTotals[key], afterTotals[key], afterTotals[key] - beforeTotals[key]];
+    const summaryAOA = [
+        [t("compare.periodA"), beforeLabel],
+        [t("compare.periodB"), afterLabel],
+        [t("xlsx.generatedAt"), exportedAt(locale)],
+        [],
+        ["", "A", "B", t("compare.col.delta")],
+        totalsRow("compare.shipments", "count"),
+        totalsRow("compare.value", "value"),
+        totalsRow("compare.weight", "weight"),
+    ];
+    if (companies) {
+        summaryAOA.push(
+            [],
+            [t("xlsx.compare.newCompanies"), companies.filter(e => e.status === "new").length],
+            [t("xlsx.compare.goneCompanies"), companies.filter(e => e.status === "gone").length],
+        );
+    }
+    if (rowDiff) {
+        summaryAOA.push(
+            [],
+            [t("xlsx.compare.rowKey"), rowDiff.key],
+            [t("xlsx.compare.added"), rowDiff.added],
+            [t("xlsx.compare.removed"), rowDiff.removed],
+            [t("xlsx.compare.changed"), rowDiff.changed],
+            [t("xlsx.compare.unchanged"), rowDiff.unchanged],
+            [t("xlsx.compare.emptyKey"), rowDiff.emptyKeyRows],
+            [t("xlsx.compare.duplicateKeys"), rowDiff.duplicateKeys],
+        );
+    }
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summaryAOA), t("xlsx.sheet.summary"));
+    if (companies) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(entriesToRows(companies, t("compare.company"), t)), t("xlsx.sheet.companies"));
+    if (dimension) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(entriesToRows(dimension.entries, dimension.column, t)), t("xlsx.sheet.dimension"));
+    if (rowDiff) {
+        const diffAOA = [[rowDiff.key, t("xlsx.compare.change"), t("xlsx.compare.column"), t("compare.col.valueA"), t("compare.col.valueB")]];
+        rowDiff.changes.forEach(({ key, status, changes }) => {
+            const label = t(ROW_STATUS_LABELS[status]);
+            if (!changes.length) diffAOA.push([key, label]);
+            changes.forEach(({ column, before, after }) => diffAOA.push([key, label, column, before, after]));
+        });
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(diffAOA), t("xlsx.sheet.rowDiff"));
+    }
+    return wb;
+}
+
+/**
+ * @param {import('./types').WorkBook} wb
+ * @returns {ArrayBuffer}
+ */
+export const workbookToArrayBuffer = (wb) => XLSX.write(wb, { bookType: "xlsx", type: "array" });
@@ -0,0 +1,56 @@
+import * as XLSX from "xlsx";
+import { buildExportWorkbook, describeFilter, workbookToArrayBuffer } from "./exportWorkbook";
+import { createTranslator } from "./i18n";
+import es from "../locales/es";
+import en from "../locales/en";
+
+const criteria = {
+    sheetName: "Hoja1", query: "acme", searchKeys: ["Empresa"], sort: [{ column: "Valor", dir: "desc", blanks: "last" }, { column: "Fecha", dir: "asc", blanks: "first" }], sortByRelevance: false, totalRows: 10,
+    filters: { Fecha: { from: "2024-01-01" }, Empresa: { mode: "contiene", value: "", facet: { values: ["ACME"] } } },
+};
+
+test("describes active filters", () => {
+    expect(describeFilter({ min: 5 }, true, false)).toBe(">= 5");
+    expect(describeFilter({ mode: "=", value: "perú", facet: { values: ["", "Chile"], exclude: true } }, false, false)).toBe('igual a "perú"; excluye: [VACÍO], Chile');
+    expect(describeFilter({ mode: "contiene", value: "" }, false, false)).toBeNull();
+});
+
+test("writes typed cells for the visible columns and a criteria sheet", () => {
+    const rows = [
+        { Empresa: "=ACME", Valor: "1500.5", Fecha: "2024-03-01", Oculta: "x" },
+        { Empresa: "Beta", Valor: "n/d", Fecha: "", Oculta: "y" },
+        { Empresa: "Gamma", Valor: "  ", Fecha: " ", Oculta: "z" },
+    ];
+    const wb = buildExportWorkbook({ rows, columns: ["Fecha", "Empresa", "Valor"], numericColumns: new Set(["Valor"]), dateColumns: new Set(["Fecha"]), criteria });
+    const reread = XLSX.read(workbookToArrayBuffer(wb), { type: "array", cellNF: true });
+    expect(reread.SheetNames).toEqual(["Resultados", "Criterios"]);
+
+    const ws = reread.Sheets.Resultados;
+    expect(ws.A2).toMatchObject({ t: "n", v: 45352, z: "dd/mm/yyyy" });
+    expect(ws.B2).toMatchObject({ t: "s", v: "=ACME" });
+    expect(ws.B2.f).toBeUndefined();
+    expect(ws.C2).toMatchObject({ t: "n", v: 1500.5 });
+    expect(ws.C3).toMatchObject({ t: "s", v: "n/d" });
+    expect(ws.A3).toBeUndefined();
+    expect(ws.C4).toBeUndefined();
+    expect(ws.A4).toBeUndefined();
+    expect(ws.D1).toBeUndefined();
+
+    const criteriaRows = XLSX.utils.sheet_to_json(reread.Sheets.Criterios, { header: 1 });
+    expect(criteriaRows).toContainEqual(["Orden", "Valor (descendente), Fecha (ascendente, vacías primero)"]);
+    expect(criteriaRows).toContainEqual(["Fecha", "desde 2024-01-01"]);
+    expect(criteriaRows).toContainEqual(["Empresa", "solo: ACME"]);
+});
+
+test("writes the sheet names and the criteria in the interface language", () => {
+    const t = createTranslator({ es, en }, "en");
+    expect(describeFilter({ mode: "=", value: "perú", facet: { values: ["", "Chile"], exclude: true } }, false, false, t)).toBe('equal to "perú"; excludes: [EMPTY], Chile');
+
+    const rows = [{ Empresa: "ACME", Valor: "10", Fecha: "2024-03-01" }];
+    const wb = buildExportWorkbook({ rows, columns: ["Empresa"], numericColumns: new Set(["Valor"]), dateColumns: new Set(["Fecha"]), criteria }, t, "en");
+    expect(wb.SheetNames).toEqual(["Results", "Criteria"]);
+    const criteriaRows = XLSX.utils.sheet_to_json(wb.Sheets.Criteria, { header: 1 });
+    expect(criteriaRows[0]).toEqual(["Criterion", "Value"]);
+    expect(criteriaRows).toContainEqual(["Sort order", "Valor (descending), Fecha (ascending, blanks first)"]);
+    expect(criteriaRows).toContainEqual(["Fecha", "from 2024-01-01"]);
+});
@@ -0,0 +1,426 @@
+import { DAY_MS, parseDateValue, toISODate, toMonthKey } from "./dates";
+import { LocalizedError } from "./i18n";
+
+// --- Columnas calculadas: lenguaje de fórmulas sin `eval` ---
+//
+//   [Valor (USD)] / [Peso (KG)]            columnas entre corchetes; + - * / ^ y paréntesis
+//   IZQUIERDA([Partida]; 4)                funciones con argumentos separados por ";" o ","
+//   [Pais] & " - " & [Puerto]              & concatena texto
+//   SI([Valor (USD)] > 50000; "Alto"; "Bajo")   comparaciones: = <> != < <= > >=
+//   AÑOMES([Fecha])  TRAMO([Valor (USD)]; 1000; 10000)
+//
+// Una celda vacía o un valor que no se puede convertir propaga "vacío" en la aritmética;
+// dividir por cero también da vacío. Las funciones admiten su nombre en español o en inglés.
+
+/**
+ * @typedef {null | number | string | boolean} FormulaValue
+ * @typedef {{ type: 'number', value: number }} NumberNode
+ * @typedef {{ type: 'string', value: string }} StringNode
+ * @typedef {{ type: 'boolean', value: boolean }} BooleanNode
+ * @typedef {{ type: 'column', name: string }} ColumnNode
+ * @typedef {{ type: 'unary', op: '-', arg: FormulaNode }} UnaryNode
+ * @typedef {{ type: 'binary', op: string, left: FormulaNode, right: FormulaNode }} BinaryNode
+ * @typedef {{ type: 'call', name: string, args: FormulaNode[] }} CallNode
+ * @typedef {NumberNode | StringNode | BooleanNode | ColumnNode | UnaryNode | BinaryNode | CallNode} FormulaNode
+ * @typedef {{ message: string, key: string, params: Object<string, any>, position: number }} FormulaError
+ * @typedef {{ ast: FormulaNode | null, error: FormulaError | null, references: string[] }} ParsedFormula
+ * @typedef {{ name: string, formula: string }} ComputedColumn
+ * @typedef {{ name: string, message: string, key: string, params: Object<string, any> }} ComputedColumnError
+ */
+
+class FormulaSyntaxError extends LocalizedError {
+    /**
+     * @param {string} key
+     * @param {Object<string, any>} params
+     * @param {number} position
+     */
+    constructor(key, params, position) {
+        super(key, params);
+        this.position = position;
+    }
+}
+
+/**
+ * Error serializable (se envía desde el worker): el mensaje en el idioma por defecto y la clave
+ * del catálogo para que la interfaz lo traduzca.
+ * @param {LocalizedError} error
+ */
+const describeFailure = ({ message, key, params }) => ({ message, key, params });
+
+// --- Conversiones ---
+
+const TRUE_TEXT = "VERDADERO";
+const FALSE_TEXT = "FALSO";
+
+/** @param {FormulaValue} v */
+function toNumber(v) {
+    if (v === null) return null;
+    if (typeof v === "number") return isFinite(v) ? v : null;
+    if (typeof v === "boolean") return v ? 1 : 0;
+    const s = v.trim();
+    if (!s) return null;
+    const num = Number(s);
+    return isNaN(num) ? null : num;
+}
+
+/** @param {FormulaValue} v */
+function toText(v) {
+    if (v === null) return "";
+    if (typeof v === "boolean") return v ? TRUE_TEXT : FALSE_TEXT;
+    return String(v);
+}
+
+/** @param {FormulaValue} v */
+function toBoolean(v) {
+    if (typeof v === "boolean") return v;
+    if (typeof v === "number") return v !== 0;
+    if (v === null) return false;
+    const s = v.trim().toUpperCase();
+    return s !== "" && s !== FALSE_TEXT && s !== "FALSE" && s !== "0";
+}
+
+const isBlankValue = (v) => v === null || (typeof v === "string" && v.trim() === "");
+
+// Fecha de una celda: seriales de Excel o texto con formato de fecha.
+const toDateMs = (v) => (typeof v === "boolean" ? null : parseDateValue(v));
+
+/**
+ * Celda resultante: los booleanos se escriben como VERDADERO/FALSO y "vacío" como texto vacío.
+ * @param {FormulaValue} v
+ * @returns {string | number}
+ */
+export function toCell(v) {
+    if (v === null) return "";
+    if (typeof v === "boolean") return v ? TRUE_TEXT : FALSE_TEXT;
+    if (typeof v === "number" && !isFinite(v)) return "";
+    return v;
+}
+
+// --- Funciones ---
+
+const numeric = (fn) => (...args) => {
+    const nums = args.map(toNumber);
+    return nums.some(n => n === null) ? null : fn(...nums);
+};
+const datePart = (fn) => (v) => {
+    const ms = toDateMs(v);
+    return ms === null ? null : fn(new Date(ms));
+};
+const formatBound = (n) => String(n);
+
+/**
+ * Intervalo de `value` entre los límites dados (en orden ascendente).
+ * @param {FormulaValue} value
+ * @param {...FormulaValue} limits
+ */
+function bucket(value, ...limits) {
+    const num = toNumber(value);
+    const bounds = limits.map(toNumber).filter(n => n !== null).sort((a, b) => a - b);
+    if (num === null || !bounds.length) return null;
+    if (num < bounds[0]) return `< ${formatBound(bounds[0])}`;
+    for (let i = 1; i < bounds.length; i++) {
+        if (num < bounds[i]) return `${formatBound(bounds[i - 1])} – ${formatBound(bounds[i])}`;
+    }
+    return `≥ ${formatBound(bounds[bounds.length - 1])}`;
+}
+
+/**
+ * Funciones disponibles. `names` lista el nombre en español (el que se muestra) y sus alias;
+ * `help` es la clave del catálogo de textos con la firma que aparece en la ayuda del editor.
+ * @type {{ names: string[], min: number, max: number, help: string, fn: (...args: FormulaValue[]) => FormulaValue }[]}
+ */
+export const FORMULA_FUNCTIONS = [
+    // Condiciones
+    { names: ["SI", "IF"], min: 2, max: 3, help: "formula.fn.if", fn: (cond, a, b = null) => (toBoolean(cond) ? a : b) },
+    { names: ["Y", "AND"], min: 1, max: Infinity, help: "formula.fn.and", fn: (...args) => args.every(toBoolean) },
+    { names: ["O", "OR"], min: 1, max: Infinity, help: "formula.fn.or", fn: (...args) => args.some(toBoolean) },
+    { names: ["NO", "NOT"], min: 1, max: 1, help: "formula.fn.not", fn: (v) => !toBoolean(v) },
+    { names: ["ESBLANCO", "ISBLANK"], min: 1, max: 1, help: "formula.fn.isblank", fn: isBlankValue },
+    { names: ["SIVACIO", "IFBLANK"], min: 2, max: 2, help: "formula.fn.ifblank", fn: (v, alt) => (isBlankValue(v) ? alt : v) },
+    // Números
+    { names: ["REDONDEAR", "ROUND"], min: 1, max: 2, help: "formula.fn.round", fn: numeric((n, d = 0) => { const f = 10 ** Math.trunc(d); return Math.round(n * f) / f; }) },
+    { names: ["ABS"], min: 1, max: 1, help: "formula.fn.abs", fn: numeric(Math.abs) },
+    { names: ["MIN"], min: 1, max: Infinity, help: "formula.fn.min", fn: numeric(Math.min) },
+    { names: ["MAX"], min: 1, max: Infinity, help: "formula.fn.max", fn: numeric(Math.max) },
+    { names: ["NUMERO", "NUMBER", "VALOR", "VALUE"], min: 1, max: 1, help: "formula.fn.number", fn: (v) => (typeof v === "string" && /^\s*-?\d+,\d+\s*$/.test(v) ? toNumber(v.replace(",", ".")) : toNumber(v)) },
+    { names: ["TRAMO", "BUCKET"], min: 2, max: Infinity, help: "formula.fn.bucket", fn: bucket },
+    // Texto
+    { names: ["TEXTO", "TEXT"], min: 1, max: 1, help: "formula.fn.text", fn: toText },
+    { names: ["LARGO", "LEN"], min: 1, max: 1, help: "formula.fn.len", fn: (v) => toText(v).length },
+    { names: ["IZQUIERDA", "LEFT"], min: 1, max: 2, help: "formula.fn.left", fn: (v, n = 1) => toText(v).slice(0, Math.max(0, toNumber(n) ?? 0)) },
+    { names: ["DERECHA", "RIGHT"], min: 1, max: 2, help: "formula.fn.right", fn: (v, n = 1) => { const s = toText(v); const k = Math.max(0, toNumber(n) ?? 0); return k ? s.slice(-k) : ""; } },
+    { names: ["EXTRAE", "MID"], min: 3, max: 3, help: "formula.fn.mid", fn: (v, start, n) => { const from = Math.max(1, toNumber(start) ?? 1) - 1; return toText(v).slice(from, from + Math.max(0, toNumber(n) ?? 0)); } },
+    { names: ["MAYUSC", "UPPER"], min: 1, max: 1, help: "formula.fn.upper", fn: (v) => toText(v).toUpperCase() },
+    { names: ["MINUSC", "LOWER"], min: 1, max: 1, help: "formula.fn.lower", fn: (v) => toText(v).toLowerCase() },
+    { names: ["ESPACIOS", "TRIM"], min: 1, max: 1, help: "formula.fn.trim", fn: (v) => toText(v).trim().replace(/\s+/g, " ") },
+    { names: ["CONCATENAR", "CONCAT"], min: 1, max: Infinity, help: "formula.fn.concat", fn: (...args) => args.map(toText).join("") },
+    { names: ["CONTIENE", "CONTAINS"], min: 2, max: 2, help: "formula.fn.contains", fn: (v, sub) => toText(v).toLowerCase().includes(toText(sub).toLowerCase()) },
+    { names: ["SUSTITUIR", "REPLACE"], min: 3, max: 3, help: "formula.fn.replace", fn: (v, from, to) => { const needle = toText(from); return needle ? toText(v).split(needle).join(toText(to)) : toText(v); } },
+    // Fechas
+    { names: ["AÑO", "YEAR"], min: 1, max: 1, help: "formula.fn.year", fn: datePart(d => d.getUTCFullYear()) },
+    { names: ["MES", "MONTH"], min: 1, max: 1, help: "formula.fn.month", fn: datePart(d => d.getUTCMonth() + 1) },
+    { names: ["DIA", "DAY"], min: 1, max: 1, help: "formula.fn.day", fn: datePart(d => d.getUTCDate()) },
+    { names: ["TRIMESTRE", "QUARTER"], min: 1, max: 1, help: "formula.fn.quarter", fn: datePart(d => Math.floor(d.getUTCMonth() / 3) + 1) },
+    { names: ["DIASEM", "WEEKDAY"], min: 1, max: 1, help: "formula.fn.weekday", fn: datePart(d => ((d.getUTCDay() + 6) % 7) + 1) },
+    { names: ["AÑOMES", "YEARMONTH"], min: 1, max: 1, help: "formula.fn.yearmonth", fn: datePart(d => toMonthKey(d.getTime())) },
+    { names: ["FECHA", "DATE"], min: 3, max: 3, help: "formula.fn.date", fn: numeric((y, m, d) => toISODate(Date.UTC(y, m - 1, d))) },
+    { names: ["DIAS", "DAYS"], min: 2, max: 2, help: "formula.fn.days", fn: (end, start) => { const a = toDateMs(end); const b = toDateMs(start); return a === null || b === null ? null : Math.round((a - b) / DAY_MS); } },
+];
+
+// Los nombres se comparan sin distinguir mayúsculas ni acentos (AÑO = año, DÍA = DIA).
+const functionKey = (name) => name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase();
+const FUNCTIONS_BY_NAME = new Map(FORMULA_FUNCTIONS.flatMap(f => f.names.map(name => [functionKey(name), f])));
+const BOOLEAN_NAMES = new Map([["VERDADERO", true], ["TRUE", true], ["FALSO", false], ["FALSE", false]]);
+
+// --- Análisis ---
+
+const OPERATORS = ["<>", "!=", "<=", ">=", "+", "-", "*", "/", "^", "&", "=", "<", ">", "(", ")", ",", ";"];
+const IDENTIFIER_START = /[\p{L}_]/u;
+const IDENTIFIER_PART = /[\p{L}\p{N}_.]/u;
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        const position = i;
+        if (/\s/.test(ch)) { i++; continue; }
+        if (/\d/.test(ch) || (ch === "." && /\d/.test(text[i + 1] ?? ""))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(text.slice(i));
+            tokens.push({ kind: "number", value: Number(match[0]), position });
+            i += match[0].length;
+            continue;
+        }
+        if (ch === '"') {
+            let value = "";
+            i++;
+            for (;;) {
+                if (i >= text.length) throw new FormulaSyntaxError("formula.error.unclosedQuote", {}, position);
+                if (text[i] === '"') {
+                    // Dos comillas seguidas son una comilla literal, como en Excel.
+                    if (text[i + 1] === '"') { value += '"'; i += 2; continue; }
+                    i++;
+                    break;
+                }
+                value += text[i++];
+            }
+            tokens.push({ kind: "string", value, position });
+            continue;
+        }
+        if (ch === "[") {
+            const end = text.indexOf("]", i + 1);
+            if (end === -1) throw new FormulaSyntaxError("formula.error.unclosedBracket", {}, position);
+            tokens.push({ kind: "column", value: text.slice(i + 1, end), position });
+            i = end + 1;
+            continue;
+        }
+        if (IDENTIFIER_START.test(ch)) {
+            let end = i + 1;
+            while (end < text.length && IDENTIFIER_PART.test(text[end])) end++;
+            tokens.push({ kind: "identifier", value: text.slice(i, end), position });
+            i = end;
+            continue;
+        }
+        const op = OPERATORS.find(o => text.startsWith(o, position));
+        if (!op) throw new FormulaSyntaxError("formula.error.unexpectedChar", { char: ch }, position);
+        tokens.push({ kind: "op", value: op === ";" ? "," : op === "!=" ? "<>" : op, position });
+        i += op.length;
+    }
+    return tokens;
+}
+
+function parseTokens(tokens, textLength, columns) {
+    const columnSet = new Set(columns);
+    const references = new Set();
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek()?.kind === "op" && ops.includes(peek().value);
+    const endPosition = () => (peek() ? peek().position : textLength);
+
+    const binaryLevel = (ops, next) => () => {
+        let node = next();
+        while (isOp(...ops)) {
+            const op = tokens[pos++].value;
+            node = { type: "binary", op, left: node, right: next() };
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new FormulaSyntaxError("formula.error.incomplete", {}, textLength);
+        switch (token.kind) {
+            case "number": return { type: "number", value: token.value };
+            case "string": return { type: "string", value: token.value };
+            case "column": {
+                if (!columnSet.has(token.value)) throw new FormulaSyntaxError("formula.error.unknownColumn", { column: token.value }, token.position);
+                references.add(token.value);
+                return { type: "column", name: token.value };
+            }
+            case "identifier": {
+                const key = functionKey(token.value);
+                if (!isOp("(")) {
+                    if (BOOLEAN_NAMES.has(key)) return { type: "boolean", value: BOOLEAN_NAMES.get(key) };
+                    const messageKey = columnSet.has(token.value) ? "formula.error.unbracketedColumn" : "formula.error.unknownName";
+                    throw new FormulaSyntaxError(messageKey, { name: token.value }, token.position);
+                }
+                const fn = FUNCTIONS_BY_NAME.get(key);
+                if (!fn) throw new FormulaSyntaxError("formula.error.unknownFunction", { name: token.value }, token.position);
+                pos++;
+                const args = [];
+                if (!isOp(")")) {
+                    args.push(parseComparison());
+                    while (isOp(",")) { pos++; args.push(parseComparison()); }
+                }
+                if (!isOp(")")) throw new FormulaSyntaxError("formula.error.missingParen", { name: token.value }, endPosition());
+                pos++;
+                if (args.length < fn.min || args.length > fn.max) {
+                    const messageKey = fn.min === fn.max ? "formula.error.argCount" : fn.max === Infinity ? "formula.error.argCountAtLeast" : "formula.error.argCountBetween";
+                    throw new FormulaSyntaxError(messageKey, { name: fn.names[0], min: fn.min, max: fn.max }, token.position);
+                }
+                return { type: "call", name: fn.names[0], args };
+            }
+            default:
+                if (token.value === "(") {
+                    const node = parseComparison();
+                    if (!isOp(")")) throw new FormulaSyntaxError("formula.error.unclosedParen", {}, token.position);
+                    pos++;
+                    return node;
+                }
+                if (token.value === "-") return { type: "unary", op: "-", arg: parsePower() };
+                if (token.value === "+") return parsePower();
+                throw new FormulaSyntaxError("formula.error.valueExpected", {}, token.position);
+        }
+    };
+    const parsePower = binaryLevel(["^"], parsePrimary);
+    const parseMultiplicative = binaryLevel(["*", "/"], parsePower);
+    const parseAdditive = binaryLevel(["+", "-"], parseMultiplicative);
+    const parseConcat = binaryLevel(["&"], parseAdditive);
+    const parseComparison = binaryLevel(["=", "<>", "<", "<=", ">", ">="], parseConcat);
+
+    const ast = parseComparison();
+    if (pos < tokens.length) {
+        const token = tokens[pos];
+        throw new FormulaSyntaxError(token.value === ")" ? "formula.error.unexpectedParen" : "formula.error.operatorExpected", {}, token.position);
+    }
+    return { ast, references: [...references] };
+}
+
+/**
+ * Analiza una fórmula.
+ * @param {string} text
+ * @param {string[]} columns columnas que la fórmula puede usar
+ * @returns {ParsedFormula}
+ */
+export function parseFormula(text, columns) {
+    try {
+        if (!text || !text.trim()) throw new FormulaSyntaxError("formula.error.empty", {}, 0);
+        const { ast, references } = parseTokens(tokenize(text), text.length, columns);
+        return { ast, error: null, references };
+    } catch (error) {
+        if (error instanceof FormulaSyntaxError) return { ast: null, error: { ...describeFailure(error), position: error.position }, references: [] };
+        throw error;
+    }
+}
+
+// --- Evaluación ---
+
+function compare(op, a, b) {
+    const numA = toNumber(a);
+    const numB = toNumber(b);
+    let diff;
+    if (numA !== null && numB !== null) diff = numA - numB;
+    else diff = toText(a).toLowerCase().localeCompare(toText(b).toLowerCase());
+    switch (op) {
+        case "=": return diff === 0;
+        case "<>": return diff !== 0;
+        case "<": return diff < 0;
+        case "<=": return diff <= 0;
+        case ">": return diff > 0;
+        default: return diff >= 0;
+    }
+}
+
+function arithmetic(op, a, b) {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x === null || y === null) return null;
+    switch (op) {
+        case "+": return x + y;
+        case "-": return x - y;
+        case "*": return x * y;
+        case "/": return y === 0 ? null : x / y;
+        default: {
+            const result = x ** y;
+            return isFinite(result) ? result : null;
+        }
+    }
+}
+
+/**
+ * Compila el árbol a una función de fila.
+ * @param {FormulaNode} ast
+ * @returns {(row: import('./types').Row) => FormulaValue}
+ */
+export function compileFormula(ast) {
+    const evaluate = (node, row) => {
+        switch (node.type) {
+            case "number":
+            case "string":
+            case "boolean":
+                return node.value;
+            case "column": {
+                const cell = row[node.name];
+                return cell === undefined || cell === null ? null : cell;
+            }
+            case "unary": {
+                const n = toNumber(evaluate(node.arg, row));
+                return n === null ? null : -n;
+            }
+            case "binary": {
+                const left = evaluate(node.left, row);
+                const right = evaluate(node.right, row);
+                if (node.op === "&") return toText(left) + toText(right);
+                if (["+", "-", "*", "/", "^"].includes(node.op)) return arithmetic(node.op, left, right);
+                return compare(node.op, left, right);
+            }
+            case "call":
+                return FUNCTIONS_BY_NAME.get(functionKey(node.name)).fn(...node.args.map(arg => evaluate(arg, row)));
+            default:
+                return null;
+        }
+    };
+    return (row) => evaluate(ast, row);
+}
+
+/**
+ * Añade las columnas calculadas a una copia de las filas. Cada fórmula puede usar las columnas
+ * originales y las calculadas antes que ella; las que no se pueden aplicar (nombre repetido,
+ * error de sintaxis o columna que no existe en este archivo) se omiten y se devuelven en `errors`.
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} columns
+ * @param {ComputedColumn[]} definitions
+ * @returns {{ rows: import('./types').Row[], columns: string[], errors: ComputedColumnError[] }}
+ */
+export function addComputedColumns(rows, columns, definitions) {
+    const available = [...columns];
+    const compiled = [];
+    const errors = [];
+    definitions.forEach(({ name, formula }) => {
+        const trimmed = String(name ?? "").trim();
+        if (!trimmed) { errors.push({ name: trimmed, ...describeFailure(new LocalizedError("formula.error.missingName")) }); return; }
+        if (available.includes(trimmed)) { errors.push({ name: trimmed, ...describeFailure(new LocalizedError("formula.error.duplicateName", { name: trimmed })) }); return; }
+        const { ast, error } = parseFormula(formula, available);
+        if (error) { errors.push({ name: trimmed, ...describeFailure(error) }); return; }
+        compiled.push({ name: trimmed, evaluate: compileFormula(ast) });
+        available.push(trimmed);
+    });
+    if (!compiled.length) return { rows, columns, errors };
+
+    const result = rows.map(row => {
+        const next = { ...row };
+        compiled.forEach(({ name, evaluate }) => { next[name] = toCell(evaluate(next)); });
+        return next;
+    });
+    return { rows: result, columns: available, errors };
+}
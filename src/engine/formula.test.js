@@ -0,0 +1,63 @@
+import { addComputedColumns, compileFormula, parseFormula } from "./formula";
+
+const columns = ["Valor (USD)", "Peso (KG)", "Fecha", "Partida", "Pais"];
+const row = { "Valor (USD)": 1500, "Peso (KG)": "300", Fecha: "2024-03-15", Partida: 3901100000, Pais: " china " };
+
+const evaluate = (text, r = row) => {
+    const { ast, error } = parseFormula(text, columns);
+    if (error) throw new Error(error.message);
+    return compileFormula(ast)(r);
+};
+
+test("evaluates arithmetic, text, conditionals and date parts", () => {
+    expect(evaluate("[Valor (USD)] / [Peso (KG)]")).toBe(5);
+    expect(evaluate("-2 ^ 2 + 10 * (1 + 1)")).toBe(16);
+    expect(evaluate("IZQUIERDA([Partida]; 4)")).toBe("3901");
+    expect(evaluate('MAYUSC(ESPACIOS([Pais])) & "-" & año([Fecha])')).toBe("CHINA-2024");
+    expect(evaluate("AÑOMES([Fecha])")).toBe("2024-03");
+    expect(evaluate("TRIMESTRE([Fecha]) = 1")).toBe(true);
+    expect(evaluate('IF([Valor (USD)] >= 1000, "Alto", "Bajo")')).toBe("Alto");
+    expect(evaluate("TRAMO([Valor (USD)]; 10000; 1000)")).toBe("1000 – 10000");
+    expect(evaluate('CONTIENE([Pais]; "CHI")')).toBe(true);
+    expect(evaluate('"dijo ""hola"""')).toBe('dijo "hola"');
+});
+
+test("blank and non-numeric cells propagate as blank instead of failing", () => {
+    expect(evaluate("[Valor (USD)] / [Peso (KG)]", { ...row, "Peso (KG)": "" })).toBeNull();
+    expect(evaluate("[Valor (USD)] / 0")).toBeNull();
+    expect(evaluate("[Valor (USD)] * 2", { ...row, "Valor (USD)": "n/d" })).toBeNull();
+    expect(evaluate("AÑO([Fecha])", { ...row, Fecha: "sin fecha" })).toBeNull();
+    expect(evaluate('SIVACIO([Pais]; "?")', { ...row, Pais: "" })).toBe("?");
+});
+
+test.each([
+    ["[Puerto] * 2", "Columna desconocida: [Puerto]", 0],
+    ["Pais & 1", 'Nombre desconocido: "Pais". Las columnas van entre corchetes: [Pais]', 0],
+    ["SUMAR([Pais])", "Función desconocida: SUMAR", 0],
+    ["SI([Pais])", "SI espera entre 2 y 3 argumento(s)", 0],
+    ["(1 + 2", "Paréntesis sin cerrar", 0],
+    ['"abc', "Comillas sin cerrar", 0],
+    ["1 2", "Se esperaba un operador", 2],
+    ["1 + ", "Fórmula incompleta", 4],
+])("reports %s as a syntax error", (text, message, position) => {
+    expect(parseFormula(text, columns).error).toMatchObject({ message, position });
+});
+
+test("carries the catalog key of each error so the interface can translate it", () => {
+    expect(parseFormula("SI([Pais])", columns).error).toMatchObject({ key: "formula.error.argCountBetween", params: { name: "SI", min: 2, max: 3 } });
+    expect(parseFormula(" ", columns).error).toMatchObject({ key: "formula.error.empty", message: "Fórmula vacía", position: 0 });
+});
+
+test("adds computed columns in order, skipping the ones that cannot be applied", () => {
+    const { rows, columns: out, errors } = addComputedColumns([row], columns, [
+        { name: "Precio / KG", formula: "[Valor (USD)] / [Peso (KG)]" },
+        { name: "Caro", formula: "[Precio / KG] > 4" },
+        { name: "Pais", formula: "1" },
+        { name: "Puerto", formula: "[Puerto]" },
+    ]);
+    expect(out).toEqual([...columns, "Precio / KG", "Caro"]);
+    expect(rows[0]).toMatchObject({ "Precio / KG": 5, Caro: "VERDADERO" });
+    expect(row).not.toHaveProperty("Precio / KG");
+    expect(errors.map(e => e.name)).toEqual(["Pais", "Puerto"]);
+    expect(errors[0]).toMatchObject({ key: "formula.error.duplicateName", message: 'Ya existe una columna "Pais"' });
+});
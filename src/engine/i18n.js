@@ -0,0 +1,207 @@
+// --- Idiomas: catálogos de mensajes y formato de números y fechas según el idioma ---
+// Los catálogos son objetos planos `clave -> plantilla`; las plantillas interpolan `{parámetro}`.
+
+import es from "../locales/es";
+
+/**
+ * @typedef {"es" | "en"} Locale
+ * @typedef {Object<string, string>} MessageCatalog
+ * @typedef {(key: string, params?: Object<string, any>) => string} Translator
+ */
+
+/** Idiomas disponibles: nombre en su propio idioma y etiqueta BCP 47 para `Intl`. */
+export const LOCALES = {
+    es: { label: "Español", intl: "es-ES" },
+    en: { label: "English", intl: "en-US" },
+};
+
+/** @type {Locale} */
+export const DEFAULT_LOCALE = "es";
+
+// Los importes de los archivos de comercio exterior vienen en dólares.
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * @param {any} value
+ * @returns {Locale}
+ */
+export const normalizeLocale = (value) => (Object.prototype.hasOwnProperty.call(LOCALES, value) ? value : DEFAULT_LOCALE);
+
+/**
+ * Primer idioma disponible de la lista del navegador (`navigator.languages`), sin fijarse en la región.
+ * @param {readonly string[]} [languages]
+ * @returns {Locale}
+ */
+export function detectLocale(languages = []) {
+    for (const tag of languages) {
+        const base = String(tag).toLowerCase().split("-")[0];
+        if (Object.prototype.hasOwnProperty.call(LOCALES, base)) return /** @type {Locale} */ (base);
+    }
+    return DEFAULT_LOCALE;
+}
+
+const intlTag = (locale) => LOCALES[locale]?.intl ?? locale;
+
+// Construir un `Intl.NumberFormat` es caro y las tablas formatean miles de celdas.
+const numberFormats = new Map();
+function numberFormat(locale, options = {}) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(intlTag(locale), options));
+    return numberFormats.get(key);
+}
+
+/**
+ * @param {number} num
+ * @param {Locale} locale
+ * @param {Intl.NumberFormatOptions} [options] por defecto, hasta 2 decimales
+ * @returns {string} `-` si no es un número
+ */
+export function formatNumber(num, locale, options = { maximumFractionDigits: 2 }) {
+    if (typeof num !== "number" || Number.isNaN(num)) return "-";
+    return numberFormat(locale, options).format(num);
+}
+
+/**
+ * @param {number} num
+ * @param {Locale} locale
+ * @param {Intl.NumberFormatOptions} [options] se combinan con el estilo de moneda
+ */
+export const formatCurrency = (num, locale, options = { maximumFractionDigits: 2 }) =>
+    formatNumber(num, locale, { style: "currency", currency: DEFAULT_CURRENCY, ...options });
+
+const dateFormats = new Map();
+
+/**
+ * Fecha (sin hora) de un instante en UTC, como se guardan las fechas leídas de los archivos.
+ * @param {number} ms
+ * @param {Locale} locale
+ */
+export function formatLocaleDate(ms, locale) {
+    if (!dateFormats.has(locale)) {
+        dateFormats.set(locale, new Intl.DateTimeFormat(intlTag(locale), { timeZone: "UTC", day: "2-digit", month: "2-digit", year: "numeric" }));
+    }
+    return dateFormats.get(locale).format(ms);
+}
+
+const dateTimeFormats = new Map();
+
+/**
+ * Fecha u hora de un instante en la zona horaria local, como las marcas de tiempo de la propia
+ * aplicación (creación de un usuario, guardado de un archivo).
+ * @param {number} ms
+ * @param {Locale} locale
+ * @param {Intl.DateTimeFormatOptions} [options] por defecto, la fecha corta
+ */
+export function formatLocaleDateTime(ms, locale, options = { dateStyle: "short" }) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!dateTimeFormats.has(key)) dateTimeFormats.set(key, new Intl.DateTimeFormat(intlTag(locale), options));
+    return dateTimeFormats.get(key).format(ms);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Separadores de miles y decimales del idioma.
+ * @param {Locale} locale
+ * @returns {{ group: string, decimal: string }}
+ */
+export function numberSeparators(locale) {
+    const parts = numberFormat(locale, { useGrouping: true }).formatToParts(12345.6);
+    return {
+        group: parts.find(p => p.type === "group")?.value ?? ",",
+        decimal: parts.find(p => p.type === "decimal")?.value ?? ".",
+    };
+}
+
+/**
+ * Interpreta un número escrito por el usuario: primero con los separadores del idioma ("1.234,5" en
+ * español, "1,234.5" en inglés) y, si no encaja, como número sin separadores de miles con punto o
+ * coma decimal ("1234.5", "1234,5"). El separador de miles solo cuenta si los grupos son válidos
+ * (uno inicial de 1 a 3 cifras que no empieza por 0 y los demás de 3): "0.125" es 0,125 en español.
+ * Los espacios se ignoran.
+ * @param {string} text
+ * @param {Locale} locale
+ * @returns {number | null} `null` si el texto está vacío o no es un número
+ */
+export function parseLocaleNumber(text, locale) {
+    const compact = String(text ?? "").replace(/\s/g, "");
+    if (!compact) return null;
+    const { group, decimal } = numberSeparators(locale);
+    const localized = new RegExp(`^[-+]?([1-9]\\d{0,2}(${escapeRegExp(group)}\\d{3})+|\\d+)(${escapeRegExp(decimal)}\\d*)?$`);
+    if (localized.test(compact)) {
+        return Number(compact.split(group).join("").replace(decimal, "."));
+    }
+    if (/^[-+]?(\d+([.,]\d*)?|[.,]\d+)$/.test(compact)) {
+        return Number(compact.replace(",", "."));
+    }
+    return null;
+}
+
+/**
+ * Trozos de una plantilla con sus parámetros sustituidos; los valores se devuelven tal cual para
+ * que la interfaz pueda intercalar elementos. Los marcadores sin parámetro se dejan como texto.
+ * @param {string} template
+ * @param {Object<string, any>} [params]
+ * @returns {any[]}
+ */
+export function interpolate(template, params = {}) {
+    const parts = [];
+    const pattern = /\{(\w+)\}/g;
+    let cursor = 0;
+    let match;
+    while ((match = pattern.exec(template))) {
+        if (!Object.prototype.hasOwnProperty.call(params, match[1])) continue;
+        if (match.index > cursor) parts.push(template.slice(cursor, match.index));
+        parts.push(params[match[1]]);
+        cursor = match.index + match[0].length;
+    }
+    if (cursor < template.length) parts.push(template.slice(cursor));
+    return parts;
+}
+
+/**
+ * Trozos de un mensaje del catálogo del idioma o, si falta, del idioma por defecto; si falta en
+ * ambos, la propia clave. Los parámetros numéricos se formatean en el idioma.
+ * @param {Object<string, MessageCatalog>} catalogs
+ * @param {Locale} locale
+ * @param {string} key
+ * @param {Object<string, any>} [params]
+ * @returns {any[]}
+ */
+export function messageParts(catalogs, locale, key, params = {}) {
+    const template = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE]?.[key] ?? key;
+    const formatted = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, typeof value === "number" ? formatNumber(value, locale) : value]));
+    return interpolate(template, formatted);
+}
+
+/**
+ * @param {Object<string, MessageCatalog>} catalogs
+ * @param {Locale} locale
+ * @returns {Translator}
+ */
+export const createTranslator = (catalogs, locale) => (key, params) => messageParts(catalogs, locale, key, params).join("");
+
+/**
+ * Traductor al idioma por defecto, para los textos que el motor genera fuera de la interfaz
+ * (consola, línea de comandos, exportaciones sin idioma elegido).
+ * @type {Translator}
+ */
+export const translateDefault = createTranslator({ [DEFAULT_LOCALE]: es }, DEFAULT_LOCALE);
+
+/**
+ * Error del motor con un mensaje del catálogo: la interfaz lo muestra en su idioma a partir de
+ * `key` y `params` (`describeError` de `useI18n`); `message` lleva el texto en el idioma por
+ * defecto, para la consola y la línea de comandos.
+ */
+export class LocalizedError extends Error {
+    /**
+     * @param {string} key
+     * @param {Object<string, any>} [params]
+     */
+    constructor(key, params = {}) {
+        super(translateDefault(key, params));
+        this.name = "LocalizedError";
+        this.key = key;
+        this.params = params;
+    }
+}
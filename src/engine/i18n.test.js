@@ -0,0 +1,68 @@
+import { LocalizedError, createTranslator, detectLocale, formatCurrency, formatLocaleDate, formatLocaleDateTime, formatNumber, interpolate, normalizeLocale, parseLocaleNumber } from "./i18n";
+import es from "../locales/es";
+import en from "../locales/en";
+
+// Intl separa la moneda con un espacio duro; se normaliza para comparar.
+const plain = (text) => text.replace(/\s/g, " ");
+
+test("both catalogs define the same keys and placeholders", () => {
+    expect(Object.keys(en).sort()).toEqual(Object.keys(es).sort());
+    const placeholders = (text) => (text.match(/\{\w+\}/g) ?? []).sort();
+    Object.keys(es).forEach(key => expect([key, placeholders(en[key])]).toEqual([key, placeholders(es[key])]));
+    expect(Object.values(es).concat(Object.values(en)).filter(text => text.includes("**"))).toEqual([]);
+});
+
+test("translates with interpolation, formatting numbers and falling back to Spanish", () => {
+    const catalogs = { es: { hello: "Hola {name}, {count} filas", only: "Solo en español" }, en: { hello: "Hi {name}, {count} rows" } };
+    expect(createTranslator(catalogs, "es")("hello", { name: "Ana", count: 12345.5 })).toBe("Hola Ana, 12.345,5 filas");
+    expect(createTranslator(catalogs, "en")("hello", { name: "Ana", count: 12345.5 })).toBe("Hi Ana, 12,345.5 rows");
+    expect(createTranslator(catalogs, "en")("only")).toBe("Solo en español");
+    expect(createTranslator(catalogs, "en")("missing.key")).toBe("missing.key");
+    expect(interpolate("{a} y {b} {c}", { a: 1, b: { el: true } })).toEqual([1, " y ", { el: true }, " {c}"]);
+});
+
+test("formats numbers, currency and dates for the locale", () => {
+    expect(formatNumber(1234.567, "es")).toBe("1234,57");
+    expect(formatNumber(12345.6, "es")).toBe("12.345,6");
+    expect(formatNumber(1234.567, "en")).toBe("1,234.57");
+    expect(formatNumber(undefined, "en")).toBe("-");
+    expect(plain(formatCurrency(1234.56, "es"))).toBe("1234,56 US$");
+    expect(formatCurrency(1234.56, "en")).toBe("$1,234.56");
+    const ms = Date.UTC(2024, 2, 5);
+    expect(formatLocaleDate(ms, "es")).toBe("05/03/2024");
+    expect(formatLocaleDate(ms, "en")).toBe("03/05/2024");
+    const local = new Date(2024, 2, 5, 14, 30).getTime();
+    expect(formatLocaleDateTime(local, "es")).toBe("5/3/24");
+    expect(plain(formatLocaleDateTime(local, "en", { timeStyle: "short" }))).toBe("2:30 PM");
+});
+
+test("parses numbers typed with the locale separators or without thousands", () => {
+    expect(parseLocaleNumber("1.234,5", "es")).toBe(1234.5);
+    expect(parseLocaleNumber("-1.234.567", "es")).toBe(-1234567);
+    expect(parseLocaleNumber("1234,5", "es")).toBe(1234.5);
+    expect(parseLocaleNumber("1234.5", "es")).toBe(1234.5);
+    expect(parseLocaleNumber("0.125", "es")).toBe(0.125);
+    expect(parseLocaleNumber("1.234", "es")).toBe(1234);
+    expect(parseLocaleNumber("0,125", "en")).toBe(0.125);
+    expect(parseLocaleNumber(" 1 234,5 ", "es")).toBe(1234.5);
+    expect(parseLocaleNumber("1,234.5", "en")).toBe(1234.5);
+    expect(parseLocaleNumber("1,5", "en")).toBe(1.5);
+    expect(parseLocaleNumber("", "es")).toBeNull();
+    expect(parseLocaleNumber("1.2.3,4", "en")).toBeNull();
+    expect(parseLocaleNumber("abc", "es")).toBeNull();
+});
+
+test("detects the browser language and rejects unknown locales", () => {
+    expect(detectLocale(["en-GB", "es"])).toBe("en");
+    expect(detectLocale(["fr-FR", "es-MX"])).toBe("es");
+    expect(detectLocale(["de"])).toBe("es");
+    expect(normalizeLocale("en")).toBe("en");
+    expect(normalizeLocale("toString")).toBe("es");
+});
+
+test("keeps the key and parameters of engine errors, with the Spanish text as message", () => {
+    const error = new LocalizedError("access.error.passphraseTooShort", { min: 8 });
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe("El código debe tener al menos 8 caracteres.");
+    expect(createTranslator({ es, en }, "en")(error.key, error.params)).toBe("The passphrase must be at least 8 characters long.");
+});
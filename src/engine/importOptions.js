@@ -0,0 +1,166 @@
+// --- Opciones de importación: codificación, separador y fila de encabezado ---
+// Módulo sin dependencias de `xlsx` para poder usarlo también en el hilo principal (vista previa).
+
+/**
+ * @typedef {'utf-8'|'windows-1252'|'iso-8859-1'|'utf-16le'|'utf-16be'} TextEncoding
+ * @typedef {object} ImportPreview
+ * @property {string} fileName
+ * @property {boolean} isText archivo de texto delimitado (CSV/TXT) en lugar de un libro binario
+ * @property {TextEncoding | null} encoding
+ * @property {string | null} delimiter
+ * @property {string[]} sheetNames
+ * @property {string} sheetName
+ * @property {string[][]} rows primeras filas de la hoja, como texto
+ * @property {number} totalRows filas de la hoja
+ * @property {number} headerRow fila de encabezado detectada (base 0)
+ * @typedef {{ sheetName: string, headerRow: number, skipBottom: number, columns: string[] | null }} ImportOptions
+ */
+
+export const ENCODING_OPTIONS = [
+    { value: "utf-8", label: "UTF-8" },
+    { value: "windows-1252", label: "Windows-1252 (ANSI)" },
+    { value: "iso-8859-1", label: "ISO-8859-1 (Latin-1)" },
+    { value: "utf-16le", label: "UTF-16 LE" },
+    { value: "utf-16be", label: "UTF-16 BE" },
+];
+
+// `label` es la clave del catálogo de textos.
+export const DELIMITER_OPTIONS = [
+    { value: ",", label: "importPreview.delimiterComma" },
+    { value: ";", label: "importPreview.delimiterSemicolon" },
+    { value: "\t", label: "importPreview.delimiterTab" },
+    { value: "|", label: "importPreview.delimiterPipe" },
+];
+
+// Filas que se leen para detectar el separador y el encabezado, y que se muestran en la vista previa.
+export const PREVIEW_ROWS = 50;
+
+/**
+ * Los libros binarios son ZIP (xlsx, `PK`) u OLE (xls antiguo); el resto se trata como texto.
+ * @param {Uint8Array} bytes
+ */
+export function isBinaryWorkbook(bytes) {
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) return true;
+    return bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+}
+
+// Comprueba que los bytes formen secuencias UTF-8 válidas. `truncated` indica que son solo una muestra del archivo.
+function isValidUTF8(bytes, truncated) {
+    let i = 0;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        let extra = 0;
+        if (b < 0x80) extra = 0;
+        else if (b >= 0xc2 && b <= 0xdf) extra = 1;
+        else if (b >= 0xe0 && b <= 0xef) extra = 2;
+        else if (b >= 0xf0 && b <= 0xf4) extra = 3;
+        else return false;
+        // Una secuencia cortada al final de la muestra no invalida el archivo.
+        if (i + extra >= bytes.length) return truncated;
+        for (let k = 1; k <= extra; k++) {
+            if ((bytes[i + k] & 0xc0) !== 0x80) return false;
+        }
+        i += extra + 1;
+    }
+    return true;
+}
+
+/**
+ * Detecta la codificación por la marca BOM o, si no la hay, comprobando si es UTF-8 válido;
+ * si no lo es, se asume Windows-1252 (lo habitual en exportaciones de sistemas en español).
+ * @param {Uint8Array} bytes
+ * @returns {TextEncoding}
+ */
+export function detectEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+    const sample = bytes.subarray(0, 1 << 20);
+    return isValidUTF8(sample, sample.length < bytes.length) ? "utf-8" : "windows-1252";
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {TextEncoding} encoding
+ * @returns {string} texto sin la marca BOM
+ */
+export function decodeText(bytes, encoding) {
+    const text = new TextDecoder(encoding).decode(bytes);
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Cuenta las apariciones de `delimiter` fuera de comillas en una línea.
+function countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (const ch of line) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === delimiter && !inQuotes) count++;
+    }
+    return count;
+}
+
+/**
+ * Elige el separador que aparece un número constante (y mayor que cero) de veces en más líneas.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const lines = text.split(/\r\n|\n|\r/, PREVIEW_ROWS).filter(line => line.trim() !== "");
+    let best = { delimiter: ",", score: 0 };
+    DELIMITER_OPTIONS.forEach(({ value: delimiter }) => {
+        const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+        const frequency = new Map();
+        counts.forEach(c => { if (c > 0) frequency.set(c, (frequency.get(c) || 0) + 1); });
+        if (!frequency.size) return;
+        // Líneas que coinciden con el número de separadores más repetido, desempatando por más columnas.
+        const [mode, lineCount] = [...frequency].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+        const score = lineCount + mode / 1000;
+        if (score > best.score) best = { delimiter, score };
+    });
+    return best.delimiter;
+}
+
+const isFilled = (cell) => cell !== null && cell !== undefined && String(cell).trim() !== "";
+const looksNumeric = (cell) => !isNaN(Number(String(cell).trim()));
+
+/**
+ * Primera fila que parece un encabezado: casi tan ancha como la tabla y con celdas de texto.
+ * Salta así los bloques de título o de filtros que algunos informes ponen encima de los datos.
+ * @param {any[][]} rows
+ * @returns {number} índice base 0
+ */
+export function detectHeaderRow(rows) {
+    const widths = rows.map(row => (row || []).filter(isFilled).length);
+    const maxWidth = Math.max(0, ...widths);
+    if (maxWidth < 2) return 0;
+    const index = rows.findIndex((row, i) => {
+        if (widths[i] < Math.ceil(maxWidth * 0.8)) return false;
+        const cells = row.filter(isFilled);
+        return cells.filter(c => !looksNumeric(c)).length / cells.length >= 0.7;
+    });
+    return Math.max(0, index);
+}
+
+/**
+ * Nombres de columna a partir de las celdas del encabezado, igual que `sheet_to_json`
+ * (celdas vacías como `__EMPTY`, duplicados como `Nombre_1`, `Nombre_2`, ...).
+ * @param {any[]} headerCells
+ * @returns {string[]}
+ */
+export function buildHeaderKeys(headerCells) {
+    const seen = {};
+    return headerCells.map(cell => {
+        const base = cell === null || cell === undefined || cell === "" ? "__EMPTY" : String(cell);
+        let key = base;
+        let counter = seen[base] || 0;
+        if (!counter) {
+            seen[base] = 1;
+        } else {
+            do { key = `${base}_${counter++}`; } while (seen[key]);
+            seen[base] = counter;
+            seen[key] = 1;
+        }
+        return key;
+    });
+}
@@ -0,0 +1,44 @@
+import { buildHeaderKeys, detectDelimiter, detectEncoding, detectHeaderRow, isBinaryWorkbook } from "./importOptions";
+import { readTextWorkbook, sheetToRows } from "./sheets";
+
+test("detects the delimiter that splits lines consistently", () => {
+    expect(detectDelimiter("Empresa;Valor;Nota\nACME, S.A.;1,5;x\nBeta;2;y")).toBe(";");
+    expect(detectDelimiter("a,b,c\n1,2,3\n\"x,y\",4,5")).toBe(",");
+    expect(detectDelimiter("a\tb\n1\t2")).toBe("\t");
+    expect(detectDelimiter("solo una columna")).toBe(",");
+});
+
+test("detects binary workbooks and text encodings", () => {
+    expect(isBinaryWorkbook(new Uint8Array([0x50, 0x4b, 3, 4]))).toBe(true);
+    expect(isBinaryWorkbook(new Uint8Array([0x61, 0x2c, 0x62]))).toBe(false);
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe("utf-8");
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0]))).toBe("utf-16le");
+    // "Peña" en UTF-8 y en Windows-1252.
+    expect(detectEncoding(new Uint8Array([0x50, 0x65, 0xc3, 0xb1, 0x61]))).toBe("utf-8");
+    expect(detectEncoding(new Uint8Array([0x50, 0x65, 0xf1, 0x61]))).toBe("windows-1252");
+});
+
+test("skips title blocks when detecting the header row", () => {
+    const rows = [
+        ["Reporte de importaciones", "", ""],
+        ["Periodo: 2024", "", ""],
+        ["", "", ""],
+        ["Fecha", "Importador", "Valor"],
+        ["2024-01-01", "ACME", "100"],
+    ];
+    expect(detectHeaderRow(rows)).toBe(3);
+    expect(detectHeaderRow([["Fecha", "Valor"], ["2024-01-01", "1"]])).toBe(0);
+    expect(detectHeaderRow([])).toBe(0);
+});
+
+test("names empty and duplicated headers like sheet_to_json", () => {
+    expect(buildHeaderKeys(["A", "", "A", null, "A"])).toEqual(["A", "__EMPTY", "A_1", "__EMPTY_1", "A_2"]);
+});
+
+test("loads a delimited sheet with header row, trailing rows and column selection", () => {
+    const text = "Reporte\nFecha;Empresa;Valor\n01/02/2024;ACME;007\n02/02/2024;Beta;8\nTotal;;15";
+    const wb = readTextWorkbook(text, ";");
+    const { rows, columns } = sheetToRows(wb, wb.SheetNames[0], { headerRow: 1, skipBottom: 1, columns: ["Fecha", "Valor"] });
+    expect(columns).toEqual(["Fecha", "Valor"]);
+    expect(rows).toEqual([{ Fecha: "01/02/2024", Valor: "007" }, { Fecha: "02/02/2024", Valor: "8" }]);
+});
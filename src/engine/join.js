@@ -0,0 +1,90 @@
+import { valueKey } from "./stats";
+
+// --- Cruce con tablas de búsqueda (equivalente a BUSCARV / left join) ---
+
+/**
+ * @typedef {{ value: string, count: number }} UnmatchedKey
+ * @typedef {object} JoinReport
+ * @property {number} matchedRows filas que encontraron su clave en la tabla de búsqueda
+ * @property {number} unmatchedRows filas con clave que no se encontró
+ * @property {number} emptyKeyRows filas sin valor en la columna clave
+ * @property {number} duplicateLookupKeys claves repetidas en la tabla de búsqueda (se usa la primera)
+ * @property {string[]} addedColumns
+ * @property {UnmatchedKey[]} unmatchedKeys las más frecuentes primero, hasta `UNMATCHED_LIMIT`
+ * @property {number} unmatchedKeyCount claves distintas sin coincidencia
+ */
+
+export const UNMATCHED_LIMIT = 100;
+
+/**
+ * Clave de cruce: sin espacios sobrantes ni distinción de mayúsculas.
+ * @param {any} cell
+ */
+export const joinKey = (cell) => valueKey(cell).toLowerCase();
+
+/**
+ * Nombres de las columnas añadidas: el original, salvo que ya exista en la tabla principal;
+ * en ese caso se añade el nombre de la tabla de búsqueda entre paréntesis.
+ * @param {string[]} baseColumns
+ * @param {string[]} lookupColumns
+ * @param {string} lookupLabel
+ * @returns {string[]}
+ */
+export function joinColumnNames(baseColumns, lookupColumns, lookupLabel) {
+    const taken = new Set(baseColumns);
+    return lookupColumns.map(col => {
+        let name = taken.has(col) ? `${col} (${lookupLabel})` : col;
+        for (let n = 2; taken.has(name); n++) name = `${col} (${lookupLabel} ${n})`;
+        taken.add(name);
+        return name;
+    });
+}
+
+/**
+ * Añade a cada fila las columnas elegidas de la fila de búsqueda con la misma clave.
+ * Las filas sin coincidencia reciben esas columnas vacías.
+ * @param {import('./types').Row[]} rows
+ * @param {import('./types').Row[]} lookupRows
+ * @param {{ key: string, lookupKey: string, columns: string[], baseColumns: string[], lookupLabel: string }} options
+ * @returns {{ rows: import('./types').Row[], columns: string[], report: JoinReport }}
+ */
+export function leftJoin(rows, lookupRows, { key, lookupKey, columns, baseColumns, lookupLabel }) {
+    const addedColumns = joinColumnNames(baseColumns, columns, lookupLabel);
+    const index = new Map();
+    let duplicateLookupKeys = 0;
+    lookupRows.forEach(row => {
+        const k = joinKey(row[lookupKey]);
+        if (k === "") return;
+        if (index.has(k)) duplicateLookupKeys++;
+        else index.set(k, row);
+    });
+
+    const unmatched = new Map();
+    let matchedRows = 0;
+    let emptyKeyRows = 0;
+    const joined = rows.map(row => {
+        const raw = valueKey(row[key]);
+        const match = raw === "" ? undefined : index.get(raw.toLowerCase());
+        if (raw === "") emptyKeyRows++;
+        else if (match) matchedRows++;
+        else unmatched.set(raw, (unmatched.get(raw) || 0) + 1);
+        const copy = { ...row };
+        columns.forEach((col, i) => { copy[addedColumns[i]] = match ? match[col] ?? "" : ""; });
+        return copy;
+    });
+
+    const unmatchedKeys = [...unmatched].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+    return {
+        rows: joined,
+        columns: [...baseColumns, ...addedColumns],
+        report: {
+            matchedRows,
+            unmatchedRows: rows.length - matchedRows - emptyKeyRows,
+            emptyKeyRows,
+            duplicateLookupKeys,
+            addedColumns,
+            unmatchedKeys: unmatchedKeys.slice(0, UNMATCHED_LIMIT),
+            unmatchedKeyCount: unmatchedKeys.length,
+        },
+    };
+}
@@ -0,0 +1,33 @@
+import { joinColumnNames, leftJoin } from "./join";
+
+const shipments = [
+    { Partida: "0901.11", Pais: "CO" },
+    { Partida: " 0901.11 ", Pais: "br" },
+    { Partida: "8471.30", Pais: "CN" },
+    { Partida: "", Pais: "PE" },
+    { Partida: "9999.99", Pais: "CO" },
+];
+const codes = [
+    { Codigo: "0901.11", Descripcion: "Café sin tostar", Pais: "—" },
+    { Codigo: "8471.30", Descripcion: "Portátiles", Pais: "—" },
+    { Codigo: "8471.30", Descripcion: "Duplicado", Pais: "—" },
+];
+
+test("enriches rows with the lookup columns, matching keys ignoring case and spaces", () => {
+    const { rows, columns, report } = leftJoin(shipments, codes, {
+        key: "Partida", lookupKey: "Codigo", columns: ["Descripcion", "Pais"], baseColumns: ["Partida", "Pais"], lookupLabel: "Códigos",
+    });
+    expect(columns).toEqual(["Partida", "Pais", "Descripcion", "Pais (Códigos)"]);
+    expect(rows.map(r => r.Descripcion)).toEqual(["Café sin tostar", "Café sin tostar", "Portátiles", "", ""]);
+    expect(rows[0]["Pais (Códigos)"]).toBe("—");
+    expect(rows[0].Pais).toBe("CO");
+    expect(report).toMatchObject({ matchedRows: 3, unmatchedRows: 1, emptyKeyRows: 1, duplicateLookupKeys: 1, unmatchedKeyCount: 1 });
+    expect(report.unmatchedKeys).toEqual([{ value: "9999.99", count: 1 }]);
+
+    const lower = leftJoin([{ Pais: "co" }], [{ ISO: "CO", Nombre: "Colombia" }], { key: "Pais", lookupKey: "ISO", columns: ["Nombre"], baseColumns: ["Pais"], lookupLabel: "Países" });
+    expect(lower.rows[0].Nombre).toBe("Colombia");
+});
+
+test("avoids clashing with existing column names", () => {
+    expect(joinColumnNames(["A", "B (T)"], ["A", "B", "B"], "T")).toEqual(["A (T)", "B", "B (T 2)"]);
+});
@@ -0,0 +1,101 @@
+import { valueKey } from "./stats";
+
+// --- Combinación de varios archivos u hojas en un solo conjunto de datos ---
+
+/**
+ * Hoja candidata a combinarse, con el encabezado detectado.
+ * @typedef {{ file: number, fileName: string, sheetName: string, label: string, columns: string[], rowCount: number }} MergeSource
+ * Columna de un origen -> columna del conjunto combinado (`null` la descarta). Las columnas
+ * que no aparecen conservan su nombre.
+ * @typedef {Object<string, string | null>} ColumnMapping
+ * @typedef {{ label: string, rows: import('./types').Row[], columns: string[] }} DatasetPart
+ */
+
+/** Columna sintética con el archivo y la hoja de donde sale cada fila. */
+export const SOURCE_COLUMN = "Archivo / Hoja";
+
+/**
+ * @param {string} fileName
+ * @param {string} sheetName
+ */
+export const sourceLabel = (fileName, sheetName) => `${fileName} / ${sheetName}`;
+
+// Nombre de columna comparable: sin acentos, mayúsculas, puntuación ni espacios repetidos.
+const normalizeColumnName = (name) => String(name)
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Propone a qué columna base corresponde cada columna que no coincide exactamente,
+ * cuando solo difieren en mayúsculas, acentos o puntuación ("Valor FOB (US$)" = "VALOR FOB US$").
+ * @param {string[]} columns columnas del origen
+ * @param {string[]} baseColumns columnas del conjunto al que se añade
+ * @returns {ColumnMapping}
+ */
+export function suggestColumnMapping(columns, baseColumns) {
+    const byName = new Map(baseColumns.map(col => [normalizeColumnName(col), col]));
+    const mapping = {};
+    columns.forEach(col => {
+        if (baseColumns.includes(col)) return;
+        const match = byName.get(normalizeColumnName(col));
+        if (match && !columns.includes(match)) mapping[col] = match;
+    });
+    return mapping;
+}
+
+/**
+ * Une las partes alineando las columnas por nombre (tras aplicar `mapping` a cada parte) y añade
+ * la columna de origen. Las columnas siguen el orden de primera aparición; las celdas que una parte
+ * no tiene quedan vacías.
+ * @param {DatasetPart[]} parts
+ * @param {Object<string, ColumnMapping>} [mappings] por etiqueta de origen
+ * @returns {{ rows: import('./types').Row[], columns: string[] }}
+ */
+export function mergeParts(parts, mappings = {}) {
+    const columns = [];
+    const renamedParts = parts.map(({ label, rows, columns: partColumns }) => {
+        const mapping = mappings[label] ?? {};
+        const pairs = partColumns
+            .filter(col => mapping[col] !== null && col !== SOURCE_COLUMN)
+            .map(col => [col, mapping[col] ?? col]);
+        pairs.forEach(([, target]) => { if (!columns.includes(target)) columns.push(target); });
+        return { label, rows, pairs };
+    });
+    columns.push(SOURCE_COLUMN);
+
+    const empty = Object.fromEntries(columns.map(col => [col, ""]));
+    const rows = [];
+    renamedParts.forEach(({ label, rows: partRows, pairs }) => {
+        partRows.forEach(row => {
+            const merged = { ...empty };
+            // Dos columnas del mismo origen asignadas al mismo destino: gana la primera no vacía.
+            pairs.forEach(([from, to]) => { if (merged[to] === "") merged[to] = row[from] ?? ""; });
+            merged[SOURCE_COLUMN] = row[SOURCE_COLUMN] || label;
+            rows.push(merged);
+        });
+    });
+    return { rows, columns };
+}
+
+/**
+ * Elimina las filas cuya clave (valores de `keyColumns`) ya apareció antes; se conserva la primera.
+ * Las filas con la clave completamente vacía no se consideran duplicadas.
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} keyColumns
+ * @returns {{ rows: import('./types').Row[], removed: number }}
+ */
+export function dropDuplicateRows(rows, keyColumns) {
+    if (!keyColumns.length) return { rows, removed: 0 };
+    const seen = new Set();
+    const kept = rows.filter(row => {
+        const values = keyColumns.map(col => valueKey(row[col]));
+        if (values.every(v => v === "")) return true;
+        const key = JSON.stringify(values);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    return { rows: kept, removed: rows.length - kept.length };
+}
@@ -0,0 +1,33 @@
+import { SOURCE_COLUMN, dropDuplicateRows, mergeParts, suggestColumnMapping } from "./merge";
+
+test("suggests mappings for columns that differ only in case, accents or punctuation", () => {
+    expect(suggestColumnMapping(["FECHA", "Valor FOB (US$)", "Importador", "Nuevo"], ["Fecha", "VALOR FOB US$", "Importador"]))
+        .toEqual({ FECHA: "Fecha", "Valor FOB (US$)": "VALOR FOB US$" });
+});
+
+test("aligns parts by name, applies mappings and tags each row with its source", () => {
+    const parts = [
+        { label: "enero.xlsx / Hoja1", rows: [{ Fecha: "2024-01-05", Valor: 10 }], columns: ["Fecha", "Valor"] },
+        { label: "febrero.xlsx / Hoja1", rows: [{ FECHA: "2024-02-05", Valor: 20, Nota: "x", Basura: 1 }], columns: ["FECHA", "Valor", "Nota", "Basura"] },
+    ];
+    const { rows, columns } = mergeParts(parts, { "febrero.xlsx / Hoja1": { FECHA: "Fecha", Basura: null } });
+    expect(columns).toEqual(["Fecha", "Valor", "Nota", SOURCE_COLUMN]);
+    expect(rows).toEqual([
+        { Fecha: "2024-01-05", Valor: 10, Nota: "", [SOURCE_COLUMN]: "enero.xlsx / Hoja1" },
+        { Fecha: "2024-02-05", Valor: 20, Nota: "x", [SOURCE_COLUMN]: "febrero.xlsx / Hoja1" },
+    ]);
+
+    // Al añadir a un conjunto ya combinado, las filas existentes conservan su origen.
+    const again = mergeParts([{ label: "", rows, columns }, { label: "marzo.csv / Sheet1", rows: [{ Fecha: "2024-03-01" }], columns: ["Fecha"] }]);
+    expect(again.rows.map(r => r[SOURCE_COLUMN])).toEqual(["enero.xlsx / Hoja1", "febrero.xlsx / Hoja1", "marzo.csv / Sheet1"]);
+});
+
+test("drops rows whose key was already seen, keeping the first and rows with an empty key", () => {
+    const rows = [
+        { Id: "1", Valor: 10 }, { Id: " 1", Valor: 11 }, { Id: "2", Valor: 20 }, { Id: "", Valor: 1 }, { Id: "", Valor: 2 },
+    ];
+    const { rows: kept, removed } = dropDuplicateRows(rows, ["Id"]);
+    expect(removed).toBe(1);
+    expect(kept.map(r => r.Valor)).toEqual([10, 20, 1, 2]);
+    expect(dropDuplicateRows(rows, []).removed).toBe(0);
+});
@@ -0,0 +1,131 @@
+import Fuse from "fuse.js";
+import { dateFilterBounds, parseDateValue } from "./dates";
+import { valueKey } from "./stats";
+import { buildIssueTest } from "./audit";
+
+// --- Pipeline de datos: filtros deterministas, búsqueda difusa y orden por relevancia ---
+
+const hasValueFilter = (cfg) => (cfg.value !== undefined && cfg.value !== "") || cfg.min !== undefined || cfg.max !== undefined || !!cfg.from || !!cfg.to || !!cfg.facet?.values.length;
+const isFilterActive = (cfg) => !!cfg && (hasValueFilter(cfg) || !!cfg.issue);
+
+/**
+ * Predicado de los criterios de valor de una columna: rango de fechas, rango numérico o texto y facetas.
+ * @param {string} col
+ * @param {import('./types').FilterConfig} cfg
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} dateColumns
+ * @returns {(row: import('./types').Row) => boolean}
+ */
+function buildValueTest(col, cfg, numericColumns, dateColumns) {
+    if (dateColumns.has(col)) {
+        const { from, to } = dateFilterBounds(cfg);
+        return (r) => {
+            if (from === null && to === null) return true;
+            const ms = parseDateValue(r[col]);
+            if (ms === null) return false;
+            if (from !== null && ms < from) return false;
+            if (to !== null && ms > to) return false;
+            return true;
+        };
+    }
+    if (numericColumns.has(col)) {
+        const min = cfg.min !== undefined ? Number(cfg.min) : undefined;
+        const max = cfg.max !== undefined ? Number(cfg.max) : undefined;
+        return (r) => {
+            const num = Number(r[col]);
+            if (isNaN(num)) return false;
+            if (min !== undefined && num < min) return false;
+            if (max !== undefined && num > max) return false;
+            return true;
+        };
+    }
+    const val = String(cfg.value ?? "").trim().toLowerCase();
+    const facetValues = cfg.facet?.values.length ? new Set(cfg.facet.values) : null;
+    const exclude = !!cfg.facet?.exclude;
+    return (r) => {
+        const cell = r[col];
+        if (facetValues && facetValues.has(valueKey(cell)) === exclude) return false;
+        if (!val) return true;
+        const cellStr = String(cell ?? "").toLowerCase();
+        if (cfg.mode === "=") return cellStr === val;
+        return cellStr.includes(val);
+    };
+}
+
+/**
+ * Un predicado por cada columna con filtro activo. Separarlos permite contar las facetas
+ * de una columna contra el resto de filtros. Un hallazgo de la auditoría (`issue`) se combina
+ * con los criterios de valor de su columna.
+ * @param {import('./types').Filters} filters
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} [dateColumns]
+ * @param {import('./types').Row[]} [rows] conjunto completo, necesario para los hallazgos de mayúsculas y duplicados
+ * @returns {{ column: string, test: (row: import('./types').Row) => boolean }[]}
+ */
+export function buildColumnPredicates(filters, numericColumns, dateColumns = new Set(), rows = []) {
+    return Object.keys(filters || {}).filter(col => isFilterActive(filters[col])).map(col => {
+        const cfg = filters[col];
+        const valueTest = hasValueFilter(cfg) ? buildValueTest(col, cfg, numericColumns, dateColumns) : null;
+        if (!cfg.issue) return { column: col, test: valueTest };
+        const issueTest = buildIssueTest(cfg.issue, col, { numericColumns, dateColumns, rows });
+        return { column: col, test: valueTest ? (r) => issueTest(r) && valueTest(r) : issueTest };
+    });
+}
+
+/**
+ * Construye el predicado de los filtros por columna, o `null` si no hay ningún filtro activo.
+ * @param {import('./types').Filters} filters
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} [dateColumns]
+ * @param {import('./types').Row[]} [rows]
+ * @returns {((row: import('./types').Row) => boolean) | null}
+ */
+export function buildRowPredicate(filters, numericColumns, dateColumns, rows) {
+    const predicates = buildColumnPredicates(filters, numericColumns, dateColumns, rows);
+    if (!predicates.length) return null;
+    return (r) => predicates.every(p => p.test(r));
+}
+
+export function applyDeterministicFilters(rows, filters, numericColumns, dateColumns) {
+    const predicate = buildRowPredicate(filters, numericColumns, dateColumns, rows);
+    return predicate ? rows.filter(predicate) : rows;
+}
+
+export const FUSE_OPTIONS = { threshold: 0.35, ignoreLocation: true, minMatchCharLength: 2, useExtendedSearch: false, shouldSort: false, includeScore: true, includeMatches: true, };
+
+/**
+ * @param {import('./types').Row[]} rows
+ * @param {string[]} keys
+ * @param {{ extended?: boolean, index?: any }} [options] `extended` activa los operadores
+ *        de Fuse (`^`, `=`, `'`); `index` reutiliza el índice ya construido de otra instancia.
+ */
+export function createSearchIndex(rows, keys, { extended = false, index } = {}) {
+    if (!rows.length || !keys.length) return null;
+    return new Fuse(rows, { ...FUSE_OPTIONS, keys, useExtendedSearch: extended }, index);
+}
+
+/**
+ * Ejecuta la búsqueda difusa y normaliza cada resultado: `score` (0 = coincidencia perfecta)
+ * y, por columna, los rangos `[inicio, fin]` (inclusivos) de caracteres coincidentes.
+ * @param {Fuse<import('./types').Row>} index
+ * @param {string} query
+ * @returns {import('./types').SearchHit[]}
+ */
+export function searchRows(index, query) {
+    return index.search(query).map(res => {
+        const highlights = {};
+        (res.matches || []).forEach(({ key, indices }) => {
+            if (!key) return;
+            highlights[key] = [...(highlights[key] || []), ...indices];
+        });
+        return { row: res.item, score: res.score ?? 0, highlights };
+    });
+}
+
+/**
+ * Orden estable por relevancia: primero las coincidencias con menor `score`.
+ * @param {import('./types').SearchHit[]} hits
+ */
+export function sortHitsByRelevance(hits) {
+    return [...hits].sort((a, b) => a.score - b.score);
+}
@@ -0,0 +1,227 @@
+import { parseDateValue, toISODate, toMonthKey } from "./dates";
+import { toNumberOrNull, valueKey } from "./stats";
+import { compareText } from "./sort";
+import { translateDefault } from "./i18n";
+
+// --- Tabla dinámica (agrupación por una o dos dimensiones) ---
+
+/**
+ * @typedef {'count'|'sum'|'avg'|'min'|'max'|'distinct'|'ratio'} PivotOp
+ * @typedef {{ op: PivotOp, column?: string }} PivotMeasure
+ * @typedef {{ dimensions: string[], measures: PivotMeasure[] }} PivotSpec
+ * @typedef {{ key: string[], count: number, values: (number | null)[], children?: PivotGroup[] }} PivotGroup
+ * @typedef {{ dimensions: string[], measures: PivotMeasure[], groups: PivotGroup[], total: PivotGroup }} PivotResult
+ */
+
+// `label` es la clave del catálogo de mensajes.
+export const PIVOT_OPS = [
+    { op: "count", label: "pivot.op.count", needsColumn: false },
+    { op: "sum", label: "pivot.op.sum", needsColumn: true },
+    { op: "avg", label: "pivot.op.avg", needsColumn: true },
+    { op: "min", label: "pivot.op.min", needsColumn: true },
+    { op: "max", label: "pivot.op.max", needsColumn: true },
+    { op: "distinct", label: "pivot.op.distinct", needsColumn: true },
+    { op: "ratio", label: "pivot.op.ratio", needsColumn: false },
+];
+
+// Medidas que se pueden expresar como porcentaje del total general.
+export const ADDITIVE_OPS = new Set(["count", "sum"]);
+
+/**
+ * @param {number | null} value
+ * @param {number | null} total
+ * @returns {number | null} porcentaje redondeado a 2 decimales
+ */
+export const percentOfTotal = (value, total) => (value === null || !total ? null : Math.round((value / total) * 10000) / 100);
+
+/**
+ * @param {PivotMeasure} measure
+ * @param {import('./i18n').Translator} [t]
+ */
+export const measureLabel = ({ op, column }, t = translateDefault) => {
+    const label = t(PIVOT_OPS.find(o => o.op === op).label);
+    return column && op !== "count" && op !== "ratio" ? t("pivot.measureOf", { measure: label, column }) : label;
+};
+
+/**
+ * Clave de agrupación de una celda: las fechas se agrupan por mes (`aaaa-mm`).
+ * @param {any} cell
+ * @param {boolean} isDate
+ */
+export const dimensionKey = (cell, isDate) => {
+    if (isDate) {
+        const ms = parseDateValue(cell);
+        return ms === null ? "" : toMonthKey(ms);
+    }
+    return valueKey(cell);
+};
+
+function createAccumulator(measures) {
+    return {
+        count: 0,
+        states: measures.map(({ op }) => (op === "distinct" ? new Set() : { sum: 0, n: 0, min: Infinity, max: -Infinity, weight: 0 })),
+    };
+}
+
+function accumulate(acc, row, measures, roles) {
+    acc.count++;
+    measures.forEach(({ op, column }, i) => {
+        const st = acc.states[i];
+        if (op === "count") return;
+        if (op === "distinct") {
+            const key = valueKey(row[column]);
+            if (key !== "") st.add(key);
+            return;
+        }
+        if (op === "ratio") {
+            // Solo cuentan las filas con valor y peso, para no mezclar numeradores sin denominador.
+            const value = toNumberOrNull(row[roles.value]);
+            const weight = toNumberOrNull(row[roles.weight]);
+            if (value === null || weight === null) return;
+            st.sum += value;
+            st.weight += weight;
+            return;
+        }
+        const num = toNumberOrNull(row[column]);
+        if (num === null) return;
+        st.sum += num;
+        st.n++;
+        if (num < st.min) st.min = num;
+        if (num > st.max) st.max = num;
+    });
+}
+
+function finalize(acc, measures) {
+    return measures.map(({ op }, i) => {
+        const st = acc.states[i];
+        switch (op) {
+            case "count": return acc.count;
+            case "distinct": return st.size;
+            case "sum": return st.sum;
+            case "avg": return st.n ? st.sum / st.n : null;
+            case "min": return st.n ? st.min : null;
+            case "max": return st.n ? st.max : null;
+            case "ratio": return st.weight > 0 ? st.sum / st.weight : null;
+            default: return null;
+        }
+    });
+}
+
+/**
+ * Agrupa las filas por una o dos dimensiones y calcula las medidas de cada grupo,
+ * los subtotales de la primera dimensión y el total general.
+ * @param {import('./types').Row[]} rows
+ * @param {PivotSpec} spec
+ * @param {{ dateColumns?: Set<string>, roles?: import('./roles').ColumnRoles }} [context]
+ * @returns {PivotResult}
+ */
+export function computePivot(rows, { dimensions, measures }, { dateColumns = new Set(), roles = {} } = {}) {
+    const [outer, inner] = dimensions;
+    const outerIsDate = dateColumns.has(outer);
+    const innerIsDate = inner ? dateColumns.has(inner) : false;
+    const totalAcc = createAccumulator(measures);
+    const groups = new Map();
+
+    rows.forEach(row => {
+        accumulate(totalAcc, row, measures, roles);
+        const k1 = dimensionKey(row[outer], outerIsDate);
+        let group = groups.get(k1);
+        if (!group) {
+            group = { acc: createAccumulator(measures), children: inner ? new Map() : null };
+            groups.set(k1, group);
+        }
+        accumulate(group.acc, row, measures, roles);
+        if (inner) {
+            const k2 = dimensionKey(row[inner], innerIsDate);
+            let child = group.children.get(k2);
+            if (!child) {
+                child = createAccumulator(measures);
+                group.children.set(k2, child);
+            }
+            accumulate(child, row, measures, roles);
+        }
+    });
+
+    const result = [...groups].map(([k1, { acc, children }]) => ({
+        key: [k1],
+        count: acc.count,
+        values: finalize(acc, measures),
+        ...(children ? { children: [...children].map(([k2, childAcc]) => ({ key: [k1, k2], count: childAcc.count, values: finalize(childAcc, measures) })) } : {}),
+    }));
+
+    return {
+        dimensions: inner ? [outer, inner] : [outer],
+        measures,
+        groups: result,
+        total: { key: [], count: totalAcc.count, values: finalize(totalAcc, measures) },
+    };
+}
+
+/**
+ * Ordena los grupos (y sus subgrupos) por la clave o por una medida.
+ * @param {PivotGroup[]} groups
+ * @param {number} by índice de la medida; `-1` ordena por la clave
+ * @param {import('./types').SortDirection} dir
+ * @returns {PivotGroup[]}
+ */
+export function sortPivotGroups(groups, by, dir) {
+    const sign = dir === "asc" ? 1 : -1;
+    const compare = (a, b) => {
+        if (by < 0) return sign * compareText(a.key[a.key.length - 1], b.key[b.key.length - 1]);
+        const [va, vb] = [a.values[by], b.values[by]];
+        // Los grupos sin valor quedan siempre al final.
+        if (va === null || vb === null) return va === null ? (vb === null ? 0 : 1) : -1;
+        return sign * (va - vb);
+    };
+    return [...groups]
+        .map(g => (g.children ? { ...g, children: [...g.children].sort(compare) } : g))
+        .sort(compare);
+}
+
+/**
+ * Aplana el resultado en filas de tabla: detalle, subtotales de la primera dimensión y total general.
+ * Las medidas aditivas llevan además su porcentaje sobre el total.
+ * @param {PivotResult} pivot
+ * @param {PivotGroup[]} [groups] grupos ya ordenados
+ * @param {import('./i18n').Translator} [t] idioma de los encabezados y de los totales
+ * @returns {import('./types').Row[]}
+ */
+export function pivotToRows(pivot, groups = pivot.groups, t = translateDefault) {
+    const { dimensions, measures, total } = pivot;
+    const toRow = (keys, group) => {
+        const row = Object.fromEntries(dimensions.map((dim, i) => [dim, keys[i] ?? ""]));
+        measures.forEach((m, i) => {
+            row[measureLabel(m, t)] = group.values[i] ?? "";
+            if (ADDITIVE_OPS.has(m.op)) row[`% ${measureLabel(m, t)}`] = percentOfTotal(group.values[i], total.values[i]) ?? "";
+        });
+        return row;
+    };
+    const rows = [];
+    groups.forEach(group => {
+        if (!group.children) { rows.push(toRow(group.key, group)); return; }
+        group.children.forEach(child => rows.push(toRow(child.key, child)));
+        rows.push(toRow([group.key[0], t("pivot.subtotal")], group));
+    });
+    rows.push(toRow([t("pivot.total")], total));
+    return rows;
+}
+
+/**
+ * Filtro de columna que reproduce la celda de la tabla dinámica sobre la que se hizo clic.
+ * @param {string} column
+ * @param {string} key clave del grupo (`aaaa-mm` en columnas de fecha)
+ * @param {{ numericColumns: Set<string>, dateColumns: Set<string> }} types
+ * @returns {Partial<import('./types').FilterConfig> | null} `null` si la clave no se puede expresar como filtro
+ */
+export function drillDownFilter(column, key, { numericColumns, dateColumns }) {
+    if (dateColumns.has(column)) {
+        if (!key) return null;
+        const [year, month] = key.split("-").map(Number);
+        return { from: `${key}-01`, to: toISODate(Date.UTC(year, month, 0)) };
+    }
+    if (numericColumns.has(column)) {
+        const num = Number(key);
+        return key === "" || isNaN(num) ? null : { min: num, max: num };
+    }
+    return { facet: { values: [key], exclude: false } };
+}
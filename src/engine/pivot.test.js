@@ -0,0 +1,38 @@
+import { computePivot, drillDownFilter, pivotToRows, sortPivotGroups } from "./pivot";
+
+const rows = [
+    { Pais: "China", Fecha: "2024-01-15", Empresa: "ACME", Valor: 100, Peso: 10 },
+    { Pais: "China", Fecha: "2024-02-03", Empresa: "Beta", Valor: 300, Peso: 20 },
+    { Pais: "Perú", Fecha: "2024-01-20", Empresa: "ACME", Valor: 600, Peso: "" },
+    { Pais: " China ", Fecha: "2024-01-02", Empresa: "ACME", Valor: "n/d", Peso: 5 },
+];
+const dateColumns = new Set(["Fecha"]);
+const roles = { value: "Valor", weight: "Peso" };
+
+test("groups by two dimensions with subtotals and a grand total", () => {
+    const spec = { dimensions: ["Pais", "Fecha"], measures: [{ op: "count" }, { op: "sum", column: "Valor" }, { op: "avg", column: "Valor" }, { op: "distinct", column: "Empresa" }, { op: "ratio" }] };
+    const pivot = computePivot(rows, spec, { dateColumns, roles });
+    expect(pivot.total.values).toEqual([4, 1000, 1000 / 3, 2, 400 / 30]);
+    const china = pivot.groups.find(g => g.key[0] === "China");
+    expect(china.values).toEqual([3, 400, 200, 2, 400 / 30]);
+    expect(china.children.map(c => [c.key[1], c.count])).toEqual([["2024-01", 2], ["2024-02", 1]]);
+});
+
+test("sorts by a measure and flattens with percentages of the total", () => {
+    const pivot = computePivot(rows, { dimensions: ["Pais"], measures: [{ op: "sum", column: "Valor" }, { op: "min", column: "Peso" }] });
+    const sorted = sortPivotGroups(pivot.groups, 0, "desc");
+    expect(sorted.map(g => g.key[0])).toEqual(["Perú", "China"]);
+    expect(pivotToRows(pivot, sorted)).toEqual([
+        { Pais: "Perú", "Suma de Valor": 600, "% Suma de Valor": 60, "Mínimo de Peso": "" },
+        { Pais: "China", "Suma de Valor": 400, "% Suma de Valor": 40, "Mínimo de Peso": 5 },
+        { Pais: "Total general", "Suma de Valor": 1000, "% Suma de Valor": 100, "Mínimo de Peso": 5 },
+    ]);
+});
+
+test("drill-down turns a group key into a column filter", () => {
+    const types = { numericColumns: new Set(["Valor"]), dateColumns };
+    expect(drillDownFilter("Fecha", "2024-02", types)).toEqual({ from: "2024-02-01", to: "2024-02-29" });
+    expect(drillDownFilter("Valor", "600", types)).toEqual({ min: 600, max: 600 });
+    expect(drillDownFilter("Pais", "China", types)).toEqual({ facet: { values: ["China"], exclude: false } });
+    expect(drillDownFilter("Fecha", "", types)).toBeNull();
+});
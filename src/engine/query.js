@@ -0,0 +1,341 @@
+import { DAY_MS, parseDateString, parseDateValue, toISODate } from "./dates";
+import { LocalizedError } from "./i18n";
+
+// --- Sintaxis de consulta estructurada para la búsqueda global ---
+//
+//   acme corp              búsqueda difusa en las columnas seleccionadas
+//   ^acm  =ACME  'corp     operadores extendidos de Fuse (prefijo, exacto, incluye)
+//   "acme corp"            frase exacta (sin distinguir mayúsculas)
+//   -term  -"frase"        exclusión
+//   Pais:china             la columna contiene el valor  (Pais:=China igual a, Pais:^chi empieza por)
+//   "Valor (USD)">50000    comparación numérica: >  >=  <  <=  =  !=
+//   Fecha>=2024-01-01      en columnas de fechas compara por día; Fecha:2024-03 busca por mes
+//   a OR b   a | b   ( )   alternativas y agrupación; los espacios equivalen a AND
+
+/**
+ * @typedef {'contains'|'prefix'|'='|'!='|'>'|'>='|'<'|'<='} FieldOperator
+ * @typedef {{ type: 'and' | 'or', children: QueryNode[] }} GroupNode
+ * @typedef {{ type: 'not', child: QueryNode }} NotNode
+ * @typedef {{ type: 'fuzzy', text: string, extended: boolean }} FuzzyNode
+ * @typedef {{ type: 'phrase', text: string }} PhraseNode
+ * @typedef {{ type: 'field', column: string, op: FieldOperator, value: string }} FieldNode
+ * @typedef {GroupNode | NotNode | FuzzyNode | PhraseNode | FieldNode} QueryNode
+ * @typedef {{ message: string, key: string, params: Object<string, any>, position: number }} QueryError
+ * @typedef {{ ast: QueryNode | null, error: QueryError | null }} ParsedQuery
+ */
+
+const EXTENDED_PREFIXES = ["^", "=", "'"];
+const COMPARISON_OPERATORS = [">=", "<=", "!=", ">", "<", "="];
+const WORD_BREAK = /[\s()|"]/;
+
+class QuerySyntaxError extends LocalizedError {
+    /**
+     * @param {string} key
+     * @param {Object<string, any>} params
+     * @param {number} position
+     */
+    constructor(key, params, position) {
+        super(key, params);
+        this.position = position;
+    }
+}
+
+function tokenize(text, columns) {
+    const tokens = [];
+    const columnByLowerName = new Map(columns.map(c => [c.toLowerCase(), c]));
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) throw new QuerySyntaxError("query.error.unclosedQuote", {}, start);
+        i = end + 1;
+        return text.slice(start + 1, end);
+    };
+    const readBare = (stopAtOperator) => {
+        const start = i;
+        while (i < text.length && !WORD_BREAK.test(text[i])) {
+            if (stopAtOperator && /[:<>=!]/.test(text[i])) break;
+            i++;
+        }
+        return text.slice(start, i);
+    };
+    const readOperator = () => {
+        if (text[i] === ":") {
+            i++;
+            if (text[i] === "=") { i++; return "="; }
+            if (text[i] === "^") { i++; return "prefix"; }
+            return "contains";
+        }
+        const op = COMPARISON_OPERATORS.find(o => text.startsWith(o, i));
+        i += op.length;
+        return op;
+    };
+    const comparisonAt = (at) => COMPARISON_OPERATORS.some(o => text.startsWith(o, at));
+    const readFieldClause = (name, position) => {
+        const column = columnByLowerName.get(name.toLowerCase());
+        if (!column) throw new QuerySyntaxError("query.error.unknownColumn", { column: name }, position);
+        const opPosition = i;
+        const op = readOperator();
+        const valuePosition = i;
+        const value = text[i] === '"' ? readQuoted() : readBare(false);
+        if (!value) throw new QuerySyntaxError("query.error.missingValue", { after: text.slice(opPosition, valuePosition) }, valuePosition);
+        if ([">", ">=", "<", "<="].includes(op) && isNaN(Number(value)) && parseDateString(value) === null) {
+            throw new QuerySyntaxError("query.error.numberExpected", { op }, valuePosition);
+        }
+        return { type: "field", column, op, value };
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        const position = i;
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === "(") { tokens.push({ kind: "lparen", position }); i++; continue; }
+        if (ch === ")") { tokens.push({ kind: "rparen", position }); i++; continue; }
+        if (ch === "|") { tokens.push({ kind: "or", position }); i++; continue; }
+        if (ch === "-" && i + 1 < text.length && !/[\s)|]/.test(text[i + 1])) {
+            tokens.push({ kind: "not", position }); i++; continue;
+        }
+
+        if (ch === '"') {
+            const quoted = readQuoted();
+            if (/[:<>=!]/.test(text[i] ?? "")) {
+                tokens.push({ kind: "term", position, node: readFieldClause(quoted, position) });
+            } else {
+                if (!quoted.trim()) throw new QuerySyntaxError("query.error.emptyPhrase", {}, position);
+                tokens.push({ kind: "term", position, node: { type: "phrase", text: quoted } });
+            }
+            continue;
+        }
+
+        if (EXTENDED_PREFIXES.includes(ch)) {
+            const word = readBare(false);
+            if (word.length < 2) throw new QuerySyntaxError("query.error.missingText", { prefix: ch }, position);
+            tokens.push({ kind: "term", position, node: { type: "fuzzy", text: word, extended: true } });
+            continue;
+        }
+
+        const word = readBare(true);
+        if (word && (text[i] === ":" || comparisonAt(i))) {
+            tokens.push({ kind: "term", position, node: readFieldClause(word, position) });
+            continue;
+        }
+        if (word === "OR") { tokens.push({ kind: "or", position }); continue; }
+        // Un operador suelto (p. ej. "a:b" con columna vacía) se consume como texto.
+        const rest = word ? word + readBare(false) : readBare(false) || text[i++];
+        tokens.push({ kind: "term", position, node: { type: "fuzzy", text: rest, extended: false } });
+    }
+    return tokens;
+}
+
+function parseTokens(tokens, textLength) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.kind === "or") {
+            const orToken = tokens[pos++];
+            const next = peek();
+            if (!next || next.kind === "or" || next.kind === "rparen") {
+                throw new QuerySyntaxError("query.error.missingOrOperand", {}, orToken.position);
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: "or", children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().kind !== "or" && peek().kind !== "rparen") {
+            const node = parseUnary();
+            const last = children[children.length - 1];
+            // Las palabras sueltas consecutivas forman una sola búsqueda difusa ("acme corp").
+            if (node.type === "fuzzy" && !node.extended && last?.type === "fuzzy" && !last.extended) {
+                last.text = `${last.text} ${node.text}`;
+            } else {
+                children.push(node);
+            }
+        }
+        if (!children.length) {
+            const token = peek();
+            throw new QuerySyntaxError(token ? "query.error.conditionExpected" : "query.error.incomplete", {}, token ? token.position : textLength);
+        }
+        return children.length === 1 ? children[0] : { type: "and", children };
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token.kind === "not") {
+            pos++;
+            if (!peek() || peek().kind === "or" || peek().kind === "rparen") {
+                throw new QuerySyntaxError("query.error.missingExclusion", {}, token.position);
+            }
+            const child = parseUnary();
+            // Excluir una palabra suelta es una exclusión literal, no difusa.
+            const literal = child.type === "fuzzy" && !child.extended ? { type: "phrase", text: child.text } : child;
+            return { type: "not", child: literal };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (token.kind === "lparen") {
+            const node = parseOr();
+            if (peek()?.kind !== "rparen") throw new QuerySyntaxError("query.error.unclosedParen", {}, token.position);
+            pos++;
+            return node;
+        }
+        if (token.kind === "term") return token.node;
+        throw new QuerySyntaxError("query.error.conditionExpected", {}, token.position);
+    };
+
+    const ast = parseOr();
+    if (pos < tokens.length) throw new QuerySyntaxError("query.error.unexpectedParen", {}, tokens[pos].position);
+    return ast;
+}
+
+/**
+ * Analiza el texto de la búsqueda global.
+ * @param {string} text
+ * @param {string[]} columns columnas de la hoja, para resolver `columna:valor`
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(text, columns) {
+    if (!text || !text.trim()) return { ast: null, error: null };
+    try {
+        const tokens = tokenize(text, columns);
+        return { ast: parseTokens(tokens, text.length), error: null };
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) return { ast: null, error: { message: error.message, key: error.key, params: error.params, position: error.position } };
+        throw error;
+    }
+}
+
+/**
+ * Nodos difusos de la consulta, en el orden en que aparecen.
+ * @param {QueryNode | null} ast
+ * @returns {FuzzyNode[]}
+ */
+export function collectFuzzyNodes(ast) {
+    if (!ast) return [];
+    if (ast.type === "fuzzy") return [ast];
+    if (ast.type === "not") return collectFuzzyNodes(ast.child);
+    if (ast.type === "and" || ast.type === "or") return ast.children.flatMap(collectFuzzyNodes);
+    return [];
+}
+
+function findOccurrences(text, needle) {
+    const ranges = [];
+    if (!needle) return ranges;
+    let from = text.indexOf(needle);
+    while (from !== -1) {
+        ranges.push([from, from + needle.length - 1]);
+        from = text.indexOf(needle, from + needle.length);
+    }
+    return ranges;
+}
+
+// En columnas de fechas: comparaciones por día; `:` y `^` buscan sobre el texto aaaa-mm-dd.
+function compareDateField(cell, op, value) {
+    const ms = parseDateValue(cell);
+    if (op === "contains" || op === "prefix") {
+        if (ms === null) return false;
+        const iso = toISODate(ms);
+        return op === "prefix" ? iso.startsWith(value) : iso.includes(value);
+    }
+    const target = parseDateString(value);
+    if (target === null) return op === "!=";
+    const day = ms === null ? null : Math.floor(ms / DAY_MS) * DAY_MS;
+    switch (op) {
+        case "=": return day === target;
+        case "!=": return day !== target;
+        case ">": return day !== null && day > target;
+        case ">=": return day !== null && day >= target;
+        case "<": return day !== null && day < target;
+        default: return day !== null && day <= target;
+    }
+}
+
+function compareField(cell, op, value, isNumericColumn) {
+    const num = Number(cell);
+    const target = Number(value);
+    const numeric = isNumericColumn && !isNaN(target);
+    const cellStr = String(cell ?? "").toLowerCase();
+    const valueStr = value.toLowerCase();
+    switch (op) {
+        case "contains": return numeric ? (String(cell).trim() !== "" && num === target) : cellStr.includes(valueStr);
+        case "prefix": return cellStr.startsWith(valueStr);
+        case "=": return numeric ? (String(cell).trim() !== "" && num === target) : cellStr === valueStr;
+        case "!=": return numeric ? (isNaN(num) || num !== target) : cellStr !== valueStr;
+        default: {
+            if (String(cell ?? "").trim() === "" || isNaN(num)) return false;
+            if (op === ">") return num > target;
+            if (op === ">=") return num >= target;
+            if (op === "<") return num < target;
+            return num <= target;
+        }
+    }
+}
+
+/**
+ * Compila el árbol a un predicado de fila. Los nodos difusos se resuelven con los
+ * resultados precalculados de Fuse (`fuzzyHits`, uno por nodo de `collectFuzzyNodes`).
+ * @param {QueryNode} ast
+ * @param {{ searchKeys: string[], numericColumns: Set<string>, dateColumns?: Set<string>, fuzzyHits: Map<import('./types').Row, import('./types').SearchHit>[] | null }} context
+ *        `fuzzyHits` es `null` cuando no hay columnas de búsqueda: los términos difusos no filtran.
+ * @returns {{ test: (row: import('./types').Row) => boolean, describe: (row: import('./types').Row) => { score: number, highlights: import('./types').MatchHighlights } }}
+ */
+export function compileQuery(ast, { searchKeys, numericColumns, dateColumns = new Set(), fuzzyHits }) {
+    const fuzzyIndex = new Map(collectFuzzyNodes(ast).map((node, i) => [node, i]));
+
+    const test = (node, row) => {
+        switch (node.type) {
+            case "and": return node.children.every(child => test(child, row));
+            case "or": return node.children.some(child => test(child, row));
+            case "not": return !test(node.child, row);
+            case "fuzzy": return fuzzyHits ? fuzzyHits[fuzzyIndex.get(node)].has(row) : true;
+            case "phrase": {
+                const needle = node.text.toLowerCase();
+                return searchKeys.some(k => String(row[k] ?? "").toLowerCase().includes(needle));
+            }
+            case "field":
+                return dateColumns.has(node.column)
+                    ? compareDateField(row[node.column], node.op, node.value)
+                    : compareField(row[node.column], node.op, node.value, numericColumns.has(node.column));
+            default: return false;
+        }
+    };
+
+    // Puntuación y resaltado de las condiciones positivas que la fila cumple.
+    const describe = (row) => {
+        const highlights = {};
+        const scores = [];
+        const addRanges = (key, ranges) => {
+            if (ranges.length) highlights[key] = [...(highlights[key] || []), ...ranges];
+        };
+        const visit = (node) => {
+            if (node.type === "and" || node.type === "or") { node.children.forEach(visit); return; }
+            if (node.type === "not" || !test(node, row)) return;
+            if (node.type === "fuzzy") {
+                const hit = fuzzyHits?.[fuzzyIndex.get(node)].get(row);
+                if (!hit) return;
+                scores.push(hit.score);
+                Object.entries(hit.highlights).forEach(([key, ranges]) => addRanges(key, ranges));
+            } else if (node.type === "phrase") {
+                const needle = node.text.toLowerCase();
+                searchKeys.forEach(k => addRanges(k, findOccurrences(String(row[k] ?? "").toLowerCase(), needle)));
+            } else if (node.type === "field" && (node.op === "contains" || node.op === "prefix") && !dateColumns.has(node.column)) {
+                const cell = String(row[node.column] ?? "").toLowerCase();
+                const needle = node.value.toLowerCase();
+                addRanges(node.column, node.op === "prefix" ? (cell.startsWith(needle) ? [[0, needle.length - 1]] : []) : findOccurrences(cell, needle));
+            }
+        };
+        visit(ast);
+        const score = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+        return { score, highlights };
+    };
+
+    return { test: (row) => test(ast, row), describe };
+}
@@ -0,0 +1,52 @@
+import { compileQuery, parseQuery } from "./query";
+
+const columns = ["Consignatario", "Pais", "Valor (USD)"];
+
+test("plain words stay a single fuzzy term", () => {
+    expect(parseQuery("acme corp", columns)).toEqual({ ast: { type: "fuzzy", text: "acme corp", extended: false }, error: null });
+});
+
+test("parses scoping, phrases, exclusion, OR groups and comparisons", () => {
+    const { ast, error } = parseQuery('pais:china "acero inox" -muestra ("Valor (USD)">=50000 | ^acm)', columns);
+    expect(error).toBeNull();
+    expect(ast).toEqual({
+        type: "and",
+        children: [
+            { type: "field", column: "Pais", op: "contains", value: "china" },
+            { type: "phrase", text: "acero inox" },
+            { type: "not", child: { type: "phrase", text: "muestra" } },
+            {
+                type: "or",
+                children: [
+                    { type: "field", column: "Valor (USD)", op: ">=", value: "50000" },
+                    { type: "fuzzy", text: "^acm", extended: true },
+                ],
+            },
+        ],
+    });
+});
+
+test.each([
+    ['"acme', "Comillas sin cerrar", 0],
+    ["(acme", "Paréntesis sin cerrar", 0],
+    ["Puerto:callao", 'Columna desconocida: "Puerto"', 0],
+    ['"Valor (USD)">mucho', 'Se esperaba un número o una fecha después de ">"', 14],
+    ["acme OR", "Falta una condición después de OR", 5],
+])("reports %s as a syntax error", (text, message, position) => {
+    expect(parseQuery(text, columns)).toMatchObject({ ast: null, error: { message, position } });
+});
+
+test("carries the catalog key of each syntax error", () => {
+    expect(parseQuery("Puerto:callao", columns).error).toMatchObject({ key: "query.error.unknownColumn", params: { column: "Puerto" } });
+});
+
+test("compiled query filters rows deterministically", () => {
+    const rows = [
+        { Consignatario: "ACME SA", Pais: "China", "Valor (USD)": 60000 },
+        { Consignatario: "Beta SAC", Pais: "China", "Valor (USD)": 1000 },
+        { Consignatario: "Gamma", Pais: "Perú", "Valor (USD)": 90000 },
+    ];
+    const { ast } = parseQuery('pais:=china "Valor (USD)">50000 OR -consignatario:^acme pais:perú', columns);
+    const { test: matches } = compileQuery(ast, { searchKeys: columns, numericColumns: new Set(["Valor (USD)"]), fuzzyHits: null });
+    expect(rows.filter(matches).map(r => r.Consignatario)).toEqual(["ACME SA", "Gamma"]);
+});
@@ -0,0 +1,85 @@
+// --- Roles de columna: qué columna es el importador, el exportador, el valor, etc. ---
+
+/**
+ * @typedef {'importer'|'exporter'|'value'|'weight'|'date'|'product'|'country'|'port'} ColumnRole
+ * @typedef {Partial<Record<ColumnRole, string | null>>} ColumnRoles
+ */
+
+/**
+ * Orden de los patrones = prioridad: los primeros son los encabezados históricos de la herramienta.
+ * `type` restringe la sugerencia a columnas numéricas o de fechas.
+ * @type {{ role: ColumnRole, label: string, type?: 'number' | 'date', patterns: RegExp[] }[]}
+ */
+export const ROLE_DEFINITIONS = [
+    { role: "importer", label: "Importador (consignatario)", patterns: [/^consignatario$/i, /consignat/i, /consignee/i, /importad/i, /importer/i, /comprador|buyer/i, /destinatario/i] },
+    { role: "exporter", label: "Exportador (expedidor)", patterns: [/^expedidor$/i, /expedidor/i, /shipper/i, /exportad/i, /exporter/i, /proveedor|supplier/i, /embarcador|vendedor|seller/i] },
+    { role: "value", label: "Valor (USD)", type: "number", patterns: [/^valor \(usd\)$/i, /fob/i, /valor|value/i, /cif/i, /usd/i, /monto|importe|amount/i] },
+    { role: "weight", label: "Peso (KG)", type: "number", patterns: [/^weight \(kg\)$/i, /peso neto|net weight/i, /peso|weight/i, /\bkg\b|kilo/i] },
+    { role: "date", label: "Fecha", type: "date", patterns: [/fecha/i, /date/i, /periodo|per[ií]odo/i] },
+    { role: "product", label: "Producto / Partida (HS)", patterns: [/descripci[oó]n/i, /producto|product/i, /mercanc|commodity|goods/i, /partida|\bhs\b|hs ?code|arancel/i] },
+    { role: "country", label: "País", patterns: [/pa[ií]s de origen|country of origin/i, /origen|origin/i, /pa[ií]s|country/i, /procedencia/i] },
+    { role: "port", label: "Puerto / Aduana", patterns: [/puerto de (desembarque|embarque|llegada)/i, /puerto|\bport\b/i, /aduana|customs/i] },
+];
+
+export const ROLE_LABELS = Object.fromEntries(ROLE_DEFINITIONS.map(d => [d.role, d.label]));
+
+/**
+ * Firma del esquema de encabezados: identifica el "mismo formato" de archivo aunque cambie el orden.
+ * @param {string[]} columns
+ */
+export const headerSignature = (columns) => [...columns].map(c => c.trim().toLowerCase()).sort().join("|");
+
+/**
+ * Sugiere una columna para cada rol según el nombre del encabezado y el tipo detectado.
+ * Cada columna se asigna como mucho a un rol; gana la coincidencia de patrón más prioritaria.
+ * @param {string[]} columns
+ * @param {{ numericColumns?: Set<string>, dateColumns?: Set<string> }} [types]
+ * @returns {ColumnRoles}
+ */
+export function suggestColumnRoles(columns, { numericColumns = new Set(), dateColumns = new Set() } = {}) {
+    const candidates = [];
+    ROLE_DEFINITIONS.forEach(({ role, type, patterns }) => {
+        columns.forEach(column => {
+            if (type === "number" && !numericColumns.has(column)) return;
+            if (type === "date" && !dateColumns.has(column)) return;
+            const rank = patterns.findIndex(p => p.test(column));
+            if (rank !== -1) candidates.push({ role, column, rank });
+        });
+    });
+    candidates.sort((a, b) => a.rank - b.rank);
+
+    /** @type {ColumnRoles} */
+    const roles = Object.fromEntries(ROLE_DEFINITIONS.map(d => [d.role, null]));
+    const used = new Set();
+    candidates.forEach(({ role, column }) => {
+        if (roles[role] || used.has(column)) return;
+        roles[role] = column;
+        used.add(column);
+    });
+    return roles;
+}
+
+/**
+ * Descarta los roles que apuntan a columnas que ya no existen.
+ * @param {ColumnRoles} roles
+ * @param {string[]} columns
+ * @returns {ColumnRoles}
+ */
+export function sanitizeColumnRoles(roles, columns) {
+    return Object.fromEntries(ROLE_DEFINITIONS.map(({ role }) => [role, roles?.[role] && columns.includes(roles[role]) ? roles[role] : null]));
+}
+
+/** Columnas que identifican empresas (enlace al análisis de empresa). */
+export const companyColumns = (roles) => [roles.importer, roles.exporter].filter(Boolean);
+
+/**
+ * Consulta estructurada que deja en la tabla solo los envíos de una empresa (como importador o exportador).
+ * @param {string} company
+ * @param {ColumnRoles} roles
+ * @returns {string | null} `null` si el nombre no se puede citar en la sintaxis de consulta
+ */
+export function companyQuery(company, roles) {
+    const columns = companyColumns(roles);
+    if (!columns.length || !company || company.includes('"') || columns.some(c => c.includes('"'))) return null;
+    return columns.map(col => `"${col}":="${company}"`).join(" OR ");
+}
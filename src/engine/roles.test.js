@@ -0,0 +1,18 @@
+import { headerSignature, suggestColumnRoles } from "./roles";
+
+test("suggests the historical Spanish headers", () => {
+    const columns = ["Fecha", "Consignatario", "Expedidor", "Descripción", "Pais de Origen", "Valor (USD)", "Weight (KG)"];
+    expect(suggestColumnRoles(columns, { numericColumns: new Set(["Valor (USD)", "Weight (KG)"]), dateColumns: new Set(["Fecha"]) })).toEqual({
+        importer: "Consignatario", exporter: "Expedidor", value: "Valor (USD)", weight: "Weight (KG)", date: "Fecha", product: "Descripción", country: "Pais de Origen", port: null,
+    });
+});
+
+test("suggests other providers' headers and respects column types", () => {
+    const columns = ["Consignee", "Shipper", "FOB USD", "Net Weight", "Value Notes", "Country"];
+    const roles = suggestColumnRoles(columns, { numericColumns: new Set(["FOB USD", "Net Weight"]) });
+    expect(roles).toMatchObject({ importer: "Consignee", exporter: "Shipper", value: "FOB USD", weight: "Net Weight", country: "Country", date: null });
+});
+
+test("header signature ignores order and case", () => {
+    expect(headerSignature(["B", "a "])).toBe(headerSignature(["A", "b"]));
+});
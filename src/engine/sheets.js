@@ -0,0 +1,95 @@
+import * as XLSX from "xlsx";
+import { localDateToISO } from "./dates";
+import { PREVIEW_ROWS, buildHeaderKeys, detectHeaderRow } from "./importOptions";
+
+// --- Lectura de libros y conversión de hojas a filas ---
+
+export const SHEET_CHUNK_ROWS = 5000;
+
+/**
+ * @param {ArrayBuffer} data
+ * @returns {import('./types').WorkBook}
+ */
+export function readWorkbook(data) {
+    // `cellDates` entrega las celdas con formato de fecha como `Date` en lugar de seriales.
+    return XLSX.read(data, { type: "array", cellDates: true });
+}
+
+/**
+ * Libro de una sola hoja a partir de texto delimitado. Las celdas se conservan como texto
+ * (`raw`): así no se pierden ceros a la izquierda y las fechas dd/mm no se leen como mm/dd;
+ * la detección de tipos de columna se encarga después de números y fechas.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {import('./types').WorkBook}
+ */
+export function readTextWorkbook(text, delimiter) {
+    return XLSX.read(text, { type: "string", FS: delimiter, raw: true });
+}
+
+/**
+ * Primeras filas de una hoja como texto, para la vista previa de importación.
+ * @param {import('./types').WorkBook} wb
+ * @param {string} sheetName
+ * @param {number} [maxRows]
+ * @returns {{ rows: string[][], totalRows: number }}
+ */
+export function sheetPreview(wb, sheetName, maxRows = PREVIEW_ROWS) {
+    const ws = wb.Sheets[sheetName];
+    if (!ws || !ws["!ref"]) return { rows: [], totalRows: 0 };
+    const range = XLSX.utils.decode_range(ws["!ref"]);
+    const previewRange = { s: range.s, e: { r: Math.min(range.e.r, range.s.r + maxRows - 1), c: range.e.c } };
+    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, range: previewRange, raw: false, defval: "", blankrows: true });
+    return { rows, totalRows: range.e.r - range.s.r + 1 };
+}
+
+/**
+ * Fila de encabezado probable de una hoja (base 0, relativa a la primera fila usada).
+ * @param {import('./types').WorkBook} wb
+ * @param {string} sheetName
+ */
+export const detectSheetHeaderRow = (wb, sheetName) => detectHeaderRow(sheetPreview(wb, sheetName).rows);
+
+/**
+ * Convierte una hoja a filas por bloques para poder informar del progreso.
+ * Equivale a `XLSX.utils.sheet_to_json(ws, { defval: "" })`, salvo que las fechas
+ * se convierten a texto ISO (`aaaa-mm-dd`, con `HH:MM` si tienen hora).
+ * @param {import('./types').WorkBook} wb
+ * @param {string} sheetName
+ * @param {{ chunkSize?: number, onProgress?: (fraction: number) => void, headerRow?: number, skipBottom?: number, columns?: string[] | null }} [options]
+ *        `headerRow` omite las filas anteriores al encabezado, `skipBottom` las últimas filas (totales, pies)
+ *        y `columns` limita las columnas cargadas, conservando su orden en la hoja.
+ * @returns {{ rows: import('./types').Row[], columns: string[] }}
+ */
+export function sheetToRows(wb, sheetName, { chunkSize = SHEET_CHUNK_ROWS, onProgress, headerRow = 0, skipBottom = 0, columns: selected = null } = {}) {
+    const ws = wb.Sheets[sheetName];
+    if (!ws || !ws["!ref"]) return { rows: [], columns: [] };
+
+    const fullRange = XLSX.utils.decode_range(ws["!ref"]);
+    const range = { s: { r: fullRange.s.r + headerRow, c: fullRange.s.c }, e: { r: fullRange.e.r - skipBottom, c: fullRange.e.c } };
+    if (range.s.r > range.e.r) return { rows: [], columns: [] };
+    const headerRange = { s: { r: range.s.r, c: range.s.c }, e: { r: range.s.r, c: range.e.c } };
+    const [headerCells = []] = XLSX.utils.sheet_to_json(ws, { header: 1, range: headerRange, raw: false, defval: null, blankrows: true });
+    const header = buildHeaderKeys(Array.from({ length: range.e.c - range.s.c + 1 }, (_, i) => headerCells[i]));
+    const keys = selected ? header.filter(key => selected.includes(key)) : header;
+    const pick = keys.length < header.length ? (row) => Object.fromEntries(keys.map(key => [key, row[key]])) : null;
+
+    const rows = [];
+    const firstDataRow = range.s.r + 1;
+    const totalRows = Math.max(0, range.e.r - firstDataRow + 1);
+    for (let r = firstDataRow; r <= range.e.r; r += chunkSize) {
+        const chunkRange = { s: { r, c: range.s.c }, e: { r: Math.min(range.e.r, r + chunkSize - 1), c: range.e.c } };
+        const chunk = XLSX.utils.sheet_to_json(ws, { header, range: chunkRange, defval: "" });
+        for (const fullRow of chunk) {
+            const row = pick ? pick(fullRow) : fullRow;
+            for (const key of keys) {
+                if (row[key] instanceof Date) row[key] = localDateToISO(row[key]);
+            }
+            rows.push(row);
+        }
+        onProgress?.((chunkRange.e.r - firstDataRow + 1) / totalRows);
+    }
+
+    // Igual que sheet_to_json: si no hay filas de datos, no hay columnas.
+    return { rows, columns: rows.length ? keys : [] };
+}
@@ -0,0 +1,112 @@
+import { parseDateValue } from "./dates";
+import { translateDefault } from "./i18n";
+
+// --- Orden por varias columnas con comparadores según el tipo ---
+
+/**
+ * @typedef {'first' | 'last'} BlankPlacement
+ * @typedef {{ column: string, dir: import('./types').SortDirection, blanks?: BlankPlacement }} SortLevel
+ */
+
+// Texto en orden natural ("Item 2" antes que "Item 10") y sin distinguir acentos ni mayúsculas.
+const collator = new Intl.Collator("es", { numeric: true, sensitivity: "base" });
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+export const compareText = (a, b) => collator.compare(a, b);
+
+/**
+ * Clave de orden de una celda, o `null` para las vacías. En columnas numéricas y de fechas, las
+ * celdas que no se pueden interpretar cuentan como vacías.
+ * @param {any} cell
+ * @param {'number' | 'date' | 'text'} type
+ * @returns {number | string | null}
+ */
+export function sortValue(cell, type) {
+    if (cell === null || cell === undefined || String(cell).trim() === "") return null;
+    if (type === "date") return parseDateValue(cell);
+    if (type === "number") {
+        const num = Number(cell);
+        return isNaN(num) ? null : num;
+    }
+    return String(cell).trim();
+}
+
+/**
+ * Niveles válidos de un orden de origen desconocido (vista guardada, URL); acepta el formato
+ * anterior de una sola columna (`sortKey` / `sortDir`).
+ * @param {any} raw objeto con `sort` o con `sortKey` y `sortDir`
+ * @returns {SortLevel[]}
+ */
+export function normalizeSort(raw) {
+    const levels = Array.isArray(raw?.sort) ? raw.sort : typeof raw?.sortKey === "string" && raw.sortKey ? [{ column: raw.sortKey, dir: raw.sortDir }] : [];
+    const seen = new Set();
+    return levels
+        .filter(level => level && typeof level.column === "string" && level.column && !seen.has(level.column) && seen.add(level.column))
+        .map(({ column, dir, blanks }) => ({ column, dir: dir === "desc" ? "desc" : "asc", blanks: blanks === "first" ? "first" : "last" }));
+}
+
+/**
+ * Ordena las filas por los niveles indicados, en orden de prioridad. El orden es estable: a igualdad
+ * en todos los niveles se conserva el orden previo. Las celdas vacías van al principio o al final
+ * según `blanks`, sea cual sea la dirección.
+ * @param {import('./types').Row[]} rows
+ * @param {SortLevel[]} sort
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} [dateColumns]
+ */
+export function sortRows(rows, sort, numericColumns, dateColumns = new Set()) {
+    if (!sort.length) return rows;
+    const levels = sort.map(({ column, dir, blanks = "last" }) => ({
+        column,
+        type: dateColumns.has(column) ? "date" : numericColumns.has(column) ? "number" : "text",
+        dir: dir === "desc" ? -1 : 1,
+        blanks: blanks === "first" ? -1 : 1,
+    }));
+    // Las claves se calculan una vez por fila, no en cada comparación.
+    const keyed = rows.map(row => ({ row, keys: levels.map(level => sortValue(row[level.column], level.type)) }));
+    keyed.sort((a, b) => {
+        for (let i = 0; i < levels.length; i++) {
+            const { type, dir, blanks } = levels[i];
+            const va = a.keys[i];
+            const vb = b.keys[i];
+            if (va === null || vb === null) {
+                if (va === vb) continue;
+                return va === null ? blanks : -blanks;
+            }
+            const order = type === "text" ? compareText(va, vb) : va - vb;
+            if (order !== 0) return order * dir;
+        }
+        return 0;
+    });
+    return keyed.map(k => k.row);
+}
+
+/**
+ * Orden resultante de un clic en un encabezado. Sin `additive`, la columna pasa a ser el único
+ * nivel (si ya lo era, invierte su dirección). Con `additive` (mayúsculas + clic) se añade como
+ * último nivel o, si ya estaba, invierte su dirección conservando su prioridad.
+ * @param {SortLevel[]} sort
+ * @param {string} column
+ * @param {boolean} additive
+ * @returns {SortLevel[]}
+ */
+export function toggleSortLevel(sort, column, additive) {
+    const existing = sort.find(level => level.column === column);
+    const flipped = existing && { ...existing, dir: existing.dir === "asc" ? "desc" : "asc" };
+    if (additive) {
+        return existing ? sort.map(level => (level.column === column ? flipped : level)) : [...sort, { column, dir: "asc", blanks: "last" }];
+    }
+    return sort.length === 1 && existing ? [flipped] : [{ column, dir: "asc", blanks: existing?.blanks ?? "last" }];
+}
+
+/**
+ * Texto del orden, p. ej. `Valor (descendente), Fecha (ascendente, vacías primero)`.
+ * @param {SortLevel[]} sort
+ * @param {import('./i18n').Translator} [t]
+ */
+export const describeSort = (sort, t = translateDefault) => sort
+    .map(({ column, dir, blanks }) => t(`sort.describe.${dir === "asc" ? "asc" : "desc"}${blanks === "first" ? "BlanksFirst" : ""}`, { column }))
+    .join(", ");
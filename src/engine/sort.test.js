@@ -0,0 +1,48 @@
+import { describeSort, normalizeSort, sortRows, toggleSortLevel } from "./sort";
+
+const rows = [
+    { id: 1, Empresa: "Item 10", Valor: "5", Fecha: "2024-03-01" },
+    { id: 2, Empresa: "ítem 2", Valor: "", Fecha: "" },
+    { id: 3, Empresa: "Item 2", Valor: "20", Fecha: "01/02/2024" },
+    { id: 4, Empresa: "Zeta", Valor: "5", Fecha: "sin fecha" },
+    { id: 5, Empresa: "", Valor: "n/d", Fecha: "2023-12-31" },
+];
+const numeric = new Set(["Valor"]);
+const dates = new Set(["Fecha"]);
+const ids = (sorted) => sorted.map(r => r.id);
+
+test("sorts text naturally, ignoring accents and case, with blanks last", () => {
+    expect(ids(sortRows(rows, [{ column: "Empresa", dir: "asc" }], numeric, dates))).toEqual([2, 3, 1, 4, 5]);
+    expect(ids(sortRows(rows, [{ column: "Empresa", dir: "desc" }], numeric, dates))).toEqual([4, 1, 2, 3, 5]);
+});
+
+test("places blank and unparseable cells by the level, whatever the direction", () => {
+    expect(ids(sortRows(rows, [{ column: "Valor", dir: "desc", blanks: "last" }], numeric, dates))).toEqual([3, 1, 4, 2, 5]);
+    expect(ids(sortRows(rows, [{ column: "Valor", dir: "asc", blanks: "first" }], numeric, dates))).toEqual([2, 5, 1, 4, 3]);
+    expect(ids(sortRows(rows, [{ column: "Fecha", dir: "asc" }], numeric, dates))).toEqual([5, 3, 1, 2, 4]);
+});
+
+test("breaks ties with the next levels and keeps the previous order otherwise", () => {
+    expect(ids(sortRows(rows, [{ column: "Valor", dir: "asc" }, { column: "Empresa", dir: "desc" }], numeric, dates))).toEqual([4, 1, 3, 2, 5]);
+    expect(ids(sortRows(rows, [{ column: "Valor", dir: "asc" }], numeric, dates))).toEqual([1, 4, 3, 2, 5]);
+    expect(sortRows(rows, [], numeric, dates)).toBe(rows);
+});
+
+test("toggles levels from header clicks", () => {
+    const single = toggleSortLevel([], "Valor", false);
+    expect(single).toEqual([{ column: "Valor", dir: "asc", blanks: "last" }]);
+    expect(toggleSortLevel(single, "Valor", false)).toEqual([{ column: "Valor", dir: "desc", blanks: "last" }]);
+
+    const multi = toggleSortLevel(single, "Fecha", true);
+    expect(multi.map(l => l.column)).toEqual(["Valor", "Fecha"]);
+    expect(toggleSortLevel(multi, "Valor", true).map(l => [l.column, l.dir])).toEqual([["Valor", "desc"], ["Fecha", "asc"]]);
+    expect(toggleSortLevel(multi, "Fecha", false)).toEqual([{ column: "Fecha", dir: "asc", blanks: "last" }]);
+});
+
+test("normalizes stored sorts and describes them", () => {
+    expect(normalizeSort({ sortKey: "Valor", sortDir: "desc" })).toEqual([{ column: "Valor", dir: "desc", blanks: "last" }]);
+    expect(normalizeSort({ sort: [{ column: "A", dir: "x", blanks: "first" }, { column: "A" }, { dir: "asc" }] })).toEqual([{ column: "A", dir: "asc", blanks: "first" }]);
+    expect(normalizeSort(null)).toEqual([]);
+    expect(describeSort([{ column: "Valor", dir: "desc", blanks: "last" }, { column: "Fecha", dir: "asc", blanks: "first" }]))
+        .toBe("Valor (descendente), Fecha (ascendente, vacías primero)");
+});
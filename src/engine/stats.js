@@ -0,0 +1,298 @@
+import { parseDateValue, toMonthKey } from "./dates";
+
+// --- Agregaciones de empresa y estadísticas de columna ---
+
+/** Clave con la que se cuentan los valores de una columna de texto (y se seleccionan en las facetas). */
+export const valueKey = (cell) => String(cell ?? "").trim();
+
+/**
+ * @param {Map<string, number>} counts
+ * @param {string} cell
+ */
+export const tallyValue = (counts, cell) => {
+    const key = valueKey(cell);
+    counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+/**
+ * Ordena un conteo de valores de mayor a menor frecuencia.
+ * @param {Map<string, number>} counts
+ * @returns {import('./types').ValueCount[]}
+ */
+export const rankValueCounts = (counts) => [...counts].sort(([, countA], [, countB]) => countB - countA).map(([value, count]) => ({ value, count }));
+
+/**
+ * Cuantil `q` (0..1) de una lista ya ordenada, con interpolación lineal.
+ * @param {number[]} sorted
+ * @param {number} q
+ */
+export function quantile(sorted, q) {
+    if (!sorted.length) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Histograma de intervalos iguales entre el mínimo y el máximo de una lista ya ordenada.
+ * @param {number[]} sorted
+ * @param {number} binCount
+ * @returns {{ from: number, to: number, count: number }[]}
+ */
+export function histogram(sorted, binCount) {
+    if (!sorted.length) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [{ from: min, to: max, count: sorted.length }];
+    const width = (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: i === binCount - 1 ? max : min + (i + 1) * width, count: 0 }));
+    sorted.forEach(n => { bins[Math.min(binCount - 1, Math.floor((n - min) / width))].count++; });
+    return bins;
+}
+
+// Límites del análisis de empresa: entradas por ranking y envíos listados.
+export const COMPANY_TOP_LIMIT = 10;
+export const COMPANY_SHIPMENTS_LIMIT = 200;
+const PRICE_BINS = 10;
+
+/**
+ * Número de una celda de valor o peso; `null` si está vacía o no es numérica.
+ * @param {string|number|null|undefined} cell
+ * @returns {number | null}
+ */
+export const toNumberOrNull = (cell) => {
+    if (cell === "" || cell === null || cell === undefined) return null;
+    const num = Number(cell);
+    return isNaN(num) ? null : num;
+};
+
+// Ranking por valor acumulado; a igual valor, por número de envíos.
+const rankByValue = (tally) => [...tally]
+    .map(([name, { count, value }]) => ({ name, count, value }))
+    .sort((a, b) => b.value - a.value || b.count - a.count)
+    .slice(0, COMPANY_TOP_LIMIT);
+
+const addToTally = (tally, name, value) => {
+    if (!name) return;
+    const entry = tally.get(name) || { count: 0, value: 0 };
+    entry.count++;
+    entry.value += value ?? 0;
+    tally.set(name, entry);
+};
+
+/**
+ * Análisis de una empresa sobre las filas donde figura como importador o como exportador.
+ * Las filas en que figura en ambos lados cuentan una sola vez en los totales.
+ * @param {string} companyName
+ * @param {import('./types').Row[]} dataSet
+ * @param {import('./roles').ColumnRoles} roles
+ * @returns {Omit<import('./types').CompanyAggregates, 'isFiltered'>}
+ */
+export function getCompanyAggregates(companyName, dataSet, roles) {
+    const side = () => ({ count: 0, value: 0, weight: 0 });
+    const asImporter = side();
+    const asExporter = side();
+    let totalValue = 0;
+    let totalWeight = 0;
+    const months = new Map();
+    const counterparties = new Map();
+    const products = new Map();
+    const origins = new Map();
+    const ports = new Map();
+    const prices = [];
+    const shipments = [];
+
+    dataSet.forEach(row => {
+        const consignee = roles.importer ? valueKey(row[roles.importer]) : "";
+        const shipper = roles.exporter ? valueKey(row[roles.exporter]) : "";
+        const isImporter = consignee === companyName;
+        const isExporter = shipper === companyName;
+        if (!isImporter && !isExporter) return;
+
+        const value = roles.value ? toNumberOrNull(row[roles.value]) : null;
+        const weight = roles.weight ? toNumberOrNull(row[roles.weight]) : null;
+        totalValue += value ?? 0;
+        totalWeight += weight ?? 0;
+        [[isImporter, asImporter], [isExporter, asExporter]].forEach(([applies, totals]) => {
+            if (!applies) return;
+            totals.count++;
+            totals.value += value ?? 0;
+            totals.weight += weight ?? 0;
+        });
+
+        const dateMs = roles.date ? parseDateValue(row[roles.date]) : null;
+        if (dateMs !== null) {
+            const key = toMonthKey(dateMs);
+            const month = months.get(key) || { month: key, count: 0, value: 0, weight: 0 };
+            month.count++;
+            month.value += value ?? 0;
+            month.weight += weight ?? 0;
+            months.set(key, month);
+        }
+
+        // La contraparte es el otro lado del envío (si la empresa figura en ambos, no hay contraparte).
+        if (isImporter !== isExporter) addToTally(counterparties, isImporter ? shipper : consignee, value);
+        if (roles.product) addToTally(products, valueKey(row[roles.product]), value);
+        if (roles.country) addToTally(origins, valueKey(row[roles.country]), value);
+        if (roles.port) addToTally(ports, valueKey(row[roles.port]), value);
+
+        const pricePerKg = value !== null && weight ? value / weight : null;
+        if (pricePerKg !== null) prices.push(pricePerKg);
+        shipments.push({ row, dateMs, direction: isImporter && isExporter ? "both" : isImporter ? "import" : "export", counterparty: isImporter ? shipper : consignee, pricePerKg });
+    });
+
+    prices.sort((a, b) => a - b);
+    // Los envíos más recientes primero; los que no tienen fecha, al final.
+    shipments.sort((a, b) => (b.dateMs ?? -Infinity) - (a.dateMs ?? -Infinity));
+
+    return {
+        company: companyName,
+        totalValue,
+        totalWeight,
+        shipmentCount: shipments.length,
+        asImporter,
+        asExporter,
+        monthly: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+        topCounterparties: rankByValue(counterparties),
+        topProducts: rankByValue(products),
+        topOrigins: rankByValue(origins),
+        topPorts: rankByValue(ports),
+        priceDistribution: prices.length ? {
+            count: prices.length,
+            min: prices[0],
+            p25: quantile(prices, 0.25),
+            median: quantile(prices, 0.5),
+            p75: quantile(prices, 0.75),
+            max: prices[prices.length - 1],
+            bins: histogram(prices, PRICE_BINS),
+        } : null,
+        shipments: shipments.slice(0, COMPANY_SHIPMENTS_LIMIT),
+    };
+}
+
+/**
+ * Envíos, valor y peso de cada empresa, como importador o exportador, con el mismo criterio que
+ * `getCompanyAggregates`: una fila en que la empresa figura en ambos lados cuenta una sola vez.
+ * @param {import('./types').Row[]} dataSet
+ * @param {import('./roles').ColumnRoles} roles
+ * @returns {Map<string, { count: number, value: number, weight: number }>}
+ */
+export function tallyCompanies(dataSet, roles) {
+    const tally = new Map();
+    dataSet.forEach(row => {
+        const consignee = roles.importer ? valueKey(row[roles.importer]) : "";
+        const shipper = roles.exporter ? valueKey(row[roles.exporter]) : "";
+        if (!consignee && !shipper) return;
+        const value = roles.value ? toNumberOrNull(row[roles.value]) : null;
+        const weight = roles.weight ? toNumberOrNull(row[roles.weight]) : null;
+        new Set([consignee, shipper]).forEach(name => {
+            if (!name) return;
+            const entry = tally.get(name) || { count: 0, value: 0, weight: 0 };
+            entry.count++;
+            entry.value += value ?? 0;
+            entry.weight += weight ?? 0;
+            tally.set(name, entry);
+        });
+    });
+    return tally;
+}
+
+// Opciones por defecto del panel de estadísticas: intervalos del histograma y barras de la columna de texto.
+export const STATS_DEFAULT_BINS = 20;
+export const STATS_DEFAULT_TOP = 10;
+// Percentiles que se informan para las columnas numéricas.
+export const STATS_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+const isBlank = (v) => v === null || v === undefined || String(v).trim() === "";
+
+/**
+ * Estadísticas de una columna sobre las filas visibles. Todas las pasadas son lineales salvo
+ * la ordenación; no se usa `Math.min(...valores)`, que desborda la pila con columnas grandes.
+ * @param {string} colName
+ * @param {import('./types').Row[]} dataSet
+ * @param {Set<string>} numericColumns
+ * @param {Set<string>} [dateColumns]
+ * @param {{ bins?: number, topN?: number }} [options]
+ * @returns {import('./types').ColumnStats | null}
+ */
+export function getVisibleColumnStats(colName, dataSet, numericColumns, dateColumns = new Set(), { bins = STATS_DEFAULT_BINS, topN = STATS_DEFAULT_TOP } = {}) {
+    if (!dataSet || dataSet.length === 0) return null;
+
+    const isNum = numericColumns.has(colName);
+    const filteredValues = [];
+    let blankCount = 0;
+    dataSet.forEach(row => {
+        const v = row[colName];
+        if (isBlank(v)) blankCount++;
+        else filteredValues.push(v);
+    });
+    const totalCount = filteredValues.length;
+
+    if (totalCount === 0) return null;
+
+    if (dateColumns.has(colName)) {
+        let earliest = Infinity;
+        let latest = -Infinity;
+        let invalidCount = 0;
+        const months = {};
+        filteredValues.forEach(v => {
+            const ms = parseDateValue(v);
+            if (ms === null) { invalidCount++; return; }
+            if (ms < earliest) earliest = ms;
+            if (ms > latest) latest = ms;
+            const key = toMonthKey(ms);
+            months[key] = (months[key] || 0) + 1;
+        });
+        if (invalidCount === totalCount) return null;
+        const byMonth = Object.entries(months).sort(([a], [b]) => a.localeCompare(b)).map(([month, count]) => ({ month, count }));
+        return { column: colName, isNumeric: false, isDate: true, totalCount: totalCount - invalidCount, blankCount, invalidCount, earliest, latest, byMonth, };
+    }
+
+    if (isNum) {
+        const numbers = [];
+        filteredValues.forEach(v => {
+            const n = Number(v);
+            if (!isNaN(n)) numbers.push(n);
+        });
+
+        if (numbers.length === 0) return null;
+
+        const sorted = Float64Array.from(numbers).sort();
+        const count = sorted.length;
+        let sum = 0;
+        for (let i = 0; i < count; i++) sum += sorted[i];
+        const avg = sum / count;
+        let squares = 0;
+        for (let i = 0; i < count; i++) squares += (sorted[i] - avg) ** 2;
+        const stdDev = count > 1 ? Math.sqrt(squares / (count - 1)) : 0;
+
+        const percentiles = Object.fromEntries(STATS_PERCENTILES.map(p => [`p${p}`, quantile(sorted, p / 100)]));
+        const iqr = percentiles.p75 - percentiles.p25;
+        const lowerFence = percentiles.p25 - 1.5 * iqr;
+        const upperFence = percentiles.p75 + 1.5 * iqr;
+        let lowOutliers = 0;
+        let highOutliers = 0;
+        for (let i = 0; i < count; i++) {
+            if (sorted[i] < lowerFence) lowOutliers++;
+            else if (sorted[i] > upperFence) highOutliers++;
+        }
+
+        return {
+            column: colName, isNumeric: true, totalCount: count, blankCount, invalidCount: totalCount - count,
+            sum, avg, stdDev, min: sorted[0], max: sorted[count - 1], median: percentiles.p50, percentiles,
+            iqr, lowerFence, upperFence, lowOutliers, highOutliers, histogram: histogram(sorted, bins),
+        };
+    } else {
+        const counts = new Map();
+        filteredValues.forEach(v => tallyValue(counts, v));
+
+        const sortedCounts = rankValueCounts(counts);
+
+        const topValues = sortedCounts.slice(0, topN);
+        const uniqueCount = sortedCounts.length;
+        const othersCount = totalCount - topValues.reduce((acc, { count }) => acc + count, 0);
+
+        return { column: colName, isNumeric: false, totalCount, blankCount, uniqueCount, topValues, othersCount, };
+    }
+}
@@ -0,0 +1,54 @@
+import { getCompanyAggregates, getVisibleColumnStats, histogram, quantile } from "./stats";
+
+const roles = { importer: "Consignatario", exporter: "Expedidor", value: "Valor", weight: "Peso", date: "Fecha", product: "Producto", country: "Pais", port: null };
+const rows = [
+    { Consignatario: "ACME", Expedidor: "Steel Co", Valor: 1000, Peso: 100, Fecha: "2024-01-10", Producto: "Acero", Pais: "China" },
+    { Consignatario: "ACME ", Expedidor: "Steel Co", Valor: 3000, Peso: 200, Fecha: "2024-03-02", Producto: "Acero", Pais: "China" },
+    { Consignatario: "Beta", Expedidor: "ACME", Valor: 500, Peso: "", Fecha: "2024-01-25", Producto: "Cobre", Pais: "Perú" },
+    { Consignatario: "Beta", Expedidor: "Gamma", Valor: 9000, Peso: 10, Fecha: "2024-01-01", Producto: "Oro", Pais: "Perú" },
+];
+
+test("splits a company's shipments by side and aggregates them", () => {
+    const data = getCompanyAggregates("ACME", rows, roles);
+    expect(data).toMatchObject({ totalValue: 4500, totalWeight: 300, shipmentCount: 3 });
+    expect(data.asImporter).toEqual({ count: 2, value: 4000, weight: 300 });
+    expect(data.asExporter).toEqual({ count: 1, value: 500, weight: 0 });
+    expect(data.monthly.map(m => [m.month, m.count, m.value])).toEqual([["2024-01", 2, 1500], ["2024-03", 1, 3000]]);
+    expect(data.topCounterparties).toEqual([{ name: "Steel Co", count: 2, value: 4000 }, { name: "Beta", count: 1, value: 500 }]);
+    expect(data.topProducts[0]).toEqual({ name: "Acero", count: 2, value: 4000 });
+    expect(data.topPorts).toEqual([]);
+    expect(data.priceDistribution).toMatchObject({ count: 2, min: 10, median: 12.5, max: 15 });
+    expect(data.shipments.map(s => [s.direction, s.counterparty])).toEqual([["import", "Steel Co"], ["export", "Beta"], ["import", "Steel Co"]]);
+});
+
+test("quantiles interpolate and histograms cover the whole range", () => {
+    const sorted = [1, 2, 3, 4, 10];
+    expect(quantile(sorted, 0.5)).toBe(3);
+    expect(quantile(sorted, 0.25)).toBe(2);
+    expect(quantile([1, 2], 0.5)).toBe(1.5);
+    expect(histogram(sorted, 3).map(b => b.count)).toEqual([3, 1, 1]);
+    expect(histogram([5, 5], 4)).toEqual([{ from: 5, to: 5, count: 2 }]);
+});
+
+test("numeric column stats include spread, percentiles, outliers and a histogram", () => {
+    const data = [1, 2, 3, 4, 5, 6, 7, 8, 9, 100, "", "n/d", " "].map(Valor => ({ Valor }));
+    const stats = getVisibleColumnStats("Valor", data, new Set(["Valor"]), new Set(), { bins: 5 });
+    expect(stats).toMatchObject({ totalCount: 10, blankCount: 2, invalidCount: 1, min: 1, max: 100, median: 5.5, highOutliers: 1, lowOutliers: 0 });
+    expect(stats.percentiles.p25).toBe(3.25);
+    expect(stats.iqr).toBe(4.5);
+    expect(stats.stdDev).toBeCloseTo(30.15, 2);
+    expect(stats.histogram.map(b => b.count)).toEqual([9, 0, 0, 0, 1]);
+});
+
+test("handles columns too large for Math.min(...values)", () => {
+    const data = Array.from({ length: 300000 }, (_, i) => ({ N: i % 1000 }));
+    const stats = getVisibleColumnStats("N", data, new Set(["N"]));
+    expect(stats).toMatchObject({ min: 0, max: 999, totalCount: 300000 });
+});
+
+test("categorical stats keep the top N and count the rest as others", () => {
+    const data = ["A", "A", "A", "B", "B", "C", "D", ""].map(Pais => ({ Pais }));
+    const stats = getVisibleColumnStats("Pais", data, new Set(), new Set(), { topN: 2 });
+    expect(stats).toMatchObject({ totalCount: 7, blankCount: 1, uniqueCount: 4, othersCount: 2 });
+    expect(stats.topValues).toEqual([{ value: "A", count: 3 }, { value: "B", count: 2 }]);
+});
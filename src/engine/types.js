@@ -0,0 +1,73 @@
+// --- Tipos compartidos del motor de datos ---
+/**
+ * @typedef {Object<string, string|number>} Row
+ * @typedef {'asc'|'desc'} SortDirection
+ * @typedef {'contiene'|'='} FilterMode
+ * @typedef {{ values: string[], exclude?: boolean }} FacetSelection
+ * @typedef {{ mode: FilterMode, value?: string, min?: number, max?: number, from?: string, to?: string, facet?: FacetSelection, issue?: import('./audit').AuditIssue }} FilterConfig
+ * @typedef {Object<string, FilterConfig>} Filters
+ * @typedef {import('xlsx').WorkBook} WorkBook
+ * @typedef {{ count: number, value: number, weight: number }} CompanySideTotals
+ * @typedef {{ name: string, count: number, value: number }} RankedEntry
+ * @typedef {{ month: string, count: number, value: number, weight: number }} MonthlyTotals
+ * @typedef {{ row: Row, dateMs: number | null, direction: 'import' | 'export' | 'both', counterparty: string, pricePerKg: number | null }} CompanyShipment
+ * @typedef {object} CompanyAggregates
+ * @property {string} company
+ * @property {number} totalValue
+ * @property {number} totalWeight
+ * @property {number} shipmentCount
+ * @property {CompanySideTotals} asImporter filas donde la empresa es el importador
+ * @property {CompanySideTotals} asExporter filas donde la empresa es el exportador
+ * @property {MonthlyTotals[]} monthly meses `aaaa-mm` en orden cronológico
+ * @property {RankedEntry[]} topCounterparties
+ * @property {RankedEntry[]} topProducts
+ * @property {RankedEntry[]} topOrigins
+ * @property {RankedEntry[]} topPorts
+ * @property {{ count: number, min: number, p25: number, median: number, p75: number, max: number, bins: HistogramBin[] } | null} priceDistribution precio por kg de cada envío
+ * @property {CompanyShipment[]} shipments los más recientes primero, hasta `COMPANY_SHIPMENTS_LIMIT`
+ * @property {boolean} isFiltered
+ * @typedef {{ from: number, to: number, count: number }} HistogramBin
+ * @typedef {object} NumericStats
+ * @property {string} column
+ * @property {boolean} isNumeric
+ * @property {number} totalCount celdas con número
+ * @property {number} blankCount celdas vacías
+ * @property {number} invalidCount celdas con texto no numérico
+ * @property {number} sum
+ * @property {number} avg
+ * @property {number} stdDev desviación estándar muestral
+ * @property {number} min
+ * @property {number} max
+ * @property {number} median
+ * @property {Object<string, number>} percentiles `p5`, `p10`, `p25`, `p50`, `p75`, `p90`, `p95`
+ * @property {number} iqr rango intercuartílico (P75 - P25)
+ * @property {number} lowerFence P25 - 1,5 × IQR
+ * @property {number} upperFence P75 + 1,5 × IQR
+ * @property {number} lowOutliers valores por debajo de `lowerFence`
+ * @property {number} highOutliers valores por encima de `upperFence`
+ * @property {HistogramBin[]} histogram
+ * @typedef {object} CategoricalStats
+ * @property {string} column
+ * @property {boolean} isNumeric
+ * @property {number} totalCount
+ * @property {number} blankCount
+ * @property {number} uniqueCount
+ * @property {{ value: string, count: number }[]} topValues
+ * @property {number} othersCount celdas con valores fuera de `topValues`
+ * @typedef {object} DateStats
+ * @property {string} column
+ * @property {boolean} isNumeric
+ * @property {true} isDate
+ * @property {number} totalCount
+ * @property {number} blankCount
+ * @property {number} invalidCount
+ * @property {number} earliest milisegundos UTC
+ * @property {number} latest milisegundos UTC
+ * @property {{ month: string, count: number }[]} byMonth meses `aaaa-mm` en orden cronológico
+ * @typedef {NumericStats | CategoricalStats | DateStats} ColumnStats
+ * @typedef {{ value: string, count: number }} ValueCount
+ * @typedef {Object<string, [number, number][]>} MatchHighlights
+ * @typedef {{ row: Row, score: number, highlights: MatchHighlights }} SearchHit
+ */
+
+export {};
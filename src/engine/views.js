@@ -0,0 +1,154 @@
+import { normalizeSort } from "./sort";
+import { parseDateString } from "./dates";
+import { AUDIT_ISSUE_TYPES, KIND_LABELS } from "./audit";
+import { LocalizedError, translateDefault } from "./i18n";
+
+// --- Vistas guardadas: filtros, búsqueda, columnas y orden con nombre propio ---
+
+/**
+ * @typedef {object} ViewState
+ * @property {import('./types').Filters} filters
+ * @property {string} query
+ * @property {string[]} selectedKeys columnas de la búsqueda difusa
+ * @property {import('./sort').SortLevel[]} sort niveles de orden, por prioridad
+ * @property {boolean} sortByRelevance
+ * @property {string[]} hiddenColumns
+ * @typedef {ViewState & { name: string, savedAt: number }} SavedView
+ */
+
+/** Prefijo del estado en el hash de la URL (`#view=...`). */
+export const VIEW_HASH_PREFIX = "#view=";
+
+const asStringArray = (value) => (Array.isArray(value) ? value.filter(v => typeof v === "string") : []);
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+/** @type {import('./types').FilterMode[]} */
+const FILTER_MODES = ["contiene", "="];
+
+/**
+ * Filtro de columna con solo los campos que tienen el tipo esperado: un filtro malformado
+ * (de un enlace manipulado o un JSON importado) no debe llegar a la consulta.
+ * @param {any} raw
+ * @returns {import('./types').FilterConfig | null} `null` si no queda ningún campo válido
+ */
+export function normalizeFilterConfig(raw) {
+    if (!isPlainObject(raw)) return null;
+    const cfg = {};
+    if (FILTER_MODES.includes(raw.mode)) cfg.mode = raw.mode;
+    if (typeof raw.value === "string") cfg.value = raw.value;
+    if (Number.isFinite(raw.min)) cfg.min = raw.min;
+    if (Number.isFinite(raw.max)) cfg.max = raw.max;
+    if (typeof raw.from === "string" && parseDateString(raw.from) !== null) cfg.from = raw.from;
+    if (typeof raw.to === "string" && parseDateString(raw.to) !== null) cfg.to = raw.to;
+    if (isPlainObject(raw.facet) && Array.isArray(raw.facet.values)) {
+        cfg.facet = { values: asStringArray(raw.facet.values) };
+        if (typeof raw.facet.exclude === "boolean") cfg.facet.exclude = raw.facet.exclude;
+    }
+    if (isPlainObject(raw.issue) && AUDIT_ISSUE_TYPES.includes(raw.issue.type)) {
+        const { type, kind, keys, near } = raw.issue;
+        cfg.issue = { type };
+        if (Object.prototype.hasOwnProperty.call(KIND_LABELS, kind)) cfg.issue.kind = kind;
+        if (Array.isArray(keys)) cfg.issue.keys = asStringArray(keys);
+        if (typeof near === "boolean") cfg.issue.near = near;
+    }
+    return Object.keys(cfg).length ? cfg : null;
+}
+
+/**
+ * Copia con los tipos esperados de un objeto de origen desconocido (JSON importado, URL, sesión).
+ * Los campos de un filtro con un tipo inesperado se descartan, y con ellos el filtro si no le queda ninguno.
+ * Las vistas anteriores al orden por varias columnas (`sortKey` / `sortDir`) se convierten a un nivel.
+ * @param {any} raw
+ * @returns {ViewState}
+ */
+export function normalizeView(raw) {
+    const view = raw && typeof raw === "object" ? raw : {};
+    const filters = isPlainObject(view.filters) ? view.filters : {};
+    return {
+        filters: Object.fromEntries(Object.entries(filters).map(([col, cfg]) => [col, normalizeFilterConfig(cfg)]).filter(([, cfg]) => cfg)),
+        query: typeof view.query === "string" ? view.query : "",
+        selectedKeys: asStringArray(view.selectedKeys),
+        sort: normalizeSort(view),
+        sortByRelevance: !!view.sortByRelevance,
+        hiddenColumns: asStringArray(view.hiddenColumns),
+    };
+}
+
+/**
+ * Adapta una vista a las columnas del archivo cargado. Los filtros y el orden sobre columnas que
+ * no existen se descartan con un aviso; sin columnas de búsqueda válidas se buscan todas.
+ * @param {any} raw
+ * @param {string[]} columns
+ * @param {import('./i18n').Translator} [t] idioma de los avisos
+ * @returns {{ view: ViewState, warnings: string[] }}
+ */
+export function fitViewToColumns(raw, columns, t = translateDefault) {
+    const view = normalizeView(raw);
+    const available = new Set(columns);
+    const warnings = [];
+    const filters = {};
+    Object.entries(view.filters).forEach(([col, cfg]) => {
+        if (available.has(col)) filters[col] = cfg;
+        else warnings.push(t("views.warning.filter", { column: col }));
+    });
+    const sort = view.sort.filter(level => {
+        if (available.has(level.column)) return true;
+        warnings.push(t("views.warning.sort", { column: level.column }));
+        return false;
+    });
+    const selectedKeys = view.selectedKeys.filter(col => available.has(col));
+    return {
+        view: {
+            ...view,
+            filters,
+            sort,
+            selectedKeys: selectedKeys.length ? selectedKeys : columns,
+            hiddenColumns: view.hiddenColumns.filter(col => available.has(col)),
+        },
+        warnings,
+    };
+}
+
+/**
+ * @param {ViewState} view
+ * @returns {string} hash de la URL, con el prefijo
+ */
+export const encodeViewHash = (view) => VIEW_HASH_PREFIX + encodeURIComponent(JSON.stringify(normalizeView(view)));
+
+/**
+ * @param {string} hash `window.location.hash`
+ * @returns {ViewState | null}
+ */
+export function decodeViewHash(hash) {
+    if (!hash?.startsWith(VIEW_HASH_PREFIX)) return null;
+    try {
+        return normalizeView(JSON.parse(decodeURIComponent(hash.slice(VIEW_HASH_PREFIX.length))));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Interpreta un archivo de vistas exportado (una lista o un objeto `{ views }`).
+ * @param {string} text
+ * @returns {SavedView[]}
+ */
+export function parseViewsJSON(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.views;
+    if (!Array.isArray(list)) throw new LocalizedError("views.error.notAList");
+    return list
+        .filter(v => v && typeof v.name === "string" && v.name.trim())
+        .map(v => ({ ...normalizeView(v), name: v.name.trim(), savedAt: Number(v.savedAt) || Date.now() }));
+}
+
+/**
+ * Añade o reemplaza (por nombre) vistas en la lista.
+ * @param {SavedView[]} views
+ * @param {SavedView[]} incoming
+ * @returns {SavedView[]}
+ */
+export function upsertViews(views, incoming) {
+    const names = new Set(incoming.map(v => v.name));
+    return [...views.filter(v => !names.has(v.name)), ...incoming];
+}
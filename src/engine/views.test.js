@@ -0,0 +1,82 @@
+import { decodeViewHash, encodeViewHash, fitViewToColumns, parseViewsJSON, upsertViews } from "./views";
+import { createTable, runQuery } from "./dataEngine";
+import { describeFilter } from "./exportWorkbook";
+
+const view = {
+    filters: { Pais: { mode: "contiene", value: "", facet: { values: ["CHINA"] } }, "Valor (USD)": { mode: "contiene", min: 50000 }, Partida: { mode: "=", value: "3901" } },
+    query: "polietileno",
+    selectedKeys: ["Descripción", "Borrada"],
+    sort: [{ column: "Valor (USD)", dir: "desc", blanks: "last" }, { column: "Pais", dir: "asc", blanks: "first" }],
+    sortByRelevance: false,
+    hiddenColumns: ["Notas"],
+};
+
+test("round-trips a view through the URL hash", () => {
+    const hash = encodeViewHash(view);
+    expect(hash.startsWith("#view=")).toBe(true);
+    expect(decodeViewHash(hash)).toEqual(view);
+    expect(decodeViewHash("#view=%7Bno-json")).toBeNull();
+    expect(decodeViewHash("#otra-cosa")).toBeNull();
+});
+
+test("drops filters and sort on missing columns with a warning", () => {
+    const { view: fitted, warnings } = fitViewToColumns(view, ["Pais", "Descripción", "Notas"]);
+    expect(Object.keys(fitted.filters)).toEqual(["Pais"]);
+    expect(fitted.sort).toEqual([{ column: "Pais", dir: "asc", blanks: "first" }]);
+    expect(fitted.selectedKeys).toEqual(["Descripción"]);
+    expect(fitted.hiddenColumns).toEqual(["Notas"]);
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toContain("Valor (USD)");
+
+    expect(fitViewToColumns({ selectedKeys: ["X"] }, ["A", "B"]).view.selectedKeys).toEqual(["A", "B"]);
+});
+
+test("converts the single-column sort of older views", () => {
+    const { view: fitted, warnings } = fitViewToColumns({ sortKey: "Valor (USD)", sortDir: "desc" }, ["Valor (USD)"]);
+    expect(fitted.sort).toEqual([{ column: "Valor (USD)", dir: "desc", blanks: "last" }]);
+    expect(fitted).not.toHaveProperty("sortKey");
+    expect(warnings).toEqual([]);
+});
+
+test("imports views from JSON, normalizing fields and replacing by name", () => {
+    const imported = parseViewsJSON(JSON.stringify({ views: [{ name: " China > 50k ", ...view, pageSize: 7 }, { query: "sin nombre" }] }));
+    expect(imported).toHaveLength(1);
+    expect(imported[0].name).toBe("China > 50k");
+    // Las vistas anteriores a la tabla virtualizada guardaban el tamaño de página: se descarta.
+    expect(imported[0]).not.toHaveProperty("pageSize");
+    expect(() => parseViewsJSON("{}")).toThrow();
+
+    const merged = upsertViews([{ ...imported[0], query: "vieja" }, { ...imported[0], name: "Otra" }], imported);
+    expect(merged.map(v => [v.name, v.query])).toEqual([["Otra", "polietileno"], ["China > 50k", "polietileno"]]);
+});
+
+test("drops malformed filter fields from a crafted view", () => {
+    const crafted = {
+        filters: {
+            Pais: { facet: {} },
+            Empresa: { mode: "regex", value: 5, facet: { values: ["ACME", 7, null], exclude: "sí" } },
+            "Valor (USD)": { min: "mucho", max: 100, issue: { type: "blank" } },
+            Fecha: { from: "2024-02-30x", to: "2024-03-31" },
+            Partida: { issue: { type: "borrar", kind: "número" } },
+            Notas: ["no", "es", "un", "filtro"],
+            Peso: { min: Infinity, issue: { type: "duplicate", keys: ["Peso", 3], near: 1, kind: "text" } },
+        },
+    };
+    const fitted = fitViewToColumns(crafted, ["Pais", "Empresa", "Valor (USD)", "Fecha", "Partida", "Notas", "Peso"]).view;
+    expect(fitted.filters).toEqual({
+        Empresa: { facet: { values: ["ACME"] } },
+        "Valor (USD)": { max: 100, issue: { type: "blank" } },
+        Fecha: { to: "2024-03-31" },
+        Peso: { issue: { type: "duplicate", kind: "text", keys: ["Peso"] } },
+    });
+    expect(decodeViewHash(encodeViewHash(crafted))).toEqual({ ...fitted, selectedKeys: [], hiddenColumns: [] });
+});
+
+test("queries a crafted view without throwing", async () => {
+    const rows = [{ Pais: "China", Valor: 10 }, { Pais: "Perú", Valor: 20 }];
+    const table = createTable(rows, ["Pais", "Valor"]);
+    const { view } = fitViewToColumns({ filters: { Pais: { facet: {} }, Valor: { min: "x", max: 15 } } }, table.columns);
+    const result = await runQuery(table, { filters: view.filters });
+    expect(result.rows).toEqual([rows[0]]);
+    expect(describeFilter(view.filters.Valor, true, false)).toBe("<= 15");
+});
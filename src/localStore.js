@@ -0,0 +1,42 @@
+// --- Persistencia ligera en localStorage (preferencias y configuraciones pequeñas) ---
+
+const PREFIX = "findir.";
+
+/**
+ * @template T
+ * @param {string} key
+ * @param {T} fallback
+ * @returns {T}
+ */
+export function readJSON(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn(`No se pudo leer "${key}" del almacenamiento local.`, error);
+        return fallback;
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {any} value
+ */
+export function writeJSON(key, value) {
+    try {
+        window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`No se pudo guardar "${key}" en el almacenamiento local.`, error);
+    }
+}
+
+/**
+ * @param {string} key
+ */
+export function removeJSON(key) {
+    try {
+        window.localStorage.removeItem(PREFIX + key);
+    } catch (error) {
+        console.warn(`No se pudo borrar "${key}" del almacenamiento local.`, error);
+    }
+}
@@ -0,0 +1,795 @@
+// --- Catálogo de mensajes: inglés ---
+// Mismas claves que `es.js`; lo que falte aquí se muestra en español.
+
+const en = {
+    // Idioma y acceso
+    "language.label": "Language",
+    "role.admin": "Administrator",
+    "role.user": "User",
+    "access.setupTitle": "Set Up Access",
+    "access.loginTitle": "Restricted Access",
+    "access.noCrypto": "This browser does not provide the encryption required for access. Open the app over https or from localhost.",
+    "access.setupIntro": "Create the administrator for this browser. The passphrase must be at least {min} characters long and cannot be recovered.",
+    "access.loginIntro": "Enter your user name and passphrase to access the Data Finder.",
+    "access.user": "User",
+    "access.passphrase": "Passphrase",
+    "access.repeatPassphrase": "Repeat the passphrase",
+    "access.mismatch": "The passphrases do not match.",
+    "access.checking": "Checking…",
+    "access.createAdmin": "Create administrator",
+    "access.login": "Sign in",
+    "access.error.nameRequired": "Enter a user name.",
+    "access.error.passphraseTooShort": "The passphrase must be at least {min} characters long.",
+    "access.error.invalidCredentials": "Wrong user name or passphrase.",
+    "access.error.locked": "Too many failed attempts. Try again in {minutes} min.",
+    "access.error.lockedOut": "Too many failed attempts. The user is locked for {minutes} min.",
+    "access.error.adminOnly": "Only an administrator can manage users.",
+    "access.error.lastAdmin": "At least one administrator must remain.",
+    "access.error.signInAgain": "Sign in again to manage users.",
+    "access.error.revokeSelf": "You cannot revoke your own access.",
+    "access.error.decrypt": "The saved data could not be decrypted: the key does not match.",
+
+    // Cabecera
+    "app.title": "Excel Finder in Your Browser",
+    "app.subtitle": "Upload a file, fuzzy-search it, filter, sort and export. All locally.",
+    "app.user": "{name} ({role})",
+    "app.accessAdmin": "Users and Security",
+    "app.logout": "Sign out",
+
+    // Carga de archivos
+    "load.fileLabel": "File (.xlsx or .csv)",
+    "load.dropPrompt": "Drop your file here (or several, to combine them) or",
+    "load.selectFiles": "Select files",
+    "load.append": "Add files to the loaded data…",
+    "load.activeSheet": "Active sheet:",
+    "load.updatingPreview": "Updating preview",
+    "load.fileError": "Error processing the file. Make sure it is a valid .xlsx, .xls or .csv file.",
+    "load.filesError": "Error processing the files. Make sure they are valid .xlsx, .xls or .csv files.",
+    "load.mergeError": "Error combining the files.",
+    "load.duplicatesRemoved": "{count} duplicate rows were removed.",
+    "load.cachedError": "The saved file could not be opened. Please load it again.",
+
+    // Búsqueda global
+    "search.label": "Global search (fuzzy)",
+    "search.placeholder": "Type here to search the selected columns...",
+    "search.syntaxError": "Syntax error (position {position}): {message}. The text will be searched as typed.",
+    "search.syntaxHelp": "Advanced syntax",
+    "search.syntaxColumn": "Country:china — column contains (:= equals, :^ starts with)",
+    "search.syntaxCompare": "\"Value (USD)\">50000 — comparison (> >= < <= = !=)",
+    "search.syntaxPhrase": "\"exact phrase\" · -exclude · a OR b · ( )",
+    "search.syntaxFuse": "^prefix · =exact · 'includes (Fuse operators)",
+    "search.byRelevance": "Sort by search relevance",
+    "search.columns": "Columns included in the fuzzy search",
+
+    // Barra de herramientas y exportación
+    "toolbar.clear": "Clear Filters/Search",
+    "toolbar.visibleColumns": "Visible columns ({visible}/{total})",
+    "toolbar.layoutHint": "In the table: drag ⋮⋮ to move a column, its right edge to resize it and 📌 to pin it to the left.",
+    "toolbar.resetLayout": "Reset table layout",
+    "toolbar.roleMapper": "Column Mapping",
+    "toolbar.entities": "Merge Companies",
+    "toolbar.join": "Join with Table",
+    "toolbar.computed": "Computed Columns",
+    "toolbar.computedCount": "Computed Columns ({count})",
+    "toolbar.audit": "Data Audit",
+    "toolbar.anomalies": "Price Anomalies",
+    "toolbar.comparison": "Compare Periods",
+    "toolbar.pivot": "Pivot Table",
+    "toolbar.downloadCSV": "Download {count} Results (CSV)",
+    "toolbar.exportXLSX": "Export to Excel",
+    "export.options": "Export options",
+    "export.delimiter": "CSV delimiter",
+    "export.delimiterSemicolon": "Semicolon (;) — Excel in Spanish",
+    "export.delimiterComma": "Comma (,)",
+    "export.extraSheets": "Extra sheets in Excel",
+    "export.stats": "Statistics of \"{column}\"",
+    "export.statsNone": "Column statistics (none open)",
+    "export.company": "Analysis of \"{company}\"",
+    "export.companyNone": "Company analysis (none analyzed)",
+    "export.error": "The export file could not be created.",
+    "views.imported": "{count} view(s) imported.",
+    "views.invalidFile": "The file is not a valid views JSON.",
+
+    // Filtros por columna
+    "filter.from": "From",
+    "filter.to": "To",
+    "filter.lastMonth": "Last month",
+    "filter.lastQuarter": "Last quarter",
+    "filter.lastYear": "Last year",
+    "filter.allDates": "All",
+    "filter.min": "Minimum",
+    "filter.max": "Maximum",
+    "filter.invalidNumber": "Not a valid number; the last value is kept.",
+    "filter.contains": "Contains",
+    "filter.equals": "Equals",
+    "filter.textPlaceholder": "Text to search...",
+    "filter.pinnedValues": "Pinned value: {values}",
+    "filter.audit": "Audit: {issue}",
+    "filter.remove": "Remove",
+    "value.empty": "[EMPTY]",
+
+    // Tabla de resultados
+    "results.count": "{total} results out of {rowCount} total rows",
+    "results.updating": "Updating…",
+    "results.companyTitle": "View this company's analysis",
+    "results.rowsLabel": "{name} ({count} rows)",
+    "grid.moveTitle": "Drag to move the column",
+    "grid.sortTitle": "Click to sort; shift + click to add a sort level",
+    "grid.statsTitle": "View column statistics",
+    "grid.pinTitle": "Pin the column to the left",
+    "grid.unpinTitle": "Unpin the column",
+    "grid.hideTitle": "Hide the column",
+    "grid.resizeTitle": "Drag to change the width",
+    "grid.loading": "Loading…",
+    "grid.rowsError": "The rows could not be read.",
+    "anomaly.price": "Unit price",
+    "anomaly.zTitle": "Distance from the group's typical price, in robust deviations",
+    "anomaly.groupTitle": "View the group's price distribution",
+    "anomaly.flagHigh": "High",
+    "anomaly.flagLow": "Low",
+
+    // Editor de orden
+    "sort.summary": "Sort ({count})",
+    "sort.relevanceActive": "Sorting by search relevance is on: this order applies once it is turned off.",
+    "sort.none": "No sorting: rows are shown in file order.",
+    "sort.asc": "Ascending",
+    "sort.desc": "Descending",
+    "sort.blanksTitle": "Empty cells or cells that cannot be interpreted",
+    "sort.blanksLast": "Blanks last",
+    "sort.blanksFirst": "Blanks first",
+    "sort.up": "Raise priority",
+    "sort.down": "Lower priority",
+    "sort.removeLevel": "Remove the level",
+    "sort.addLevel": "+ Add level",
+    "sort.clear": "Clear sorting",
+    "sort.hint": "In the table: click a header to sort by that column; shift + click to add it as the next level.",
+    "sort.describe.asc": "{column} (ascending)",
+    "sort.describe.desc": "{column} (descending)",
+    "sort.describe.ascBlanksFirst": "{column} (ascending, blanks first)",
+    "sort.describe.descBlanksFirst": "{column} (descending, blanks first)",
+
+    // Acerca de
+    "about.title": "About this Tool",
+    "about.author": "(Made by Vadir)",
+    "about.local": "All processing runs in your browser; no data from your file is uploaded to a server.",
+    "about.cache": "The latest loaded files and the current search are saved in this browser (IndexedDB) so they can be reopened without uploading them again; you can delete them from \"Recent files\" and an administrator can encrypt them from \"Users and Security\".",
+    "about.fuzzy": "The global search is fuzzy (typo-tolerant); select the relevant columns for better results.",
+    "about.sort": "Click a column header to sort by it; shift + click adds it as the next sort level (the number next to the arrow shows the priority).",
+    "about.stats": "Press Σ in any column header to see its quick analysis and audit over the currently filtered data.",
+    "about.language": "Change the interface language and the number and date format with the selector in the header.",
+
+    // Panel de estadísticas de columna
+    "stats.title": "Analysis:",
+    "stats.error": "The column statistics could not be calculated.",
+    "stats.analyzing": "Analyzing {count} visible cells.",
+    "stats.blankCells": "{count} empty cells.",
+    "stats.basedOnVisible": "The analysis is based on the currently visible results (with filters and search applied).",
+    "stats.avg": "Average (Mean)",
+    "stats.median": "Median (Middle Value)",
+    "stats.stdDev": "Standard Deviation",
+    "stats.sum": "Total Sum",
+    "stats.min": "Minimum Value",
+    "stats.max": "Maximum Value",
+    "stats.percentiles": "Percentiles",
+    "stats.outliers": "Outliers ({factor} × IQR rule)",
+    "stats.iqr": "Interquartile range: {value}",
+    "stats.below": "{count} below {value}",
+    "stats.above": "{count} above {value}",
+    "stats.nonNumeric": "{count} cells are not numeric and are not included.",
+    "stats.histogram": "Histogram",
+    "stats.bins": "Bins",
+    "stats.binTitle": "Click a bin to filter",
+    "stats.unique": "Unique Values",
+    "stats.topValues": "Most Frequent Values",
+    "stats.top": "Top",
+    "stats.others": "Others ({count} values)",
+    "stats.clickToFilter": "Click to filter",
+    "stats.earliest": "Earliest date",
+    "stats.latest": "Latest date",
+    "stats.invalidDates": "{count} cells could not be read as a date.",
+    "stats.byMonth": "Records per month:",
+    "stats.monthTitle": "Click to filter this month",
+
+    // Análisis de empresa
+    "company.titleFiltered": "Filtered Company Analysis",
+    "company.error": "The company could not be analyzed.",
+    "company.titleGlobal": "Global Company Analysis",
+    "company.filterTable": "Filter table to this company",
+    "company.totalValue": "Total Value (USD)",
+    "company.totalWeight": "Total Weight (KG)",
+    "company.pricePerKg": "Price / KG",
+    "company.shipments": "Shipments",
+    "company.role": "Role",
+    "company.value": "Value",
+    "company.weight": "Weight",
+    "company.weightValue": "{value} KG",
+    "company.asImporter": "As importer",
+    "company.asExporter": "As exporter",
+    "company.monthly": "Monthly trend",
+    "company.noDates": "No shipment has a valid date.",
+    "company.assignDate": "Assign the Date column in Column Mapping to see the trend.",
+    "company.priceDistribution": "Price / KG per shipment",
+    "company.priceMin": "Min.",
+    "company.priceMedian": "Median",
+    "company.priceMax": "Max.",
+    "company.priceCount": "{count} shipments with value and weight.",
+    "company.noPrices": "No shipment has both value and weight.",
+    "company.topCounterparties": "Top counterparties",
+    "company.topProducts": "Top products",
+    "company.topOrigins": "Top origins",
+    "company.topPorts": "Top ports",
+    "company.roleImporterExporter": "Importer and Exporter",
+    "company.roleProduct": "Product",
+    "company.roleCountry": "Country",
+    "company.rolePort": "Port / Customs",
+    "company.missingRole": "Assign {role} in Column Mapping to see this ranking.",
+    "company.rankedEntry": "{value} · {count} shipments",
+    "company.noData": "No data.",
+    "company.latestShipments": "(the {shown} most recent of {total})",
+    "company.date": "Date",
+    "company.counterparty": "Counterparty",
+    "company.directionImport": "Imports",
+    "company.directionExport": "Exports",
+    "company.directionBoth": "Both",
+    "company.scope": "This analysis is {scope}.",
+    "company.scopeFiltered": "FILTERED",
+    "company.scopeGlobal": "GLOBAL",
+    "company.scopeFilteredNote": "It reflects only the rows visible in the main table (with filters and search applied).",
+    "company.scopeGlobalNote": "It reflects 100% of the loaded data.",
+
+    // Usuarios y seguridad
+    "accessAdmin.intro": "Users and their passphrases are stored only in this browser. For each passphrase only a verifier (salted PBKDF2) is stored, never the passphrase itself.",
+    "accessAdmin.role": "Role",
+    "accessAdmin.created": "Created",
+    "accessAdmin.status": "Status",
+    "accessAdmin.you": "(you)",
+    "accessAdmin.lockedUntil": "Locked until {time}",
+    "accessAdmin.unlock": "Unlock",
+    "accessAdmin.failedAttempts": "{count} failed attempt(s)",
+    "accessAdmin.active": "Active",
+    "accessAdmin.revoke": "Revoke",
+    "accessAdmin.confirmRevoke": "Revoke the access of \"{name}\"?",
+    "accessAdmin.revoked": "Access of \"{name}\" revoked.",
+    "accessAdmin.passphrase": "Passphrase (min. {min} characters)",
+    "accessAdmin.replace": "Replace passphrase",
+    "accessAdmin.add": "Add user",
+    "accessAdmin.replaced": "Passphrase of \"{name}\" replaced.",
+    "accessAdmin.added": "User \"{name}\" added.",
+    "accessAdmin.sessionTitle": "Session and lockout",
+    "accessAdmin.idle": "Sign out after {minutes} min of inactivity",
+    "accessAdmin.lockout": "After {attempts} failed attempts, lock for {minutes} min",
+    "accessAdmin.cacheTitle": "Files saved in this browser",
+    "accessAdmin.encryptCache": "Encrypt the recent files (AES-GCM with a key that only a user's passphrase can open)",
+    "accessAdmin.encryptCacheNote": "Changing this option converts the files already saved. File names and row counts stay unencrypted so they can be listed. While it is on, the last session (search and filters), the company aliases and the view in the URL are not saved; views saved by hand stay unencrypted.",
+    "accessAdmin.encryptionOn": "Encryption enabled: {count} saved dataset(s) converted.",
+    "accessAdmin.encryptionOff": "Encryption disabled: {count} saved dataset(s) converted.",
+    "accessAdmin.processing": "Processing…",
+
+    // Precios anómalos
+    "anomalies.title": "Unit price anomalies",
+    "anomalies.onlyFlagged": "Show anomalies only",
+    "anomalies.intro": "Compares the unit price (value / weight) of each row with the rows of the same group in the current results. The group reference is the median and a robust spread, and each row gets a z-score: rows above the threshold in absolute value are flagged.",
+    "anomalies.chooseColumn": "Choose a column…",
+    "anomalies.groupBy": "Group by",
+    "anomalies.value": "Value",
+    "anomalies.weight": "Weight / quantity",
+    "anomalies.method": "Spread",
+    "anomalies.methodMad": "MAD (median absolute deviation)",
+    "anomalies.methodIqr": "IQR (interquartile range)",
+    "anomalies.threshold": "|z| threshold",
+    "anomalies.minGroupSize": "Minimum rows per group",
+    "anomalies.missingColumns": "Choose the group, value and weight columns to calculate the prices.",
+    "anomalies.summary": "{flagged} rows flagged ({high} with a high price, {low} with a low price) out of {scored} scored in {groups} groups.",
+    "anomalies.smallGroups": "{count} groups are too small to compare.",
+    "anomalies.unpriced": "{count} rows have no valid group, value or weight.",
+    "anomalyGroup.title": "Price against its group",
+    "anomalyGroup.rowPrice": "Row price",
+    "anomalyGroup.z": "z-score",
+    "anomalyGroup.flag": "Flag",
+    "anomalyGroup.priceHigh": "High price",
+    "anomalyGroup.priceLow": "Low price",
+    "anomalyGroup.normal": "Within the normal range",
+    "anomalyGroup.tooSmall": "The group has too few rows to compare them.",
+    "anomalyGroup.rows": "Rows in the group",
+    "anomalyGroup.median": "Median",
+    "anomalyGroup.spread": "Robust spread",
+    "anomalyGroup.minMax": "Minimum – maximum",
+    "anomalyGroup.normalRange": "Normal range",
+    "anomalyGroup.legend": "Dark red marks this row's bin; light red, the prices outside the normal range.",
+    "anomalyGroup.filter": "Filter the table to this group",
+
+    // Comunes
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+
+    // Mapeo de columnas
+    "roleMapper.intro": "Choose the column that plays each role. The company analysis and the statistics use this mapping, and it is remembered for files with the same headers.",
+    "roleMapper.none": "— None —",
+    "roleMapper.example": "Example: {value}",
+    "roleMapper.save": "Save mapping",
+    "columnRole.importer": "Importer (consignee)",
+    "columnRole.exporter": "Exporter (shipper)",
+    "columnRole.value": "Value (USD)",
+    "columnRole.weight": "Weight (KG)",
+    "columnRole.date": "Date",
+    "columnRole.product": "Product / Heading (HS)",
+    "columnRole.country": "Country",
+    "columnRole.port": "Port / Customs",
+
+    // Filtro por valores
+    "facet.values": "Values ({count})",
+    "facet.selected": "{count} selected",
+    "facet.excluded": "{count} excluded",
+    "facet.search": "Search value...",
+    "facet.include": "Include",
+    "facet.exclude": "Exclude",
+    "facet.noMatches": "No matches.",
+    "facet.clear": "Clear selection",
+
+    // Archivos recientes
+    "recent.title": "Recent files ({count})",
+    "recent.encrypted": "Saved encrypted",
+    "recent.details": "{rows} rows · ~{size} · {date}",
+    "recent.delete": "Delete from this browser",
+    "recent.storage": "Space used in this browser: {usage}.",
+    "recent.storageOfQuota": "Space used in this browser: {usage} of {quota}.",
+    "recent.localOnly": "The data is stored only here; it is never uploaded to a server.",
+
+    // Vistas guardadas
+    "views.title": "Saved Views ({count})",
+    "views.namePlaceholder": "Name of the current view...",
+    "views.save": "Save",
+    "views.confirmReplace": "A view named \"{name}\" already exists. Replace it?",
+    "views.exists": "A view named \"{name}\" already exists.",
+    "views.empty": "Save the current combination of filters, search, columns and sort to apply it again with one click.",
+    "views.apply": "Apply view",
+    "views.rename": "Rename",
+    "views.delete": "Delete view",
+    "views.copyLink": "Copy a link to the current view",
+    "views.linkCopied": "Link copied!",
+    "views.copyPrompt": "Copy the link to this view:",
+    "views.export": "Export JSON",
+    "views.import": "Import JSON",
+    "views.linkNote": "The link opens this same view when the same file is loaded.",
+
+    // Vista previa de importación
+    "importPreview.title": "Import {file}",
+    "importPreview.intro": "Check how the file will be read before loading it. Rows above the header are skipped; untick the columns you do not want to load.",
+    "importPreview.sheet": "Sheet",
+    "importPreview.encoding": "Encoding",
+    "importPreview.delimiter": "Delimiter",
+    "importPreview.delimiterComma": "Comma (,)",
+    "importPreview.delimiterSemicolon": "Semicolon (;)",
+    "importPreview.delimiterTab": "Tab",
+    "importPreview.delimiterPipe": "Vertical bar (|)",
+    "importPreview.headerRow": "Header row (detected: {row})",
+    "importPreview.skipBottom": "Skip trailing rows",
+    "importPreview.summary": "{rows} rows and {selected} of {total} columns will be loaded.",
+    "importPreview.partial": "(Preview of the first {shown} of {total} rows.)",
+    "importPreview.import": "Import",
+
+    // Columnas calculadas
+    "computed.title": "Computed columns",
+    "computed.intro": "Each row calculates its value with a formula. The new columns can be searched, filtered, sorted and exported like the others, and are kept with the session for the next files.",
+    "computed.nameExists": "A column named \"{name}\" already exists.",
+    "computed.edit": "Edit",
+    "computed.delete": "Delete column",
+    "computed.notApplied": "Not applied to this file: {message}",
+    "computed.editing": "Edit \"{name}\"",
+    "computed.new": "New column",
+    "computed.namePlaceholder": "Column name...",
+    "computed.insertColumn": "Insert column…",
+    "computed.position": "(position {position})",
+    "computed.firstRows": "First rows:",
+    "computed.cancelEdit": "Cancel editing",
+    "computed.test": "Try",
+    "computed.saveChanges": "Save changes",
+    "computed.add": "Add column",
+    "computed.help": "Formula help",
+    "computed.helpSyntax": "Columns in square brackets: {column}. Text in double quotes: {text}.",
+    "computed.helpOperators": "Operators: {arithmetic}, {join} to join text and {compare} to compare.",
+    "computed.helpBlanks": "A blank or non-numeric cell gives a blank result in calculations; so does dividing by zero.",
+    "computed.examples": "Examples",
+    "computed.examplePricePerKg": "Price / KG",
+    "computed.examplePricePerKgFormula": "[Valor (USD)] / [Peso (KG)]",
+    "computed.exampleYearMonth": "Year-month",
+    "computed.exampleYearMonthFormula": "YEARMONTH([Fecha])",
+    "computed.exampleChapter": "Chapter",
+    "computed.exampleChapterFormula": "LEFT([Partida]; 4)",
+    "computed.exampleValueBand": "Value band",
+    "computed.exampleValueBandFormula": "BUCKET([Valor (USD)]; 1000; 10000; 100000)",
+    "computed.exampleSize": "Size",
+    "computed.exampleSizeFormula": "IF([Valor (USD)] > 50000; \"Large\"; \"Small\")",
+
+    // Funciones de las fórmulas
+    "formula.fn.if": "IF(condition; if true; if false)",
+    "formula.fn.and": "AND(condition; condition; …)",
+    "formula.fn.or": "OR(condition; condition; …)",
+    "formula.fn.not": "NOT(condition)",
+    "formula.fn.isblank": "ISBLANK(value)",
+    "formula.fn.ifblank": "IFBLANK(value; fallback)",
+    "formula.fn.round": "ROUND(number; decimals)",
+    "formula.fn.abs": "ABS(number)",
+    "formula.fn.min": "MIN(number; number; …)",
+    "formula.fn.max": "MAX(number; number; …)",
+    "formula.fn.number": "NUMBER(text) — accepts a decimal comma",
+    "formula.fn.bucket": "BUCKET(number; limit; limit; …)",
+    "formula.fn.text": "TEXT(value)",
+    "formula.fn.len": "LEN(text)",
+    "formula.fn.left": "LEFT(text; characters)",
+    "formula.fn.right": "RIGHT(text; characters)",
+    "formula.fn.mid": "MID(text; position from 1; characters)",
+    "formula.fn.upper": "UPPER(text)",
+    "formula.fn.lower": "LOWER(text)",
+    "formula.fn.trim": "TRIM(text) — removes extra spaces",
+    "formula.fn.concat": "CONCAT(text; text; …)",
+    "formula.fn.contains": "CONTAINS(text; searched) — case-insensitive",
+    "formula.fn.replace": "REPLACE(text; searched; replacement)",
+    "formula.fn.year": "YEAR(date)",
+    "formula.fn.month": "MONTH(date)",
+    "formula.fn.day": "DAY(date)",
+    "formula.fn.quarter": "QUARTER(date)",
+    "formula.fn.weekday": "WEEKDAY(date) — 1 = Monday … 7 = Sunday",
+    "formula.fn.yearmonth": "YEARMONTH(date) — yyyy-mm",
+    "formula.fn.date": "DATE(year; month; day) — yyyy-mm-dd",
+    "formula.fn.days": "DAYS(end date; start date)",
+
+    // Auditoría de datos
+    "progress.stage": "{stage}… {percent}%",
+    "audit.title": "Data quality audit",
+    "audit.intro": "Checks every row of the loaded sheet (without filters). Click a count to filter the table to exactly those rows; the filter shows up in its column and can be removed there.",
+    "audit.running": "Auditing…",
+    "audit.summary": "{sheet} · {rows} rows · {columns} columns",
+    "audit.export": "Export report (Excel)",
+    "audit.column": "Column",
+    "audit.type": "Type",
+    "audit.blank": "Blank",
+    "audit.mixed": "Mixed type",
+    "audit.mixedTitle": "Non-blank cells of a type other than the majority",
+    "audit.invalid": "Invalid",
+    "audit.invalidTitle": "Cells that are not a number or date in a numeric or date column",
+    "audit.whitespace": "Spaces",
+    "audit.whitespaceTitle": "Leading or trailing spaces",
+    "audit.casing": "Casing",
+    "audit.casingTitle": "Cells of values written with different casing",
+    "audit.kind.number": "number",
+    "audit.kind.date": "date",
+    "audit.kind.text": "text",
+    "audit.issue.blank": "blank cells",
+    "audit.issue.whitespace": "leading or trailing spaces",
+    "audit.issue.invalid": "values that do not fit the column type",
+    "audit.issue.mixed": "cells that are not of type {kind}",
+    "audit.issue.casing": "inconsistent capitalization",
+    "audit.issue.duplicate": "duplicates by {keys}",
+    "audit.issue.nearDuplicate": "near duplicates by {keys}",
+    "audit.majority": "(majority: {kind})",
+    "audit.majorityTitle": "Majority type over all rows; the automatic detection only uses the first ones",
+    "audit.showBlank": "Show blank rows",
+    "audit.showMixed": "Show cells that are not of type {kind}",
+    "audit.showInvalid": "Show invalid cells",
+    "audit.showWhitespace": "Show cells with extra spaces",
+    "audit.casingGroups": "({count} values)",
+    "audit.duplicates": "Duplicate rows",
+    "audit.duplicatesIntro": "Choose the columns that identify a row. Near duplicates are keys that differ only in casing, accents, spaces or punctuation.",
+    "audit.searching": "Searching…",
+    "audit.findDuplicates": "Find duplicates",
+    "audit.duplicatesError": "The duplicates could not be searched.",
+    "audit.exact": "Exact duplicates",
+    "audit.near": "Near duplicates",
+    "audit.none": "None.",
+    "audit.duplicateSummary": "{groups} groups · {rows} rows ({extra} extra)",
+    "audit.showRows": "Show rows",
+
+    // Unificar empresas
+    "entities.intro": "Variants of the same name in {columns}, grouped ignoring casing, punctuation and legal forms (S.A., Inc., Ltd., …). Once a group is accepted, the table, the facets, the company analysis and the exports use the canonical name. The aliases are stored in this browser and apply to any file.",
+    "entities.missingColumns": "Assign the Importer and/or Exporter columns in the Column Mapping.",
+    "entities.searching": "Looking for variants…",
+    "entities.search": "Search company...",
+    "entities.showResolved": "Show accepted",
+    "entities.merge": "Merge selected ({count})",
+    "entities.acceptAll": "Accept all ({count})",
+    "entities.nonePending": "No groups pending.",
+    "entities.selectToMerge": "Select to merge",
+    "entities.canonical": "Canonical name",
+    "entities.accepted": "Accepted",
+    "entities.accept": "Accept",
+    "entities.split": "Split from the group",
+    "entities.truncated": "Showing {shown} of {total} groups; use the search box to see the rest.",
+    "entities.saved": "Saved aliases ({count})",
+    "entities.undo": "Undo",
+
+    // Cruzar con tabla
+    "join.title": "Join with a lookup table",
+    "join.intro": "Adds to each row columns from another sheet or file (tariff codes, countries, customers…) whose key matches, ignoring casing and spaces. Rows without a match get those columns blank. The added columns can be filtered, searched and exported like the others.",
+    "join.loading": "Loading sheets…",
+    "join.lookupTable": "Lookup table",
+    "join.chooseSheet": "Choose a sheet…",
+    "join.loadFile": "Load another file…",
+    "join.fileError": "The file could not be read.",
+    "join.error": "The tables could not be joined.",
+    "join.key": "Key in the loaded data",
+    "join.lookupKey": "Key in the lookup table",
+    "join.columns": "Columns to add",
+    "join.running": "Joining…",
+    "join.run": "Add {count} column(s)",
+    "join.added": "Added columns: {columns}",
+    "join.matched": "Rows with a match: {count}",
+    "join.unmatched": "Rows without a match: {count} ({keys} distinct keys)",
+    "join.emptyKeys": "Rows without a key: {count}",
+    "join.duplicateKeys": "Repeated keys in the lookup table: {count} (the first occurrence was used)",
+    "join.unmatchedKeys": "Keys without a match",
+    "join.unmatchedKeysTop": "Keys without a match (the {count} most frequent)",
+
+    // Combinar archivos
+    "merge.title": "Merge files and sheets",
+    "merge.appendTitle": "Add files to the loaded data",
+    "merge.intro": "Columns are aligned by name. Each row carries in the \"{column}\" column the file and sheet it comes from, so you can filter by source.",
+    "merge.keepsCriteria": "The current filters and search are kept.",
+    "merge.sheets": "Sheets to include",
+    "merge.sheetSize": "({rows} rows, {columns} columns)",
+    "merge.mismatches": "Columns that do not match",
+    "merge.mismatchesLoaded": "Map them to a column of the loaded data, keep them as a new column or drop them.",
+    "merge.mismatchesSheet": "Map them to a column of \"{sheet}\", keep them as a new column or drop them.",
+    "merge.newColumn": "(new column)",
+    "merge.drop": "(drop)",
+    "merge.dedupe": "Remove duplicates",
+    "merge.dedupeKey": "Remove duplicates (key: {key})",
+    "merge.dedupeHelp": "The first row of each key is kept; with no columns ticked nothing is removed.",
+    "merge.append": "Add {count} sheet(s)",
+    "merge.run": "Merge {count} sheet(s)",
+
+    // Tabla dinámica
+    "pivot.op.count": "Row count",
+    "pivot.op.sum": "Sum",
+    "pivot.op.avg": "Average",
+    "pivot.op.min": "Minimum",
+    "pivot.op.max": "Maximum",
+    "pivot.op.distinct": "Distinct values",
+    "pivot.op.ratio": "Value / Weight",
+    "pivot.measureOf": "{measure} of {column}",
+    "pivot.subtotal": "Subtotal",
+    "pivot.subtotalOf": "Subtotal {group}",
+    "pivot.total": "Grand total",
+    "pivot.export": "Export Pivot Table",
+    "pivot.groupBy": "Group by",
+    "pivot.noSecondDimension": "— No second dimension —",
+    "pivot.datesByMonth": "Date columns are grouped by month.",
+    "pivot.measures": "Measures",
+    "pivot.column": "— Column —",
+    "pivot.removeMeasure": "Remove measure",
+    "pivot.addMeasure": "+ Add measure",
+    "pivot.ratioHint": "Assign the Value and Weight columns in the Column Mapping to use Value / Weight.",
+    "pivot.percentOfTotal": "% of total",
+    "pivot.percent": "{value}%",
+    "pivot.drillDown": "Filter the table to this group",
+    "pivot.groups": "{count} groups",
+    "pivot.renderLimit": "(showing the first {count}; the export includes them all)",
+    "pivot.computing": "Computing…",
+    "pivot.drillDownHint": "Click a value to filter the table to that group.",
+
+    // Comparar periodos
+    "compare.status.new": "New",
+    "compare.status.gone": "Gone",
+    "compare.status.both": "In both",
+    "compare.rowStatus.added": "Added",
+    "compare.rowStatus.removed": "Removed",
+    "compare.rowStatus.changed": "Changed",
+    "compare.col.status": "Status",
+    "compare.col.countA": "Shipments A",
+    "compare.col.countB": "Shipments B",
+    "compare.col.countAB": "Shipments A → B",
+    "compare.col.valueA": "Value A",
+    "compare.col.valueB": "Value B",
+    "compare.col.delta": "Change",
+    "compare.col.valueDelta": "Value change",
+    "compare.col.valuePct": "Value change %",
+    "compare.col.weightA": "Weight A",
+    "compare.col.weightB": "Weight B",
+    "compare.col.weightDelta": "Weight change",
+    "compare.col.weightPct": "Weight change %",
+    "compare.col.weightPctShort": "% weight",
+    "compare.company": "Company",
+    "compare.companies": "Companies",
+    "compare.shipments": "Shipments",
+    "compare.value": "Value",
+    "compare.weight": "Weight",
+    "compare.baseError": "Period A could not be set.",
+    "compare.exportCSV": "Export Table (CSV)",
+    "compare.exportReport": "Export Report (Excel)",
+    "compare.periodA": "Period A",
+    "compare.periodB": "Period B",
+    "compare.change": "Change",
+    "compare.baseName": "Name of period A...",
+    "compare.fixResults": "Pin current results",
+    "compare.useRecent": "Or use a recent file…",
+    "compare.useAsBase": "Use as period A",
+    "compare.baseHelp": "Pin the previous month (or any filtered slice) as period A; then change the filters or load another file: period B is always the current result.",
+    "compare.currentResults": "Current results: {label}",
+    "compare.dimension": "Also compare by",
+    "compare.noDimension": "— No dimension —",
+    "compare.rowKey": "Row-by-row differences by key",
+    "compare.noRowKey": "— Do not compare rows —",
+    "compare.valueHint": "Assign the Value column (and the Weight one) in the Column Mapping to compare amounts.",
+    "compare.running": "Comparing…",
+    "compare.companiesSummary": "{added} new companies and {gone} gone out of {total} in total.",
+    "compare.allStatuses": "All",
+    "compare.companiesHint": "Assign the importer or exporter columns in the Column Mapping to compare companies.",
+    "compare.dimensionHint": "Choose a dimension present in both periods.",
+    "compare.moversUp": "Largest increases",
+    "compare.moversDown": "Largest decreases",
+    "compare.renderLimit": "Showing {shown} of {total} entries; the export includes them all.",
+    "compare.rowDiffTitle": "Row-by-row differences by {key}",
+    "compare.rowDiffSummary": "{added} added · {removed} removed · {changed} changed · {unchanged} unchanged",
+    "compare.rowDiffEmptyKeys": "{count} rows without a key",
+    "compare.rowDiffDuplicates": "{count} repeated keys (the first row is compared)",
+    "compare.rowDiffLimit": "Showing the first {count} differences; the Excel report includes them all.",
+
+    // Errores de las fórmulas y de la búsqueda
+    "formula.error.empty": "Empty formula",
+    "formula.error.unclosedQuote": "Unclosed quotes",
+    "formula.error.unclosedBracket": "Unclosed bracket",
+    "formula.error.unexpectedChar": "Unexpected character: \"{char}\"",
+    "formula.error.incomplete": "Incomplete formula",
+    "formula.error.unknownColumn": "Unknown column: [{column}]",
+    "formula.error.unknownName": "Unknown name: \"{name}\".",
+    "formula.error.unbracketedColumn": "Unknown name: \"{name}\". Columns go between brackets: [{name}]",
+    "formula.error.unknownFunction": "Unknown function: {name}",
+    "formula.error.missingParen": "Missing \")\" in {name}(",
+    "formula.error.argCount": "{name} expects {min} argument(s)",
+    "formula.error.argCountAtLeast": "{name} expects at least {min} argument(s)",
+    "formula.error.argCountBetween": "{name} expects between {min} and {max} argument(s)",
+    "formula.error.unclosedParen": "Unclosed parenthesis",
+    "formula.error.valueExpected": "A value was expected",
+    "formula.error.unexpectedParen": "Unexpected closing parenthesis",
+    "formula.error.operatorExpected": "An operator was expected",
+    "formula.error.missingName": "The column name is missing",
+    "formula.error.duplicateName": "A column \"{name}\" already exists",
+    "query.error.unclosedQuote": "Unclosed quotes",
+    "query.error.unknownColumn": "Unknown column: \"{column}\"",
+    "query.error.missingValue": "Missing value after \"{after}\"",
+    "query.error.numberExpected": "A number or a date was expected after \"{op}\"",
+    "query.error.emptyPhrase": "Empty phrase",
+    "query.error.missingText": "Missing text after \"{prefix}\"",
+    "query.error.missingOrOperand": "Missing condition after OR",
+    "query.error.conditionExpected": "A condition was expected",
+    "query.error.incomplete": "Incomplete query",
+    "query.error.missingExclusion": "Missing term to exclude after \"-\"",
+    "query.error.unclosedParen": "Unclosed parenthesis",
+    "query.error.unexpectedParen": "Unexpected closing parenthesis",
+
+    // Etapas y errores del motor
+    "stage.searching": "Searching",
+    "stage.filtering": "Filtering",
+    "stage.sorting": "Sorting",
+    "stage.anomalies": "Analyzing prices",
+    "stage.convertingRows": "Converting rows",
+    "stage.detectingTypes": "Detecting column types",
+    "stage.readingFile": "Reading file",
+    "stage.parsingWorkbook": "Parsing workbook",
+    "stage.readingNamed": "Reading {name}",
+    "stage.convertingNamed": "Converting {name}",
+    "stage.merging": "Merging",
+    "stage.readingLookup": "Reading lookup table",
+    "stage.joining": "Joining",
+    "stage.openingCached": "Opening from the cache",
+    "stage.auditing": "Auditing columns",
+    "stage.applyingAliases": "Applying aliases and computed columns",
+    "engine.error.missingSheet": "The sheet \"{sheet}\" does not exist in the workbook.",
+    "worker.error.noSession": "There is no session with a data key.",
+    "worker.error.noPendingImport": "There is no file waiting to be imported.",
+    "worker.error.lookupSheet": "The sheet \"{sheet}\" is not available.",
+    "worker.error.notCached": "\"{id}\" is no longer in the cache.",
+    "worker.sheet.combined": "Combined ({count} sources)",
+    "cache.error.encrypted": "\"{id}\" is encrypted: sign in to open it.",
+    "views.warning.filter": "The filter on \"{column}\" was ignored: the column does not exist in this file.",
+    "views.warning.sort": "The sort by \"{column}\" was ignored: the column does not exist in this file.",
+    "views.error.notAList": "The file does not contain a list of views.",
+
+    // Exportación a Excel
+    "xlsx.sheet.results": "Results",
+    "xlsx.sheet.criteria": "Criteria",
+    "xlsx.sheet.stats": "Statistics",
+    "xlsx.sheet.company": "Company",
+    "xlsx.sheet.columns": "Columns",
+    "xlsx.sheet.duplicates": "Duplicates",
+    "xlsx.sheet.summary": "Summary",
+    "xlsx.sheet.companies": "Companies",
+    "xlsx.sheet.dimension": "Dimension",
+    "xlsx.sheet.rowDiff": "Row differences",
+    "xlsx.filter.from": "from {value}",
+    "xlsx.filter.to": "to {value}",
+    "xlsx.filter.equals": "equal to \"{value}\"",
+    "xlsx.filter.contains": "contains \"{value}\"",
+    "xlsx.filter.exclude": "excludes: {values}",
+    "xlsx.filter.only": "only: {values}",
+    "xlsx.filter.issue": "audit: {issue}",
+    "xlsx.generatedAt": "Generated on",
+    "xlsx.criteria.header": "Criterion",
+    "xlsx.criteria.value": "Value",
+    "xlsx.criteria.exportedAt": "Exported on",
+    "xlsx.criteria.sheet": "Source sheet",
+    "xlsx.criteria.exportedRows": "Exported rows",
+    "xlsx.criteria.totalRows": "Total rows",
+    "xlsx.criteria.query": "Global search",
+    "xlsx.criteria.noQuery": "(none)",
+    "xlsx.criteria.searchColumns": "Search columns",
+    "xlsx.criteria.sort": "Sort order",
+    "xlsx.criteria.originalOrder": "Original order",
+    "xlsx.criteria.relevance": "Search relevance",
+    "xlsx.criteria.filters": "Column filters",
+    "xlsx.criteria.noFilters": "(none)",
+    "xlsx.stats.column": "Column",
+    "xlsx.stats.records": "Records",
+    "xlsx.stats.blank": "Empty cells",
+    "xlsx.stats.earliest": "Earliest date",
+    "xlsx.stats.latest": "Latest date",
+    "xlsx.stats.invalidDates": "Unreadable cells",
+    "xlsx.stats.month": "Month",
+    "xlsx.stats.nonNumeric": "Non-numeric cells",
+    "xlsx.stats.sum": "Sum",
+    "xlsx.stats.avg": "Average",
+    "xlsx.stats.stdDev": "Standard deviation",
+    "xlsx.stats.median": "Median",
+    "xlsx.stats.min": "Minimum",
+    "xlsx.stats.max": "Maximum",
+    "xlsx.stats.iqr": "Interquartile range",
+    "xlsx.stats.lowOutliers": "Low outliers (< P25 - 1.5 IQR)",
+    "xlsx.stats.highOutliers": "High outliers (> P75 + 1.5 IQR)",
+    "xlsx.stats.from": "From",
+    "xlsx.stats.to": "To",
+    "xlsx.stats.unique": "Unique values",
+    "xlsx.stats.value": "Value",
+    "xlsx.stats.frequency": "Frequency",
+    "xlsx.stats.others": "(others)",
+    "xlsx.company.company": "Company",
+    "xlsx.company.scope": "Scope",
+    "xlsx.company.scopeFiltered": "Filtered rows",
+    "xlsx.company.scopeAll": "All data",
+    "xlsx.company.shipments": "Shipments",
+    "xlsx.company.value": "Value (USD)",
+    "xlsx.company.weight": "Weight (KG)",
+    "xlsx.company.totalValue": "Total value (USD)",
+    "xlsx.company.totalWeight": "Total weight (KG)",
+    "xlsx.company.pricePerKg": "Price / KG",
+    "xlsx.company.role": "Role",
+    "xlsx.company.asImporter": "As importer",
+    "xlsx.company.asExporter": "As exporter",
+    "xlsx.company.month": "Month",
+    "xlsx.company.counterparty": "Counterparty",
+    "xlsx.company.product": "Product",
+    "xlsx.company.origin": "Origin",
+    "xlsx.company.port": "Port",
+    "xlsx.audit.sheet": "Sheet",
+    "xlsx.audit.rows": "Rows checked",
+    "xlsx.audit.column": "Column",
+    "xlsx.audit.declaredType": "Type used",
+    "xlsx.audit.inferredType": "Majority type",
+    "xlsx.audit.numbers": "Numbers",
+    "xlsx.audit.dates": "Dates",
+    "xlsx.audit.texts": "Texts",
+    "xlsx.audit.blank": "Empty",
+    "xlsx.audit.mixed": "Type other than the majority",
+    "xlsx.audit.invalid": "Do not fit the type used",
+    "xlsx.audit.whitespace": "Extra spaces",
+    "xlsx.audit.casingGroups": "Values with inconsistent casing",
+    "xlsx.audit.casingCount": "Cells affected by casing",
+    "xlsx.audit.casingExamples": "Casing examples",
+    "xlsx.audit.emptyColumn": "(empty)",
+    "xlsx.audit.key": "Key",
+    "xlsx.audit.groups": "{count} groups",
+    "xlsx.audit.rowCount": "{count} rows",
+    "xlsx.audit.extra": "{count} extra",
+    "xlsx.compare.newCompanies": "New companies",
+    "xlsx.compare.goneCompanies": "Companies gone",
+    "xlsx.compare.rowKey": "Row key",
+    "xlsx.compare.added": "Rows added",
+    "xlsx.compare.removed": "Rows removed",
+    "xlsx.compare.changed": "Rows changed",
+    "xlsx.compare.unchanged": "Unchanged rows",
+    "xlsx.compare.emptyKey": "Rows without a key",
+    "xlsx.compare.duplicateKeys": "Repeated keys",
+    "xlsx.compare.change": "Change",
+    "xlsx.compare.column": "Column",
+};
+
+export default en;
@@ -0,0 +1,795 @@
+// --- Catálogo de mensajes: español (idioma por defecto) ---
+// Claves planas agrupadas por pantalla; `{parámetro}` se sustituye al traducir.
+
+const es = {
+    // Idioma y acceso
+    "language.label": "Idioma",
+    "role.admin": "Administrador",
+    "role.user": "Usuario",
+    "access.setupTitle": "Configurar Acceso",
+    "access.loginTitle": "Acceso Restringido",
+    "access.noCrypto": "Este navegador no permite el cifrado necesario para el acceso. Abre la aplicación desde https o localhost.",
+    "access.setupIntro": "Crea el administrador de este navegador. El código debe tener al menos {min} caracteres y no se puede recuperar.",
+    "access.loginIntro": "Introduce tu usuario y tu código para acceder al Buscador de Datos.",
+    "access.user": "Usuario",
+    "access.passphrase": "Código",
+    "access.repeatPassphrase": "Repite el código",
+    "access.mismatch": "Los códigos no coinciden.",
+    "access.checking": "Comprobando…",
+    "access.createAdmin": "Crear administrador",
+    "access.login": "Acceder",
+    "access.error.nameRequired": "Indica un nombre de usuario.",
+    "access.error.passphraseTooShort": "El código debe tener al menos {min} caracteres.",
+    "access.error.invalidCredentials": "Usuario o código incorrecto.",
+    "access.error.locked": "Demasiados intentos fallidos. Vuelve a intentarlo en {minutes} min.",
+    "access.error.lockedOut": "Demasiados intentos fallidos. El usuario queda bloqueado {minutes} min.",
+    "access.error.adminOnly": "Solo un administrador puede gestionar los usuarios.",
+    "access.error.lastAdmin": "Debe quedar al menos un administrador.",
+    "access.error.signInAgain": "Vuelve a acceder para gestionar los usuarios.",
+    "access.error.revokeSelf": "No puedes revocar tu propio acceso.",
+    "access.error.decrypt": "No se pudieron descifrar los datos guardados: la clave no corresponde.",
+
+    // Cabecera
+    "app.title": "Buscador de Excel en tu Navegador",
+    "app.subtitle": "Sube un archivo, busca con coincidencia difusa, filtra, ordena y exporta. Todo localmente.",
+    "app.user": "{name} ({role})",
+    "app.accessAdmin": "Usuarios y Seguridad",
+    "app.logout": "Cerrar sesión",
+
+    // Carga de archivos
+    "load.fileLabel": "Archivo (.xlsx o .csv)",
+    "load.dropPrompt": "Arrastra tu archivo aquí (o varios, para combinarlos) o",
+    "load.selectFiles": "Seleccionar archivos",
+    "load.append": "Añadir archivos a los datos cargados…",
+    "load.activeSheet": "Hoja activa:",
+    "load.updatingPreview": "Actualizando vista previa",
+    "load.fileError": "Error al procesar el archivo. Asegúrate de que sea un archivo .xlsx, .xls o .csv válido.",
+    "load.filesError": "Error al procesar los archivos. Asegúrate de que sean archivos .xlsx, .xls o .csv válidos.",
+    "load.mergeError": "Error al combinar los archivos.",
+    "load.duplicatesRemoved": "Se eliminaron {count} filas duplicadas.",
+    "load.cachedError": "No se pudo abrir el archivo guardado. Vuelve a cargarlo.",
+
+    // Búsqueda global
+    "search.label": "Búsqueda global (difusa)",
+    "search.placeholder": "Escribe aquí para buscar en las columnas seleccionadas...",
+    "search.syntaxError": "Error de sintaxis (posición {position}): {message}. Se buscará el texto tal cual.",
+    "search.syntaxHelp": "Sintaxis avanzada",
+    "search.syntaxColumn": "Pais:china — la columna contiene (:= igual a, :^ empieza por)",
+    "search.syntaxCompare": "\"Valor (USD)\">50000 — comparación (> >= < <= = !=)",
+    "search.syntaxPhrase": "\"frase exacta\" · -excluir · a OR b · ( )",
+    "search.syntaxFuse": "^prefijo · =exacto · 'incluye (operadores de Fuse)",
+    "search.byRelevance": "Ordenar por relevancia de la búsqueda",
+    "search.columns": "Columnas incluidas en la búsqueda difusa",
+
+    // Barra de herramientas y exportación
+    "toolbar.clear": "Limpiar Filtros/Búsqueda",
+    "toolbar.visibleColumns": "Columnas visibles ({visible}/{total})",
+    "toolbar.layoutHint": "En la tabla: arrastra ⋮⋮ para mover una columna, su borde derecho para cambiar el ancho y 📌 para fijarla a la izquierda.",
+    "toolbar.resetLayout": "Restablecer diseño de la tabla",
+    "toolbar.roleMapper": "Mapeo de Columnas",
+    "toolbar.entities": "Unificar Empresas",
+    "toolbar.join": "Cruzar con Tabla",
+    "toolbar.computed": "Columnas Calculadas",
+    "toolbar.computedCount": "Columnas Calculadas ({count})",
+    "toolbar.audit": "Auditoría de Datos",
+    "toolbar.anomalies": "Precios Anómalos",
+    "toolbar.comparison": "Comparar Periodos",
+    "toolbar.pivot": "Tabla Dinámica",
+    "toolbar.downloadCSV": "Descargar {count} Resultados (CSV)",
+    "toolbar.exportXLSX": "Exportar a Excel",
+    "export.options": "Opciones de exportación",
+    "export.delimiter": "Separador CSV",
+    "export.delimiterSemicolon": "Punto y coma (;) — Excel en español",
+    "export.delimiterComma": "Coma (,)",
+    "export.extraSheets": "Hojas adicionales en Excel",
+    "export.stats": "Estadísticas de \"{column}\"",
+    "export.statsNone": "Estadísticas de columna (ninguna abierta)",
+    "export.company": "Análisis de \"{company}\"",
+    "export.companyNone": "Análisis de empresa (ninguna analizada)",
+    "export.error": "No se pudo generar el archivo de exportación.",
+    "views.imported": "Se importaron {count} vista(s).",
+    "views.invalidFile": "El archivo no es un JSON de vistas válido.",
+
+    // Filtros por columna
+    "filter.from": "Desde",
+    "filter.to": "Hasta",
+    "filter.lastMonth": "Último mes",
+    "filter.lastQuarter": "Último trimestre",
+    "filter.lastYear": "Último año",
+    "filter.allDates": "Todo",
+    "filter.min": "Mínimo",
+    "filter.max": "Máximo",
+    "filter.invalidNumber": "No es un número válido; se mantiene el último valor.",
+    "filter.contains": "Contiene",
+    "filter.equals": "Igual a",
+    "filter.textPlaceholder": "Texto a buscar...",
+    "filter.pinnedValues": "Valor fijado: {values}",
+    "filter.audit": "Auditoría: {issue}",
+    "filter.remove": "Quitar",
+    "value.empty": "[VACÍO]",
+
+    // Tabla de resultados
+    "results.count": "{total} resultados de {rowCount} filas totales",
+    "results.updating": "Actualizando…",
+    "results.companyTitle": "Ver análisis de esta empresa",
+    "results.rowsLabel": "{name} ({count} filas)",
+    "grid.moveTitle": "Arrastra para mover la columna",
+    "grid.sortTitle": "Clic para ordenar; mayúsculas + clic para añadir un nivel de orden",
+    "grid.statsTitle": "Ver estadísticas de la columna",
+    "grid.pinTitle": "Fijar la columna a la izquierda",
+    "grid.unpinTitle": "Soltar la columna",
+    "grid.hideTitle": "Ocultar la columna",
+    "grid.resizeTitle": "Arrastra para cambiar el ancho",
+    "grid.loading": "Cargando…",
+    "grid.rowsError": "Error al leer las filas.",
+    "anomaly.price": "Precio unitario",
+    "anomaly.zTitle": "Distancia al precio típico del grupo, en desviaciones robustas",
+    "anomaly.groupTitle": "Ver la distribución de precios del grupo",
+    "anomaly.flagHigh": "Alto",
+    "anomaly.flagLow": "Bajo",
+
+    // Editor de orden
+    "sort.summary": "Orden ({count})",
+    "sort.relevanceActive": "El orden por relevancia de la búsqueda está activo: este orden se aplica al desactivarlo.",
+    "sort.none": "Sin orden: las filas se muestran en el orden del archivo.",
+    "sort.asc": "Ascendente",
+    "sort.desc": "Descendente",
+    "sort.blanksTitle": "Celdas vacías o que no se pueden interpretar",
+    "sort.blanksLast": "Vacías al final",
+    "sort.blanksFirst": "Vacías primero",
+    "sort.up": "Subir prioridad",
+    "sort.down": "Bajar prioridad",
+    "sort.removeLevel": "Quitar el nivel",
+    "sort.addLevel": "+ Añadir nivel",
+    "sort.clear": "Quitar orden",
+    "sort.hint": "En la tabla: clic en un encabezado para ordenar por esa columna; mayúsculas + clic para añadirla como siguiente nivel.",
+    "sort.describe.asc": "{column} (ascendente)",
+    "sort.describe.desc": "{column} (descendente)",
+    "sort.describe.ascBlanksFirst": "{column} (ascendente, vacías primero)",
+    "sort.describe.descBlanksFirst": "{column} (descendente, vacías primero)",
+
+    // Acerca de
+    "about.title": "Acerca de esta Herramienta",
+    "about.author": "(Hecho por Vadir)",
+    "about.local": "El proceso completo se ejecuta en tu navegador; ningún dato de tu archivo se sube a un servidor.",
+    "about.cache": "Los últimos archivos cargados y la búsqueda en curso se guardan en este navegador (IndexedDB) para reabrirlos sin volver a subirlos; puedes borrarlos desde \"Archivos recientes\" y un administrador puede cifrarlos desde \"Usuarios y Seguridad\".",
+    "about.fuzzy": "La búsqueda global es difusa (tolerante a errores); selecciona las columnas relevantes para obtener mejores resultados.",
+    "about.sort": "Haz clic en el encabezado de una columna para ordenar por ella; con mayúsculas + clic se añade como siguiente nivel de orden (el número junto a la flecha indica la prioridad).",
+    "about.stats": "Pulsa Σ en el encabezado de cualquier columna para ver su análisis rápido y auditoría sobre los datos actualmente filtrados.",
+    "about.language": "Cambia el idioma de la interfaz y el formato de números y fechas con el selector de la cabecera.",
+
+    // Panel de estadísticas de columna
+    "stats.title": "Análisis:",
+    "stats.error": "No se pudieron calcular las estadísticas de la columna.",
+    "stats.analyzing": "Analizando {count} celdas visibles.",
+    "stats.blankCells": "{count} celdas vacías.",
+    "stats.basedOnVisible": "El análisis se basa en los resultados actualmente visibles (con filtros y búsqueda aplicados).",
+    "stats.avg": "Promedio (Media)",
+    "stats.median": "Mediana (Valor Central)",
+    "stats.stdDev": "Desviación Estándar",
+    "stats.sum": "Suma Total",
+    "stats.min": "Valor Mínimo",
+    "stats.max": "Valor Máximo",
+    "stats.percentiles": "Percentiles",
+    "stats.outliers": "Valores atípicos (regla {factor} × IQR)",
+    "stats.iqr": "Rango intercuartílico: {value}",
+    "stats.below": "{count} bajo {value}",
+    "stats.above": "{count} sobre {value}",
+    "stats.nonNumeric": "{count} celdas no son numéricas y no se incluyen.",
+    "stats.histogram": "Histograma",
+    "stats.bins": "Intervalos",
+    "stats.binTitle": "Clic en un intervalo para filtrar",
+    "stats.unique": "Valores Únicos",
+    "stats.topValues": "Valores Más Frecuentes",
+    "stats.top": "Top",
+    "stats.others": "Otros ({count} valores)",
+    "stats.clickToFilter": "Clic para filtrar",
+    "stats.earliest": "Fecha más antigua",
+    "stats.latest": "Fecha más reciente",
+    "stats.invalidDates": "{count} celdas no se pudieron interpretar como fecha.",
+    "stats.byMonth": "Registros por mes:",
+    "stats.monthTitle": "Clic para filtrar este mes",
+
+    // Análisis de empresa
+    "company.titleFiltered": "Análisis Filtrado de Empresa",
+    "company.error": "No se pudo analizar la empresa.",
+    "company.titleGlobal": "Análisis Global de Empresa",
+    "company.filterTable": "Filtrar tabla a esta empresa",
+    "company.totalValue": "Valor Total (USD)",
+    "company.totalWeight": "Peso Total (KG)",
+    "company.pricePerKg": "Precio / KG",
+    "company.shipments": "Envíos",
+    "company.role": "Rol",
+    "company.value": "Valor",
+    "company.weight": "Peso",
+    "company.weightValue": "{value} KG",
+    "company.asImporter": "Como importador",
+    "company.asExporter": "Como exportador",
+    "company.monthly": "Evolución mensual",
+    "company.noDates": "Ningún envío tiene fecha válida.",
+    "company.assignDate": "Asigna la columna de Fecha en el Mapeo de Columnas para ver la evolución.",
+    "company.priceDistribution": "Precio / KG por envío",
+    "company.priceMin": "Mín.",
+    "company.priceMedian": "Mediana",
+    "company.priceMax": "Máx.",
+    "company.priceCount": "{count} envíos con valor y peso.",
+    "company.noPrices": "Ningún envío tiene valor y peso a la vez.",
+    "company.topCounterparties": "Principales contrapartes",
+    "company.topProducts": "Principales productos",
+    "company.topOrigins": "Principales orígenes",
+    "company.topPorts": "Principales puertos",
+    "company.roleImporterExporter": "Importador y Exportador",
+    "company.roleProduct": "Producto",
+    "company.roleCountry": "País",
+    "company.rolePort": "Puerto / Aduana",
+    "company.missingRole": "Asigna {role} en el Mapeo de Columnas para ver este ranking.",
+    "company.rankedEntry": "{value} · {count} envíos",
+    "company.noData": "Sin datos.",
+    "company.latestShipments": "(los {shown} más recientes de {total})",
+    "company.date": "Fecha",
+    "company.counterparty": "Contraparte",
+    "company.directionImport": "Importa",
+    "company.directionExport": "Exporta",
+    "company.directionBoth": "Ambos",
+    "company.scope": "Este análisis es {scope}.",
+    "company.scopeFiltered": "FILTRADO",
+    "company.scopeGlobal": "GLOBAL",
+    "company.scopeFilteredNote": "Refleja solo las filas visibles en la tabla principal (con filtros y búsqueda aplicados).",
+    "company.scopeGlobalNote": "Refleja el 100% de los datos cargados.",
+
+    // Usuarios y seguridad
+    "accessAdmin.intro": "Los usuarios y sus códigos se guardan solo en este navegador. De cada código se guarda un verificador (PBKDF2 con sal), nunca el código.",
+    "accessAdmin.role": "Rol",
+    "accessAdmin.created": "Creado",
+    "accessAdmin.status": "Estado",
+    "accessAdmin.you": "(tú)",
+    "accessAdmin.lockedUntil": "Bloqueado hasta las {time}",
+    "accessAdmin.unlock": "Desbloquear",
+    "accessAdmin.failedAttempts": "{count} intento(s) fallido(s)",
+    "accessAdmin.active": "Activo",
+    "accessAdmin.revoke": "Revocar",
+    "accessAdmin.confirmRevoke": "¿Revocar el acceso de \"{name}\"?",
+    "accessAdmin.revoked": "Acceso de \"{name}\" revocado.",
+    "accessAdmin.passphrase": "Código (mín. {min} caracteres)",
+    "accessAdmin.replace": "Reemplazar código",
+    "accessAdmin.add": "Añadir usuario",
+    "accessAdmin.replaced": "Código de \"{name}\" reemplazado.",
+    "accessAdmin.added": "Usuario \"{name}\" añadido.",
+    "accessAdmin.sessionTitle": "Sesión y bloqueo",
+    "accessAdmin.idle": "Cerrar sesión tras {minutes} min sin actividad",
+    "accessAdmin.lockout": "Bloquear tras {attempts} intentos fallidos durante {minutes} min",
+    "accessAdmin.cacheTitle": "Archivos guardados en este navegador",
+    "accessAdmin.encryptCache": "Cifrar los archivos recientes (AES-GCM con una clave que solo se abre con el código de un usuario)",
+    "accessAdmin.encryptCacheNote": "Al cambiar la opción se convierten los archivos ya guardados. Los nombres de archivo y el número de filas quedan sin cifrar para poder listarlos. Mientras está activa no se guardan la última sesión (búsqueda y filtros), los alias de empresas ni la vista en la URL; las vistas guardadas a mano siguen sin cifrar.",
+    "accessAdmin.encryptionOn": "Cifrado activado: {count} conjunto(s) guardado(s) convertidos.",
+    "accessAdmin.encryptionOff": "Cifrado desactivado: {count} conjunto(s) guardado(s) convertidos.",
+    "accessAdmin.processing": "Procesando…",
+
+    // Precios anómalos
+    "anomalies.title": "Precios unitarios anómalos",
+    "anomalies.onlyFlagged": "Mostrar solo anomalías",
+    "anomalies.intro": "Compara el precio unitario (valor / peso) de cada fila con el de las filas de su mismo grupo dentro de los resultados actuales. La referencia del grupo es la mediana y una dispersión robusta, y cada fila recibe una puntuación z: se marcan las que la superan en valor absoluto.",
+    "anomalies.chooseColumn": "Elige una columna…",
+    "anomalies.groupBy": "Agrupar por",
+    "anomalies.value": "Valor",
+    "anomalies.weight": "Peso / cantidad",
+    "anomalies.method": "Dispersión",
+    "anomalies.methodMad": "MAD (desviación absoluta mediana)",
+    "anomalies.methodIqr": "IQR (rango intercuartílico)",
+    "anomalies.threshold": "Umbral |z|",
+    "anomalies.minGroupSize": "Mínimo de filas por grupo",
+    "anomalies.missingColumns": "Elige la columna de grupo, la de valor y la de peso para calcular los precios.",
+    "anomalies.summary": "{flagged} filas marcadas ({high} con precio alto, {low} con precio bajo) de {scored} puntuadas en {groups} grupos.",
+    "anomalies.smallGroups": "{count} grupos son demasiado pequeños para comparar.",
+    "anomalies.unpriced": "{count} filas no tienen grupo, valor o peso válidos.",
+    "anomalyGroup.title": "Precio frente a su grupo",
+    "anomalyGroup.rowPrice": "Precio de la fila",
+    "anomalyGroup.z": "Puntuación z",
+    "anomalyGroup.flag": "Marca",
+    "anomalyGroup.priceHigh": "Precio alto",
+    "anomalyGroup.priceLow": "Precio bajo",
+    "anomalyGroup.normal": "Dentro de lo normal",
+    "anomalyGroup.tooSmall": "El grupo tiene muy pocas filas para compararlas.",
+    "anomalyGroup.rows": "Filas del grupo",
+    "anomalyGroup.median": "Mediana",
+    "anomalyGroup.spread": "Dispersión robusta",
+    "anomalyGroup.minMax": "Mínimo – máximo",
+    "anomalyGroup.normalRange": "Rango normal",
+    "anomalyGroup.legend": "En rojo oscuro, el intervalo de esta fila; en rojo claro, los precios fuera del rango normal.",
+    "anomalyGroup.filter": "Filtrar la tabla a este grupo",
+
+    // Comunes
+    "common.cancel": "Cancelar",
+    "common.close": "Cerrar",
+
+    // Mapeo de columnas
+    "roleMapper.intro": "Indica qué columna cumple cada función. El análisis de empresa y las estadísticas usan este mapeo, y se recordará para los archivos con los mismos encabezados.",
+    "roleMapper.none": "— Ninguna —",
+    "roleMapper.example": "Ejemplo: {value}",
+    "roleMapper.save": "Guardar mapeo",
+    "columnRole.importer": "Importador (consignatario)",
+    "columnRole.exporter": "Exportador (expedidor)",
+    "columnRole.value": "Valor (USD)",
+    "columnRole.weight": "Peso (KG)",
+    "columnRole.date": "Fecha",
+    "columnRole.product": "Producto / Partida (HS)",
+    "columnRole.country": "País",
+    "columnRole.port": "Puerto / Aduana",
+
+    // Filtro por valores
+    "facet.values": "Valores ({count})",
+    "facet.selected": "{count} seleccionados",
+    "facet.excluded": "{count} excluidos",
+    "facet.search": "Buscar valor...",
+    "facet.include": "Incluir",
+    "facet.exclude": "Excluir",
+    "facet.noMatches": "Sin coincidencias.",
+    "facet.clear": "Limpiar selección",
+
+    // Archivos recientes
+    "recent.title": "Archivos recientes ({count})",
+    "recent.encrypted": "Guardado cifrado",
+    "recent.details": "{rows} filas · ~{size} · {date}",
+    "recent.delete": "Borrar de este navegador",
+    "recent.storage": "Espacio usado en este navegador: {usage}.",
+    "recent.storageOfQuota": "Espacio usado en este navegador: {usage} de {quota}.",
+    "recent.localOnly": "Los datos se guardan solo aquí; no se suben a ningún servidor.",
+
+    // Vistas guardadas
+    "views.title": "Vistas Guardadas ({count})",
+    "views.namePlaceholder": "Nombre de la vista actual...",
+    "views.save": "Guardar",
+    "views.confirmReplace": "Ya existe una vista \"{name}\". ¿Reemplazarla?",
+    "views.exists": "Ya existe una vista \"{name}\".",
+    "views.empty": "Guarda la combinación actual de filtros, búsqueda, columnas y orden para volver a aplicarla con un clic.",
+    "views.apply": "Aplicar vista",
+    "views.rename": "Renombrar",
+    "views.delete": "Borrar vista",
+    "views.copyLink": "Copiar enlace de la vista actual",
+    "views.linkCopied": "¡Enlace copiado!",
+    "views.copyPrompt": "Copia el enlace de esta vista:",
+    "views.export": "Exportar JSON",
+    "views.import": "Importar JSON",
+    "views.linkNote": "El enlace abre esta misma vista cuando se carga el mismo archivo.",
+
+    // Vista previa de importación
+    "importPreview.title": "Importar {file}",
+    "importPreview.intro": "Revisa cómo se interpretará el archivo antes de cargarlo. Las filas anteriores al encabezado se omiten; desmarca las columnas que no quieras cargar.",
+    "importPreview.sheet": "Hoja",
+    "importPreview.encoding": "Codificación",
+    "importPreview.delimiter": "Separador",
+    "importPreview.delimiterComma": "Coma (,)",
+    "importPreview.delimiterSemicolon": "Punto y coma (;)",
+    "importPreview.delimiterTab": "Tabulador",
+    "importPreview.delimiterPipe": "Barra vertical (|)",
+    "importPreview.headerRow": "Fila de encabezado (detectada: {row})",
+    "importPreview.skipBottom": "Omitir filas finales",
+    "importPreview.summary": "Se cargarán {rows} filas y {selected} de {total} columnas.",
+    "importPreview.partial": "(Vista previa de las primeras {shown} de {total} filas.)",
+    "importPreview.import": "Importar",
+
+    // Columnas calculadas
+    "computed.title": "Columnas calculadas",
+    "computed.intro": "Cada fila calcula su valor con una fórmula. Las columnas nuevas se pueden buscar, filtrar, ordenar y exportar como las demás, y se guardan con la sesión para los próximos archivos.",
+    "computed.nameExists": "Ya existe una columna \"{name}\".",
+    "computed.edit": "Editar",
+    "computed.delete": "Borrar columna",
+    "computed.notApplied": "No se aplicó en este archivo: {message}",
+    "computed.editing": "Editar \"{name}\"",
+    "computed.new": "Nueva columna",
+    "computed.namePlaceholder": "Nombre de la columna...",
+    "computed.insertColumn": "Insertar columna…",
+    "computed.position": "(posición {position})",
+    "computed.firstRows": "Primeras filas:",
+    "computed.cancelEdit": "Cancelar edición",
+    "computed.test": "Probar",
+    "computed.saveChanges": "Guardar cambios",
+    "computed.add": "Añadir columna",
+    "computed.help": "Ayuda de fórmulas",
+    "computed.helpSyntax": "Columnas entre corchetes: {column}. Texto entre comillas: {text}.",
+    "computed.helpOperators": "Operadores: {arithmetic}, {join} para unir texto y {compare} para comparar.",
+    "computed.helpBlanks": "Una celda vacía o no numérica da un resultado vacío en los cálculos; dividir por cero también.",
+    "computed.examples": "Ejemplos",
+    "computed.examplePricePerKg": "Precio / KG",
+    "computed.examplePricePerKgFormula": "[Valor (USD)] / [Peso (KG)]",
+    "computed.exampleYearMonth": "Año-mes",
+    "computed.exampleYearMonthFormula": "AÑOMES([Fecha])",
+    "computed.exampleChapter": "Capítulo",
+    "computed.exampleChapterFormula": "IZQUIERDA([Partida]; 4)",
+    "computed.exampleValueBand": "Tramo de valor",
+    "computed.exampleValueBandFormula": "TRAMO([Valor (USD)]; 1000; 10000; 100000)",
+    "computed.exampleSize": "Tamaño",
+    "computed.exampleSizeFormula": "SI([Valor (USD)] > 50000; \"Grande\"; \"Pequeño\")",
+
+    // Funciones de las fórmulas
+    "formula.fn.if": "SI(condición; si es verdadera; si es falsa)",
+    "formula.fn.and": "Y(condición; condición; …)",
+    "formula.fn.or": "O(condición; condición; …)",
+    "formula.fn.not": "NO(condición)",
+    "formula.fn.isblank": "ESBLANCO(valor)",
+    "formula.fn.ifblank": "SIVACÍO(valor; alternativa)",
+    "formula.fn.round": "REDONDEAR(número; decimales)",
+    "formula.fn.abs": "ABS(número)",
+    "formula.fn.min": "MIN(número; número; …)",
+    "formula.fn.max": "MAX(número; número; …)",
+    "formula.fn.number": "NÚMERO(texto) — admite coma decimal",
+    "formula.fn.bucket": "TRAMO(número; límite; límite; …)",
+    "formula.fn.text": "TEXTO(valor)",
+    "formula.fn.len": "LARGO(texto)",
+    "formula.fn.left": "IZQUIERDA(texto; caracteres)",
+    "formula.fn.right": "DERECHA(texto; caracteres)",
+    "formula.fn.mid": "EXTRAE(texto; posición desde 1; caracteres)",
+    "formula.fn.upper": "MAYUSC(texto)",
+    "formula.fn.lower": "MINUSC(texto)",
+    "formula.fn.trim": "ESPACIOS(texto) — quita los espacios sobrantes",
+    "formula.fn.concat": "CONCATENAR(texto; texto; …)",
+    "formula.fn.contains": "CONTIENE(texto; buscado) — sin distinguir mayúsculas",
+    "formula.fn.replace": "SUSTITUIR(texto; buscado; reemplazo)",
+    "formula.fn.year": "AÑO(fecha)",
+    "formula.fn.month": "MES(fecha)",
+    "formula.fn.day": "DÍA(fecha)",
+    "formula.fn.quarter": "TRIMESTRE(fecha)",
+    "formula.fn.weekday": "DIASEM(fecha) — 1 = lunes … 7 = domingo",
+    "formula.fn.yearmonth": "AÑOMES(fecha) — aaaa-mm",
+    "formula.fn.date": "FECHA(año; mes; día) — aaaa-mm-dd",
+    "formula.fn.days": "DÍAS(fecha final; fecha inicial)",
+
+    // Auditoría de datos
+    "progress.stage": "{stage}… {percent}%",
+    "audit.title": "Auditoría de calidad de datos",
+    "audit.intro": "Revisa todas las filas de la hoja cargada (sin filtros). Haz clic en un conteo para filtrar la tabla y ver exactamente esas filas; el filtro aparece en su columna y se puede quitar desde allí.",
+    "audit.running": "Auditando…",
+    "audit.summary": "{sheet} · {rows} filas · {columns} columnas",
+    "audit.export": "Exportar informe (Excel)",
+    "audit.column": "Columna",
+    "audit.type": "Tipo",
+    "audit.blank": "Vacías",
+    "audit.mixed": "Tipo mezclado",
+    "audit.mixedTitle": "Celdas no vacías de un tipo distinto al mayoritario",
+    "audit.invalid": "No válidas",
+    "audit.invalidTitle": "Celdas que no son número o fecha en una columna numérica o de fechas",
+    "audit.whitespace": "Espacios",
+    "audit.whitespaceTitle": "Espacios al principio o al final",
+    "audit.casing": "Mayúsculas",
+    "audit.casingTitle": "Celdas de valores escritos con distintas mayúsculas",
+    "audit.kind.number": "número",
+    "audit.kind.date": "fecha",
+    "audit.kind.text": "texto",
+    "audit.issue.blank": "celdas vacías",
+    "audit.issue.whitespace": "espacios al principio o al final",
+    "audit.issue.invalid": "valores que no encajan en el tipo de la columna",
+    "audit.issue.mixed": "celdas que no son de tipo {kind}",
+    "audit.issue.casing": "mayúsculas inconsistentes",
+    "audit.issue.duplicate": "duplicados por {keys}",
+    "audit.issue.nearDuplicate": "casi duplicados por {keys}",
+    "audit.majority": "(mayoría: {kind})",
+    "audit.majorityTitle": "Tipo mayoritario en todas las filas; la detección automática usa solo las primeras",
+    "audit.showBlank": "Ver filas vacías",
+    "audit.showMixed": "Ver celdas que no son de tipo {kind}",
+    "audit.showInvalid": "Ver celdas no válidas",
+    "audit.showWhitespace": "Ver celdas con espacios sobrantes",
+    "audit.casingGroups": "({count} valores)",
+    "audit.duplicates": "Filas duplicadas",
+    "audit.duplicatesIntro": "Elige las columnas que identifican una fila. Los casi duplicados son claves que solo difieren en mayúsculas, acentos, espacios o puntuación.",
+    "audit.searching": "Buscando…",
+    "audit.findDuplicates": "Buscar duplicados",
+    "audit.duplicatesError": "Error al buscar duplicados.",
+    "audit.exact": "Duplicados exactos",
+    "audit.near": "Casi duplicados",
+    "audit.none": "Ninguno.",
+    "audit.duplicateSummary": "{groups} grupos · {rows} filas ({extra} sobrantes)",
+    "audit.showRows": "Ver filas",
+
+    // Unificar empresas
+    "entities.intro": "Variantes del mismo nombre en {columns}, agrupadas ignorando mayúsculas, puntuación y formas jurídicas (S.A., S.A.C., de C.V., …). Al aceptar un grupo, la tabla, las facetas, el análisis de empresa y las exportaciones usan el nombre canónico. Los alias se guardan en este navegador y se aplican a cualquier archivo.",
+    "entities.missingColumns": "Asigna las columnas de Importador y/o Exportador en el Mapeo de Columnas.",
+    "entities.searching": "Buscando variantes…",
+    "entities.search": "Buscar empresa...",
+    "entities.showResolved": "Mostrar aceptados",
+    "entities.merge": "Fusionar seleccionados ({count})",
+    "entities.acceptAll": "Aceptar todos ({count})",
+    "entities.nonePending": "No hay grupos pendientes.",
+    "entities.selectToMerge": "Seleccionar para fusionar",
+    "entities.canonical": "Nombre canónico",
+    "entities.accepted": "Aceptado",
+    "entities.accept": "Aceptar",
+    "entities.split": "Separar del grupo",
+    "entities.truncated": "Se muestran {shown} de {total} grupos; usa el buscador para ver el resto.",
+    "entities.saved": "Alias guardados ({count})",
+    "entities.undo": "Deshacer",
+
+    // Cruzar con tabla
+    "join.title": "Cruzar con tabla de búsqueda",
+    "join.intro": "Añade a cada fila columnas de otra hoja o archivo (códigos arancelarios, países, clientes…) cuya clave coincida, sin distinguir mayúsculas ni espacios. Las filas sin coincidencia quedan con esas columnas vacías. Las columnas añadidas se pueden filtrar, buscar y exportar como las demás.",
+    "join.loading": "Cargando hojas…",
+    "join.lookupTable": "Tabla de búsqueda",
+    "join.chooseSheet": "Elige una hoja…",
+    "join.loadFile": "Cargar otro archivo…",
+    "join.fileError": "No se pudo leer el archivo.",
+    "join.error": "Error al cruzar las tablas.",
+    "join.key": "Clave en los datos cargados",
+    "join.lookupKey": "Clave en la tabla de búsqueda",
+    "join.columns": "Columnas a añadir",
+    "join.running": "Cruzando…",
+    "join.run": "Añadir {count} columna(s)",
+    "join.added": "Columnas añadidas: {columns}",
+    "join.matched": "Filas con coincidencia: {count}",
+    "join.unmatched": "Filas sin coincidencia: {count} ({keys} claves distintas)",
+    "join.emptyKeys": "Filas sin clave: {count}",
+    "join.duplicateKeys": "Claves repetidas en la tabla de búsqueda: {count} (se usó la primera aparición)",
+    "join.unmatchedKeys": "Claves sin coincidencia",
+    "join.unmatchedKeysTop": "Claves sin coincidencia (las {count} más frecuentes)",
+
+    // Combinar archivos
+    "merge.title": "Combinar archivos y hojas",
+    "merge.appendTitle": "Añadir archivos a los datos cargados",
+    "merge.intro": "Las columnas se alinean por nombre. Cada fila lleva en la columna \"{column}\" el archivo y la hoja de donde procede, para poder filtrar por origen.",
+    "merge.keepsCriteria": "Los filtros y la búsqueda actuales se conservan.",
+    "merge.sheets": "Hojas a incluir",
+    "merge.sheetSize": "({rows} filas, {columns} columnas)",
+    "merge.mismatches": "Columnas que no coinciden",
+    "merge.mismatchesLoaded": "Asígnalas a una columna de los datos cargados, mantenlas como columna nueva o descártalas.",
+    "merge.mismatchesSheet": "Asígnalas a una columna de \"{sheet}\", mantenlas como columna nueva o descártalas.",
+    "merge.newColumn": "(columna nueva)",
+    "merge.drop": "(descartar)",
+    "merge.dedupe": "Eliminar duplicados",
+    "merge.dedupeKey": "Eliminar duplicados (clave: {key})",
+    "merge.dedupeHelp": "Se conserva la primera fila de cada clave; sin columnas marcadas no se elimina nada.",
+    "merge.append": "Añadir {count} hoja(s)",
+    "merge.run": "Combinar {count} hoja(s)",
+
+    // Tabla dinámica
+    "pivot.op.count": "Nº de filas",
+    "pivot.op.sum": "Suma",
+    "pivot.op.avg": "Promedio",
+    "pivot.op.min": "Mínimo",
+    "pivot.op.max": "Máximo",
+    "pivot.op.distinct": "Valores distintos",
+    "pivot.op.ratio": "Valor / Peso",
+    "pivot.measureOf": "{measure} de {column}",
+    "pivot.subtotal": "Subtotal",
+    "pivot.subtotalOf": "Subtotal {group}",
+    "pivot.total": "Total general",
+    "pivot.export": "Exportar Tabla Dinámica",
+    "pivot.groupBy": "Agrupar por",
+    "pivot.noSecondDimension": "— Sin segunda dimensión —",
+    "pivot.datesByMonth": "Las columnas de fecha se agrupan por mes.",
+    "pivot.measures": "Medidas",
+    "pivot.column": "— Columna —",
+    "pivot.removeMeasure": "Quitar medida",
+    "pivot.addMeasure": "+ Añadir medida",
+    "pivot.ratioHint": "Asigna las columnas de Valor y Peso en el Mapeo de Columnas para usar Valor / Peso.",
+    "pivot.percentOfTotal": "% del total",
+    "pivot.percent": "{value}%",
+    "pivot.drillDown": "Filtrar la tabla a este grupo",
+    "pivot.groups": "{count} grupos",
+    "pivot.renderLimit": "(se muestran los primeros {count}; la exportación los incluye todos)",
+    "pivot.computing": "Calculando…",
+    "pivot.drillDownHint": "Haz clic en un valor para filtrar la tabla a ese grupo.",
+
+    // Comparar periodos
+    "compare.status.new": "Nueva",
+    "compare.status.gone": "Desaparecida",
+    "compare.status.both": "En ambos",
+    "compare.rowStatus.added": "Añadida",
+    "compare.rowStatus.removed": "Eliminada",
+    "compare.rowStatus.changed": "Modificada",
+    "compare.col.status": "Estado",
+    "compare.col.countA": "Envíos A",
+    "compare.col.countB": "Envíos B",
+    "compare.col.countAB": "Envíos A → B",
+    "compare.col.valueA": "Valor A",
+    "compare.col.valueB": "Valor B",
+    "compare.col.delta": "Variación",
+    "compare.col.valueDelta": "Variación valor",
+    "compare.col.valuePct": "Variación valor %",
+    "compare.col.weightA": "Peso A",
+    "compare.col.weightB": "Peso B",
+    "compare.col.weightDelta": "Variación peso",
+    "compare.col.weightPct": "Variación peso %",
+    "compare.col.weightPctShort": "% peso",
+    "compare.company": "Empresa",
+    "compare.companies": "Empresas",
+    "compare.shipments": "Envíos",
+    "compare.value": "Valor",
+    "compare.weight": "Peso",
+    "compare.baseError": "No se pudo fijar el periodo A.",
+    "compare.exportCSV": "Exportar Tabla (CSV)",
+    "compare.exportReport": "Exportar Informe (Excel)",
+    "compare.periodA": "Periodo A",
+    "compare.periodB": "Periodo B",
+    "compare.change": "Cambiar",
+    "compare.baseName": "Nombre del periodo A...",
+    "compare.fixResults": "Fijar resultados actuales",
+    "compare.useRecent": "O usa un archivo reciente…",
+    "compare.useAsBase": "Usar como periodo A",
+    "compare.baseHelp": "Fija el mes anterior (o cualquier corte filtrado) como periodo A; después cambia los filtros o carga otro archivo: el periodo B es siempre el resultado actual.",
+    "compare.currentResults": "Resultados actuales: {label}",
+    "compare.dimension": "Comparar también por",
+    "compare.noDimension": "— Sin dimensión —",
+    "compare.rowKey": "Diferencias fila a fila por la clave",
+    "compare.noRowKey": "— No comparar filas —",
+    "compare.valueHint": "Asigna la columna de Valor (y la de Peso) en el Mapeo de Columnas para comparar importes.",
+    "compare.running": "Comparando…",
+    "compare.companiesSummary": "{added} empresas nuevas y {gone} desaparecidas de {total} en total.",
+    "compare.allStatuses": "Todas",
+    "compare.companiesHint": "Asigna las columnas de importador o exportador en el Mapeo de Columnas para comparar empresas.",
+    "compare.dimensionHint": "Elige una dimensión presente en los dos periodos.",
+    "compare.moversUp": "Mayores subidas",
+    "compare.moversDown": "Mayores bajadas",
+    "compare.renderLimit": "Se muestran {shown} de {total} entradas; la exportación las incluye todas.",
+    "compare.rowDiffTitle": "Diferencias fila a fila por {key}",
+    "compare.rowDiffSummary": "{added} añadidas · {removed} eliminadas · {changed} modificadas · {unchanged} sin cambios",
+    "compare.rowDiffEmptyKeys": "{count} filas sin clave",
+    "compare.rowDiffDuplicates": "{count} claves repetidas (se compara la primera fila)",
+    "compare.rowDiffLimit": "Se muestran las primeras {count} diferencias; el informe de Excel las incluye todas.",
+
+    // Errores de las fórmulas y de la búsqueda
+    "formula.error.empty": "Fórmula vacía",
+    "formula.error.unclosedQuote": "Comillas sin cerrar",
+    "formula.error.unclosedBracket": "Corchete sin cerrar",
+    "formula.error.unexpectedChar": "Carácter inesperado: \"{char}\"",
+    "formula.error.incomplete": "Fórmula incompleta",
+    "formula.error.unknownColumn": "Columna desconocida: [{column}]",
+    "formula.error.unknownName": "Nombre desconocido: \"{name}\".",
+    "formula.error.unbracketedColumn": "Nombre desconocido: \"{name}\". Las columnas van entre corchetes: [{name}]",
+    "formula.error.unknownFunction": "Función desconocida: {name}",
+    "formula.error.missingParen": "Falta \")\" en {name}(",
+    "formula.error.argCount": "{name} espera {min} argumento(s)",
+    "formula.error.argCountAtLeast": "{name} espera al menos {min} argumento(s)",
+    "formula.error.argCountBetween": "{name} espera entre {min} y {max} argumento(s)",
+    "formula.error.unclosedParen": "Paréntesis sin cerrar",
+    "formula.error.valueExpected": "Se esperaba un valor",
+    "formula.error.unexpectedParen": "Paréntesis de cierre inesperado",
+    "formula.error.operatorExpected": "Se esperaba un operador",
+    "formula.error.missingName": "Falta el nombre de la columna",
+    "formula.error.duplicateName": "Ya existe una columna \"{name}\"",
+    "query.error.unclosedQuote": "Comillas sin cerrar",
+    "query.error.unknownColumn": "Columna desconocida: \"{column}\"",
+    "query.error.missingValue": "Falta el valor después de \"{after}\"",
+    "query.error.numberExpected": "Se esperaba un número o una fecha después de \"{op}\"",
+    "query.error.emptyPhrase": "Frase vacía",
+    "query.error.missingText": "Falta el texto después de \"{prefix}\"",
+    "query.error.missingOrOperand": "Falta una condición después de OR",
+    "query.error.conditionExpected": "Se esperaba una condición",
+    "query.error.incomplete": "Consulta incompleta",
+    "query.error.missingExclusion": "Falta el término a excluir después de \"-\"",
+    "query.error.unclosedParen": "Paréntesis sin cerrar",
+    "query.error.unexpectedParen": "Paréntesis de cierre inesperado",
+
+    // Etapas y errores del motor
+    "stage.searching": "Buscando",
+    "stage.filtering": "Filtrando",
+    "stage.sorting": "Ordenando",
+    "stage.anomalies": "Analizando precios",
+    "stage.convertingRows": "Convirtiendo filas",
+    "stage.detectingTypes": "Detectando tipos de columna",
+    "stage.readingFile": "Leyendo archivo",
+    "stage.parsingWorkbook": "Interpretando libro",
+    "stage.readingNamed": "Leyendo {name}",
+    "stage.convertingNamed": "Convirtiendo {name}",
+    "stage.merging": "Combinando",
+    "stage.readingLookup": "Leyendo tabla de búsqueda",
+    "stage.joining": "Cruzando",
+    "stage.openingCached": "Abriendo desde la caché",
+    "stage.auditing": "Auditando columnas",
+    "stage.applyingAliases": "Aplicando alias y columnas calculadas",
+    "engine.error.missingSheet": "La hoja \"{sheet}\" no existe en el libro.",
+    "worker.error.noSession": "No hay una sesión con clave de datos.",
+    "worker.error.noPendingImport": "No hay ningún archivo pendiente de importar.",
+    "worker.error.lookupSheet": "La hoja \"{sheet}\" no está disponible.",
+    "worker.error.notCached": "\"{id}\" ya no está en la caché.",
+    "worker.sheet.combined": "Combinado ({count} orígenes)",
+    "cache.error.encrypted": "\"{id}\" está cifrado: inicia sesión para abrirlo.",
+    "views.warning.filter": "El filtro de \"{column}\" se ha ignorado: la columna no existe en este archivo.",
+    "views.warning.sort": "El orden por \"{column}\" se ha ignorado: la columna no existe en este archivo.",
+    "views.error.notAList": "El archivo no contiene una lista de vistas.",
+
+    // Exportación a Excel
+    "xlsx.sheet.results": "Resultados",
+    "xlsx.sheet.criteria": "Criterios",
+    "xlsx.sheet.stats": "Estadísticas",
+    "xlsx.sheet.company": "Empresa",
+    "xlsx.sheet.columns": "Columnas",
+    "xlsx.sheet.duplicates": "Duplicados",
+    "xlsx.sheet.summary": "Resumen",
+    "xlsx.sheet.companies": "Empresas",
+    "xlsx.sheet.dimension": "Dimensión",
+    "xlsx.sheet.rowDiff": "Diferencias por fila",
+    "xlsx.filter.from": "desde {value}",
+    "xlsx.filter.to": "hasta {value}",
+    "xlsx.filter.equals": "igual a \"{value}\"",
+    "xlsx.filter.contains": "contiene \"{value}\"",
+    "xlsx.filter.exclude": "excluye: {values}",
+    "xlsx.filter.only": "solo: {values}",
+    "xlsx.filter.issue": "auditoría: {issue}",
+    "xlsx.generatedAt": "Generado el",
+    "xlsx.criteria.header": "Criterio",
+    "xlsx.criteria.value": "Valor",
+    "xlsx.criteria.exportedAt": "Exportado el",
+    "xlsx.criteria.sheet": "Hoja de origen",
+    "xlsx.criteria.exportedRows": "Filas exportadas",
+    "xlsx.criteria.totalRows": "Filas totales",
+    "xlsx.criteria.query": "Búsqueda global",
+    "xlsx.criteria.noQuery": "(ninguna)",
+    "xlsx.criteria.searchColumns": "Columnas de búsqueda",
+    "xlsx.criteria.sort": "Orden",
+    "xlsx.criteria.originalOrder": "Orden original",
+    "xlsx.criteria.relevance": "Relevancia de la búsqueda",
+    "xlsx.criteria.filters": "Filtros por columna",
+    "xlsx.criteria.noFilters": "(ninguno)",
+    "xlsx.stats.column": "Columna",
+    "xlsx.stats.records": "Registros",
+    "xlsx.stats.blank": "Celdas vacías",
+    "xlsx.stats.earliest": "Fecha más antigua",
+    "xlsx.stats.latest": "Fecha más reciente",
+    "xlsx.stats.invalidDates": "Celdas no interpretables",
+    "xlsx.stats.month": "Mes",
+    "xlsx.stats.nonNumeric": "Celdas no numéricas",
+    "xlsx.stats.sum": "Suma",
+    "xlsx.stats.avg": "Promedio",
+    "xlsx.stats.stdDev": "Desviación estándar",
+    "xlsx.stats.median": "Mediana",
+    "xlsx.stats.min": "Mínimo",
+    "xlsx.stats.max": "Máximo",
+    "xlsx.stats.iqr": "Rango intercuartílico",
+    "xlsx.stats.lowOutliers": "Valores atípicos bajos (< P25 - 1,5 IQR)",
+    "xlsx.stats.highOutliers": "Valores atípicos altos (> P75 + 1,5 IQR)",
+    "xlsx.stats.from": "Desde",
+    "xlsx.stats.to": "Hasta",
+    "xlsx.stats.unique": "Valores únicos",
+    "xlsx.stats.value": "Valor",
+    "xlsx.stats.frequency": "Frecuencia",
+    "xlsx.stats.others": "(otros)",
+    "xlsx.company.company": "Empresa",
+    "xlsx.company.scope": "Alcance",
+    "xlsx.company.scopeFiltered": "Filas filtradas",
+    "xlsx.company.scopeAll": "Todos los datos",
+    "xlsx.company.shipments": "Envíos",
+    "xlsx.company.value": "Valor (USD)",
+    "xlsx.company.weight": "Peso (KG)",
+    "xlsx.company.totalValue": "Valor total (USD)",
+    "xlsx.company.totalWeight": "Peso total (KG)",
+    "xlsx.company.pricePerKg": "Precio / KG",
+    "xlsx.company.role": "Rol",
+    "xlsx.company.asImporter": "Como importador",
+    "xlsx.company.asExporter": "Como exportador",
+    "xlsx.company.month": "Mes",
+    "xlsx.company.counterparty": "Contraparte",
+    "xlsx.company.product": "Producto",
+    "xlsx.company.origin": "Origen",
+    "xlsx.company.port": "Puerto",
+    "xlsx.audit.sheet": "Hoja",
+    "xlsx.audit.rows": "Filas revisadas",
+    "xlsx.audit.column": "Columna",
+    "xlsx.audit.declaredType": "Tipo usado",
+    "xlsx.audit.inferredType": "Tipo mayoritario",
+    "xlsx.audit.numbers": "Números",
+    "xlsx.audit.dates": "Fechas",
+    "xlsx.audit.texts": "Textos",
+    "xlsx.audit.blank": "Vacías",
+    "xlsx.audit.mixed": "Tipo distinto al mayoritario",
+    "xlsx.audit.invalid": "No encajan en el tipo usado",
+    "xlsx.audit.whitespace": "Espacios sobrantes",
+    "xlsx.audit.casingGroups": "Valores con mayúsculas inconsistentes",
+    "xlsx.audit.casingCount": "Celdas afectadas por mayúsculas",
+    "xlsx.audit.casingExamples": "Ejemplos de mayúsculas",
+    "xlsx.audit.emptyColumn": "(vacía)",
+    "xlsx.audit.key": "Clave",
+    "xlsx.audit.groups": "{count} grupos",
+    "xlsx.audit.rowCount": "{count} filas",
+    "xlsx.audit.extra": "{count} sobrantes",
+    "xlsx.compare.newCompanies": "Empresas nuevas",
+    "xlsx.compare.goneCompanies": "Empresas desaparecidas",
+    "xlsx.compare.rowKey": "Clave de filas",
+    "xlsx.compare.added": "Filas añadidas",
+    "xlsx.compare.removed": "Filas eliminadas",
+    "xlsx.compare.changed": "Filas modificadas",
+    "xlsx.compare.unchanged": "Filas sin cambios",
+    "xlsx.compare.emptyKey": "Filas sin clave",
+    "xlsx.compare.duplicateKeys": "Claves repetidas",
+    "xlsx.compare.change": "Cambio",
+    "xlsx.compare.column": "Columna",
+};
+
+export default es;
@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { createDataWorker } from "./createDataWorker";
+import { LocalizedError } from "./engine/i18n";
+
+// --- Hook: cliente del worker del motor de datos ---
+
+/**
+ * @typedef {{ stage: string, params?: object, progress: number }} EngineProgress `stage` es una clave del catálogo de mensajes
+ * @typedef {{ onProgress?: (p: EngineProgress) => void }} RequestOptions
+ */
+
+export function useDataEngine() {
+    const workerRef = useRef(null);
+    const pendingRef = useRef(new Map());
+    const nextIdRef = useRef(1);
+    const latestQueryRef = useRef(null);
+
+    useEffect(() => {
+        const worker = createDataWorker();
+        const pending = pendingRef.current;
+
+        worker.onmessage = (event) => {
+            const { id, type } = event.data;
+            const entry = pending.get(id);
+            if (!entry) return;
+            if (type === "progress") {
+                entry.onProgress?.({ stage: event.data.stage, params: event.data.params, progress: event.data.progress });
+                return;
+            }
+            pending.delete(id);
+            if (type === "done") entry.resolve(event.data.result);
+            else if (type === "cancelled") entry.resolve(undefined);
+            // Los errores del motor conservan su clave para que `describeError` los traduzca.
+            else entry.reject(event.data.key ? new LocalizedError(event.data.key, event.data.params) : new Error(event.data.message));
+        };
+
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            pending.forEach(entry => entry.resolve(undefined));
+            pending.clear();
+            workerRef.current = null;
+        };
+    }, []);
+
+    const send = useCallback((type, payload, { onProgress } = {}) => {
+        const worker = workerRef.current;
+        const id = nextIdRef.current++;
+        if (!worker) return { id, promise: Promise.resolve(undefined) };
+        const promise = new Promise((resolve, reject) => {
+            pendingRef.current.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ id, type, payload });
+        });
+        return { id, promise };
+    }, []);
+
+    /**
+     * Envía un mensaje al worker. Se resuelve con el resultado, o con `undefined`
+     * si la petición fue cancelada.
+     * @param {string} type
+     * @param {object} [payload]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<any>}
+     */
+    const request = useCallback((type, payload = {}, options) => send(type, payload, options).promise, [send]);
+
+    /**
+     * Ejecuta el pipeline (filtros, búsqueda y orden) y devuelve el primer bloque de filas. Cancela la consulta
+     * anterior si aún no ha terminado, de modo que solo la última obtiene resultado.
+     * @param {object} spec
+     * @param {RequestOptions} [options]
+     * @returns {Promise<any>}
+     */
+    const runQuery = useCallback((spec, options) => {
+        const previous = latestQueryRef.current;
+        if (previous !== null && pendingRef.current.has(previous)) {
+            workerRef.current?.postMessage({ type: "cancel", payload: { id: previous } });
+        }
+        const { id, promise } = send("query", spec, options);
+        latestQueryRef.current = id;
+        return promise;
+    }, [send]);
+
+    return useMemo(() => ({ request, runQuery }), [request, runQuery]);
+}
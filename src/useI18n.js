@@ -0,0 +1,72 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { DEFAULT_LOCALE, createTranslator, detectLocale, formatCurrency, formatLocaleDate, formatLocaleDateTime, formatNumber, messageParts, normalizeLocale, parseLocaleNumber } from "./engine/i18n";
+import { readJSON, writeJSON } from "./localStore";
+import es from "./locales/es";
+import en from "./locales/en";
+
+// --- Hook: idioma de la interfaz ---
+
+export const CATALOGS = { es, en };
+
+// Idioma elegido en el selector; sin elegir, el del navegador.
+const LOCALE_KEY = "locale";
+
+/**
+ * @typedef {{
+ *   locale: import('./engine/i18n').Locale,
+ *   setLocale: (locale: import('./engine/i18n').Locale) => void,
+ *   t: import('./engine/i18n').Translator,
+ *   tr: (key: string, params?: Object<string, any>) => React.ReactNode,
+ *   formatNumber: (num: number, options?: Intl.NumberFormatOptions) => string,
+ *   formatCurrency: (num: number, options?: Intl.NumberFormatOptions) => string,
+ *   formatDate: (ms: number) => string,
+ *   formatDateTime: (ms: number, options?: Intl.DateTimeFormatOptions) => string,
+ *   parseNumber: (text: string) => number | null,
+ *   describeError: (error: any) => string,
+ * }} I18n `tr` admite elementos como parámetros (p. ej. un número en negrita); `formatDate` es para
+ *   las fechas de los archivos (en UTC) y `formatDateTime`, para los instantes locales; `describeError`
+ *   traduce los `LocalizedError` del motor y deja el mensaje de los demás errores tal cual
+ */
+
+/**
+ * @param {import('./engine/i18n').Locale} locale
+ * @param {(locale: import('./engine/i18n').Locale) => void} setLocale
+ * @returns {I18n}
+ */
+function createI18n(locale, setLocale) {
+    const t = createTranslator(CATALOGS, locale);
+    return {
+        locale,
+        setLocale,
+        t,
+        tr: (key, params) => messageParts(CATALOGS, locale, key, params).map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>),
+        formatNumber: (num, options) => formatNumber(num, locale, options),
+        formatCurrency: (num, options) => formatCurrency(num, locale, options),
+        formatDate: (ms) => formatLocaleDate(ms, locale),
+        formatDateTime: (ms, options) => formatLocaleDateTime(ms, locale, options),
+        parseNumber: (text) => parseLocaleNumber(text, locale),
+        describeError: (error) => (error?.key ? t(error.key, error.params) : String(error?.message ?? error)),
+    };
+}
+
+// Fuera del proveedor (p. ej. en pruebas de un componente suelto) se usa el idioma por defecto.
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE, () => {}));
+
+/** @param {{ children: React.ReactNode }} props */
+export function I18nProvider({ children }) {
+    const [locale, setLocale] = useState(() => normalizeLocale(readJSON(LOCALE_KEY, null) ?? detectLocale(navigator.languages)));
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => createI18n(locale, (next) => {
+        setLocale(next);
+        writeJSON(LOCALE_KEY, next);
+    }), [locale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+/** @returns {I18n} */
+export const useI18n = () => useContext(I18nContext);
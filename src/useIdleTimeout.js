@@ -0,0 +1,32 @@
+import { useEffect, useRef } from "react";
+
+// --- Hook: cierre por inactividad ---
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+const CHECK_INTERVAL_MS = 15000;
+
+/**
+ * Llama a `onIdle` tras `minutes` sin actividad del usuario en la página.
+ * @param {number | null} minutes `null` desactiva el control
+ * @param {() => void} onIdle
+ */
+export function useIdleTimeout(minutes, onIdle) {
+    const onIdleRef = useRef(onIdle);
+    onIdleRef.current = onIdle;
+
+    useEffect(() => {
+        if (!minutes) return;
+        let lastActivity = Date.now();
+        const touch = () => {
+            lastActivity = Date.now();
+        };
+        const timer = setInterval(() => {
+            if (Date.now() - lastActivity >= minutes * 60000) onIdleRef.current();
+        }, CHECK_INTERVAL_MS);
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, touch, { passive: true }));
+        return () => {
+            clearInterval(timer);
+            ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, touch));
+        };
+    }, [minutes]);
+}